@@ -0,0 +1,25 @@
+import i18n from 'i18next'
+import LanguageDetector from 'i18next-browser-languagedetector'
+import { initReactI18next } from 'react-i18next'
+
+import en from '../locales/en.json'
+import es from '../locales/es.json'
+
+export const supportedLanguages = ['en', 'es'] as const
+
+i18n
+  .use(LanguageDetector)
+  .use(initReactI18next)
+  .init({
+    resources: {
+      en: { translation: en },
+      es: { translation: es },
+    },
+    fallbackLng: 'en',
+    supportedLngs: supportedLanguages,
+    interpolation: {
+      escapeValue: false,
+    },
+  })
+
+export default i18n
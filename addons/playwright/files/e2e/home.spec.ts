@@ -0,0 +1,6 @@
+import { expect, test } from '@playwright/test'
+
+test('home page renders', async ({ page }) => {
+  await page.goto('/')
+  await expect(page.getByRole('heading', { level: 1 })).toBeVisible()
+})
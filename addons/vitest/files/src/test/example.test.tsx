@@ -0,0 +1,13 @@
+import { render, screen } from '@testing-library/react'
+import { describe, expect, it } from 'vitest'
+
+function Greeting({ name }: { name: string }) {
+  return <h1>Hello, {name}!</h1>
+}
+
+describe('Greeting', () => {
+  it('renders the name', () => {
+    render(<Greeting name="Vitest" />)
+    expect(screen.getByRole('heading')).toHaveTextContent('Hello, Vitest!')
+  })
+})
@@ -0,0 +1,22 @@
+import { createFileRoute } from '@tanstack/react-router'
+import { useCounterStore } from '@/stores/counter-store'
+
+export const Route = createFileRoute('/counter')({
+  component: Counter,
+})
+
+function Counter() {
+  const { count, increment, decrement, reset } = useCounterStore()
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-4xl font-bold tracking-tight mb-8">Zustand Counter</h1>
+      <p className="text-6xl font-bold mb-8">{count}</p>
+      <div className="flex gap-2">
+        <button className="px-4 py-2 border rounded-md" onClick={decrement}>-1</button>
+        <button className="px-4 py-2 border rounded-md" onClick={increment}>+1</button>
+        <button className="px-4 py-2 border rounded-md" onClick={reset}>Reset</button>
+      </div>
+    </div>
+  )
+}
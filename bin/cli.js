@@ -4,82 +4,404 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs-extra');
+const os = require('os');
 const ora = require('ora');
 const spawn = require('cross-spawn');
 const inquirer = require('inquirer');
 
 // Import our custom modules
-const { validateProjectName, validateTargetDirectory } = require('../lib/validators');
+const {
+  validateProjectName,
+  validateDescription,
+  validateTargetDirectory,
+  isSafeToRemove,
+  listSignificantEntries
+} = require('../lib/validators');
 const { 
   detectAvailablePackageManagers, 
   getPreferredPackageManager, 
   installDependencies,
+  getPackageManagerConfig,
+  getFallbackPackageManager,
+  getInstallCommand,
   runScript 
 } = require('../lib/package-managers');
 const { 
   BoilerplateError, 
   ERROR_TYPES, 
-  createProjectRollback, 
+  RollbackManager,
   handleError,
   withErrorHandling 
 } = require('../lib/error-handler');
 const { 
   ensureNetworkConnectivity, 
   isOfflineMode,
-  getNetworkEnvironment 
+  getNetworkEnvironment,
+  redactUrl
 } = require('../lib/network');
+const {
+  DEFAULT_TEMPLATE,
+  FEATURE_LABELS,
+  listTemplates,
+  resolveTemplate
+} = require('../lib/templates');
+const {
+  listAddons,
+  parseAddonList,
+  resolveAddons,
+  applyAddons
+} = require('../lib/addons');
+const { runSetupWizard, DEFAULT_SHADCN_COMPONENTS } = require('../lib/prompts');
+const {
+  STATE_DIR,
+  PROJECT_FILE,
+  BASE_DIR,
+  CLI_VERSION,
+  listProjectFiles,
+  readProjectState,
+  requireProjectState,
+  writeProjectState,
+  snapshotFiles,
+  getModifiedFiles
+} = require('../lib/project-state');
+const { createUnifiedDiff } = require('../lib/diff');
+const { ROUTES_DIR, ROOT_ROUTE_FILE, generateRoute } = require('../lib/routes');
+const { renderProject, copyRenderedProject, listNewPaths } = require('../lib/scaffold');
+const { resolveTemplateSource, resolveProjectTemplate } = require('../lib/template-sources');
+const { getGitCommands, buildCreatePlan } = require('../lib/plan');
+const { applyPreset } = require('../lib/presets');
+const { writeEnvFile, ENV_LOCAL_FILE } = require('../lib/env');
+const { redirectConsoleToStderr, getChildStdio, printJson } = require('../lib/output');
+const { planUpgrade, applyUpgrade } = require('../lib/upgrade');
+const { getTemplateVariables, renderPath } = require('../lib/template-vars');
+const { writeEnvModules } = require('../lib/env-module');
+const { verifyProject, getVerifySteps, formatRunCommand } = require('../lib/verify');
+const { checkProjectDependencies, checkTemplateDependencies } = require('../lib/dependency-check');
+const { runDiagnostics } = require('../lib/doctor');
+const { parseComponentList, resolveShadcnComponents } = require('../lib/shadcn');
+const { ensurePackagesCached } = require('../lib/offline-cache');
+const { findWorkspace, readWorkspace, registerWorkspacePackage, useSharedConfigs } = require('../lib/workspace');
+const { ERROR_CODES, getErrorCode } = require('../lib/error-codes');
+const {
+  writeJournal,
+  readJournal,
+  updateJournalStep,
+  removeJournal,
+  getPendingSteps,
+  getRemainingCommands
+} = require('../lib/journal');
+const { startDebugLog, logCommand } = require('../lib/debug-log');
 
 const program = new Command();
 
+/**
+ * Starts the debug log of this run, with the network settings that affect
+ * installs (credentials removed from proxy and registry URLs)
+ * @param {Object} options - Command options (logFile)
+ */
+function startRunLog(options) {
+  const environment = {};
+  for (const [key, value] of Object.entries(getNetworkEnvironment())) {
+    environment[key] = typeof value === 'string' ? redactUrl(value) : value;
+  }
+  startDebugLog({ logFile: options.logFile, environment });
+}
+
 program
   .name('react-vite-boilerplate')
+  .enablePositionalOptions()
   .description('Create a React + Vite project with TanStack Router, SEO tooling, and Shadcn/Tailwind')
   .version('1.0.0')
-  .argument('<project-name>', 'name of the project')
+  .argument('[directory]', 'directory to create the project in, "." for the current one (prompted for when omitted)')
   .option('-y, --yes', 'skip interactive prompts and use defaults')
+  .option('--name <name>', 'package name (default: the directory name)')
+  .option('--merge', 'add the project to a non-empty directory, keeping the files already there')
   .option('--pm <manager>', 'specify package manager (npm, yarn, pnpm, bun)')
+  .option('--fallback-pm <manager>', 'package manager to retry with when installing fails ("auto": another available one)')
   .option('--skip-install', 'skip package installation')
   .option('--skip-git', 'skip git repository initialization')
   .option('--verbose', 'enable verbose output')
   .option('--dry-run', 'show what would be created without actually creating it')
+  .option('--verify', 'type-check, lint and build the project after installing dependencies')
+  .option('--offline', 'install from the local package cache only')
   .option('--template <name>', 'use a specific template variant')
-  .action(async (projectName, options) => {
-    const rollback = createProjectRollback(path.resolve(process.cwd(), projectName));
+  .option('--description <text>', 'project description used in the README, index.html and .env.example')
+  .option('--with <addons>', 'comma-separated add-ons to include (e.g. vitest,zustand)')
+  .option('--components <names>', 'comma-separated Shadcn/UI components to add (e.g. button,card,dialog)')
+  .option('--shared-config', "extend the workspace's tsconfig.base.json and ESLint config")
+  .option('--json', 'print the dry-run plan or the result as JSON on stdout')
+  .option('--preset <file|name>', 'preset file, or a named preset from rvb.config.json or ~/.rvbrc')
+  .option('--keep-on-failure', 'keep the project when installing fails and print the remaining commands')
+  .option('--resume', 'finish a project whose creation stopped (same as "resume <directory>")')
+  .option('--log-file <path>', 'write the debug log to this file instead of the cache directory')
+  .action(async (directoryArg, cliOptions) => {
+    const errorOptions = { verbose: cliOptions.verbose, json: cliOptions.json };
+    startRunLog(cliOptions);
+
+    if (cliOptions.resume) {
+      if (cliOptions.json) {
+        redirectConsoleToStderr();
+      }
+      await withErrorHandling(resumeProject, null, errorOptions)(directoryArg, cliOptions);
+      return;
+    }
+
+    // npm_config_offline and YARN_OFFLINE turn on offline mode like the flag
+    if (isOfflineMode()) {
+      cliOptions.offline = true;
+    }
+
+    // Keep stdout for the JSON document; progress output goes to stderr
+    if (cliOptions.json) {
+      redirectConsoleToStderr();
+    }
+
+    // Fill in options from rvb.config.json, ~/.rvbrc or --preset (flags win)
+    const preset = await withErrorHandling(async () => applyPreset(cliOptions), null, errorOptions)();
+    if (preset.source && cliOptions.verbose) {
+      console.log(`⚙️  Using preset: ${preset.source}`);
+    }
+
+    // Ask for anything not given on the command line (skipped with --yes or --json)
+    const wrappedWizard = withErrorHandling(runSetupWizard, null, errorOptions);
+    const { projectName: directory, options } = await wrappedWizard(
+      directoryArg,
+      preset.options,
+      cliOptions.json ? { interactive: false } : {}
+    );
+
+    // createProject registers cleanup once it knows what it creates
+    const rollback = new RollbackManager();
+    rollback.handleSignals();
     
     const wrappedCreateProject = withErrorHandling(
       createProject, 
       rollback, 
-      { verbose: options.verbose }
+      errorOptions
     );
     
-    await wrappedCreateProject(projectName, options, rollback);
+    await wrappedCreateProject(directory, options, rollback);
   });
 
-async function createProject(projectName, options, rollback) {
+const templatesCommand = program
+  .command('templates')
+  .description('manage project templates');
+
+templatesCommand
+  .command('list')
+  .description('list available project templates')
+  .action(() => {
+    listAvailableTemplates();
+  });
+
+const addonsCommand = program
+  .command('addons')
+  .description('manage project add-ons');
+
+addonsCommand
+  .command('list')
+  .description('list available add-ons')
+  .action(() => {
+    listAvailableAddons();
+  });
+
+program
+  .command('add')
+  .description('apply add-ons to a project created by this CLI')
+  .argument('<addons...>', 'add-ons to apply (see "addons list")')
+  .option('--dir <path>', 'project directory', '.')
+  .option('--pm <manager>', 'package manager to install with (default: detected from lockfile)')
+  .option('--skip-install', 'skip package installation')
+  .option('--force', 'apply even if target files were modified')
+  .option('--diff', 'show changes made to target files since generation and exit')
+  .option('--offline', 'install from the local package cache only')
+  .option('--verbose', 'enable verbose output')
+  .option('--log-file <path>', 'write the debug log to this file instead of the cache directory')
+  .action(async (addonNames, options) => {
+    startRunLog(options);
+    const rollback = new RollbackManager();
+    rollback.handleSignals();
+    const wrappedAddToProject = withErrorHandling(addToProject, rollback, { verbose: options.verbose });
+    await wrappedAddToProject(addonNames, options, rollback);
+  });
+
+program
+  .command('upgrade')
+  .description('merge changes from the latest version of the project template')
+  .option('--dir <path>', 'project directory', '.')
+  .option('--pm <manager>', 'package manager to install with (default: detected from lockfile)')
+  .option('--skip-install', 'skip package installation')
+  .option('--dry-run', 'show what would change without writing files')
+  .option('--offline', 'install from the local package cache only')
+  .option('--verbose', 'enable verbose output')
+  .option('--log-file <path>', 'write the debug log to this file instead of the cache directory')
+  .action(async (options) => {
+    startRunLog(options);
+    const rollback = new RollbackManager();
+    rollback.handleSignals();
+    const wrappedUpgradeProject = withErrorHandling(upgradeProject, rollback, { verbose: options.verbose });
+    await wrappedUpgradeProject(options, rollback);
+  });
+
+program
+  .command('resume')
+  .description('finish a project whose creation stopped after its files were written')
+  .argument('[directory]', 'project directory', '.')
+  .option('--verbose', 'enable verbose output')
+  .option('--json', 'print the result as JSON on stdout')
+  .option('--log-file <path>', 'write the debug log to this file instead of the cache directory')
+  .action(async (directory, options) => {
+    startRunLog(options);
+    if (options.json) {
+      redirectConsoleToStderr();
+    }
+    await withErrorHandling(resumeProject, null, { verbose: options.verbose, json: options.json })(directory, options);
+  });
+
+program
+  .command('doctor')
+  .description('check the environment (Node.js, package managers, git, disk, network) or project dependencies')
+  .option('--dir <path>', 'directory to check', '.')
+  .option('--deps', 'check that the imports of the project in --dir agree with its package.json')
+  .option('--template [name]', 'check the dependencies of a template (all built-in templates when no name is given)')
+  .option('--with <addons>', 'comma-separated add-ons to apply to the template before checking')
+  .option('--offline', 'skip the registry check')
+  .option('--json', 'print the report as JSON on stdout')
+  .action(async (options) => {
+    if (options.json) {
+      redirectConsoleToStderr();
+    }
+    await withErrorHandling(runDoctor, null, { json: options.json })(options);
+  });
+
+program
+  .command('explain')
+  .description('explain an error code and how to fix it (lists every code when none is given)')
+  .argument('[code]', 'error code, e.g. RVB_E_NAME_RESERVED (the RVB_E_ prefix is optional)')
+  .option('--json', 'print the explanation as JSON on stdout')
+  .action(async (code, options) => {
+    if (options.json) {
+      redirectConsoleToStderr();
+    }
+    await withErrorHandling(explainErrorCode, null, { json: options.json })(code, options);
+  });
+
+const generateCommand = program
+  .command('generate')
+  .alias('g')
+  .description('generate code in an existing project');
+
+generateCommand
+  .command('route')
+  .description('generate a TanStack Router file route (e.g. users/$userId, _auth, posts/)')
+  .argument('<path>', 'route path; "$param" for dynamic segments, "_name" for pathless layouts, trailing "/" for index routes')
+  .option('--dir <path>', 'project directory', '.')
+  .option('--layout', 'generate a layout route rendering an <Outlet />')
+  .option('--index', 'generate an index route')
+  .option('--loader', 'include a loader stub')
+  .option('--search', 'include a validateSearch stub')
+  .option('--seo', 'include Helmet SEO tags')
+  .option('--nav [label]', 'register a nav link in __root.tsx')
+  .option('--force', 'overwrite an existing route file')
+  .action(async (routePath, options) => {
+    await withErrorHandling(generateRouteFile, null, {})(routePath, options);
+  });
+
+generateCommand
+  .command('env')
+  .description('regenerate src/lib/env.ts and src/vite-env.d.ts from .env.example')
+  .option('--dir <path>', 'project directory', '.')
+  .option('--force', 'overwrite files that were not generated by this command')
+  .action(async (options) => {
+    await withErrorHandling(generateEnvFiles, null, {})(options);
+  });
+
+/**
+ * Creates a project in a directory. The package name defaults to the
+ * directory name; existing directories are merged into or overwritten.
+ * @param {string} directory - Destination, relative to the working directory
+ * @param {Object} options - Parsed command line options
+ * @param {RollbackManager} rollback - Receives the cleanup for what gets created
+ */
+async function createProject(directory, options, rollback) {
   const { 
     yes = false, 
+    name = null,
+    merge: mergeOption = false,
     pm = null, 
+    fallbackPm = null,
     skipInstall = false, 
     skipGit = false, 
     verbose = false, 
     dryRun = false,
-    template = 'default'
+    verify = false,
+    offline = false,
+    sharedConfig = false,
+    keepOnFailure = false,
+    json = false,
+    template = DEFAULT_TEMPLATE,
+    description,
+    components = DEFAULT_SHADCN_COMPONENTS,
+    with: withAddons = [],
+    env = null,
+    gitCommitMessage,
+    gitBranch
   } = options;
+  const git = { commitMessage: gitCommitMessage, defaultBranch: gitBranch };
+  const componentNames = parseComponentList(components);
+
+  // The destination and the package name are separate: "." and "apps/web" are
+  // paths whose last segment is the default name
+  const targetDir = path.resolve(process.cwd(), directory || '');
+  const projectName = name || path.basename(targetDir);
+  const displayDir = path.relative(process.cwd(), targetDir) || '.';
 
   // Step 1: Validate project name
   if (verbose) console.log('🔍 Validating project name...');
-  const nameValidation = validateProjectName(projectName);
+  const nameValidation = validateProjectName(directory && projectName);
   if (!nameValidation.valid) {
-    throw new BoilerplateError(nameValidation.error, ERROR_TYPES.VALIDATION);
+    const { error } = nameValidation;
+    throw new BoilerplateError(
+      directory && !name ? `${error} (the name comes from the directory "${displayDir}"; pass --name to choose another)` : error,
+      ERROR_TYPES.VALIDATION,
+      { name: projectName, directory: targetDir },
+      nameValidation.code
+    );
+  }
+  if (verify && skipInstall) {
+    throw new BoilerplateError(
+      '--verify needs installed dependencies and cannot be combined with --skip-install',
+      ERROR_TYPES.VALIDATION,
+      { option: 'verify' },
+      'RVB_E_OPTION_CONFLICT'
+    );
+  }
+  if (description !== undefined) {
+    const descriptionValidation = validateDescription(description);
+    if (!descriptionValidation.valid) {
+      throw new BoilerplateError(descriptionValidation.error, ERROR_TYPES.VALIDATION, { description }, 'RVB_E_DESCRIPTION_INVALID');
+    }
   }
 
-  const targetDir = path.resolve(process.cwd(), projectName);
+  // Step 1b: Resolve template and add-ons from the registries
+  let resolvedTemplate;
+  let addons;
+  try {
+    resolvedTemplate = await resolveTemplateSource(template, { offline, verbose });
+    addons = resolveAddons(parseAddonList(withAddons), resolvedTemplate);
+    if (resolvedTemplate.features.includes('shadcn')) {
+      resolveShadcnComponents(componentNames);
+    }
+  } catch (error) {
+    rollback.markCompleted(); // Nothing has been created yet
+    throw error;
+  }
 
   // Step 2: Validate target directory
   if (verbose) console.log('🔍 Validating target directory...');
   const dirValidation = validateTargetDirectory(targetDir);
   if (!dirValidation.valid) {
-    throw new BoilerplateError(dirValidation.error, ERROR_TYPES.FILESYSTEM);
+    throw new BoilerplateError(dirValidation.error, ERROR_TYPES.FILESYSTEM, { targetDir }, dirValidation.code);
   }
 
   // Show warnings if any
@@ -89,50 +411,18 @@ async function createProject(projectName, options, rollback) {
     }
   }
 
-  // Step 3: Handle existing directory
-  if (fs.existsSync(targetDir)) {
-    if (!yes) {
-      const { overwrite } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'overwrite',
-          message: `Directory ${projectName} already exists. Overwrite?`,
-          default: false
-        }
-      ]);
-      
-      if (!overwrite) {
-        console.log(chalk.yellow('Operation cancelled.'));
-        rollback.markCompleted(); // Don't run rollback for user cancellation
-        return;
-      }
-    }
-    
-    if (!dryRun) {
-      await fs.remove(targetDir);
-    }
+  // Step 2a: A project inside a monorepo joins its workspace: it is registered
+  // there, installed from the workspace root and shares its git repository
+  const workspace = findWorkspace(path.dirname(targetDir));
+  if (workspace) {
+    console.log(chalk.gray(`📦 Using the ${workspace.manager} workspace at ${workspace.root}`));
+  } else if (sharedConfig) {
+    console.log(chalk.yellow('⚠️  --shared-config is ignored: the project is not inside a workspace'));
   }
 
-  // Step 4: Dry run mode - just show what would be created
-  if (dryRun) {
-    console.log(chalk.blue('🔍 Dry run mode - showing what would be created:'));
-    console.log(`📁 Project directory: ${targetDir}`);
-    console.log(`📦 Template: ${template}`);
-    console.log(`🛠️  Package manager: ${pm || 'auto-detected'}`);
-    console.log(`📦 Skip installation: ${skipInstall}`);
-    console.log(`🔄 Skip git init: ${skipGit}`);
-    return;
-  }
-
-  console.log(chalk.blue(`🚀 Creating React + Vite project: ${projectName}`));
-
-  // Step 5: Check network connectivity (if not skipping install)
-  if (!skipInstall && !isOfflineMode()) {
-    await ensureNetworkConnectivity({ verbose });
-  }
-
-  // Step 6: Detect and validate package manager
+  // Step 2b: Detect and validate package manager
   let packageManager = pm;
+  let fallbackPackageManager = null;
   if (!skipInstall) {
     const availableManagers = await detectAvailablePackageManagers();
     
@@ -144,258 +434,1140 @@ async function createProject(projectName, options, rollback) {
       throw new BoilerplateError(
         `Package manager "${packageManager}" is not available`,
         ERROR_TYPES.PACKAGE_MANAGER,
-        { requested: packageManager, available: availableManagers }
+        { requested: packageManager, available: availableManagers },
+        'RVB_E_PM_UNAVAILABLE'
       );
     }
     
+    if (!packageManager && workspace && availableManagers.includes(workspace.manager)) {
+      packageManager = workspace.manager;
+    }
+
     if (!packageManager) {
       packageManager = getPreferredPackageManager(process.cwd(), availableManagers);
       if (verbose) {
         console.log(`📦 Using package manager: ${packageManager}`);
       }
     }
+
+    // Workspaces are installed with their own manager, so only a standalone
+    // project falls back to another one
+    if (fallbackPm === 'auto') {
+      fallbackPackageManager = getFallbackPackageManager(packageManager, availableManagers);
+    } else if (fallbackPm) {
+      if (!availableManagers.includes(fallbackPm)) {
+        throw new BoilerplateError(
+          `Fallback package manager "${fallbackPm}" is not available`,
+          ERROR_TYPES.PACKAGE_MANAGER,
+          { requested: fallbackPm, available: availableManagers },
+          'RVB_E_PM_UNAVAILABLE'
+        );
+      }
+      fallbackPackageManager = fallbackPm;
+    }
+    if (workspace || fallbackPackageManager === packageManager) {
+      fallbackPackageManager = null;
+    }
+    if (verbose && fallbackPackageManager) {
+      console.log(`📦 Falling back to ${fallbackPackageManager} if installing fails`);
+    }
+  }
+
+  // Step 3: Handle existing directory. Directories holding only ignorable
+  // entries (.git, README, LICENSE) are merged into without asking.
+  let merge = false;
+  const existed = fs.existsSync(targetDir);
+  const existingEntries = listSignificantEntries(targetDir);
+  if (existed && (existingEntries.length === 0 || mergeOption)) {
+    merge = true;
+  } else if (existed) {
+    // The current and home directories, their parents and system directories may not be removed
+    const canOverwrite = isSafeToRemove(targetDir);
+    let action = yes ? 'overwrite' : null;
+
+    if (!yes && json) {
+      rollback.markCompleted(); // Nothing has been changed yet
+      throw new BoilerplateError(
+        `Directory ${displayDir} is not empty. Pass --merge to keep its files${canOverwrite ? ' or --yes to overwrite it' : ''}.`,
+        ERROR_TYPES.FILESYSTEM,
+        { targetDir, entries: existingEntries },
+        'RVB_E_DIR_NOT_EMPTY'
+      );
+    }
+
+    if (!yes) {
+      ({ action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `Directory ${displayDir} is not empty. What would you like to do?`,
+          choices: [
+            { name: 'Merge: add the project, keeping existing files', value: 'merge' },
+            ...(canOverwrite ? [{ name: 'Overwrite: delete the directory first', value: 'overwrite' }] : []),
+            { name: 'Cancel', value: 'cancel' }
+          ],
+          default: 'cancel'
+        }
+      ]));
+      
+      if (action === 'cancel') {
+        console.log(chalk.yellow('Operation cancelled.'));
+        rollback.markCompleted(); // Don't run rollback for user cancellation
+        return;
+      }
+    }
+
+    if (action === 'overwrite' && !canOverwrite) {
+      rollback.markCompleted(); // Nothing has been changed yet
+      throw new BoilerplateError(
+        `Refusing to delete ${targetDir}. Pass --merge to add the project next to its files.`,
+        ERROR_TYPES.FILESYSTEM,
+        { targetDir },
+        'RVB_E_DIR_NOT_EMPTY'
+      );
+    }
+
+    // The original directory is moved aside and only deleted once the project is created
+    merge = action === 'merge';
+    if (!merge && !dryRun) {
+      const backupDir = await rollback.backupDirectory(targetDir);
+      if (verbose) console.log(chalk.gray(`📦 Moved the existing ${displayDir} to ${backupDir} until the project is created`));
+    }
+  }
+
+  if (merge && fs.existsSync(path.join(targetDir, STATE_DIR))) {
+    rollback.markCompleted(); // Nothing has been changed yet
+    throw new BoilerplateError(
+      `${displayDir} already holds a project created by this CLI. Use "add" or "upgrade" to change it.`,
+      ERROR_TYPES.VALIDATION,
+      { targetDir },
+      'RVB_E_PROJECT_EXISTS'
+    );
+  }
+
+  // A directory merged into may already be a repository (overwritten ones are replaced)
+  const existingRepository = merge && fs.existsSync(path.join(targetDir, '.git'));
+
+  // Step 4: Dry run mode - just show what would be created
+  if (dryRun) {
+    const plan = await buildCreatePlan({
+      projectName,
+      targetDir,
+      template: resolvedTemplate,
+      addons,
+      description,
+      packageManager,
+      components: componentNames,
+      env,
+      git,
+      skipInstall,
+      skipGit: skipGit || existingRepository,
+      verify,
+      offline,
+      workspace,
+      sharedConfig,
+      merge
+    });
+
+    if (json) {
+      printJson({ success: true, dryRun: true, plan });
+    } else {
+      printPlan(plan, { skipInstall, skipGit: skipGit || existingRepository });
+    }
+    return;
+  }
+
+  console.log(chalk.blue(`🚀 Creating React + Vite project: ${projectName}`));
+
+  // Step 5: Check network connectivity (if not skipping install)
+  if (!skipInstall && !offline) {
+    await ensureNetworkConnectivity({ verbose, packageManager, cwd: path.dirname(targetDir) });
   }
 
-  // Step 7: Create project directory
+  // Step 7: Create project directory. On failure a directory we created is
+  // removed; in a directory that was already there only what we add is.
   if (verbose) console.log('📁 Creating project directory...');
+  const createdDir = !fs.existsSync(targetDir);
+  const preexistingFiles = createdDir ? [] : listProjectFiles(targetDir);
+  rollback.removeOnRollback([targetDir], `Remove project directory: ${displayDir}`);
   await fs.ensureDir(targetDir);
   
-  // Step 8: Copy template files
+  // Step 8: Copy template files and layer add-ons on top. Rendering happens in a
+  // temporary directory so files already in the target are never replaced.
   const spinner = ora('📋 Setting up project structure...').start();
+  const renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rvb-create-'));
+  let shadcn;
+  let kept;
   try {
-    await copyTemplateFiles(targetDir, projectName, { template, verbose });
-    spinner.succeed('Project structure created');
+    ({ shadcn } = await renderProject(renderedDir, {
+      template: resolvedTemplate,
+      addons,
+      components: componentNames,
+      projectName,
+      description,
+      verbose
+    }));
+    if (!createdDir) {
+      rollback.removeOnRollback(
+        [...listNewPaths(renderedDir, targetDir), path.join(targetDir, STATE_DIR)],
+        `Remove generated files from ${displayDir}`
+      );
+    }
+    ({ kept } = await copyRenderedProject(renderedDir, targetDir));
+
+    // Record how the project was generated, for later `add` and `upgrade` runs.
+    // The snapshot is the generated output, also for files that were kept.
+    await writeProjectState(targetDir, {
+      projectName,
+      ...(description ? { description } : {}),
+      template: resolvedTemplate.name,
+      ...(resolvedTemplate.source ? { templateSource: resolvedTemplate.source } : {}),
+      templateVersion: resolvedTemplate.version,
+      addons: addons.map(addon => addon.name),
+      ...(shadcn.files.length > 0 ? { components: componentNames } : {})
+    });
+    await snapshotFiles(targetDir, listProjectFiles(renderedDir), renderedDir);
+
+    spinner.succeed(addons.length > 0
+      ? `Project structure created with add-ons: ${addons.map(addon => addon.name).join(', ')}`
+      : 'Project structure created');
   } catch (error) {
     spinner.fail('Failed to create project structure');
+    if (error instanceof BoilerplateError) throw error;
     throw new BoilerplateError(
       `Template creation failed: ${error.message}`,
       ERROR_TYPES.TEMPLATE,
       { template, originalError: error.message }
     );
+  } finally {
+    await fs.remove(renderedDir);
   }
 
-  // Step 9: Install dependencies
-  if (!skipInstall) {
-    const installSpinner = ora(`📦 Installing dependencies with ${packageManager}...`).start();
-    try {
-      await installDependencies(packageManager, targetDir, { verbose });
-      installSpinner.succeed('Dependencies installed');
-    } catch (error) {
-      installSpinner.fail('Failed to install dependencies');
-      throw new BoilerplateError(
-        `Package installation failed: ${error.message}`,
-        ERROR_TYPES.PACKAGE_MANAGER,
-        { manager: packageManager, stdout: error.stdout, stderr: error.stderr }
-      );
+
+  // Step 8b: Fill in environment values from the preset (not snapshotted, it is gitignored)
+  if (env) {
+    await rollback.backupFiles([path.join(targetDir, ENV_LOCAL_FILE)], `Restore ${ENV_LOCAL_FILE}`);
+    await writeEnvFile(targetDir, env);
+    if (verbose) console.log(`✅ Wrote preset environment values to ${ENV_LOCAL_FILE}`);
+  }
+
+  // Step 8c: Join the workspace. Both edits count as user changes for `upgrade`.
+  let workspacePattern = null;
+  if (workspace) {
+    await rollback.backupFiles([workspace.file], `Restore ${path.relative(process.cwd(), workspace.file)}`);
+    workspacePattern = await registerWorkspacePackage(workspace, targetDir);
+    if (workspacePattern) {
+      console.log(chalk.gray(`📝 Added "${workspacePattern}" to the workspace in ${path.basename(workspace.file)}`));
     }
 
-    // Step 10: Setup Shadcn/UI
-    const shadcnSpinner = ora('🎨 Setting up Shadcn/UI...').start();
+    if (sharedConfig) {
+      // Kept files are the user's own and may be among the configs edited
+      await rollback.backupFiles(kept.map(file => path.join(targetDir, file)), `Restore ${kept.length} kept file(s)`);
+      const changed = await useSharedConfigs(workspace, targetDir);
+      if (changed.length > 0) {
+        console.log(chalk.gray(`🔗 Extended the workspace configs in ${changed.join(', ')}`));
+      }
+    }
+  }
+
+  const warnings = [];
+
+  if (kept.length > 0) {
+    const warning = `Kept ${kept.length} existing file${kept.length === 1 ? '' : 's'} instead of the generated version: ${kept.join(', ')}`;
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+    warnings.push(warning);
+  }
+
+  // Git is left to the workspace repository, and only a repository we create
+  // can be undone, so an existing one is left alone
+  if (!skipGit && workspace) {
+    console.log(chalk.gray('  ↷ Skipped git init: the project is part of the workspace repository'));
+  } else if (!skipGit && existingRepository) {
+    console.log(chalk.gray(`  ↷ Skipped git init: ${displayDir} is already a git repository`));
+  }
+
+  // Step 8d: Journal the remaining steps so `resume` can finish them
+  const journal = await writeJournal(targetDir, {
+    projectName,
+    packageManager: skipInstall ? null : packageManager,
+    fallbackPackageManager,
+    offline,
+    git,
+    workspaceRoot: workspace ? workspace.root : null,
+    steps: {
+      install: skipInstall ? 'skipped' : 'pending',
+      git: skipGit || workspace || existingRepository ? 'skipped' : 'pending',
+      verify: verify ? 'pending' : 'skipped'
+    }
+  });
+
+  if (keepOnFailure) {
+    // The files are in place: from here on a failure keeps them for `resume`
+    await rollback.commit();
+  } else {
+    // Workspaces install from the root. Outside a directory we created,
+    // undo what the install adds there.
+    const installDir = workspace ? workspace.root : targetDir;
+    if (journal.steps.install === 'pending' && (workspace || !createdDir)) {
+      const lockFiles = [packageManager, fallbackPackageManager].filter(Boolean)
+        .map(manager => path.join(installDir, getPackageManagerConfig(manager).lockFile));
+      rollback.removeOnRollback([path.join(installDir, 'node_modules')], `Remove ${path.relative(process.cwd(), path.join(installDir, 'node_modules'))}`);
+      await rollback.backupFiles(lockFiles, `Restore ${lockFiles.map(lockFile => path.relative(process.cwd(), lockFile)).join(', ')}`);
+    }
+    if (journal.steps.git === 'pending') {
+      rollback.removeOnRollback([path.join(targetDir, '.git')], 'Remove git repository');
+    }
+  }
+
+  // Steps 9-12: Install, initialize git and verify. Once git is done everything
+  // is kept (and the backup of an overwritten directory deleted); a failing
+  // verification leaves the project on disk for inspection. The install may
+  // have switched to the fallback package manager.
+  let steps;
+  let installedWith;
+  try {
+    ({ steps, journal: { packageManager: installedWith } } = await runJournalSteps(targetDir, journal, {
+      verbose,
+      json,
+      workspace,
+      warnings,
+      beforeVerify: () => rollback.commit()
+    }));
+  } catch (error) {
+    if (keepOnFailure) {
+      printRemainingSteps(targetDir);
+    } else if (journal.steps.install === 'pending' && error.type === ERROR_TYPES.PACKAGE_MANAGER) {
+      console.log(chalk.gray('💡 Pass --keep-on-failure to keep the project and finish it later with "react-vite-boilerplate resume"'));
+    }
+    throw error;
+  }
+  steps.shadcn = shadcn.files.length > 0 ? 'completed' : 'skipped';
+  await rollback.commit();
+  await removeJournal(targetDir);
+
+  // Step 13: Success message
+  displaySuccessMessage(projectName, {
+    directory: displayDir,
+    // Without an install, the next steps use the manager the user asked for
+    packageManager: skipInstall ? packageManager || (workspace && workspace.manager) || 'npm' : installedWith,
+    offline,
+    skipInstall,
+    skipGit: skipGit || Boolean(workspace) || existingRepository,
+    template: resolvedTemplate.name,
+    features: resolvedTemplate.features,
+    addons
+  });
+
+  if (json) {
+    printJson({
+      success: true,
+      dryRun: false,
+      projectName,
+      directory: targetDir,
+      template: { name: resolvedTemplate.name, version: resolvedTemplate.version },
+      addons: addons.map(addon => addon.name),
+      packageManager: skipInstall ? null : installedWith,
+      ...(workspace ? { workspace: { root: workspace.root, manager: workspace.manager, registered: workspacePattern } } : {}),
+      files: listProjectFiles(targetDir).filter(file => !preexistingFiles.includes(file)),
+      ...(kept.length > 0 ? { kept } : {}),
+      steps,
+      warnings
+    });
+  }
+}
+
+/**
+ * Runs the journaled steps that are still pending: install, git init, then
+ * verification. The journal is updated after each step, so a failed or
+ * interrupted run can be finished with `resume`.
+ * @param {string} targetDir - Project directory
+ * @param {Object} journal - Journal written by createProject
+ * @param {Object} options - { verbose, json, workspace, warnings, beforeVerify }
+ * @returns {Promise<Object>} - { journal, steps }: the outcome of each step
+ */
+async function runJournalSteps(targetDir, journal, options = {}) {
+  const { verbose = false, json = false, workspace = null, warnings = [], beforeVerify = async () => {} } = options;
+  const { packageManager, offline = false, git = {} } = journal;
+  const steps = { ...journal.steps };
+
+  // Step 9: Install dependencies. Transient failures are retried by
+  // installDependencies; other failures may switch to the fallback manager.
+  if (journal.steps.install === 'pending') {
+    // Workspaces link their packages from the root, with the workspace's manager
+    const installDir = workspace ? workspace.root : targetDir;
+    const fallback = workspace ? null : journal.fallbackPackageManager;
+    const install = async (manager) => {
+      // Offline installs can only succeed when every package is already cached
+      if (offline) {
+        await ensurePackagesCached(targetDir, manager);
+      }
+
+      const installSpinner = ora(`📦 Installing dependencies with ${manager}${offline ? ' (offline)' : ''}...`).start();
+      try {
+        await installDependencies(manager, installDir, { verbose, json, offline });
+        installSpinner.succeed('Dependencies installed');
+      } catch (error) {
+        installSpinner.fail(`Failed to install dependencies with ${manager}`);
+        throw error;
+      }
+    };
+
+    const lockFile = path.join(installDir, getPackageManagerConfig(packageManager).lockFile);
+    const hadLockFile = fs.existsSync(lockFile);
     try {
-      await setupShadcn(targetDir, packageManager, { verbose });
-      shadcnSpinner.succeed('Shadcn/UI configured with Button and Card components');
+      await install(packageManager);
     } catch (error) {
-      shadcnSpinner.fail('Shadcn/UI setup failed');
-      // This is not critical, so we just warn
-      console.log(chalk.yellow(`⚠️  Shadcn/UI setup failed: ${error.message}`));
-      console.log(chalk.yellow('You can set it up manually later with: npx shadcn@latest init'));
+      if (!fallback || fallback === packageManager || !error.failure || !error.failure.fallback) {
+        throw error instanceof BoilerplateError ? error : createInstallError(error, packageManager);
+      }
+
+      // Start over with the fallback manager, without what the failed install left
+      console.log(chalk.yellow(`⚠️  ${packageManager} install failed (${error.failure.title}), falling back to ${fallback}`));
+      await fs.remove(path.join(installDir, 'node_modules'));
+      if (!hadLockFile) {
+        await fs.remove(lockFile);
+      }
+      journal = await writeJournal(targetDir, { ...journal, packageManager: fallback });
+      try {
+        await install(fallback);
+      } catch (fallbackError) {
+        throw fallbackError instanceof BoilerplateError
+          ? fallbackError
+          : createInstallError(fallbackError, fallback, ` (after ${packageManager} failed: ${error.failure.title})`);
+      }
     }
+
+    journal = await updateJournalStep(targetDir, journal, 'install', 'completed');
+    steps.install = 'completed';
   }
 
-  // Step 11: Initialize Git repository
-  if (!skipGit) {
+  // Step 11: Initialize Git repository. A failure is only a warning.
+  if (journal.steps.git === 'pending') {
     try {
-      await initGitRepository(targetDir, { verbose });
+      await initGitRepository(targetDir, { verbose, json, ...git });
+      steps.git = 'completed';
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Git initialization failed: ${error.message}`));
+      steps.git = 'failed';
+      warnings.push(`Git initialization failed: ${error.message}`);
     }
+    journal = await updateJournalStep(targetDir, journal, 'git', steps.git);
   }
 
-  // Mark rollback as completed (success)
-  rollback.markCompleted();
+  await beforeVerify();
 
-  // Step 12: Success message
-  displaySuccessMessage(projectName, {
-    packageManager: skipInstall ? null : packageManager,
-    skipInstall,
-    skipGit,
-    template
-  });
+  // Step 12: Check that the generated project type-checks, lints and builds.
+  // A failure exits non-zero; the step stays pending in the journal.
+  if (journal.steps.verify === 'pending') {
+    let verifySpinner = null;
+    await verifyProject(targetDir, {
+      // The manager that installed, which is the fallback when one was used
+      packageManager: journal.packageManager,
+      verbose,
+      json,
+      onStepStart: (step) => {
+        verifySpinner = ora(`🔎 ${step.label} (${step.script})...`).start();
+      },
+      onStepEnd: (step, result) => {
+        if (result.status === 'passed') {
+          verifySpinner.succeed(`${step.label} passed in ${(result.duration / 1000).toFixed(1)}s`);
+        } else if (result.status === 'failed') {
+          verifySpinner.fail(`${step.label} failed`);
+        } else {
+          console.log(chalk.gray(`  ↷ Skipped ${step.name}: no "${step.script}" script in package.json`));
+        }
+      }
+    });
+    journal = await updateJournalStep(targetDir, journal, 'verify', 'completed');
+    steps.verify = 'completed';
+  }
+
+  return { journal, steps };
 }
 
-async function copyTemplateFiles(targetDir, projectName, options = {}) {
-  const { template = 'default', verbose = false } = options;
-  const templateDir = path.join(__dirname, '..', 'templates');
-  
-  if (verbose) {
-    console.log(`📋 Copying template files from: ${templateDir}`);
+/**
+ * Wraps a failed install in a BoilerplateError carrying its classification,
+ * which formatErrorMessage turns into suggestions
+ * @param {Error} error - Error from installDependencies
+ * @param {string} manager - Package manager that failed
+ * @param {string} suffix - Appended to the message
+ * @returns {BoilerplateError}
+ */
+function createInstallError(error, manager, suffix = '') {
+  const { failure = null, attempts = 1 } = error;
+  const reason = failure && failure.type !== 'unknown' ? `: ${failure.title}` : '';
+  const retried = attempts > 1 ? ` after ${attempts} attempts` : '';
+
+  return new BoilerplateError(
+    `Package installation failed${reason} (${error.message}${retried})${suffix}`,
+    ERROR_TYPES.PACKAGE_MANAGER,
+    {
+      manager,
+      failure: failure ? failure.type : 'unknown',
+      attempts,
+      cacheCleanCommand: [manager, ...getPackageManagerConfig(manager).cacheCleanCommand].join(' '),
+      stdout: error.stdout,
+      stderr: error.stderr
+    },
+    failure ? failure.code : 'RVB_E_INSTALL_FAILED'
+  );
+}
+
+/**
+ * Prints the commands that finish a project whose creation stopped, and how to resume
+ * @param {string} targetDir - Project directory
+ */
+function printRemainingSteps(targetDir) {
+  const journal = readJournal(targetDir);
+  if (!journal || getPendingSteps(journal).length === 0) return;
+
+  const verifyScripts = getVerifySteps(targetDir).filter(step => step.available).map(step => step.script);
+  const displayDir = path.relative(process.cwd(), targetDir) || '.';
+
+  console.log();
+  console.log(chalk.yellow(`📁 The project was kept in ${displayDir}. To finish it, run:`));
+  console.log(chalk.cyan(`  react-vite-boilerplate resume ${displayDir}`));
+  console.log(chalk.gray('or the remaining commands:'));
+  for (const { command, args, cwd } of getRemainingCommands(targetDir, journal, verifyScripts)) {
+    const quoted = args.map(arg => (/\s/.test(arg) ? JSON.stringify(arg) : arg));
+    const location = cwd !== targetDir ? ` (in ${path.relative(process.cwd(), cwd) || '.'})` : '';
+    console.log(chalk.gray(`  $ ${[command, ...quoted].join(' ')}${location}`));
+  }
+}
+
+/**
+ * Finishes a project whose creation stopped after its files were written,
+ * running the steps still pending in its journal
+ * @param {string} directory - Project directory, relative to the working directory
+ * @param {Object} options - { verbose, json }
+ */
+async function resumeProject(directory, options = {}) {
+  const { verbose = false, json = false } = options;
+  const targetDir = path.resolve(process.cwd(), directory || '.');
+  const displayDir = path.relative(process.cwd(), targetDir) || '.';
+
+  const state = requireProjectState(targetDir);
+  const journal = readJournal(targetDir);
+  const pending = journal ? getPendingSteps(journal) : [];
+  if (pending.length === 0) {
+    throw new BoilerplateError(
+      `Nothing to resume in ${displayDir}: its creation already finished`,
+      ERROR_TYPES.VALIDATION,
+      { targetDir },
+      'RVB_E_NOTHING_TO_RESUME'
+    );
+  }
+
+  console.log(chalk.blue(`▶️  Resuming ${journal.projectName || state.projectName}: ${pending.join(', ')}`));
+
+  if (pending.includes('install') && !journal.offline) {
+    await ensureNetworkConnectivity({ verbose, packageManager: journal.packageManager, cwd: path.dirname(targetDir) });
+  }
+
+  // The files are kept whatever happens; a failure leaves the journal for another try
+  const workspace = journal.workspaceRoot ? readWorkspace(journal.workspaceRoot) : null;
+  const warnings = [];
+  let steps;
+  let installedWith;
+  try {
+    ({ steps, journal: { packageManager: installedWith } } = await runJournalSteps(targetDir, journal, { verbose, json, workspace, warnings }));
+  } catch (error) {
+    printRemainingSteps(targetDir);
+    throw error;
+  }
+  await removeJournal(targetDir);
+
+  console.log();
+  console.log(chalk.green('🎉 Project setup completed!'));
+  if (displayDir !== '.') {
+    console.log(chalk.cyan(`  cd ${displayDir}`));
   }
+  console.log(chalk.cyan(`  ${formatRunCommand(installedWith || 'npm', 'dev')}`));
+
+  if (json) {
+    printJson({ success: true, directory: targetDir, steps, warnings });
+  }
+}
+
+async function addToProject(addonNames, options, rollback) {
+  const {
+    dir = '.',
+    pm = null,
+    skipInstall = false,
+    force = false,
+    diff = false,
+    verbose = false
+  } = options;
+  const offline = options.offline || isOfflineMode();
+
+  const projectDir = path.resolve(process.cwd(), dir);
   
-  // Copy all template files
-  await fs.copy(templateDir, targetDir, {
-    filter: (src, dest) => {
-      // Skip copying .git directory but allow .gitignore and other dotfiles
-      if (src.includes('.git') && !src.endsWith('.gitignore')) return false;
-      if (verbose) {
-        console.log(`  📄 ${path.relative(templateDir, src)}`);
-      }
-      return true;
+  // Step 1: Detect a project scaffolded by this CLI
+  const state = requireProjectState(projectDir);
+  const template = await resolveProjectTemplate(state, { offline, verbose });
+  const installed = state.addons || [];
+
+  const requested = parseAddonList(addonNames);
+  for (const name of requested.filter(name => installed.includes(name))) {
+    console.log(chalk.yellow(`⚠️  Add-on "${name}" is already applied`));
+  }
+  const newNames = requested.filter(name => !installed.includes(name));
+  if (newNames.length === 0) {
+    console.log(chalk.yellow('Nothing to add.'));
+    rollback.markCompleted();
+    return;
+  }
+
+  // Step 2: Validate against the add-ons already in the project
+  const addons = resolveAddons([...installed, ...newNames], template).slice(installed.length);
+
+  // Step 3: Check whether files we need to patch were changed by the user
+  const patchedFiles = [...new Set(addons.flatMap(addon => addon.patches.map(patch => patch.file)))];
+  const modified = getModifiedFiles(projectDir, patchedFiles);
+
+  if (diff) {
+    if (modified.length === 0) {
+      console.log(chalk.green('No target files were modified since generation.'));
+    }
+    for (const { file, base, current } of modified) {
+      printDiff(createUnifiedDiff(base, current, { fromFile: `generated/${file}`, toFile: `current/${file}` }));
     }
+    rollback.markCompleted();
+    return;
+  }
+
+  if (modified.length > 0) {
+    const files = modified.map(({ file, status }) => `${file} (${status})`).join(', ');
+    if (!force) {
+      rollback.markCompleted(); // Nothing has been changed yet
+      throw new BoilerplateError(
+        `Files changed since generation: ${files}. Review with --diff or apply anyway with --force.`,
+        ERROR_TYPES.VALIDATION,
+        { modified: modified.map(({ file, status }) => ({ file, status })) },
+        'RVB_E_LOCAL_CHANGES'
+      );
+    }
+    console.log(chalk.yellow(`⚠️  Patching modified files: ${files}`));
+  }
+
+  // Step 4: Keep copies of everything we touch so a failure can be undone
+  const variables = getTemplateVariables({
+    projectName: state.projectName || path.basename(projectDir),
+    description: state.description,
+    template,
+    addons: [...installed, ...newNames]
   });
-  
-  // Update package.json with project name
-  const packageJsonPath = path.join(targetDir, 'package.json');
-  const packageJson = await fs.readJson(packageJsonPath);
-  packageJson.name = projectName;
-  
-  // Add current date to package.json
-  packageJson.version = "0.1.0";
-  packageJson.private = true;
-  
-  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
-  
-  if (verbose) {
-    console.log(`✅ Updated package.json with project name: ${projectName}`);
+  const createdFiles = addons.flatMap(addon => addon.files.map(file => renderPath(file, variables)));
+  const touchedFiles = [...new Set([...patchedFiles, 'package.json', ...createdFiles])];
+
+  await rollback.backupFiles(
+    touchedFiles.map(file => path.join(projectDir, file)),
+    'Restore the files changed by the add-ons'
+  );
+  await rollback.backupFiles(
+    [
+      path.join(projectDir, STATE_DIR, PROJECT_FILE),
+      ...touchedFiles.map(file => path.join(projectDir, STATE_DIR, BASE_DIR, file))
+    ],
+    `Restore the project metadata in ${STATE_DIR}`
+  );
+
+  // Step 5: Apply add-ons and record them
+  const spinner = ora(`🧩 Applying add-ons: ${newNames.join(', ')}...`).start();
+  try {
+    await applyAddons(addons, projectDir, { verbose, variables });
+    await writeProjectState(projectDir, { ...state, addons: [...installed, ...newNames] });
+    // Keep the snapshots equal to what the generator would produce, without user edits
+    await applyAddons(addons, path.join(projectDir, STATE_DIR, BASE_DIR), { variables });
+    spinner.succeed(`Add-ons applied: ${newNames.join(', ')}`);
+  } catch (error) {
+    spinner.fail('Failed to apply add-ons');
+    throw error;
+  }
+
+  // Files are in place; an install failure should not undo them
+  await rollback.commit();
+
+  // Step 6: Install new dependencies with the project's package manager
+  if (!skipInstall) {
+    await installProjectDependencies(projectDir, { pm, verbose, offline });
+  }
+
+  console.log();
+  console.log(chalk.green('🎉 Add-ons added successfully!'));
+  for (const addon of addons) {
+    console.log(`  • ${addon.description} (${addon.name} add-on)`);
+  }
+  if (skipInstall) {
+    await printInstallHint(projectDir, { pm, offline });
   }
 }
 
-async function setupShadcn(targetDir, packageManager, options = {}) {
-  const { verbose = false } = options;
-  
-  // Function to run package manager commands
-  const runPmCommand = (command, args) => {
-    return new Promise((resolve, reject) => {
-      if (verbose) {
-        console.log(`🔧 Running: ${command} ${args.join(' ')}`);
+async function upgradeProject(options, rollback) {
+  const {
+    dir = '.',
+    pm = null,
+    skipInstall = false,
+    dryRun = false,
+    verbose = false
+  } = options;
+  const offline = options.offline || isOfflineMode();
+
+  const projectDir = path.resolve(process.cwd(), dir);
+
+  // Step 1: Detect a project scaffolded by this CLI
+  const state = requireProjectState(projectDir);
+  const template = await resolveProjectTemplate(state, { offline, verbose });
+  const addons = resolveAddons(state.addons || [], template);
+  const fromVersion = state.templateVersion || 'unknown';
+
+  console.log(chalk.blue(`🔄 Upgrading ${template.name} template: ${fromVersion} → ${template.version}`));
+
+  // Step 2: Render what the current template generates for this project
+  const renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rvb-upgrade-'));
+  try {
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const projectName = state.projectName
+      || (fs.existsSync(packageJsonPath) && fs.readJsonSync(packageJsonPath).name)
+      || path.basename(projectDir);
+    await renderProject(renderedDir, {
+      template,
+      addons,
+      components: state.components || [],
+      projectName,
+      description: state.description,
+      verbose
+    });
+
+    // Step 3: Three-way merge old template output, user files and new template output
+    const plan = planUpgrade(projectDir, renderedDir, {
+      theirsLabel: `template ${template.name}@${template.version}`
+    });
+
+    const symbols = { add: '+', update: '~', merge: '~', conflict: '!', delete: '-', skip: '?' };
+    for (const { file, action, reason } of plan) {
+      const line = `  ${symbols[action]} ${file} (${action}${reason ? `: ${reason}` : ''})`;
+      console.log(action === 'conflict' || action === 'skip' ? chalk.yellow(line) : line);
+    }
+
+    if (plan.length === 0) {
+      console.log(chalk.green('✅ Project is already up to date with the template.'));
+    }
+
+    if (dryRun) {
+      rollback.markCompleted();
+      return;
+    }
+
+    // Step 4: Keep copies of everything we touch so a failure can be undone.
+    // The snapshots are replaced as a whole, so their directory is moved aside.
+    await rollback.backupFiles(
+      [...plan.map(({ file }) => path.join(projectDir, file)), path.join(projectDir, STATE_DIR, PROJECT_FILE)],
+      'Restore upgraded files'
+    );
+    const baseDir = path.join(projectDir, STATE_DIR, BASE_DIR);
+    if (fs.existsSync(baseDir)) {
+      await rollback.backupDirectory(baseDir);
+    }
+
+    // Step 5: Apply changes and record the new template version
+    await applyUpgrade(projectDir, renderedDir, plan);
+    await writeProjectState(projectDir, {
+      ...state,
+      cliVersion: CLI_VERSION,
+      templateVersion: template.version
+    });
+    await rollback.commit();
+
+    const conflicts = plan.filter(({ action }) => action === 'conflict' || action === 'skip');
+    if (plan.length > 0) {
+      console.log();
+      console.log(chalk.green(`🎉 Upgraded to ${template.name}@${template.version}`));
+    }
+    if (conflicts.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${conflicts.length} file(s) need manual attention:`));
+      for (const { file, reason } of conflicts) {
+        console.log(chalk.yellow(`  • ${file}: ${reason}`));
       }
-      
-      const child = spawn(command, args, {
-        cwd: targetDir,
-        stdio: verbose ? 'inherit' : 'pipe'
-      });
-      
-      let stderr = '';
-      
-      if (!verbose) {
-        child.stderr?.on('data', (data) => {
-          stderr += data.toString();
-        });
+      console.log(chalk.yellow('Resolve the <<<<<<< / >>>>>>> markers, then review the files listed above.'));
+      process.exitCode = 1;
+    }
+
+    // Step 6: Install dependencies if package.json changed
+    if (plan.some(({ file }) => file === 'package.json')) {
+      if (skipInstall) {
+        await printInstallHint(projectDir, { pm, offline });
+      } else {
+        await installProjectDependencies(projectDir, { pm, verbose, offline });
       }
-      
-      child.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Shadcn setup failed with code ${code}${stderr ? ': ' + stderr : ''}`));
-        } else {
-          resolve();
-        }
-      });
-      
-      child.on('error', (error) => {
-        reject(error);
-      });
-    });
+    }
+  } finally {
+    await fs.remove(renderedDir);
+  }
+}
+
+async function generateRouteFile(routePath, options) {
+  const { dir = '.', seo = false } = options;
+  const projectDir = path.resolve(process.cwd(), dir);
+  const rootFile = path.posix.join(ROUTES_DIR.split(path.sep).join('/'), ROOT_ROUTE_FILE);
+
+  // Helmet is only available in templates with SEO tooling
+  const state = readProjectState(projectDir);
+  if (seo && state && !(await resolveProjectTemplate(state, { offline: isOfflineMode() })).features.includes('seo')) {
+    throw new BoilerplateError(
+      `The "${state.template}" template does not include react-helmet-async; drop --seo or add it manually`,
+      ERROR_TYPES.VALIDATION,
+      { template: state.template },
+      'RVB_E_ROUTE_INVALID'
+    );
+  }
+
+  const { route, file, navLinkAdded } = await generateRoute(projectDir, routePath, options);
+
+  console.log(chalk.green(`✅ Created ${route.isLayout ? 'layout ' : ''}route ${route.routeId}`));
+  console.log(`  📄 ${file}`);
+  if (navLinkAdded) {
+    console.log(`  🔗 Added nav link to ${route.urlPath} in ${rootFile}`);
+  }
+}
+
+async function generateEnvFiles(options) {
+  const { dir = '.', force = false } = options;
+  const projectDir = path.resolve(process.cwd(), dir);
+
+  const { written, skipped } = await writeEnvModules(projectDir, { force, requireExample: true });
+
+  for (const file of written) {
+    console.log(chalk.green(`✅ Generated ${file}`));
+  }
+  for (const file of skipped) {
+    console.log(chalk.yellow(`⚠️  Skipped ${file}: not generated by this CLI (use --force to overwrite)`));
+  }
+}
+
+/**
+ * Prints the catalog entry of an error code, or the list of codes
+ * @param {string} [code] - Error code
+ * @param {Object} options - { json }
+ */
+function explainErrorCode(code, options = {}) {
+  const { json = false } = options;
+
+  if (!code) {
+    const codes = Object.keys(ERROR_CODES).map(getErrorCode);
+    if (json) {
+      printJson({ codes });
+      return;
+    }
+
+    const codeWidth = Math.max(...codes.map(entry => entry.code.length));
+    console.log(chalk.blue('📖 Error codes'));
+    console.log();
+    for (const entry of codes) {
+      console.log(`  ${chalk.cyan(entry.code.padEnd(codeWidth))}  ${entry.title}`);
+    }
+    console.log();
+    console.log(chalk.gray('Explain one with: react-vite-boilerplate explain <code>'));
+    return;
+  }
+
+  const entry = getErrorCode(code);
+  if (!entry) {
+    throw new BoilerplateError(
+      `Unknown error code "${code}". Run "react-vite-boilerplate explain" to list them.`,
+      ERROR_TYPES.VALIDATION,
+      { code }
+    );
+  }
+
+  if (json) {
+    printJson(entry);
+    return;
+  }
+
+  console.log(`${chalk.red(entry.code)}: ${entry.title}`);
+  console.log();
+  console.log(`${chalk.bold('Category:')} ${entry.type} (exit code ${entry.exitCode})`);
+  console.log(`${chalk.bold('Cause:')} ${entry.cause}`);
+  console.log(chalk.bold('Fix:'));
+  for (const fix of entry.fix) {
+    console.log(`  • ${fix}`);
+  }
+  console.log();
+  console.log(chalk.gray(`Docs: ${entry.docsUrl}`));
+}
+
+async function runDoctor(options) {
+  const { dir = '.', template, deps = false, with: withAddons, offline = isOfflineMode(), json = false } = options;
+
+  if (template !== undefined || deps) {
+    await checkDependencies(options);
+    return;
+  }
+  if (withAddons) {
+    throw new BoilerplateError('--with can only be used together with --template', ERROR_TYPES.VALIDATION, { option: 'with' }, 'RVB_E_OPTION_CONFLICT');
+  }
+
+  const checks = await runDiagnostics({ dir: path.resolve(process.cwd(), dir), offline });
+  const ok = checks.every(check => check.status !== 'fail');
+  if (!ok) {
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    printJson({ ok, checks });
+    return;
+  }
+
+  const statusLabels = {
+    pass: chalk.green('pass'),
+    warn: chalk.yellow('warn'),
+    fail: chalk.red('fail')
   };
+  const labelWidth = Math.max(...checks.map(check => check.label.length));
+
+  console.log(chalk.blue('🩺 Environment'));
+  console.log();
+  for (const check of checks) {
+    console.log(`  ${statusLabels[check.status]}  ${check.label.padEnd(labelWidth)}  ${check.message}`);
+    if (check.fix && check.status !== 'pass') {
+      console.log(chalk.gray(`        ${' '.repeat(labelWidth)}  → ${check.fix}`));
+    }
+  }
 
-  // Get the appropriate package manager command
-  const pmCommand = packageManager === 'npm' ? 'npx' : 
-                   packageManager === 'yarn' ? 'yarn' :
-                   packageManager === 'pnpm' ? 'pnpm' :
-                   packageManager === 'bun' ? 'bunx' : 'npx';
-
-  // Step 1: Add button component (components.json is already in template)
-  const addButtonArgs = packageManager === 'npm' ? ['shadcn@latest', 'add', 'button', '--yes'] :
-                        packageManager === 'yarn' ? ['dlx', 'shadcn@latest', 'add', 'button', '--yes'] :
-                        packageManager === 'pnpm' ? ['dlx', 'shadcn@latest', 'add', 'button', '--yes'] :
-                        packageManager === 'bun' ? ['shadcn@latest', 'add', 'button', '--yes'] : 
-                        ['shadcn@latest', 'add', 'button', '--yes'];
-
-  await runPmCommand(pmCommand, addButtonArgs);
-
-  // Step 2: Add card component
-  const addCardArgs = packageManager === 'npm' ? ['shadcn@latest', 'add', 'card', '--yes'] :
-                      packageManager === 'yarn' ? ['dlx', 'shadcn@latest', 'add', 'card', '--yes'] :
-                      packageManager === 'pnpm' ? ['dlx', 'shadcn@latest', 'add', 'card', '--yes'] :
-                      packageManager === 'bun' ? ['shadcn@latest', 'add', 'card', '--yes'] : 
-                      ['shadcn@latest', 'add', 'card', '--yes'];
-
-  await runPmCommand(pmCommand, addCardArgs);
+  const counts = ['pass', 'warn', 'fail'].map(status => `${checks.filter(check => check.status === status).length} ${status}`);
+  console.log();
+  console.log(ok ? chalk.green(`✅ ${counts.join(', ')}`) : chalk.red(`❌ ${counts.join(', ')}`));
+}
+
+async function checkDependencies(options) {
+  const { dir = '.', template = null, with: withAddons, json = false } = options;
+
+  if (withAddons && template === null) {
+    throw new BoilerplateError('--with can only be used together with --template', ERROR_TYPES.VALIDATION, { option: 'with' }, 'RVB_E_OPTION_CONFLICT');
+  }
+
+  const reports = [];
+  if (template === null) {
+    const projectDir = path.resolve(process.cwd(), dir);
+    if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+      throw new BoilerplateError(`No package.json found in ${projectDir}`, ERROR_TYPES.VALIDATION, { projectDir }, 'RVB_E_PROJECT_FILE_MISSING');
+    }
+    reports.push({ label: projectDir, ...checkProjectDependencies(projectDir) });
+  } else {
+    // --template without a value checks every built-in template
+    const templates = template === true
+      ? listTemplates().map(({ name }) => resolveTemplate(name))
+      : [await resolveTemplateSource(template, { offline: isOfflineMode() })];
+    for (const resolved of templates) {
+      const addons = resolveAddons(parseAddonList(withAddons), resolved);
+      const report = await checkTemplateDependencies(resolved, { addons });
+      const label = [resolved.name, ...report.addons].join(' + ');
+      reports.push({ label, ...report });
+    }
+  }
+
+  const ok = reports.every(report => report.ok);
+  if (!ok) {
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    printJson({ ok, reports: reports.map(({ label, ...report }) => report) });
+    return;
+  }
+
+  for (const report of reports) {
+    console.log(chalk.blue(`🩺 Dependencies of ${report.label}`));
+    if (report.ok) {
+      console.log(chalk.green('  ✅ Every import is declared and every package is used'));
+      continue;
+    }
+    for (const { name, expected, files } of report.missing) {
+      console.log(chalk.red(`  ✖ ${name} is imported but not listed (add to ${expected}; used in ${files.join(', ')})`));
+    }
+    for (const { name, section, expected, files } of report.miscategorised) {
+      const usedIn = files.length > 0 ? `; used in ${files.join(', ')}` : '';
+      console.log(chalk.yellow(`  ⚠ ${name} belongs in ${expected}, not ${section}${usedIn}`));
+    }
+    for (const { name, section } of report.unused) {
+      console.log(chalk.yellow(`  ⚠ ${name} is listed in ${section} but never used`));
+    }
+  }
+}
+
+/**
+ * Picks the package manager of an existing project: --pm, the workspace's, or
+ * the one named by its lockfile
+ * @param {string} projectDir - Project directory
+ * @param {string|null} pm - --pm option
+ * @param {string[]} availableManagers - Installed package managers
+ * @returns {Object} - { packageManager, installDir }
+ */
+function resolveProjectPackageManager(projectDir, pm, availableManagers) {
+  // Projects inside a workspace are installed from its root, with its package manager
+  const workspace = findWorkspace(path.dirname(projectDir));
+  const installDir = workspace ? workspace.root : projectDir;
+  const packageManager = pm ||
+    (workspace && availableManagers.includes(workspace.manager) ? workspace.manager : getPreferredPackageManager(projectDir, availableManagers));
+  return { packageManager, installDir };
+}
+
+/**
+ * Formats the command that installs a project's dependencies, for messages
+ * @param {string} manager - Package manager
+ * @param {Object} options - { offline }
+ * @returns {string}
+ */
+function formatInstallCommand(manager, options = {}) {
+  const { command, args } = getInstallCommand(manager, options);
+  return [command, ...args].join(' ');
+}
+
+/**
+ * Prints the install command left to run after --skip-install
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - { pm, offline }
+ */
+async function printInstallHint(projectDir, options = {}) {
+  const { pm = null, offline = false } = options;
+  const { packageManager } = resolveProjectPackageManager(projectDir, pm, await detectAvailablePackageManagers());
+  console.log();
+  console.log(chalk.cyan(`  ${formatInstallCommand(packageManager, { offline })}`));
+}
+
+async function installProjectDependencies(projectDir, options = {}) {
+  const { pm = null, verbose = false, offline = false } = options;
+  const availableManagers = await detectAvailablePackageManagers();
+  
+  if (pm && !availableManagers.includes(pm)) {
+    throw new BoilerplateError(
+      `Package manager "${pm}" is not available`,
+      ERROR_TYPES.PACKAGE_MANAGER,
+      { requested: pm, available: availableManagers },
+      'RVB_E_PM_UNAVAILABLE'
+    );
+  }
+  
+  const { packageManager, installDir } = resolveProjectPackageManager(projectDir, pm, availableManagers);
+  if (offline) {
+    await ensurePackagesCached(projectDir, packageManager);
+  }
+
+  const installSpinner = ora(`📦 Installing dependencies with ${packageManager}${offline ? ' (offline)' : ''}...`).start();
+  try {
+    await installDependencies(packageManager, installDir, { verbose, offline });
+    installSpinner.succeed('Dependencies installed');
+  } catch (error) {
+    installSpinner.fail('Failed to install dependencies');
+    throw createInstallError(error, packageManager, `. Run "${packageManager} install" in ${installDir} to retry.`);
+  }
+}
+
+function printPlan(plan, options = {}) {
+  const { skipInstall = false, skipGit = false } = options;
+
+  console.log(chalk.blue('🔍 Dry run mode - showing what would be created:'));
+  console.log(`📁 Project directory: ${plan.directory}`);
+  console.log(`📦 Template: ${plan.template.name}@${plan.template.version} (${plan.template.description})`);
+  console.log(`🛠️  Package manager: ${plan.packageManager || 'none (install skipped)'}`);
+  if (plan.components.length > 0) {
+    console.log(`🎨 Shadcn/UI components: ${plan.components.join(', ')}`);
+  }
+  console.log(`🧩 Add-ons: ${plan.addons.join(', ') || 'none'}`);
+  if (plan.workspace) {
+    const { root, register, sharedConfigs } = plan.workspace;
+    console.log(`🗂️  Workspace: ${root}${register ? ` (adds "${register}")` : ''}`);
+    if (sharedConfigs.length > 0) {
+      console.log(`🔗 Shared configs: ${sharedConfigs.join(', ')}`);
+    }
+  }
+
+  console.log(`📄 Files (${plan.files.length}):`);
+  for (const { path: file, source, patchedBy, kept } of plan.files) {
+    const patched = patchedBy ? `, patched by ${patchedBy.join(', ')}` : '';
+    console.log(chalk.gray(`   ${kept ? '=' : '+'} ${file} (${source}${patched}${kept ? ', exists: kept' : ''})`));
+  }
+
+  console.log('📝 package.json:');
+  for (const { field, value, source } of plan.packageJson) {
+    console.log(chalk.gray(`   ${field} = ${JSON.stringify(value)} (${source})`));
+  }
+
+  console.log('▶️  Commands:');
+  for (const { command, args, cwd } of plan.commands) {
+    const quoted = args.map(arg => (/\s/.test(arg) ? JSON.stringify(arg) : arg));
+    const location = cwd && cwd !== plan.directory ? ` (in ${cwd})` : '';
+    console.log(chalk.gray(`   $ ${[command, ...quoted].join(' ')}${location}`));
+  }
+  if (plan.commands.length === 0) {
+    console.log(chalk.gray('   none'));
+  }
+
+  console.log(`📦 Skip installation: ${skipInstall}`);
+  console.log(`🔄 Skip git init: ${skipGit}`);
+}
+
+function printDiff(diffText) {
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(line);
+    }
+  }
 }
 
 async function initGitRepository(targetDir, options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, json = false, commitMessage, defaultBranch } = options;
   
   if (verbose) {
     console.log('🔄 Initializing Git repository...');
   }
-  
-  return new Promise((resolve, reject) => {
-    const child = spawn('git', ['init'], {
+
+  // Output is kept for the debug log (and shown directly in verbose mode)
+  const runGit = (args) => new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = spawn('git', args, {
       cwd: targetDir,
-      stdio: verbose ? 'inherit' : 'pipe'
+      stdio: getChildStdio({ verbose, json })
     });
-    
+    let stdout = '';
+    let stderr = '';
+    child.stdout?.on('data', (data) => { stdout += data.toString(); });
+    child.stderr?.on('data', (data) => { stderr += data.toString(); });
     child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`Git init failed with code ${code}`));
-      } else {
-        // Create initial commit
-        createInitialCommit(targetDir, { verbose })
-          .then(resolve)
-          .catch(reject);
-      }
-    });
-    
-    child.on('error', (error) => {
-      reject(error);
+      logCommand({ command: 'git', args, cwd: targetDir, code, duration: Date.now() - startedAt, stdout, stderr, streamed: verbose });
+      resolve(code);
     });
+    child.on('error', reject);
   });
-}
 
-async function createInitialCommit(targetDir, options = {}) {
-  const { verbose = false } = options;
-  
-  return new Promise((resolve, reject) => {
-    // Add all files
-    const addChild = spawn('git', ['add', '.'], {
-      cwd: targetDir,
-      stdio: verbose ? 'inherit' : 'pipe'
-    });
-    
-    addChild.on('close', (addCode) => {
-      if (addCode !== 0) {
-        reject(new Error(`Git add failed with code ${addCode}`));
-        return;
-      }
-      
-      // Create initial commit
-      const commitChild = spawn('git', ['commit', '-m', 'Initial commit'], {
-        cwd: targetDir,
-        stdio: verbose ? 'inherit' : 'pipe'
-      });
-      
-      commitChild.on('close', (commitCode) => {
-        if (commitCode !== 0) {
-          // Git commit might fail if no user is configured, but that's okay
-          if (verbose) {
-            console.log('⚠️  Git commit failed - you may need to configure git user.name and user.email');
-          }
-        }
-        resolve(); // Don't fail the whole process for git issues
-      });
-      
-      commitChild.on('error', () => {
-        resolve(); // Don't fail the whole process for git issues
-      });
-    });
-    
-    addChild.on('error', (error) => {
-      reject(error);
-    });
-  });
+  const [init, add, commit] = getGitCommands({ commitMessage, defaultBranch });
+
+  const initCode = await runGit(init.args);
+  if (initCode !== 0) {
+    throw new Error(`Git init failed with code ${initCode}`);
+  }
+
+  const addCode = await runGit(add.args);
+  if (addCode !== 0) {
+    throw new Error(`Git add failed with code ${addCode}`);
+  }
+
+  // Git commit might fail if no user is configured, but that's okay
+  const commitCode = await runGit(commit.args).catch(() => 1);
+  if (commitCode !== 0) {
+    console.log(chalk.yellow('⚠️  Skipped the initial commit: git user.name and user.email may not be configured (run "react-vite-boilerplate doctor")'));
+  }
 }
 
 function displaySuccessMessage(projectName, options = {}) {
-  const { packageManager, skipInstall, skipGit, template } = options;
+  const { directory = projectName, packageManager = 'npm', offline = false, skipInstall, skipGit, template, features = [], addons = [] } = options;
   
   console.log();
   console.log(chalk.green('🎉 Project created successfully!'));
@@ -404,29 +1576,32 @@ function displaySuccessMessage(projectName, options = {}) {
   console.log('📁 Project details:');
   console.log(`  • Name: ${chalk.cyan(projectName)}`);
   console.log(`  • Template: ${chalk.cyan(template)}`);
-  if (!skipInstall && packageManager) {
+  if (!skipInstall) {
     console.log(`  • Package manager: ${chalk.cyan(packageManager)}`);
   }
   console.log();
   
   console.log('🚀 Next steps:');
-  console.log(chalk.cyan(`  cd ${projectName}`));
+  if (directory !== '.') {
+    console.log(chalk.cyan(`  cd ${directory}`));
+  }
   
   if (skipInstall) {
-    console.log(chalk.cyan('  npm install'));
+    console.log(chalk.cyan(`  ${formatInstallCommand(packageManager, { offline })}`));
   }
   
-  console.log(chalk.cyan('  npm run dev'));
+  console.log(chalk.cyan(`  ${formatRunCommand(packageManager, 'dev')}`));
   console.log();
   
   console.log('✨ Features included:');
   console.log('  • React 18 with TypeScript');
   console.log('  • Vite for fast development');
-  console.log('  • TanStack Router for routing');
-  console.log('  • Tailwind CSS for styling');
-  console.log('  • Shadcn/UI components');
-  console.log('  • React Helmet Async for SEO');
-  console.log('  • ESLint configuration');
+  for (const feature of features) {
+    console.log(`  • ${FEATURE_LABELS[feature] || feature}`);
+  }
+  for (const addon of addons) {
+    console.log(`  • ${addon.description} (${addon.name} add-on)`);
+  }
   
   if (!skipGit) {
     console.log('  • Git repository initialized');
@@ -436,4 +1611,42 @@ function displaySuccessMessage(projectName, options = {}) {
   console.log(chalk.gray('Happy coding! 🚀'));
 }
 
+function listAvailableTemplates() {
+  const templates = listTemplates();
+  
+  console.log(chalk.blue('📦 Available templates:'));
+  console.log();
+  
+  for (const template of templates) {
+    const marker = template.name === DEFAULT_TEMPLATE ? chalk.gray(' (default)') : '';
+    console.log(`  ${chalk.cyan(template.name)}${marker}`);
+    console.log(`    ${template.description}`);
+    if (template.extends) {
+      console.log(chalk.gray(`    Extends: ${template.extends}`));
+    }
+    console.log(chalk.gray(`    Features: ${template.features.join(', ')}`));
+  }
+  
+  console.log();
+  console.log(chalk.gray('Use a template with: react-vite-boilerplate my-app --template <name>'));
+}
+
+function listAvailableAddons() {
+  const addons = listAddons();
+  
+  console.log(chalk.blue('🧩 Available add-ons:'));
+  console.log();
+  
+  for (const addon of addons) {
+    console.log(`  ${chalk.cyan(addon.name)}`);
+    console.log(`    ${addon.description}`);
+    if (addon.conflicts.length > 0) {
+      console.log(chalk.gray(`    Conflicts with: ${addon.conflicts.join(', ')}`));
+    }
+  }
+  
+  console.log();
+  console.log(chalk.gray('Include add-ons with: react-vite-boilerplate my-app --with vitest,zustand'));
+}
+
 program.parse();
\ No newline at end of file
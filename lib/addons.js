@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { applyPatches } = require('./patcher');
+const { renderTemplateString, renderPath, renderFile } = require('./template-vars');
+
+const ADDONS_DIR = path.join(__dirname, '..', 'addons');
+const ADDON_MANIFEST_FILE = 'addon.json';
+const ADDON_FILES_DIR = 'files';
+
+/**
+ * Reads and validates an add-on manifest
+ * @param {string} addonDir - Directory containing the add-on
+ * @returns {Object} - Normalized manifest
+ */
+function loadAddonManifest(addonDir) {
+  const manifestPath = path.join(addonDir, ADDON_MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new BoilerplateError(
+      `Add-on manifest not found: ${manifestPath}`,
+      ERROR_TYPES.TEMPLATE,
+      { addonDir }
+    );
+  }
+
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestPath);
+  } catch (error) {
+    throw new BoilerplateError(
+      `Invalid add-on manifest ${manifestPath}: ${error.message}`,
+      ERROR_TYPES.TEMPLATE,
+      { addonDir }
+    );
+  }
+
+  const filesDir = path.join(addonDir, ADDON_FILES_DIR);
+
+  return {
+    name: manifest.name || path.basename(addonDir),
+    description: manifest.description || '',
+    conflicts: manifest.conflicts || [],
+    requires: manifest.requires || [],
+    dependencies: manifest.dependencies || {},
+    devDependencies: manifest.devDependencies || {},
+    scripts: manifest.scripts || {},
+    patches: manifest.patches || [],
+    files: listAddonFiles(filesDir),
+    dir: addonDir
+  };
+}
+
+/**
+ * Lists the files an add-on contributes, relative to its files directory
+ * @param {string} filesDir - The add-on files directory
+ * @returns {string[]}
+ */
+function listAddonFiles(filesDir) {
+  if (!fs.existsSync(filesDir)) return [];
+
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else {
+        files.push(path.relative(filesDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(filesDir);
+
+  return files.sort();
+}
+
+/**
+ * Lists all add-ons available in the registry
+ * @param {string} addonsDir - Registry directory
+ * @returns {Object[]} - Add-on manifests sorted by name
+ */
+function listAddons(addonsDir = ADDONS_DIR) {
+  if (!fs.existsSync(addonsDir)) return [];
+
+  return fs.readdirSync(addonsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .filter(entry => fs.existsSync(path.join(addonsDir, entry.name, ADDON_MANIFEST_FILE)))
+    .map(entry => loadAddonManifest(path.join(addonsDir, entry.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Parses a comma separated add-on list (e.g. "vitest,zustand")
+ * @param {string|string[]} value - Raw flag value
+ * @returns {string[]}
+ */
+function parseAddonList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Resolves and validates add-ons for a template
+ * @param {string[]} names - Requested add-on names
+ * @param {Object} template - Template returned by resolveTemplate
+ * @param {string} addonsDir - Registry directory
+ * @returns {Object[]} - Add-on manifests in the requested order
+ * @throws {BoilerplateError} If an add-on is unknown or add-ons conflict
+ */
+function resolveAddons(names = [], template = null, addonsDir = ADDONS_DIR) {
+  const available = listAddons(addonsDir);
+  const byName = new Map(available.map(addon => [addon.name, addon]));
+
+  const unknown = names.filter(name => !byName.has(name));
+  if (unknown.length > 0) {
+    throw new BoilerplateError(
+      `Unknown add-on${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Available add-ons: ${available.map(a => a.name).join(', ')}`,
+      ERROR_TYPES.VALIDATION,
+      { requested: names, available: available.map(a => a.name) },
+      'RVB_E_ADDON_UNKNOWN'
+    );
+  }
+
+  const addons = names.map(name => byName.get(name));
+  const problems = [];
+  const conflictPairs = new Set();
+
+  for (const addon of addons) {
+    // Explicit conflicts declared in either manifest, reported once per pair
+    for (const other of addon.conflicts.filter(name => names.includes(name))) {
+      const pair = [addon.name, other].sort().join('" conflicts with "');
+      if (!conflictPairs.has(pair)) {
+        conflictPairs.add(pair);
+        problems.push(`"${pair}"`);
+      }
+    }
+
+    // Template features the add-on needs
+    if (template) {
+      const missing = addon.requires.filter(feature => !template.features.includes(feature));
+      if (missing.length > 0) {
+        problems.push(`"${addon.name}" requires template feature(s) ${missing.join(', ')} which "${template.name}" does not provide`);
+      }
+    }
+  }
+
+  // Add-ons must not write the same file or define the same script
+  const fileOwners = new Map();
+  const scriptOwners = new Map();
+  for (const addon of addons) {
+    for (const file of addon.files) {
+      if (fileOwners.has(file)) {
+        problems.push(`"${fileOwners.get(file)}" and "${addon.name}" both create ${file}`);
+      }
+      fileOwners.set(file, addon.name);
+    }
+    for (const script of Object.keys(addon.scripts)) {
+      if (scriptOwners.has(script)) {
+        problems.push(`"${scriptOwners.get(script)}" and "${addon.name}" both define the "${script}" script`);
+      }
+      scriptOwners.set(script, addon.name);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new BoilerplateError(
+      `Incompatible add-ons: ${problems.join('; ')}`,
+      ERROR_TYPES.VALIDATION,
+      { addons: names, problems },
+      'RVB_E_ADDON_CONFLICT'
+    );
+  }
+
+  return addons;
+}
+
+/**
+ * Merges add-on dependencies and scripts into a package.json object
+ * @param {Object} packageJson - package.json contents
+ * @param {Object[]} addons - Resolved add-ons
+ * @returns {Object} - The updated package.json
+ */
+function mergeAddonPackageJson(packageJson, addons) {
+  for (const addon of addons) {
+    packageJson.dependencies = { ...packageJson.dependencies, ...addon.dependencies };
+    packageJson.devDependencies = { ...packageJson.devDependencies, ...addon.devDependencies };
+    packageJson.scripts = { ...packageJson.scripts, ...addon.scripts };
+  }
+  return packageJson;
+}
+
+/**
+ * Renders template variables in the text fields of a patch
+ * @param {Object} patch - Patch from an add-on manifest
+ * @param {Object} variables - Template variables
+ * @returns {Object}
+ */
+function renderPatch(patch, variables) {
+  const rendered = { ...patch, file: renderPath(patch.file, variables) };
+  for (const key of ['content', 'open', 'close']) {
+    if (typeof patch[key] === 'string') {
+      rendered[key] = renderTemplateString(patch[key], variables, `${patch.file} patch`);
+    }
+  }
+  return rendered;
+}
+
+/**
+ * Applies add-ons to a project: files, package.json merges and code insertions.
+ * When `variables` are given, add-on files and patches are rendered with them.
+ * @param {Object[]} addons - Resolved add-ons
+ * @param {string} targetDir - Project directory
+ * @param {Object} options - { verbose, variables }
+ * @returns {Promise<void>}
+ */
+async function applyAddons(addons, targetDir, options = {}) {
+  const { verbose = false, variables = null } = options;
+
+  for (const addon of addons) {
+    if (verbose) {
+      console.log(`🧩 Applying add-on: ${addon.name}`);
+    }
+
+    for (const file of addon.files) {
+      const targetFile = variables ? renderPath(file, variables) : file;
+      const dest = path.join(targetDir, targetFile);
+      if (fs.existsSync(dest)) {
+        throw new BoilerplateError(
+          `Add-on "${addon.name}" would overwrite existing file ${targetFile}`,
+          ERROR_TYPES.TEMPLATE,
+          { addon: addon.name, file: targetFile }
+        );
+      }
+      const src = path.join(addon.dir, ADDON_FILES_DIR, file);
+      if (variables) {
+        await renderFile(src, dest, variables, file);
+      } else {
+        await fs.copy(src, dest);
+      }
+      if (verbose) {
+        console.log(`  📄 ${targetFile}`);
+      }
+    }
+
+    await applyPatches(targetDir, variables
+      ? addon.patches.map(patch => renderPatch(patch, variables))
+      : addon.patches);
+  }
+
+  const packageJsonPath = path.join(targetDir, 'package.json');
+  const packageJson = await fs.readJson(packageJsonPath);
+  await fs.writeJson(packageJsonPath, mergeAddonPackageJson(packageJson, addons), { spaces: 2 });
+}
+
+module.exports = {
+  ADDONS_DIR,
+  ADDON_MANIFEST_FILE,
+  loadAddonManifest,
+  listAddons,
+  parseAddonList,
+  resolveAddons,
+  mergeAddonPackageJson,
+  applyAddons
+};
@@ -0,0 +1,32 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Returns the CLI's cache directory (or a path inside it).
+ * RVB_CACHE_DIR overrides the platform default:
+ *  - Linux: $XDG_CACHE_HOME/rvb or ~/.cache/rvb
+ *  - macOS: ~/Library/Caches/rvb
+ *  - Windows: %LOCALAPPDATA%\rvb\Cache
+ * @param {...string} segments - Path segments inside the cache directory
+ * @returns {string}
+ */
+function getCacheDir(...segments) {
+  const { RVB_CACHE_DIR, XDG_CACHE_HOME, LOCALAPPDATA } = process.env;
+  let base;
+
+  if (RVB_CACHE_DIR) {
+    base = RVB_CACHE_DIR;
+  } else if (process.platform === 'win32' && LOCALAPPDATA) {
+    base = path.join(LOCALAPPDATA, 'rvb', 'Cache');
+  } else if (process.platform === 'darwin') {
+    base = path.join(os.homedir(), 'Library', 'Caches', 'rvb');
+  } else {
+    base = path.join(XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'rvb');
+  }
+
+  return path.join(base, ...segments);
+}
+
+module.exports = {
+  getCacheDir
+};
@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getCacheDir } = require('./cache');
+
+const CLI_VERSION = require('../package.json').version;
+
+/**
+ * Debug logs kept in the cache directory; older ones are deleted
+ */
+const MAX_DEBUG_LOGS = 20;
+
+const LOG_PATTERN = /^rvb-.+\.log$/;
+
+// The log of the current run. Writing is synchronous so the log is complete
+// even when the process exits right after a failure or an interruption.
+let current = null;
+
+/**
+ * Gets the default path of a run's log, in the logs folder of the cache directory
+ * @param {Date} date - Start of the run
+ * @returns {string}
+ */
+function getDefaultLogFile(date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-');
+  return getCacheDir('logs', `rvb-${timestamp}-${process.pid}.log`);
+}
+
+/**
+ * Deletes the oldest logs, keeping the most recent ones
+ * @param {string} dir - Logs directory
+ * @param {number} keep - Number of logs to keep
+ */
+function pruneDebugLogs(dir, keep = MAX_DEBUG_LOGS) {
+  const logs = fs.readdirSync(dir).filter(file => LOG_PATTERN.test(file)).sort();
+  for (const file of logs.slice(0, Math.max(0, logs.length - keep))) {
+    fs.removeSync(path.join(dir, file));
+  }
+}
+
+/**
+ * Appends text to the log. A log that cannot be written is given up on:
+ * logging must never fail a run.
+ * @param {string} text - Text to append
+ */
+function append(text) {
+  if (!current) return;
+  try {
+    fs.appendFileSync(current.file, text);
+  } catch (error) {
+    current = null;
+  }
+}
+
+/**
+ * Indents multi-line output under a label
+ * @param {string} label - e.g. "stdout"
+ * @param {string} output - Output to indent
+ * @returns {string}
+ */
+function formatOutput(label, output) {
+  const lines = output.replace(/\n$/, '').split('\n');
+  return `  ${label}:\n${lines.map(line => `  | ${line}`).join('\n')}\n`;
+}
+
+/**
+ * Starts the log of a run with what is needed to reproduce it: CLI and
+ * Node.js versions, command line, working directory and network settings
+ * @param {Object} options - { logFile, argv, environment }: logFile replaces the
+ *   default file in the cache directory; environment is getNetworkEnvironment()
+ *   without credentials
+ * @returns {string|null} - Path of the log, or null when it cannot be written
+ */
+function startDebugLog(options = {}) {
+  const { logFile = null, argv = process.argv.slice(2), environment = {} } = options;
+  const startedAt = new Date();
+  const file = logFile ? path.resolve(logFile) : getDefaultLogFile(startedAt);
+
+  try {
+    fs.ensureDirSync(path.dirname(file));
+    fs.writeFileSync(file, [
+      `react-vite-boilerplate ${CLI_VERSION} debug log`,
+      `Started: ${startedAt.toISOString()}`,
+      `Command: react-vite-boilerplate ${argv.join(' ')}`,
+      `Working directory: ${process.cwd()}`,
+      `Node.js: ${process.version} (${process.platform} ${process.arch})`,
+      `Network environment: ${JSON.stringify(environment)}`,
+      ''
+    ].join('\n') + '\n');
+    if (!logFile) {
+      pruneDebugLogs(path.dirname(file));
+    }
+  } catch (error) {
+    current = null;
+    return null;
+  }
+
+  current = { file, startedAt: startedAt.getTime() };
+  return file;
+}
+
+/**
+ * Stops writing to the current log
+ */
+function stopDebugLog() {
+  current = null;
+}
+
+/**
+ * Gets the path of the current log
+ * @returns {string|null}
+ */
+function getDebugLogFile() {
+  return current ? current.file : null;
+}
+
+/**
+ * Writes a line to the log, prefixed with the time since the run started
+ * @param {string} message - Message
+ */
+function writeDebugLog(message) {
+  if (!current) return;
+  const elapsed = ((Date.now() - current.startedAt) / 1000).toFixed(3);
+  append(`[+${elapsed}s] ${message}\n`);
+}
+
+/**
+ * Logs a finished child process with its full output
+ * @param {Object} entry - { command, args, cwd, code, duration (ms), stdout, stderr,
+ *   streamed }: streamed when the output went to the terminal (verbose mode)
+ */
+function logCommand(entry) {
+  const { command, args = [], cwd = process.cwd(), code, duration = 0, stdout = '', stderr = '', streamed = false } = entry;
+  if (!current) return;
+
+  writeDebugLog(`$ ${[command, ...args].join(' ')} (in ${cwd}): exit code ${code} after ${(duration / 1000).toFixed(1)}s`);
+  if (streamed) {
+    append('  (output shown in the terminal)\n');
+  }
+  if (stdout.trim()) append(formatOutput('stdout', stdout));
+  if (stderr.trim()) append(formatOutput('stderr', stderr));
+}
+
+/**
+ * Logs an error with its code, context and stack trace
+ * @param {Error} error - The error
+ */
+function logError(error) {
+  if (!current) return;
+
+  writeDebugLog(`Error${error.code ? ` ${error.code}` : ''}: ${error.message}`);
+  if (error.context && Object.keys(error.context).length > 0) {
+    append(formatOutput('context', JSON.stringify(error.context, null, 2)));
+  }
+  if (error.stack) {
+    append(formatOutput('stack', error.stack));
+  }
+}
+
+module.exports = {
+  MAX_DEBUG_LOGS,
+  getDefaultLogFile,
+  startDebugLog,
+  stopDebugLog,
+  getDebugLogFile,
+  writeDebugLog,
+  logCommand,
+  logError
+};
@@ -0,0 +1,294 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { builtinModules } = require('module');
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+const IGNORED_DIRS = ['node_modules', 'dist', '.git', '.rvb'];
+
+// Files whose imports only run at build or test time, or only provide types
+const TOOLING_FILE = /(^|\/)([^/]+\.config\.[^/]+|\.eslintrc\.[^/]+)$|(^|\/)(e2e|test|tests|__tests__)\/|\.(test|spec)\.[^/]+$|\.d\.ts$/;
+const ESLINT_CONFIG = /(^|\/)\.eslintrc(\.[^/]+)?$/;
+
+// Binaries whose package has a different name
+const SCRIPT_BINARIES = { tsc: 'typescript', playwright: '@playwright/test' };
+
+// Peer dependencies that are installed for another package and never imported
+const PEER_DEPENDENCIES = { '@testing-library/dom': ['@testing-library/react'] };
+
+// Packages used by the Shadcn/UI components that projects with a components.json can add
+const SHADCN_PACKAGES = ['class-variance-authority', 'clsx', 'lucide-react', 'tailwind-merge'];
+
+const IMPORT_PATTERNS = [
+  /\b(?:import|export)\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"]+)['"]/g,
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\/\/\/\s*<reference\s+types=['"]([^'"]+)['"]/g
+];
+
+/**
+ * Lists the module specifiers imported by a source file
+ * @param {string} source - File contents
+ * @returns {string[]} - Specifiers in order of appearance, without duplicates
+ */
+function extractImports(source) {
+  const found = [];
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      found.push({ index: match.index, specifier: match[1] });
+    }
+  }
+  return [...new Set(found.sort((a, b) => a.index - b.index).map(({ specifier }) => specifier))];
+}
+
+/**
+ * Removes comments and trailing commas from JSON with comments (tsconfig.json)
+ * @param {string} text - File contents
+ * @returns {string}
+ */
+function stripJsonComments(text) {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') output += text[++i] || '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+  return output.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Reads the path alias prefixes from tsconfig.json compilerOptions.paths
+ * @param {string} projectDir - Project directory
+ * @returns {string[]} - Prefixes such as "@/" (or exact names for aliases without *)
+ */
+function loadPathAliases(projectDir) {
+  const tsconfigPath = path.join(projectDir, 'tsconfig.json');
+  if (!fs.existsSync(tsconfigPath)) return [];
+
+  try {
+    const tsconfig = JSON.parse(stripJsonComments(fs.readFileSync(tsconfigPath, 'utf8')));
+    const paths = (tsconfig.compilerOptions && tsconfig.compilerOptions.paths) || {};
+    return Object.keys(paths).map(alias => alias.replace(/\*$/, ''));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Converts an import specifier to the package that provides it
+ * @param {string} specifier - Import specifier
+ * @param {string[]} aliases - tsconfig path alias prefixes
+ * @returns {string|null} - Package name, "node:builtin" for Node built-ins, or null for local imports
+ */
+function getPackageName(specifier, aliases = []) {
+  if (/^[./]/.test(specifier) || /^[a-z]+:\/\//i.test(specifier) || specifier.startsWith('virtual:')) return null;
+  if (aliases.some(alias => (alias.endsWith('/') ? specifier.startsWith(alias) : specifier === alias))) return null;
+
+  const bare = specifier.replace(/^node:/, '');
+  if (specifier.startsWith('node:') || builtinModules.includes(bare.split('/')[0])) return 'node:builtin';
+
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Lists the packages an ESLint config may refer to by a short name
+ * ("plugin:react-hooks/recommended" → eslint-plugin-react-hooks)
+ * @param {string} name - String found in the config
+ * @returns {string[]}
+ */
+function getEslintPackageNames(name) {
+  const short = name.replace(/^plugin:/, '').replace(/\/[^/]*$/, (rest) => (name.startsWith('@') && !name.slice(1).includes('/') ? rest : ''));
+  const candidates = [name, short];
+  if (short.startsWith('@')) {
+    const [scope, plugin] = short.split('/');
+    candidates.push(plugin ? `${scope}/eslint-plugin-${plugin}` : `${scope}/eslint-plugin`);
+  } else {
+    candidates.push(`eslint-plugin-${short}`, `eslint-config-${short}`);
+  }
+  return candidates;
+}
+
+/**
+ * Lists the source files of a project
+ * @param {string} projectDir - Project directory
+ * @returns {string[]} - POSIX style relative paths
+ */
+function listSourceFiles(projectDir) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (IGNORED_DIRS.includes(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push(path.relative(projectDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(projectDir);
+  return files.sort();
+}
+
+/**
+ * Compares the imports of a project with its package.json
+ *  - missing: imported but not listed
+ *  - unused: listed but never imported, run from a script or named in a config file
+ *  - miscategorised: runtime imports in devDependencies, build/test-only packages
+ *    and @types/* in dependencies
+ * @param {string} projectDir - Project (or rendered template) directory
+ * @returns {Object} - { missing, unused, miscategorised, aliases, ok }
+ */
+function checkProjectDependencies(projectDir) {
+  const packageJson = fs.readJsonSync(path.join(projectDir, 'package.json'));
+  const dependencies = packageJson.dependencies || {};
+  const devDependencies = packageJson.devDependencies || {};
+  const listed = new Map([
+    ...Object.keys(devDependencies).map(name => [name, 'devDependencies']),
+    ...Object.keys(dependencies).map(name => [name, 'dependencies'])
+  ]);
+  const aliases = loadPathAliases(projectDir);
+
+  // package → { runtime: files, tooling: files }
+  const usage = new Map();
+  const use = (name, file, kind) => {
+    if (!usage.has(name)) usage.set(name, { runtime: [], tooling: [] });
+    const entry = usage.get(name)[kind];
+    if (!entry.includes(file)) entry.push(file);
+  };
+
+  for (const file of listSourceFiles(projectDir)) {
+    const source = fs.readFileSync(path.join(projectDir, file), 'utf8');
+    const kind = TOOLING_FILE.test(file) ? 'tooling' : 'runtime';
+
+    for (const specifier of extractImports(source)) {
+      const name = getPackageName(specifier, aliases);
+      if (name) use(name, file, kind);
+    }
+
+    // Config files name plugins as plain strings or object keys
+    if (kind === 'tooling' && !/\.(test|spec)\.[^/]+$/.test(file)) {
+      const words = source.match(/[@\w][\w@/.-]*/g) || [];
+      const strings = ESLINT_CONFIG.test(file)
+        ? (source.match(/['"][^'"]+['"]/g) || []).flatMap(text => getEslintPackageNames(text.slice(1, -1)))
+        : [];
+      for (const word of [...words, ...strings]) {
+        if (listed.has(word)) use(word, file, 'tooling');
+      }
+    }
+  }
+
+  for (const script of Object.values(packageJson.scripts || {})) {
+    for (const word of script.split(/[\s&|;]+/)) {
+      const name = SCRIPT_BINARIES[word] || word;
+      if (listed.has(name)) use(name, 'package.json', 'tooling');
+    }
+  }
+
+  // A <name>.config.* file is read by the package of the same name
+  for (const entry of fs.readdirSync(projectDir)) {
+    const match = entry.match(/^([\w-]+)\.config\.[^.]+$/) || (entry.startsWith('.eslintrc') && [null, 'eslint']);
+    if (match && listed.has(match[1])) use(match[1], entry, 'tooling');
+  }
+
+  if (fs.existsSync(path.join(projectDir, 'components.json'))) {
+    for (const name of SHADCN_PACKAGES) {
+      if (listed.has(name)) use(name, 'components.json', 'runtime');
+    }
+  }
+
+  const isUsed = (name) => {
+    if (usage.has(name)) return true;
+    if (name.startsWith('@types/')) {
+      const typed = name.slice('@types/'.length);
+      if (typed === 'node') return usage.has('node:builtin');
+      return usage.has(typed.includes('__') ? `@${typed.replace('__', '/')}` : typed);
+    }
+    return (PEER_DEPENDENCIES[name] || []).some(isUsed);
+  };
+
+  const missing = [];
+  const miscategorised = [];
+  for (const [name, { runtime, tooling }] of usage) {
+    if (name === 'node:builtin') continue;
+    const expected = runtime.length > 0 ? 'dependencies' : 'devDependencies';
+    const files = runtime.length > 0 ? runtime : tooling;
+    const section = listed.get(name);
+
+    if (!section) {
+      missing.push({ name, expected, files });
+    } else if (section !== expected) {
+      miscategorised.push({ name, section, expected, files });
+    }
+  }
+
+  for (const [name, section] of listed) {
+    if (name.startsWith('@types/') && section === 'dependencies') {
+      miscategorised.push({ name, section, expected: 'devDependencies', files: [] });
+    }
+  }
+
+  const unused = [...listed]
+    .filter(([name]) => !isUsed(name))
+    .map(([name, section]) => ({ name, section }));
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    missing: missing.sort(byName),
+    unused: unused.sort(byName),
+    miscategorised: miscategorised.sort(byName),
+    aliases,
+    ok: missing.length === 0 && unused.length === 0 && miscategorised.length === 0
+  };
+}
+
+/**
+ * Renders a template (with optional add-ons and Shadcn/UI components) and checks its dependencies
+ * @param {Object} template - Resolved template
+ * @param {Object} options - { addons, components }
+ * @returns {Promise<Object>} - Result of checkProjectDependencies plus { template, addons }
+ */
+async function checkTemplateDependencies(template, options = {}) {
+  const { addons = [], components = [] } = options;
+  const renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rvb-doctor-'));
+  try {
+    // Required here: scaffold -> shadcn -> this module would otherwise be circular
+    const { renderProject } = require('./scaffold');
+    await renderProject(renderedDir, { template, addons, components, projectName: 'doctor-check' });
+    return {
+      template: template.name,
+      addons: addons.map(addon => addon.name),
+      ...checkProjectDependencies(renderedDir)
+    };
+  } finally {
+    await fs.remove(renderedDir);
+  }
+}
+
+module.exports = {
+  extractImports,
+  stripJsonComments,
+  loadPathAliases,
+  getPackageName,
+  checkProjectDependencies,
+  checkTemplateDependencies
+};
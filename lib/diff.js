@@ -0,0 +1,186 @@
+/**
+ * Splits text into lines without the trailing empty line of a final newline
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Computes a line diff using the longest common subsequence
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Object[]} - Operations: { type: ' ' | '-' | '+', line }
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i++] });
+  while (j < m) ops.push({ type: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Creates a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {Object} options - { fromFile, toFile, context }
+ * @returns {string} - Unified diff, or an empty string when texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(oldText, newText);
+
+  if (ops.every(op => op.type === ' ')) return '';
+
+  // Line numbers (1-based) of every operation in the old and new text
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ old: oldLine, new: newLine });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Group changes with their surrounding context, merging overlapping ranges
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of ranges) {
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${positions[start].old},${oldCount} +${positions[start].new},${newCount} @@`);
+    lines.push(...hunk.map(op => op.type + op.line));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Maps each line of `a` to its matching line in `b` (or -1) via the LCS
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Updated lines
+ * @returns {number[]}
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  for (const op of diffLines(a.join('\n'), b.join('\n'))) {
+    if (op.type === ' ') matches[i] = j;
+    if (op.type !== '+') i++;
+    if (op.type !== '-') j++;
+  }
+  return matches;
+}
+
+/**
+ * Merges two sets of changes made to a common base (diff3 style)
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Local version (the user's file)
+ * @param {string} theirs - Incoming version (the new template)
+ * @param {Object} options - { oursLabel, theirsLabel }
+ * @returns {Object} - { text, conflicts } where conflicts is the number of conflicting hunks
+ */
+function mergeThreeWay(base, ours, theirs, options = {}) {
+  const { oursLabel = 'ours', theirsLabel = 'theirs' } = options;
+  const b = splitLines(base);
+  const o = splitLines(ours);
+  const t = splitLines(theirs);
+  const toOurs = matchLines(b, o);
+  const toTheirs = matchLines(b, t);
+  const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+
+  const result = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  while (true) {
+    // Next base line kept unchanged by both sides
+    let stable = i;
+    while (stable < b.length && (toOurs[stable] === -1 || toTheirs[stable] === -1)) stable++;
+
+    const baseChunk = b.slice(i, stable);
+    const oursChunk = o.slice(j, stable < b.length ? toOurs[stable] : o.length);
+    const theirsChunk = t.slice(k, stable < b.length ? toTheirs[stable] : t.length);
+
+    if (same(oursChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+      result.push(...theirsChunk);
+    } else if (same(theirsChunk, baseChunk)) {
+      result.push(...oursChunk);
+    } else {
+      conflicts++;
+      result.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    if (stable >= b.length) break;
+    result.push(b[stable]);
+    i = stable + 1;
+    j = toOurs[stable] + 1;
+    k = toTheirs[stable] + 1;
+  }
+
+  // The final newline is merged like any other change
+  const endsWithNewline = text => Boolean(text) && text.endsWith('\n');
+  const trailingNewline = endsWithNewline(ours) === endsWithNewline(base)
+    ? endsWithNewline(theirs)
+    : endsWithNewline(ours);
+  return {
+    text: result.join('\n') + (trailingNewline && result.length > 0 ? '\n' : ''),
+    conflicts
+  };
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  createUnifiedDiff,
+  mergeThreeWay
+};
@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { PACKAGE_MANAGERS, getPackageManagerVersion, getPreferredPackageManager, runCommand } = require('./package-managers');
+const {
+  getRegistryUrl,
+  redactUrl,
+  performNetworkChecks,
+  getNetworkEnvironment,
+  isOfflineMode
+} = require('./network');
+const { hasWritePermission } = require('./validators');
+
+const CLI_PACKAGE_JSON = path.join(__dirname, '..', 'package.json');
+
+// A template with its dependencies installed takes roughly 300 MB
+const DISK_SPACE_FAIL_BYTES = 300 * 1024 * 1024;
+const DISK_SPACE_WARN_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Compares two versions numerically ("16.20.1" vs "18")
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Checks a version against an `engines` range. Supports ||, space separated
+ * comparators (>=, >, <=, <, =), ^, ~, x wildcards and hyphen ranges.
+ * @param {string} version - Version such as "20.11.0"
+ * @param {string} range - Range such as ">=18.0.0" or "^18 || ^20"
+ * @returns {boolean}
+ */
+function satisfiesVersion(version, range) {
+  const clean = version.replace(/^v/, '').split('-')[0];
+
+  const satisfiesComparator = (comparator) => {
+    const [, operator = '', raw] = comparator.match(/^(>=|<=|>|<|=|\^|~)?v?(.*)$/);
+    if (raw === '' || raw === '*' || /^x$/i.test(raw)) return true;
+
+    const parts = raw.split('.').filter(part => !/^[x*]$/i.test(part));
+    const target = parts.join('.');
+    const cmp = compareVersions(clean, target);
+    const upper = (index) => {
+      const bumped = parts.slice(0, index + 1).map(Number);
+      bumped[index] += 1;
+      return bumped.join('.');
+    };
+
+    switch (operator) {
+      case '>=': return cmp >= 0;
+      case '>': return cmp > 0;
+      case '<=': return cmp <= 0;
+      case '<': return cmp < 0;
+      case '^': {
+        const index = Math.max(0, parts.findIndex(part => Number(part) !== 0));
+        return cmp >= 0 && compareVersions(clean, upper(Math.min(index, parts.length - 1))) < 0;
+      }
+      case '~':
+        return cmp >= 0 && compareVersions(clean, upper(parts.length > 1 ? 1 : 0)) < 0;
+      default:
+        // "18" and "18.x" match any 18.*.*
+        return parts.length < 3
+          ? cmp >= 0 && compareVersions(clean, upper(parts.length - 1)) < 0
+          : cmp === 0;
+    }
+  };
+
+  return range.split('||').some((set) => {
+    const hyphen = set.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+    const comparators = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : set.trim().replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+    return comparators.every(satisfiesComparator);
+  });
+}
+
+/**
+ * Creates a check result
+ * @param {string} id - Stable identifier used in --json output
+ * @param {string} label - Name shown in the table
+ * @param {string} status - 'pass', 'warn' or 'fail'
+ * @param {string} message - What was found
+ * @param {string} [fix] - How to fix a warning or failure
+ * @returns {Object}
+ */
+function result(id, label, status, message, fix) {
+  return { id, label, status, message, ...(fix ? { fix } : {}) };
+}
+
+/**
+ * Checks the running Node.js version against the CLI's `engines` field
+ * @param {Object} options - { version, range }
+ * @returns {Object}
+ */
+function checkNodeVersion(options = {}) {
+  const {
+    version = process.versions.node,
+    range = (fs.readJsonSync(CLI_PACKAGE_JSON).engines || {}).node
+  } = options;
+
+  if (!range) {
+    return result('node', 'Node.js', 'pass', `v${version}`);
+  }
+  if (satisfiesVersion(version, range)) {
+    return result('node', 'Node.js', 'pass', `v${version} (requires ${range})`);
+  }
+  return result('node', 'Node.js', 'fail', `v${version} does not satisfy ${range}`, `Install Node.js ${range}, e.g. with nvm or fnm`);
+}
+
+/**
+ * Lists the installed package managers and their versions
+ * @param {Object} options - { getVersion }
+ * @returns {Promise<Object>} - Result with `details.managers`
+ */
+async function checkPackageManagers(options = {}) {
+  const { getVersion = getPackageManagerVersion } = options;
+  const managers = {};
+  for (const manager of Object.keys(PACKAGE_MANAGERS)) {
+    managers[manager] = await getVersion(manager);
+  }
+
+  const available = Object.entries(managers).filter(([, version]) => version);
+  const details = { managers };
+  if (available.length === 0) {
+    return {
+      ...result('package-managers', 'Package managers', 'fail', 'None of npm, yarn, pnpm or bun was found', 'Install Node.js with npm, or enable yarn/pnpm with `corepack enable`'),
+      details
+    };
+  }
+  return {
+    ...result('package-managers', 'Package managers', 'pass', available.map(([name, version]) => `${name} ${version}`).join(', ')),
+    details
+  };
+}
+
+/**
+ * Checks that git is installed and has an identity for the initial commit
+ * @param {Object} options - { dir, run }
+ * @returns {Promise<Object[]>} - git and git identity results
+ */
+async function checkGit(options = {}) {
+  const { dir = process.cwd(), run = runCommand } = options;
+
+  const version = await run('git', ['--version'], { cwd: dir });
+  if (version.code !== 0) {
+    return [
+      result('git', 'Git', 'warn', 'git was not found', 'Install git, or create projects with --skip-git'),
+      result('git-identity', 'Git identity', 'warn', 'Skipped: git is not installed')
+    ];
+  }
+
+  const name = (await run('git', ['config', 'user.name'], { cwd: dir })).stdout.trim();
+  const email = (await run('git', ['config', 'user.email'], { cwd: dir })).stdout.trim();
+  const missing = [!name && 'user.name', !email && 'user.email'].filter(Boolean);
+  const gitResult = result('git', 'Git', 'pass', version.stdout.trim().replace(/^git version /, 'v'));
+
+  if (missing.length > 0) {
+    return [
+      gitResult,
+      result(
+        'git-identity',
+        'Git identity',
+        'warn',
+        `${missing.join(' and ')} not set; the initial commit of new projects will be skipped`,
+        missing.map(key => `git config --global ${key} "${key === 'user.name' ? 'Your Name' : 'you@example.com'}"`).join(' && ')
+      )
+    ];
+  }
+  return [gitResult, result('git-identity', 'Git identity', 'pass', `${name} <${email}>`)];
+}
+
+/**
+ * Checks that projects can be created in a directory
+ * @param {Object} options - { dir }
+ * @returns {Object}
+ */
+function checkWritePermission(options = {}) {
+  const { dir = process.cwd() } = options;
+  if (!fs.existsSync(dir)) {
+    return result('write-permission', 'Write permission', 'fail', `${dir} does not exist`);
+  }
+  if (!hasWritePermission(dir)) {
+    return result('write-permission', 'Write permission', 'fail', `No write permission to ${dir}`, 'Run the CLI from a directory you own, e.g. your home directory');
+  }
+  return result('write-permission', 'Write permission', 'pass', dir);
+}
+
+/**
+ * Formats a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Checks the free disk space where projects are created
+ * @param {Object} options - { dir, statfs }
+ * @returns {Object}
+ */
+function checkDiskSpace(options = {}) {
+  const { dir = process.cwd(), statfs = fs.statfsSync } = options;
+  if (typeof statfs !== 'function') {
+    return result('disk-space', 'Disk space', 'warn', `Cannot measure free space on Node.js ${process.version} (needs 18.15 or later)`);
+  }
+
+  let free;
+  try {
+    const stats = statfs(dir);
+    free = stats.bavail * stats.bsize;
+  } catch (error) {
+    return result('disk-space', 'Disk space', 'warn', `Cannot measure free space: ${error.message}`);
+  }
+
+  const message = `${formatBytes(free)} free`;
+  if (free < DISK_SPACE_FAIL_BYTES) {
+    return result('disk-space', 'Disk space', 'fail', `${message}; installing dependencies needs about ${formatBytes(DISK_SPACE_FAIL_BYTES)}`, 'Free up disk space or create the project on another drive');
+  }
+  if (free < DISK_SPACE_WARN_BYTES) {
+    return result('disk-space', 'Disk space', 'warn', `${message}; dependencies take about ${formatBytes(DISK_SPACE_FAIL_BYTES)} per project`);
+  }
+  return result('disk-space', 'Disk space', 'pass', message);
+}
+
+// What to try when the registry probe fails at each hop
+const NETWORK_FIXES = {
+  proxy: 'Check HTTP_PROXY/HTTPS_PROXY and proxy credentials, or add the registry host to NO_PROXY',
+  dns: 'Check your connection, DNS settings and the registry URL',
+  connect: 'Check your connection, firewall or proxy, or create projects with --skip-install',
+  tls: 'Behind an intercepting proxy, point NODE_EXTRA_CA_CERTS at its CA certificate',
+  http: 'The registry is having problems; try again later or configure another registry'
+};
+
+/**
+ * Reports the registry and proxy settings package managers will use
+ * @param {Object} options - { environment, registry }
+ * @returns {Object}
+ */
+function checkProxySettings(options = {}) {
+  const { environment = getNetworkEnvironment(), registry = getRegistryUrl() } = options;
+  const registryText = `${redactUrl(registry.url)} (${registry.source === 'default' ? 'default' : `from ${registry.source}`})`;
+  const proxies = [['HTTP_PROXY', environment.proxy], ['HTTPS_PROXY', environment.httpsProxy]]
+    .filter(([, value]) => value);
+
+  const invalid = proxies.filter(([, value]) => {
+    try {
+      // "proxy:8080" parses as a URL with the scheme "proxy:"
+      return !/^(https?|socks[45]?h?):$/.test(new URL(value).protocol);
+    } catch (error) {
+      return true;
+    }
+  });
+  const details = {
+    registry: redactUrl(registry.url),
+    registrySource: registry.source,
+    proxy: environment.proxy ? redactUrl(environment.proxy) : null,
+    httpsProxy: environment.httpsProxy ? redactUrl(environment.httpsProxy) : null,
+    noProxy: environment.noProxy || null
+  };
+
+  if (invalid.length > 0) {
+    return {
+      ...result('proxy', 'Registry and proxy', 'warn', `${invalid.map(([name]) => name).join(' and ')} is not a valid URL`, 'Use a full URL such as http://proxy.example.com:8080'),
+      details
+    };
+  }
+
+  const proxyText = proxies.length > 0
+    ? proxies.map(([name, value]) => `${name}=${redactUrl(value)}`).join(', ') + (environment.noProxy ? `, NO_PROXY=${environment.noProxy}` : '')
+    : 'no proxy';
+  return { ...result('proxy', 'Registry and proxy', 'pass', `${registryText}; ${proxyText}`), details };
+}
+
+/**
+ * Checks that the registry can be reached
+ * @param {Object} options - { offline, packageManager, cwd, check }
+ * @returns {Promise<Object>} - Result with `details.probe`
+ */
+async function checkNetwork(options = {}) {
+  const { offline = isOfflineMode(), packageManager = 'npm', cwd = process.cwd(), check = performNetworkChecks } = options;
+  if (offline) {
+    return result('network', 'Network', 'warn', 'Skipped: offline mode is enabled');
+  }
+
+  const { probe } = await check({ packageManager, cwd });
+  const details = { probe };
+  if (!probe.ok) {
+    return { ...result('network', 'Network', 'fail', probe.message, NETWORK_FIXES[probe.hop]), details };
+  }
+  return { ...result('network', 'Network', 'pass', probe.message), details };
+}
+
+/**
+ * Runs every environment check. Registry settings are read for the package
+ * manager a new project in `dir` would use.
+ * @param {Object} options - { dir, offline }
+ * @returns {Promise<Object[]>} - { id, label, status: 'pass' | 'warn' | 'fail', message, fix?, details? }
+ */
+async function runDiagnostics(options = {}) {
+  const { dir = process.cwd(), offline = isOfflineMode() } = options;
+
+  const managers = await checkPackageManagers();
+  const available = Object.keys(managers.details.managers).filter(name => managers.details.managers[name]);
+  const packageManager = getPreferredPackageManager(dir, available);
+
+  return [
+    checkNodeVersion(),
+    managers,
+    ...(await checkGit({ dir })),
+    checkWritePermission({ dir }),
+    checkDiskSpace({ dir }),
+    checkProxySettings({ registry: getRegistryUrl({ cwd: dir, packageManager }) }),
+    await checkNetwork({ offline, packageManager, cwd: dir })
+  ];
+}
+
+module.exports = {
+  satisfiesVersion,
+  formatBytes,
+  checkNodeVersion,
+  checkPackageManagers,
+  checkGit,
+  checkWritePermission,
+  checkDiskSpace,
+  checkProxySettings,
+  checkNetwork,
+  runDiagnostics
+};
@@ -0,0 +1,286 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { ENV_EXAMPLE_FILE, parseEnvExample } = require('./env');
+
+const ENV_MODULE_FILE = path.join('src', 'lib', 'env.ts');
+const ENV_TYPES_FILE = path.join('src', 'vite-env.d.ts');
+
+// Only VITE_ variables reach client code
+const CLIENT_PREFIX = 'VITE_';
+
+// First line of every generated file; files without it belong to the user or the template
+const GENERATED_MARKER = '// Generated by react-vite-boilerplate from .env.example.';
+const GENERATED_HEADER = [
+  GENERATED_MARKER,
+  '// Run `react-vite-boilerplate generate env` after editing .env.example to update it.'
+];
+
+const TS_TYPES = { string: 'string', url: 'string', number: 'number', boolean: 'boolean' };
+
+/**
+ * Infers the type of a variable from its name and example value
+ * @param {string} key - Variable name
+ * @param {string} value - Example value
+ * @returns {string} - 'string', 'url', 'number' or 'boolean'
+ */
+function inferEnvType(key, value) {
+  if (value === 'true' || value === 'false') return 'boolean';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return 'number';
+  if (/_URL$/.test(key) || /^https?:\/\//.test(value)) return 'url';
+  return 'string';
+}
+
+/**
+ * Describes the client variables of a .env.example file.
+ * Active lines are defaults (required without one), commented-out lines are optional.
+ * @param {string} example - Contents of .env.example
+ * @returns {Object[]} - { key, name, type, required, default }
+ */
+function getEnvSchema(example) {
+  const seen = new Set();
+  return parseEnvExample(example)
+    .filter(({ key }) => key.startsWith(CLIENT_PREFIX) && key.length > CLIENT_PREFIX.length)
+    .filter(({ key }) => !seen.has(key) && seen.add(key))
+    .map(({ key, value, commented }) => ({
+      key,
+      name: key.slice(CLIENT_PREFIX.length),
+      type: inferEnvType(key, value),
+      required: !commented,
+      default: !commented && value !== '' ? value : null
+    }));
+}
+
+/**
+ * Quotes a string for TypeScript source
+ * @param {string} value - String value
+ * @returns {string}
+ */
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Renders src/lib/env.ts: a typed `env` object validated when the app starts.
+ * Invalid or missing values throw EnvValidationError and, in development,
+ * show Vite's error overlay.
+ * @param {Object[]} schema - Result of getEnvSchema
+ * @returns {string}
+ */
+function renderEnvModule(schema) {
+  const lines = [
+    ...GENERATED_HEADER,
+    '',
+    "type EnvType = 'string' | 'url' | 'number' | 'boolean'",
+    '',
+    'interface EnvVariable {',
+    '  type: EnvType',
+    '  required: boolean',
+    '  default?: string',
+    '}',
+    '',
+    'export interface Env {'
+  ];
+  for (const variable of schema) {
+    const optional = variable.required ? '' : '?';
+    lines.push(`  ${variable.name}${optional}: ${TS_TYPES[variable.type]}`);
+  }
+  lines.push('}', '', 'const schema: Record<keyof Env, EnvVariable> = {');
+  for (const variable of schema) {
+    const fields = [`type: '${variable.type}'`, `required: ${variable.required}`];
+    if (variable.default !== null) fields.push(`default: ${quote(variable.default)}`);
+    lines.push(`  ${variable.name}: { ${fields.join(', ')} },`);
+  }
+  lines.push(
+    '}',
+    '',
+    'export class EnvValidationError extends Error {',
+    '  readonly issues: string[]',
+    '',
+    '  constructor(issues: string[]) {',
+    "    super(`Invalid environment variables:\\n${issues.map((issue) => `  - ${issue}`).join('\\n')}\\n\\nSet them in .env or .env.local (see .env.example) and restart the dev server.`)",
+    "    this.name = 'EnvValidationError'",
+    '    this.issues = issues',
+    '  }',
+    '}',
+    '',
+    'function parseValue(name: string, raw: string, type: EnvType): string | number | boolean {',
+    '  switch (type) {',
+    "    case 'number': {",
+    '      const value = Number(raw)',
+    '      if (raw.trim() === \'\' || Number.isNaN(value)) throw new Error(`${name} must be a number, got "${raw}"`)',
+    '      return value',
+    '    }',
+    "    case 'boolean':",
+    "      if (raw === 'true') return true",
+    "      if (raw === 'false') return false",
+    '      throw new Error(`${name} must be true or false, got "${raw}"`)',
+    "    case 'url':",
+    '      try {',
+    '        new URL(raw)',
+    '      } catch {',
+    '        throw new Error(`${name} must be an absolute URL, got "${raw}"`)',
+    '      }',
+    '      return raw',
+    '    default:',
+    '      return raw',
+    '  }',
+    '}',
+    '',
+    'export function validateEnv(source: Record<string, unknown>): Env {',
+    '  const values: Record<string, string | number | boolean> = {}',
+    '  const issues: string[] = []',
+    '',
+    '  for (const [key, variable] of Object.entries(schema) as [keyof Env, EnvVariable][]) {',
+    `    const name = \`${CLIENT_PREFIX}\${key}\``,
+    '    const raw = source[name]',
+    "    const value = typeof raw === 'string' && raw !== '' ? raw : variable.default",
+    '',
+    '    if (value === undefined) {',
+    '      if (variable.required) issues.push(`${name} is required but not set`)',
+    '      continue',
+    '    }',
+    '',
+    '    try {',
+    '      values[key] = parseValue(name, value, variable.type)',
+    '    } catch (error) {',
+    '      issues.push((error as Error).message)',
+    '    }',
+    '  }',
+    '',
+    '  if (issues.length > 0) throw new EnvValidationError(issues)',
+    '  return values as unknown as Env',
+    '}',
+    '',
+    'function showErrorOverlay(error: EnvValidationError) {',
+    "  if (typeof document === 'undefined') return",
+    '',
+    "  const ViteErrorOverlay = customElements.get('vite-error-overlay')",
+    '  if (ViteErrorOverlay) {',
+    '    document.body.appendChild(new ViteErrorOverlay(error))',
+    '    return',
+    '  }',
+    '',
+    "  const overlay = document.createElement('pre')",
+    "  overlay.setAttribute('role', 'alert')",
+    "  overlay.style.cssText = 'position:fixed;inset:0;z-index:99999;margin:0;padding:2rem;overflow:auto;background:#18181b;color:#fca5a5;font:14px/1.6 ui-monospace,monospace;white-space:pre-wrap'",
+    '  overlay.textContent = error.message',
+    '  document.body.appendChild(overlay)',
+    '}',
+    '',
+    'function loadEnv(): Env {',
+    '  try {',
+    '    return validateEnv(import.meta.env)',
+    '  } catch (error) {',
+    '    if (import.meta.env.DEV && error instanceof EnvValidationError) showErrorOverlay(error)',
+    '    throw error',
+    '  }',
+    '}',
+    '',
+    'export const env = loadEnv()',
+    '',
+    'export function isDevelopment(): boolean {',
+    '  return import.meta.env.DEV',
+    '}',
+    '',
+    'export function isProduction(): boolean {',
+    '  return import.meta.env.PROD',
+    '}',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders src/vite-env.d.ts: Vite client types plus the variables from .env.example
+ * @param {Object[]} schema - Result of getEnvSchema
+ * @returns {string}
+ */
+function renderEnvTypes(schema) {
+  const lines = [
+    ...GENERATED_HEADER,
+    '/// <reference types="vite/client" />',
+    '',
+    'interface ImportMetaEnv {'
+  ];
+  for (const variable of schema) {
+    // Variables with a default in .env.example may be left unset
+    const optional = variable.required && variable.default === null ? '' : '?';
+    lines.push(`  readonly ${variable.key}${optional}: string`);
+  }
+  lines.push(
+    '}',
+    '',
+    'interface ImportMeta {',
+    '  readonly env: ImportMetaEnv',
+    '}',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Checks whether a file was written by writeEnvModules
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isGeneratedFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8').startsWith(GENERATED_MARKER);
+}
+
+/**
+ * Writes src/lib/env.ts (when the project has a .env.example) and src/vite-env.d.ts.
+ * Files written by hand or shipped by the template are left alone unless `force` is set.
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - { force, requireExample }
+ * @returns {Promise<Object>} - { written, skipped } relative paths
+ * @throws {BoilerplateError} If requireExample is set and .env.example is missing
+ */
+async function writeEnvModules(projectDir, options = {}) {
+  const { force = false, requireExample = false } = options;
+  const examplePath = path.join(projectDir, ENV_EXAMPLE_FILE);
+  const hasExample = fs.existsSync(examplePath);
+
+  if (!hasExample && requireExample) {
+    throw new BoilerplateError(
+      `No ${ENV_EXAMPLE_FILE} found in ${projectDir}`,
+      ERROR_TYPES.VALIDATION,
+      { projectDir },
+      'RVB_E_PROJECT_FILE_MISSING'
+    );
+  }
+
+  const schema = hasExample ? getEnvSchema(await fs.readFile(examplePath, 'utf8')) : [];
+  const outputs = [[ENV_TYPES_FILE, renderEnvTypes(schema)]];
+  if (hasExample) {
+    outputs.unshift([ENV_MODULE_FILE, renderEnvModule(schema)]);
+  }
+
+  const written = [];
+  const skipped = [];
+  for (const [file, contents] of outputs) {
+    const filePath = path.join(projectDir, file);
+    const relativePath = file.split(path.sep).join('/');
+    if (fs.existsSync(filePath) && !force && !isGeneratedFile(filePath)) {
+      skipped.push(relativePath);
+      continue;
+    }
+    await fs.outputFile(filePath, contents);
+    written.push(relativePath);
+  }
+
+  return { written, skipped };
+}
+
+module.exports = {
+  ENV_MODULE_FILE,
+  ENV_TYPES_FILE,
+  GENERATED_MARKER,
+  inferEnvType,
+  getEnvSchema,
+  renderEnvModule,
+  renderEnvTypes,
+  writeEnvModules
+};
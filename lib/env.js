@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const ENV_EXAMPLE_FILE = '.env.example';
+const ENV_LOCAL_FILE = '.env.local';
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Formats a value for a dotenv file, quoting it when needed
+ * @param {string|number|boolean} value - Value to format
+ * @returns {string}
+ */
+function formatEnvValue(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9_./:@-]*$/.test(text) ? text : JSON.stringify(text);
+}
+
+/**
+ * Reads the variables listed in a dotenv file, including commented-out ones
+ * such as `# VITE_API_BASE_URL=http://localhost:3001/api`
+ * @param {string} text - Contents of .env.example
+ * @returns {Object[]} - { key, value, commented } in file order
+ */
+function parseEnvExample(text) {
+  const variables = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^(#\s*)?([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+    if (!match) continue;
+
+    const [, comment, key, rest] = match;
+    let value = rest.trim();
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\(["\\])/g, '$1') : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    variables.push({ key, value, commented: Boolean(comment) });
+  }
+  return variables;
+}
+
+/**
+ * Fills values into a dotenv file based on .env.example. Existing and
+ * commented-out keys are replaced in place, unknown keys are appended.
+ * @param {string} example - Contents of .env.example
+ * @param {Object} values - Values by variable name
+ * @returns {string} - Contents for .env.local
+ */
+function applyEnvValues(example, values) {
+  const remaining = new Map(Object.entries(values));
+  const lines = example.split('\n').map(line => {
+    const match = line.match(/^#?\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+    if (!match || !remaining.has(match[1])) return line;
+
+    const key = match[1];
+    const value = remaining.get(key);
+    remaining.delete(key);
+    return `${key}=${formatEnvValue(value)}`;
+  });
+
+  if (remaining.size > 0) {
+    if (lines[lines.length - 1] === '') lines.pop();
+    lines.push('', ...[...remaining].map(([key, value]) => `${key}=${formatEnvValue(value)}`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes .env.local from the project's .env.example with the given values
+ * @param {string} projectDir - Project directory
+ * @param {Object} values - Values by variable name
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeEnvFile(projectDir, values) {
+  const examplePath = path.join(projectDir, ENV_EXAMPLE_FILE);
+  const example = fs.existsSync(examplePath) ? await fs.readFile(examplePath, 'utf8') : '';
+  const envPath = path.join(projectDir, ENV_LOCAL_FILE);
+
+  await fs.writeFile(envPath, applyEnvValues(example, values));
+  return envPath;
+}
+
+module.exports = {
+  ENV_EXAMPLE_FILE,
+  ENV_LOCAL_FILE,
+  ENV_KEY_PATTERN,
+  formatEnvValue,
+  parseEnvExample,
+  applyEnvValues,
+  writeEnvFile
+};
@@ -0,0 +1,510 @@
+/**
+ * Stable error codes. Each code keeps its meaning across releases, so it can
+ * be searched for, linked to and explained with `rvb explain <code>`.
+ *
+ * type: the ERROR_TYPES category, which decides the exit code
+ * title: one line summary
+ * cause: what usually leads to the error
+ * fix: steps that resolve it, most likely first
+ *
+ * Every code has an entry with the same anchor in docs/docs.html (see getDocsUrl).
+ */
+const ERROR_CODES = {
+  // Generic codes, used when no specific one applies
+  RVB_E_UNKNOWN: {
+    type: 'UNKNOWN',
+    title: 'Unexpected error',
+    cause: 'An error the CLI does not recognise, often a bug or an unusual environment.',
+    fix: [
+      'Re-run with --verbose to see the stack trace',
+      'Run "react-vite-boilerplate doctor" to check your environment',
+      'Report the error with the output of both commands'
+    ]
+  },
+  RVB_E_VALIDATION: {
+    type: 'VALIDATION',
+    title: 'Invalid input',
+    cause: 'An argument or option has a value the CLI cannot use.',
+    fix: [
+      'Check the values passed on the command line and in presets',
+      'Run the command with --help to see the accepted values'
+    ]
+  },
+  RVB_E_FILESYSTEM: {
+    type: 'FILESYSTEM',
+    title: 'File system operation failed',
+    cause: 'A file or directory could not be read, written or moved.',
+    fix: [
+      'Check file permissions',
+      'Ensure you have write access to the directory',
+      'Check that the disk is not full'
+    ]
+  },
+  RVB_E_NETWORK: {
+    type: 'NETWORK',
+    title: 'Network connectivity issue',
+    cause: 'The package registry could not be reached.',
+    fix: [
+      'Check your internet connection',
+      'Try using a different network',
+      'Use --offline to install from the package cache'
+    ]
+  },
+  RVB_E_PACKAGE_MANAGER: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Package manager operation failed',
+    cause: 'The package manager exited with an error.',
+    fix: [
+      'Try using a different package manager with --pm flag',
+      'Clear the package cache (e.g. npm cache clean --force)',
+      'Check if package manager is properly installed'
+    ]
+  },
+  RVB_E_TEMPLATE: {
+    type: 'TEMPLATE',
+    title: 'Template processing failed',
+    cause: 'A template or add-on could not be copied or rendered.',
+    fix: [
+      'Check the template with "react-vite-boilerplate doctor --template <name>"',
+      'If the template is built in, please report the error'
+    ]
+  },
+  RVB_E_VERIFICATION: {
+    type: 'VERIFICATION',
+    title: 'Project verification failed',
+    cause: 'Type-checking, linting or building the generated project failed.',
+    fix: [
+      'Re-run the failing script in the project to see the errors',
+      'If the errors come from an unmodified template, please report them'
+    ]
+  },
+
+  // Project name, description and options
+  RVB_E_DIRECTORY_REQUIRED: {
+    type: 'VALIDATION',
+    title: 'Missing directory argument',
+    cause: 'No directory was given and the setup wizard cannot ask for one: the CLI runs without a terminal or with --json.',
+    fix: [
+      'Pass the directory: react-vite-boilerplate my-react-app',
+      'Or pass --yes to create my-react-app'
+    ]
+  },
+  RVB_E_NAME_INVALID: {
+    type: 'VALIDATION',
+    title: 'Invalid project name',
+    cause: 'The package name, taken from --name or the last segment of the directory, is not a valid npm package name.',
+    fix: [
+      'Use only letters, numbers, hyphens, and underscores',
+      'Start with a letter or number',
+      'Pass --name to choose a name that differs from the directory'
+    ]
+  },
+  RVB_E_NAME_RESERVED: {
+    type: 'VALIDATION',
+    title: 'Reserved project name',
+    cause: 'The package name is the name of a core package (react, vite, typescript), a project folder (src, dist) or a reserved Windows device name (con, nul).',
+    fix: [
+      'Pick another name with --name',
+      'Or create the project in a differently named directory'
+    ]
+  },
+  RVB_E_DESCRIPTION_INVALID: {
+    type: 'VALIDATION',
+    title: 'Invalid project description',
+    cause: 'The description is empty, longer than 200 characters, spans several lines or contains characters that would break HTML, TSX or .env files.',
+    fix: [
+      'Use a single line without <>{}"`\\ characters',
+      'Keep it under 200 characters'
+    ]
+  },
+  RVB_E_OPTION_CONFLICT: {
+    type: 'VALIDATION',
+    title: 'Options cannot be combined',
+    cause: 'Two options contradict each other, like --verify with --skip-install, or one needs another that is missing.',
+    fix: ['Drop one of the options named in the message']
+  },
+  RVB_E_PRESET_NOT_FOUND: {
+    type: 'VALIDATION',
+    title: 'Preset not found',
+    cause: '--preset names neither a file nor a preset in rvb.config.json or ~/.rvbrc.',
+    fix: [
+      'Check the path of the preset file',
+      'Check the preset names under "presets" in rvb.config.json or ~/.rvbrc'
+    ]
+  },
+  RVB_E_PRESET_INVALID: {
+    type: 'VALIDATION',
+    title: 'Invalid preset',
+    cause: 'A preset file is not valid JSON, or sets an option to a value of the wrong kind.',
+    fix: [
+      'Fix the option named in the message',
+      'See the Presets section of the README for the accepted options'
+    ]
+  },
+
+  // Target directory
+  RVB_E_DIR_UNSAFE: {
+    type: 'FILESYSTEM',
+    title: 'Unsafe target directory',
+    cause: 'The project would be created in a system directory or your home directory.',
+    fix: ['Create the project in a subdirectory, e.g. react-vite-boilerplate ~/projects/my-app']
+  },
+  RVB_E_DIR_NO_PERMISSION: {
+    type: 'FILESYSTEM',
+    title: 'No write permission',
+    cause: 'The target directory, or its closest existing parent, cannot be written or read by the current user.',
+    fix: [
+      'Choose a directory you own',
+      'Fix the ownership instead of running the CLI with sudo'
+    ]
+  },
+  RVB_E_DIR_NOT_EMPTY: {
+    type: 'FILESYSTEM',
+    title: 'Target directory is not empty',
+    cause: 'The directory has files and no prompt could ask what to do with them, or it is the current directory, which is never deleted.',
+    fix: [
+      'Pass --merge to add the project next to the existing files',
+      'Pass --yes to overwrite the directory (not possible for the current directory)',
+      'Or choose another directory'
+    ]
+  },
+  RVB_E_PROJECT_EXISTS: {
+    type: 'VALIDATION',
+    title: 'Directory already holds a project',
+    cause: 'The directory has a .rvb/project.json, so it was already created by this CLI.',
+    fix: [
+      'Use "add" to apply add-ons or "upgrade" to update it from the template',
+      'Or create the project in another directory'
+    ]
+  },
+
+  // Projects created by the CLI
+  RVB_E_NOT_A_PROJECT: {
+    type: 'VALIDATION',
+    title: 'Not a project created by this CLI',
+    cause: 'The directory has no .rvb/project.json, which "add", "upgrade" and "resume" need.',
+    fix: [
+      'Run the command from the project directory, or pass --dir',
+      'Projects created by older versions cannot be upgraded'
+    ]
+  },
+  RVB_E_PROJECT_FILE_MISSING: {
+    type: 'VALIDATION',
+    title: 'Project file missing',
+    cause: 'A file the command reads, like package.json, .env.example or src/routes, is not in the project.',
+    fix: [
+      'Check that --dir points at the project root',
+      'Restore the file from version control'
+    ]
+  },
+  RVB_E_STATE_CORRUPTED: {
+    type: 'FILESYSTEM',
+    title: 'Corrupted project metadata',
+    cause: '.rvb/project.json or .rvb/journal.json is not valid JSON, usually after a manual edit or a merge conflict.',
+    fix: [
+      'Restore the file from version control',
+      'Fix the JSON error named in the message'
+    ]
+  },
+  RVB_E_NOTHING_TO_RESUME: {
+    type: 'VALIDATION',
+    title: 'Nothing to resume',
+    cause: 'The project has no .rvb/journal.json with pending steps: its creation finished, or it was not created with --keep-on-failure.',
+    fix: ['Run the remaining commands yourself, e.g. npm install']
+  },
+  RVB_E_LOCAL_CHANGES: {
+    type: 'VALIDATION',
+    title: 'Files changed since generation',
+    cause: 'An add-on would patch files you have edited since the project was generated.',
+    fix: [
+      'Review the changes with --diff',
+      'Apply anyway with --force'
+    ]
+  },
+  RVB_E_ROUTE_INVALID: {
+    type: 'VALIDATION',
+    title: 'Invalid route',
+    cause: 'The route path has a segment TanStack Router cannot map to a file, or the options do not apply to it.',
+    fix: [
+      'Use letters, numbers and hyphens, "$param" for dynamic segments, "$" for splats or "_name" for pathless layouts',
+      'Drop --nav for dynamic routes'
+    ]
+  },
+  RVB_E_ROUTE_EXISTS: {
+    type: 'FILESYSTEM',
+    title: 'Route file already exists',
+    cause: 'A file route with the same path is already in src/routes.',
+    fix: ['Pass --force to overwrite it']
+  },
+
+  // Package managers and installs
+  RVB_E_PM_UNAVAILABLE: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Package manager not available',
+    cause: 'The package manager passed to --pm or --fallback-pm is not installed or not on the PATH.',
+    fix: [
+      'Install it, or enable it with "corepack enable" for pnpm and yarn',
+      'Or pick one of the available managers listed in the error context'
+    ]
+  },
+  RVB_E_INSTALL_FAILED: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Package installation failed',
+    cause: 'The package manager exited with an error the CLI does not recognise.',
+    fix: [
+      'Read the package manager output above the error',
+      'Try another package manager with --pm, or --fallback-pm auto',
+      'Clear the package cache and try again'
+    ]
+  },
+  RVB_E_INSTALL_NETWORK: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: registry unreachable',
+    cause: 'Downloads timed out or the connection was reset, and the retries failed too.',
+    fix: [
+      'Check your internet connection and proxy settings (HTTPS_PROXY)',
+      'Run "react-vite-boilerplate doctor" to test the registry',
+      'Install from the package cache with --offline'
+    ]
+  },
+  RVB_E_INSTALL_PEER: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: conflicting peer dependencies',
+    cause: 'Two packages require incompatible versions of the same peer dependency (npm ERESOLVE).',
+    fix: [
+      'Align the versions of the packages named in the output',
+      'With npm, accept the conflict: npm install --legacy-peer-deps',
+      'Try another package manager with --pm or --fallback-pm'
+    ]
+  },
+  RVB_E_INSTALL_INTEGRITY: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: integrity check',
+    cause: 'A downloaded package does not match the checksum in the lockfile or registry, usually because of a corrupted cache.',
+    fix: [
+      'Clear the package cache (npm cache clean --force, pnpm store prune, yarn cache clean)',
+      'Delete the lockfile entry of the failing package and install again'
+    ]
+  },
+  RVB_E_INSTALL_PERMISSION: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: permission denied',
+    cause: 'The package manager could not write to its cache or to node_modules (EACCES, EPERM).',
+    fix: [
+      'Make sure you own the package cache and the project directory',
+      'Do not install with sudo; fix the ownership instead',
+      'Close editors or processes that may lock files in node_modules'
+    ]
+  },
+  RVB_E_INSTALL_AUTH: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: registry credentials',
+    cause: 'The registry answered 401 or 403, usually for private or scoped packages.',
+    fix: [
+      'Check the registry auth token in .npmrc (or .yarnrc.yml for Yarn 2+)',
+      'Log in to the registry with npm login',
+      'Make sure your account can read the packages being installed'
+    ]
+  },
+  RVB_E_INSTALL_OFFLINE: {
+    type: 'PACKAGE_MANAGER',
+    title: 'Installation failed: package not cached',
+    cause: 'An offline install needed a package, often a transitive dependency, that is not in the package cache.',
+    fix: ['Run the same command once without --offline to fill the package cache']
+  },
+  RVB_E_OFFLINE_CACHE_MISS: {
+    type: 'NETWORK',
+    title: 'Packages missing from the offline cache',
+    cause: '--offline was used, but dependencies in package.json are not in the package manager cache.',
+    fix: [
+      'Run the same command once without --offline to fill the package cache',
+      'With npm, cache them directly: npm cache add <packages>'
+    ]
+  },
+  RVB_E_REGISTRY_UNREACHABLE: {
+    type: 'NETWORK',
+    title: 'Package registry unreachable',
+    cause: 'The registry check before installing failed at the proxy, DNS, TCP, TLS or HTTP step named in the message.',
+    fix: [
+      'Run "react-vite-boilerplate doctor" to see the registry and proxy in use',
+      'Add the CA of a TLS-intercepting proxy with NODE_EXTRA_CA_CERTS',
+      'Use --offline or --skip-install to create the project without the registry'
+    ]
+  },
+
+  // Templates, add-ons and components
+  RVB_E_TEMPLATE_NOT_FOUND: {
+    type: 'VALIDATION',
+    title: 'Template not found',
+    cause: '--template is not a built-in template name, an existing directory or tarball, or a git URL.',
+    fix: [
+      'List the built-in templates with "react-vite-boilerplate templates list"',
+      'Check the path of a local template'
+    ]
+  },
+  RVB_E_TEMPLATE_INVALID: {
+    type: 'TEMPLATE',
+    title: 'Invalid template',
+    cause: 'The template has no valid template.json, misses required files, has a circular "extends" chain or a malformed template block.',
+    fix: [
+      'Fix the file named in the message',
+      'See the Custom and Remote Templates section of the README'
+    ]
+  },
+  RVB_E_TEMPLATE_FETCH: {
+    type: 'TEMPLATE',
+    title: 'Template download failed',
+    cause: 'A git template could not be cloned, or a tarball could not be extracted.',
+    fix: [
+      'Check the URL and ref, and that git can access the repository',
+      'Check that the tarball is a valid .tgz, .tar.gz or .tar file'
+    ]
+  },
+  RVB_E_ADDON_UNKNOWN: {
+    type: 'VALIDATION',
+    title: 'Unknown add-on',
+    cause: 'An add-on passed to --with or "add" does not exist.',
+    fix: ['List the add-ons with "react-vite-boilerplate addons list"']
+  },
+  RVB_E_ADDON_CONFLICT: {
+    type: 'VALIDATION',
+    title: 'Incompatible add-ons',
+    cause: 'The add-ons conflict with each other, or need a template feature that is missing.',
+    fix: [
+      'Drop one of the add-ons named in the message',
+      'Choose a template with the features the add-on needs'
+    ]
+  },
+  RVB_E_PATCH_FAILED: {
+    type: 'TEMPLATE',
+    title: 'Add-on patch failed',
+    cause: 'An add-on could not insert its code because the file or the anchor it looks for is missing, usually after the file was edited.',
+    fix: [
+      'Restore the file named in the message, or apply the add-on changes by hand',
+      'Review your changes with "add --diff"'
+    ]
+  },
+  RVB_E_COMPONENT_UNKNOWN: {
+    type: 'VALIDATION',
+    title: 'Unknown Shadcn/UI component',
+    cause: 'A component passed to --components is not in the bundled catalog.',
+    fix: [
+      'Pick components from the list in the message',
+      'Add other components later with npx shadcn@latest add <component>'
+    ]
+  },
+  RVB_E_SHADCN_CONFIG: {
+    type: 'TEMPLATE',
+    title: 'Unsupported components.json',
+    cause: 'components.json is missing, invalid, or uses a style or JavaScript output the bundled components do not support.',
+    fix: [
+      'Use a style listed in the message and "tsx": true',
+      'Or add components with npx shadcn@latest add <component>'
+    ]
+  },
+
+  // Verification and interruptions
+  RVB_E_VERIFY_FAILED: {
+    type: 'VERIFICATION',
+    title: 'Verification failed',
+    cause: 'The type-check, lint or build script of the new project failed. The project was kept.',
+    fix: [
+      'Re-run the failing script in the project to see the errors',
+      'If the errors come from an unmodified template, please report them'
+    ]
+  },
+  RVB_E_INTERRUPTED: {
+    type: 'UNKNOWN',
+    title: 'Interrupted',
+    cause: 'The CLI was stopped (Ctrl+C or SIGTERM) and rolled back what it had done.',
+    fix: ['Run the command again']
+  }
+};
+
+/**
+ * Exit code per error category. 1 is kept for unexpected errors.
+ */
+const EXIT_CODES = {
+  UNKNOWN: 1,
+  VALIDATION: 2,
+  FILESYSTEM: 3,
+  NETWORK: 4,
+  PACKAGE_MANAGER: 5,
+  TEMPLATE: 6,
+  VERIFICATION: 7
+};
+
+const DOCS_URL = 'https://sibilsoren.github.io/react-vite-boilerplate/docs/docs.html';
+const ISSUES_URL = 'https://github.com/SibilSoren/react-vite-boilerplate/issues';
+
+/**
+ * Normalizes a code typed by a user: case-insensitive, RVB_E_ prefix optional
+ * @param {string} code - e.g. "rvb_e_name_reserved" or "NAME_RESERVED"
+ * @returns {string}
+ */
+function normalizeErrorCode(code = '') {
+  const upper = code.trim().toUpperCase().replace(/-/g, '_');
+  return upper.startsWith('RVB_E_') ? upper : `RVB_E_${upper}`;
+}
+
+/**
+ * Gets the catalog entry of an error code
+ * @param {string} code - Error code
+ * @returns {Object|null} - { code, type, title, cause, fix, exitCode, docsUrl }
+ */
+function getErrorCode(code) {
+  const normalized = normalizeErrorCode(code);
+  const entry = ERROR_CODES[normalized];
+  if (!entry) return null;
+
+  return { code: normalized, ...entry, exitCode: getExitCode(entry.type), docsUrl: getDocsUrl(normalized) };
+}
+
+/**
+ * Gets the generic code of an error category
+ * @param {string} type - ERROR_TYPES value
+ * @returns {string}
+ */
+function getDefaultErrorCode(type) {
+  return ERROR_CODES[`RVB_E_${type}`] ? `RVB_E_${type}` : 'RVB_E_UNKNOWN';
+}
+
+/**
+ * Gets the exit code of an error category
+ * @param {string} type - ERROR_TYPES value
+ * @returns {number}
+ */
+function getExitCode(type) {
+  return EXIT_CODES[type] || EXIT_CODES.UNKNOWN;
+}
+
+/**
+ * Gets the anchor of an error code in docs/docs.html
+ * @param {string} code - Error code
+ * @returns {string} - e.g. "rvb-e-name-reserved"
+ */
+function getDocsAnchor(code) {
+  return code.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Gets the documentation link of an error code
+ * @param {string} code - Error code
+ * @returns {string}
+ */
+function getDocsUrl(code) {
+  return `${DOCS_URL}#${getDocsAnchor(code)}`;
+}
+
+module.exports = {
+  ERROR_CODES,
+  EXIT_CODES,
+  DOCS_URL,
+  ISSUES_URL,
+  normalizeErrorCode,
+  getErrorCode,
+  getDefaultErrorCode,
+  getExitCode,
+  getDocsAnchor,
+  getDocsUrl
+};
@@ -1,6 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { printJson, serializeError } = require('./output');
+const { getInstallFailureSuggestions } = require('./install-failures');
+const { ISSUES_URL, getErrorCode, getDefaultErrorCode, getExitCode, getDocsUrl } = require('./error-codes');
+const { getDebugLogFile, writeDebugLog, logError } = require('./debug-log');
 
 /**
  * Error types for better error handling
@@ -11,61 +15,189 @@ const ERROR_TYPES = {
   FILESYSTEM: 'FILESYSTEM',
   PACKAGE_MANAGER: 'PACKAGE_MANAGER',
   TEMPLATE: 'TEMPLATE',
+  VERIFICATION: 'VERIFICATION',
   UNKNOWN: 'UNKNOWN'
 };
 
 /**
- * Custom error class with type and context
+ * Custom error class with type, context and a stable code from
+ * lib/error-codes.js (the generic code of the type when none is given)
  */
 class BoilerplateError extends Error {
-  constructor(message, type = ERROR_TYPES.UNKNOWN, context = {}) {
+  constructor(message, type = ERROR_TYPES.UNKNOWN, context = {}, code = getDefaultErrorCode(type)) {
     super(message);
     this.name = 'BoilerplateError';
     this.type = type;
+    this.code = code;
     this.context = context;
     this.timestamp = new Date().toISOString();
   }
 }
 
 /**
- * Rollback manager to handle cleanup on failures
+ * Rollback manager to handle cleanup on failures. Every side effect is
+ * recorded as a reversible action before it happens: paths to remove, files
+ * to restore and directories moved aside. Actions run in reverse order on
+ * failure or interruption; commit() keeps the changes and drops the backups.
  */
 class RollbackManager {
   constructor() {
     this.actions = [];
+    this.backupDirs = [];
     this.completed = false;
+    this.running = null;
+    this.signalHandler = null;
   }
 
   /**
-   * Adds a rollback action
+   * Adds a rollback action. Steps register their action before acting, so a
+   * step still running after an interruption is stopped here.
    * @param {Function} action - Function to execute for rollback
    * @param {string} description - Description of the action
+   * @throws {BoilerplateError} If the rollback has already started
    */
   addAction(action, description) {
+    if (this.running) {
+      throw new BoilerplateError('Interrupted while rolling back', ERROR_TYPES.UNKNOWN, { step: description }, 'RVB_E_INTERRUPTED');
+    }
     this.actions.push({ action, description });
   }
 
   /**
-   * Executes all rollback actions in reverse order
+   * Removes paths on rollback, if they do not exist yet
+   * @param {string[]} paths - Files or directories about to be created
+   * @param {string} description - Description of the action
+   */
+  removeOnRollback(paths, description) {
+    const created = paths.filter(target => !fs.existsSync(target));
+    if (created.length === 0) return;
+
+    this.addAction(async () => {
+      for (const target of created) {
+        await fs.remove(target);
+      }
+    }, description);
+  }
+
+  /**
+   * Keeps the contents of files about to be edited. On rollback they are
+   * written back, and files that did not exist are removed.
+   * @param {string[]} files - Absolute file paths
+   * @param {string} description - Description of the action
+   * @returns {Promise<void>}
+   */
+  async backupFiles(files, description) {
+    if (files.length === 0) return;
+
+    const backups = new Map();
+    for (const file of files) {
+      backups.set(file, fs.existsSync(file) ? await fs.readFile(file) : null);
+    }
+
+    this.addAction(async () => {
+      for (const [file, contents] of backups) {
+        if (contents === null) {
+          await fs.remove(file);
+        } else {
+          await fs.outputFile(file, contents);
+        }
+      }
+    }, description);
+  }
+
+  /**
+   * Moves an existing directory aside, next to it, so it can be replaced.
+   * Rollback moves it back; commit() deletes it.
+   * @param {string} dir - Directory to replace
+   * @returns {Promise<string>} - Where the original contents are kept
+   */
+  async backupDirectory(dir) {
+    const backupDir = path.join(path.dirname(dir), `.${path.basename(dir)}.rvb-backup-${process.pid}`);
+    await fs.move(dir, backupDir, { overwrite: true });
+    this.backupDirs.push(backupDir);
+
+    this.addAction(async () => {
+      await fs.remove(dir);
+      await fs.move(backupDir, dir);
+    }, `Restore the original ${path.basename(dir)} directory (kept in ${backupDir})`);
+
+    return backupDir;
+  }
+
+  /**
+   * Rolls back when the process is interrupted (Ctrl+C) or terminated,
+   * then exits with the conventional 128 + signal number code.
+   * The handlers are removed once the manager completes.
+   */
+  handleSignals() {
+    if (this.signalHandler) return;
+
+    this.signalHandler = async (signal) => {
+      if (this.running || this.completed) return;
+      console.log(chalk.yellow(`\n⚠️  Interrupted (${signal})`));
+      writeDebugLog(`Interrupted (${signal})`);
+      await this.execute();
+      if (getDebugLogFile()) {
+        console.log(chalk.gray(`📝 Debug log: ${getDebugLogFile()}`));
+      }
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    process.on('SIGINT', this.signalHandler);
+    process.on('SIGTERM', this.signalHandler);
+  }
+
+  /**
+   * Removes the signal handlers installed by handleSignals()
+   */
+  removeSignalHandlers() {
+    if (!this.signalHandler) return;
+    process.removeListener('SIGINT', this.signalHandler);
+    process.removeListener('SIGTERM', this.signalHandler);
+    this.signalHandler = null;
+  }
+
+  /**
+   * Runs one rollback action, reporting failures without stopping
+   * @param {Object} entry - { action, description }
+   */
+  async runAction({ action, description }) {
+    try {
+      console.log(chalk.gray(`  • ${description}`));
+      await action();
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Failed to rollback: ${description}`));
+      console.log(chalk.red(`    ${error.message}`));
+    }
+  }
+
+  /**
+   * Executes all rollback actions in reverse order. Concurrent calls (a failing
+   * step and a signal) wait for the same run.
+   * @returns {Promise<void>}
    */
   async execute() {
-    if (this.completed) return;
-    this.completed = true;
+    if (!this.running) {
+      if (this.completed) return;
+      this.completed = true;
+      this.running = this.runActions();
+    }
+
+    await this.running;
+    this.removeSignalHandlers();
+  }
 
-    console.log(chalk.yellow('\\n🔄 Rolling back changes...'));
-    
+  /**
+   * Runs the recorded actions, last one first
+   * @returns {Promise<void>}
+   */
+  async runActions() {
+    if (this.actions.length === 0) return;
+
+    console.log(chalk.yellow('\n🔄 Rolling back changes...'));
     for (let i = this.actions.length - 1; i >= 0; i--) {
-      const { action, description } = this.actions[i];
-      try {
-        console.log(chalk.gray(`  • ${description}`));
-        await action();
-      } catch (error) {
-        console.log(chalk.red(`  ✗ Failed to rollback: ${description}`));
-        console.log(chalk.red(`    ${error.message}`));
-      }
+      await this.runAction(this.actions[i]);
     }
-    
-    console.log(chalk.yellow('Rollback completed.\\n'));
+    console.log(chalk.yellow('Rollback completed.\n'));
   }
 
   /**
@@ -73,28 +205,60 @@ class RollbackManager {
    */
   markCompleted() {
     this.completed = true;
+    this.removeSignalHandlers();
+  }
+
+  /**
+   * Keeps every change: marks rollback as completed and deletes the backups
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.markCompleted();
+    for (const backupDir of this.backupDirs) {
+      await fs.remove(backupDir);
+    }
+    this.backupDirs = [];
   }
 }
 
 /**
- * Creates a project rollback manager
- * @param {string} projectPath - Path to the project directory
- * @returns {RollbackManager}
+ * Lists the suggestions for an error: from its context when it names the
+ * exact problem (missing packages, a classified install failure, failed
+ * scripts), otherwise the fix of its error code
+ * @param {BoilerplateError} error - The error
+ * @returns {string[]}
  */
-function createProjectRollback(projectPath) {
-  const rollback = new RollbackManager();
-  
-  // Add directory cleanup
-  rollback.addAction(
-    async () => {
-      if (fs.existsSync(projectPath)) {
-        await fs.remove(projectPath);
+function getSuggestions(error) {
+  const { context = {} } = error;
+
+  switch (error.type) {
+    case ERROR_TYPES.NETWORK:
+      // Offline mode found packages that are not in the local cache
+      if (context.missing) {
+        return [
+          'Run the same command once without --offline to fill the package cache',
+          ...(context.manager === 'npm' ? [`Or cache them directly: npm cache add ${context.missing.join(' ')}`] : [])
+        ];
+      }
+      break;
+
+    case ERROR_TYPES.PACKAGE_MANAGER:
+      // Failed installs are classified from their output
+      if (context.failure) {
+        return getInstallFailureSuggestions(context.failure, context);
       }
-    },
-    `Remove project directory: ${path.basename(projectPath)}`
-  );
+      break;
+
+    case ERROR_TYPES.VERIFICATION:
+      return [
+        ...(context.failed || []).map(({ command }) => `Re-run in ${context.directory}: ${command}`),
+        'The project was kept so you can fix the errors above',
+        'If the errors come from an unmodified template, please report them'
+      ];
+  }
 
-  return rollback;
+  const entry = getErrorCode(error.code);
+  return entry ? entry.fix : [];
 }
 
 /**
@@ -104,81 +268,73 @@ function createProjectRollback(projectPath) {
  */
 function formatErrorMessage(error) {
   let message = chalk.red('✗ Error: ') + error.message;
-  
-  // Add specific suggestions based on error type
+
+  // Add specific suggestions based on error code and context
   if (error instanceof BoilerplateError) {
-    switch (error.type) {
-      case ERROR_TYPES.NETWORK:
-        message += '\\n\\n' + chalk.yellow('💡 Suggestions:');
-        message += '\\n  • Check your internet connection';
-        message += '\\n  • Try using a different network';
-        message += '\\n  • Use --offline flag if available';
-        break;
-        
-      case ERROR_TYPES.PACKAGE_MANAGER:
-        message += '\\n\\n' + chalk.yellow('💡 Suggestions:');
-        message += '\\n  • Try using a different package manager with --pm flag';
-        message += '\\n  • Clear package manager cache';
-        message += '\\n  • Check if package manager is properly installed';
-        if (error.context.manager) {
-          message += `\\n  • Try: ${error.context.manager} cache clean --force`;
-        }
-        break;
-        
-      case ERROR_TYPES.FILESYSTEM:
-        message += '\\n\\n' + chalk.yellow('💡 Suggestions:');
-        message += '\\n  • Check file permissions';
-        message += '\\n  • Ensure you have write access to the directory';
-        message += '\\n  • Try running with elevated permissions';
-        break;
-        
-      case ERROR_TYPES.VALIDATION:
-        message += '\\n\\n' + chalk.yellow('💡 Suggestions:');
-        message += '\\n  • Use only letters, numbers, hyphens, and underscores';
-        message += '\\n  • Start with a letter or number';
-        message += '\\n  • Avoid reserved words';
-        break;
+    const suggestions = getSuggestions(error);
+    if (suggestions.length > 0) {
+      message += '\n\n' + chalk.yellow('💡 Suggestions:');
+      for (const suggestion of suggestions) {
+        message += `\n  • ${suggestion}`;
+      }
     }
+
+    message += '\n\n' + chalk.gray(`Error code ${error.code}: run "react-vite-boilerplate explain ${error.code}" or see ${getDocsUrl(error.code)}`);
   }
-  
+
   // Add general troubleshooting
-  message += '\\n\\n' + chalk.gray('For more help, visit: https://github.com/yourusername/react-vite-boilerplate/issues');
-  
+  message += '\n' + chalk.gray(`For more help, visit: ${ISSUES_URL}`);
+
   return message;
 }
 
 /**
- * Handles errors gracefully with rollback and logging
+ * Handles errors gracefully with rollback and logging, then exits with the
+ * exit code of the error's category
  * @param {Error} error - The error to handle
  * @param {RollbackManager} rollback - Rollback manager instance
- * @param {Object} options - Options for error handling
+ * @param {Object} options - Options for error handling (verbose, exitProcess, json)
  */
 async function handleError(error, rollback = null, options = {}) {
-  const { verbose = false, exitProcess = true } = options;
+  const { verbose = false, exitProcess = true, json = false } = options;
 
   // Execute rollback if provided
   if (rollback) {
     await rollback.execute();
   }
 
+  // The debug log gets the full error, whatever is printed below
+  logError(error);
+  const logFile = getDebugLogFile();
+
+  // Machine readable result on stdout, details below go to stderr
+  if (json) {
+    printJson({ success: false, error: serializeError(error), ...(logFile ? { logFile } : {}) });
+  }
+
   // Format and display error
   const formattedMessage = formatErrorMessage(error);
-  console.log('\\n' + formattedMessage);
+  console.log('\n' + formattedMessage);
 
   // Log detailed error in verbose mode
   if (verbose && error.stack) {
-    console.log('\\n' + chalk.gray('Stack trace:'));
+    console.log('\n' + chalk.gray('Stack trace:'));
     console.log(chalk.gray(error.stack));
   }
 
   // Log context if available
   if (error.context && Object.keys(error.context).length > 0) {
-    console.log('\\n' + chalk.gray('Error context:'));
+    console.log('\n' + chalk.gray('Error context:'));
     console.log(chalk.gray(JSON.stringify(error.context, null, 2)));
   }
 
+  if (logFile) {
+    console.log('\n' + chalk.gray(`📝 Debug log: ${logFile} (attach it to bug reports)`));
+  }
+
+  // The exit code tells scripts the category of the error
   if (exitProcess) {
-    process.exit(1);
+    process.exit(getExitCode(error instanceof BoilerplateError ? error.type : ERROR_TYPES.UNKNOWN));
   }
 }
 
@@ -203,7 +359,6 @@ module.exports = {
   ERROR_TYPES,
   BoilerplateError,
   RollbackManager,
-  createProjectRollback,
   formatErrorMessage,
   handleError,
   withErrorHandling
@@ -0,0 +1,139 @@
+/**
+ * Known causes of failed installs, recognised from the package manager output.
+ * Order matters: the first match wins, so specific codes come before the
+ * generic network errors they are often reported with.
+ *
+ * code: the error code of the failure (see lib/error-codes.js)
+ * transient: worth retrying with the same package manager
+ * fallback: another package manager may succeed (not for credentials,
+ *   permissions or an incomplete offline cache, which affect all of them)
+ */
+const INSTALL_FAILURES = [
+  {
+    type: 'offline',
+    code: 'RVB_E_INSTALL_OFFLINE',
+    title: 'a package is missing from the offline cache',
+    pattern: /ENOTCACHED|ERR_PNPM_NO_OFFLINE_(META|TARBALL)|only-if-cached|YN0080/i,
+    transient: false,
+    fallback: false
+  },
+  {
+    type: 'auth',
+    code: 'RVB_E_INSTALL_AUTH',
+    title: 'the registry rejected the credentials',
+    pattern: /\bE40[13]\b|\b40[13] (Unauthorized|Forbidden)\b|ERR_PNPM_FETCH_40[13]|YN0041|authentication token/i,
+    transient: false,
+    fallback: false
+  },
+  {
+    type: 'permission',
+    code: 'RVB_E_INSTALL_PERMISSION',
+    title: 'permission denied',
+    pattern: /\bEACCES\b|\bEPERM\b|permission denied/i,
+    transient: false,
+    fallback: false
+  },
+  {
+    type: 'integrity',
+    code: 'RVB_E_INSTALL_INTEGRITY',
+    title: 'a downloaded package failed its integrity check',
+    pattern: /EINTEGRITY|integrity checksum failed|ERR_PNPM_TARBALL_INTEGRITY|integrity check failed|YN0018/i,
+    transient: false,
+    fallback: true
+  },
+  {
+    type: 'peer',
+    code: 'RVB_E_INSTALL_PEER',
+    title: 'conflicting peer dependencies',
+    pattern: /ERESOLVE|ERR_PNPM_PEER_DEP_ISSUES|conflicting peer dependency|YN0060/i,
+    transient: false,
+    fallback: true
+  },
+  {
+    type: 'network',
+    code: 'RVB_E_INSTALL_NETWORK',
+    title: 'the registry could not be reached',
+    pattern: /ETIMEDOUT|ESOCKETTIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|socket hang up|network timeout|ERR_SOCKET_TIMEOUT|ERR_PNPM_META_FETCH_FAIL/i,
+    transient: true,
+    fallback: true
+  }
+];
+
+const UNKNOWN_FAILURE = {
+  type: 'unknown',
+  code: 'RVB_E_INSTALL_FAILED',
+  title: 'the package manager reported an error',
+  transient: false,
+  fallback: true
+};
+
+/**
+ * Recognises why an install failed
+ * @param {string} output - Captured stdout and stderr
+ * @returns {Object} - { type, code, title, transient, fallback }
+ */
+function classifyInstallFailure(output = '') {
+  const failure = INSTALL_FAILURES.find(candidate => candidate.pattern.test(output)) || UNKNOWN_FAILURE;
+  const { pattern, ...result } = failure;
+  return result;
+}
+
+/**
+ * Suggestions for a classified install failure
+ * @param {string} type - Failure type from classifyInstallFailure
+ * @param {Object} context - { manager, cacheCleanCommand }: the manager that failed
+ *   and the command that clears its cache
+ * @returns {string[]}
+ */
+function getInstallFailureSuggestions(type, context = {}) {
+  const { manager = 'npm', cacheCleanCommand = `${manager} cache clean --force` } = context;
+
+  switch (type) {
+    case 'offline':
+      return [
+        'Run the same command once without --offline to fill the package cache',
+        'Check that the package names and versions in package.json exist'
+      ];
+    case 'auth':
+      return [
+        'Check the registry auth token in .npmrc (or .yarnrc.yml for Yarn 2+)',
+        `Log in to the registry: ${manager === 'yarn' ? 'yarn npm login' : 'npm login'}`,
+        'Make sure your account can read the scoped packages being installed'
+      ];
+    case 'permission':
+      return [
+        'Make sure you own the package cache and the project directory',
+        'Do not install with sudo; fix the ownership instead (e.g. sudo chown -R "$(whoami)" ~/.npm)',
+        'Close editors or processes that may lock files in node_modules'
+      ];
+    case 'integrity':
+      return [
+        `Clear the package cache: ${cacheCleanCommand}`,
+        'Delete the lockfile entry of the failing package and install again'
+      ];
+    case 'peer':
+      return [
+        'Align the versions of the packages named in the output above',
+        ...(manager === 'npm' ? ['Or accept the conflict: npm install --legacy-peer-deps'] : []),
+        'Try another package manager with --pm or --fallback-pm'
+      ];
+    case 'network':
+      return [
+        'Check your internet connection and proxy settings (HTTPS_PROXY)',
+        'Run "react-vite-boilerplate doctor" to test the registry',
+        'Install from the package cache with --offline'
+      ];
+    default:
+      return [
+        'Try using a different package manager with --pm flag',
+        `Clear the package cache: ${cacheCleanCommand}`,
+        'Check if package manager is properly installed'
+      ];
+  }
+}
+
+module.exports = {
+  INSTALL_FAILURES,
+  classifyInstallFailure,
+  getInstallFailureSuggestions
+};
@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { STATE_DIR } = require('./project-state');
+const { getGitCommands } = require('./plan');
+const { getInstallCommand, getRunCommand } = require('./package-managers');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { writeDebugLog } = require('./debug-log');
+
+const JOURNAL_FILE = 'journal.json';
+
+/**
+ * Steps that run once the project files are written, in order
+ */
+const JOURNAL_STEPS = ['install', 'git', 'verify'];
+
+/**
+ * Gets the path of a project's journal
+ * @param {string} projectDir - Project directory
+ * @returns {string}
+ */
+function getJournalPath(projectDir) {
+  return path.join(projectDir, STATE_DIR, JOURNAL_FILE);
+}
+
+/**
+ * Writes the journal of a project being created. It records everything needed
+ * to run the remaining steps later: package manager, offline mode, git options,
+ * workspace root and the status of each step ('pending', 'completed', 'skipped').
+ * A .gitignore next to it keeps it out of the initial commit, which runs while
+ * the journal still exists.
+ * @param {string} projectDir - Project directory
+ * @param {Object} journal - { projectName, packageManager, offline, git, workspaceRoot, steps }
+ * @returns {Promise<Object>} - The journal that was written
+ */
+async function writeJournal(projectDir, journal) {
+  const data = { ...journal, updatedAt: new Date().toISOString() };
+  await fs.outputJson(getJournalPath(projectDir), data, { spaces: 2 });
+  const gitignorePath = path.join(projectDir, STATE_DIR, '.gitignore');
+  if (!fs.existsSync(gitignorePath)) {
+    await fs.writeFile(gitignorePath, `${JOURNAL_FILE}\n`);
+  }
+  return data;
+}
+
+/**
+ * Reads the journal of a project whose creation did not finish
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} - Journal, or null when there is nothing to resume
+ */
+function readJournal(projectDir) {
+  const journalPath = getJournalPath(projectDir);
+  if (!fs.existsSync(journalPath)) return null;
+
+  try {
+    return fs.readJsonSync(journalPath);
+  } catch (error) {
+    throw new BoilerplateError(
+      `Corrupted journal in ${journalPath}: ${error.message}`,
+      ERROR_TYPES.FILESYSTEM,
+      { journalPath },
+      'RVB_E_STATE_CORRUPTED'
+    );
+  }
+}
+
+/**
+ * Records the outcome of a step, in the journal and the debug log
+ * @param {string} projectDir - Project directory
+ * @param {Object} journal - Current journal
+ * @param {string} step - One of JOURNAL_STEPS
+ * @param {string} status - 'completed', 'skipped' or 'failed'
+ * @returns {Promise<Object>} - Updated journal
+ */
+async function updateJournalStep(projectDir, journal, step, status) {
+  writeDebugLog(`Step ${step}: ${status}`);
+  return writeJournal(projectDir, { ...journal, steps: { ...journal.steps, [step]: status } });
+}
+
+/**
+ * Removes the journal once every step has run
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<void>}
+ */
+async function removeJournal(projectDir) {
+  await fs.remove(getJournalPath(projectDir));
+}
+
+/**
+ * Lists the steps that still have to run
+ * @param {Object} journal - Journal
+ * @returns {string[]}
+ */
+function getPendingSteps(journal) {
+  return JOURNAL_STEPS.filter(step => journal.steps[step] === 'pending');
+}
+
+/**
+ * Lists the commands that would finish a project by hand
+ * @param {string} projectDir - Project directory
+ * @param {Object} journal - Journal
+ * @param {string[]} verifyScripts - package.json scripts run by the verify step
+ * @returns {Object[]} - { step, command, args, cwd }
+ */
+function getRemainingCommands(projectDir, journal, verifyScripts = []) {
+  const { steps, packageManager, offline = false, git = {}, workspaceRoot = null } = journal;
+  const commands = [];
+
+  if (steps.install === 'pending') {
+    commands.push({ step: 'install', ...getInstallCommand(packageManager, { offline }), cwd: workspaceRoot || projectDir });
+  }
+  if (steps.git === 'pending') {
+    commands.push(...getGitCommands(git).map(command => ({ step: 'git', ...command, cwd: projectDir })));
+  }
+  if (steps.verify === 'pending') {
+    commands.push(...verifyScripts.map(script => ({ step: 'verify', ...getRunCommand(packageManager, script), cwd: projectDir })));
+  }
+
+  return commands;
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  JOURNAL_STEPS,
+  getJournalPath,
+  writeJournal,
+  readJournal,
+  updateJournalStep,
+  removeJournal,
+  getPendingSteps,
+  getRemainingCommands
+};
@@ -1,105 +1,389 @@
-const { spawn } = require('cross-spawn');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { writeDebugLog } = require('./debug-log');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// Error codes raised before a TCP connection exists
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NONAME'];
+const TLS_ERROR = /CERT|SSL|TLS|UNABLE_TO_(GET|VERIFY)|SELF_SIGNED|EPROTO/;
 
 /**
- * Checks network connectivity by pinging a reliable host
- * @param {Object} options - Options for connectivity check
- * @returns {Promise<boolean>}
+ * Reads the registry setting from an .npmrc / .yarnrc / pnpm rc file (ini)
+ * or a .yarnrc.yml file. ${VAR} references are expanded like npm does.
+ * @param {string} file - Config file path
+ * @param {Object} env - Environment variables
+ * @returns {string|null}
  */
-async function checkNetworkConnectivity(options = {}) {
-  const { timeout = 5000, host = 'registry.npmjs.org' } = options;
+function readRegistryFromFile(file, env) {
+  if (!fs.existsSync(file)) return null;
 
-  return new Promise((resolve) => {
-    const isWindows = process.platform === 'win32';
-    const pingCommand = isWindows ? 'ping' : 'ping';
-    const pingArgs = isWindows 
-      ? ['-n', '1', '-w', timeout.toString(), host]
-      : ['-c', '1', '-W', (timeout / 1000).toString(), host];
-
-    const child = spawn(pingCommand, pingArgs, { stdio: 'pipe' });
-    
-    const timer = setTimeout(() => {
-      child.kill();
-      resolve(false);
-    }, timeout);
+  const pattern = file.endsWith('.yml')
+    ? /^\s*npmRegistryServer\s*:\s*["']?([^"'\s#]+)/m
+    : file.endsWith('.yarnrc')
+      ? /^\s*registry\s+["']?([^"'\s]+)/m
+      : /^\s*registry\s*=\s*["']?([^"'\s;#]+)/m;
+  const match = fs.readFileSync(file, 'utf8').match(pattern);
+  return match ? match[1].replace(/\$\{(\w+)\}/g, (reference, name) => env[name] || '') : null;
+}
 
-    child.on('close', (code) => {
-      clearTimeout(timer);
-      resolve(code === 0);
-    });
+/**
+ * Gets pnpm's global rc file
+ * @param {Object} env - Environment variables
+ * @param {string} homeDir - Home directory
+ * @returns {string}
+ */
+function getPnpmGlobalConfig(env, homeDir) {
+  if (process.platform === 'win32' && env.LOCALAPPDATA) {
+    return path.join(env.LOCALAPPDATA, 'pnpm', 'config', 'rc');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homeDir, 'Library', 'Preferences', 'pnpm', 'rc');
+  }
+  return path.join(env.XDG_CONFIG_HOME || path.join(homeDir, '.config'), 'pnpm', 'rc');
+}
 
-    child.on('error', () => {
-      clearTimeout(timer);
-      resolve(false);
+/**
+ * Works out the registry a package manager installs from. Environment variables win,
+ * then config files from the directory up to the filesystem root, then the home directory.
+ *  - npm, bun: npm_config_registry, .npmrc
+ *  - pnpm: npm_config_registry, .npmrc, pnpm's global rc
+ *  - yarn: YARN_NPM_REGISTRY_SERVER, .yarnrc.yml (berry), .yarnrc (classic), .npmrc
+ * @param {Object} options - { cwd, packageManager, env, homeDir }
+ * @returns {Object} - { url, source } where source is the variable or file the URL came from
+ */
+function getRegistryUrl(options = {}) {
+  const {
+    cwd = process.cwd(),
+    packageManager = 'npm',
+    env = process.env,
+    homeDir = os.homedir()
+  } = options;
+
+  const variables = packageManager === 'yarn'
+    ? ['YARN_NPM_REGISTRY_SERVER', 'YARN_REGISTRY', 'npm_config_registry', 'NPM_CONFIG_REGISTRY']
+    : ['npm_config_registry', 'NPM_CONFIG_REGISTRY'];
+  for (const name of variables) {
+    if (env[name]) return { url: env[name], source: name };
+  }
+
+  const fileNames = packageManager === 'yarn' ? ['.yarnrc.yml', '.yarnrc', '.npmrc'] : ['.npmrc'];
+  const dirs = [];
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    dirs.push(dir);
+    if (path.dirname(dir) === dir) break;
+  }
+  if (!dirs.includes(homeDir)) dirs.push(homeDir);
+
+  const files = dirs.flatMap(dir => fileNames.map(name => path.join(dir, name)));
+  if (packageManager === 'pnpm') {
+    files.push(getPnpmGlobalConfig(env, homeDir));
+  }
+
+  for (const file of files) {
+    const url = readRegistryFromFile(file, env);
+    if (url) return { url, source: file };
+  }
+
+  return { url: DEFAULT_REGISTRY, source: 'default' };
+}
+
+/**
+ * Picks the proxy for a URL from HTTP_PROXY / HTTPS_PROXY, unless NO_PROXY matches its host
+ * @param {string} url - Target URL
+ * @param {Object} environment - Result of getNetworkEnvironment
+ * @returns {string|null} - Proxy URL
+ */
+function getProxyForUrl(url, environment = getNetworkEnvironment()) {
+  const target = new URL(url);
+  const proxy = target.protocol === 'https:'
+    ? environment.httpsProxy || environment.proxy
+    : environment.proxy;
+  if (!proxy) return null;
+
+  const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+  const bypassed = (environment.noProxy || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === '*') return true;
+      const [, pattern, entryPort] = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+      if (entryPort && entryPort !== port) return false;
+      const domain = pattern.replace(/^\*?\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
     });
-  });
+
+  return bypassed ? null : proxy;
 }
 
 /**
- * Checks if npm registry is accessible
- * @param {Object} options - Options for registry check
- * @returns {Promise<boolean>}
+ * Removes credentials from a URL before it is shown or logged
+ * @param {string} url - URL
+ * @returns {string}
  */
-async function checkNpmRegistry(options = {}) {
-  const { timeout = 10000, registry = 'https://registry.npmjs.org' } = options;
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.username && !parsed.password) return url;
+    parsed.username = '***';
+    parsed.password = '';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Explains a failed probe in one sentence
+ * @param {Object} probe - Result of probeRegistry
+ * @returns {string}
+ */
+function describeProbeFailure(probe) {
+  const registry = new URL(probe.registry).host;
+  const detail = probe.error ? ` (${probe.error})` : '';
+  switch (probe.hop) {
+    case 'proxy':
+      return probe.status
+        ? `Proxy ${probe.proxy} refused the connection to ${registry} with HTTP ${probe.status}`
+        : `Cannot connect to proxy ${probe.proxy}${detail}`;
+    case 'dns':
+      return `Cannot resolve ${registry}${detail}`;
+    case 'connect':
+      return probe.proxy
+        ? `Proxy ${probe.proxy} cannot reach ${registry}${detail}`
+        : `Cannot connect to ${registry}${detail}`;
+    case 'tls':
+      return `TLS handshake with ${registry} failed${detail}`;
+    case 'http':
+      return `Registry ${registry} answered HTTP ${probe.status}`;
+    default:
+      return `Registry ${registry} did not answer${detail}`;
+  }
+}
+
+/**
+ * Sends a HEAD request to a package registry, directly or through the configured proxy.
+ * The result names the hop that failed:
+ *  - proxy: the proxy cannot be reached or refused the tunnel
+ *  - dns: the registry host name does not resolve
+ *  - connect: no TCP connection to the registry (or the proxy could not open one)
+ *  - tls: the TLS handshake failed (often an intercepting proxy without NODE_EXTRA_CA_CERTS)
+ *  - http: the registry answered with a server error
+ * @param {Object} options - { registry, timeout, environment, lookup }
+ * @returns {Promise<Object>} - { ok, registry, proxy (without credentials), hop, status, error, message, duration }
+ */
+function probeRegistry(options = {}) {
+  const {
+    registry = getRegistryUrl().url,
+    timeout = 5000,
+    environment = getNetworkEnvironment(),
+    lookup
+  } = options;
+
+  const target = new URL(registry);
+  const isHttps = target.protocol === 'https:';
+  const port = Number(target.port) || (isHttps ? 443 : 80);
+  const proxy = getProxyForUrl(registry, environment);
+  const proxyUrl = proxy ? new URL(proxy) : null;
+  const startedAt = Date.now();
 
   return new Promise((resolve) => {
-    const child = spawn('npm', ['ping', '--registry', registry], { 
-      stdio: 'pipe',
-      timeout 
-    });
+    // The hop in progress, blamed when an error or the timeout hits
+    let hop = proxyUrl ? 'proxy' : 'dns';
+    let settled = false;
+    const sockets = [];
+
+    const finish = (fields) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      sockets.forEach(socket => socket.destroy());
+      const probe = {
+        ok: false,
+        registry,
+        proxy: proxy ? redactUrl(proxy) : null,
+        hop: null,
+        status: null,
+        error: null,
+        duration: Date.now() - startedAt,
+        ...fields
+      };
+      probe.message = probe.ok
+        ? `${target.host} answered HTTP ${probe.status} in ${probe.duration} ms`
+        : describeProbeFailure(probe);
+      resolve(probe);
+    };
+
+    const fail = (error) => {
+      const code = error.code || error.message;
+      let failedHop = hop;
+      if (hop === 'dns' && !DNS_ERRORS.includes(error.code)) failedHop = 'connect';
+      if (TLS_ERROR.test(code)) failedHop = 'tls';
+      finish({ hop: failedHop, error: code });
+    };
+
+    const timer = setTimeout(() => {
+      finish({ hop, error: `timed out after ${timeout} ms` });
+    }, timeout);
+
+    const track = (socket) => {
+      sockets.push(socket);
+      socket.on('lookup', (error) => {
+        if (!error && hop === 'dns') hop = 'connect';
+      });
+      socket.on('secureConnect', () => {
+        hop = 'http';
+      });
+      return socket;
+    };
+
+    const onResponse = (response) => {
+      response.resume();
+      // Proxies answer 502/504 when they cannot reach the registry
+      if (proxyUrl && !isHttps && [502, 503, 504].includes(response.statusCode)) {
+        finish({ hop: 'connect', status: response.statusCode, error: `proxy answered HTTP ${response.statusCode}` });
+      } else if (proxyUrl && !isHttps && response.statusCode === 407) {
+        finish({ hop: 'proxy', status: 407 });
+      } else if (response.statusCode >= 500) {
+        finish({ hop: 'http', status: response.statusCode });
+      } else {
+        // 4xx still proves the registry is reachable (private registries may answer 401)
+        finish({ ok: true, status: response.statusCode });
+      }
+    };
+
+    const proxyHeaders = {};
+    if (proxyUrl && (proxyUrl.username || proxyUrl.password)) {
+      const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+      proxyHeaders['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const requestOptions = {
+      method: 'HEAD',
+      path: `${target.pathname}${target.search}`,
+      headers: { 'User-Agent': 'react-vite-boilerplate', Accept: 'application/json' },
+      lookup
+    };
 
-    child.on('close', (code) => {
-      resolve(code === 0);
+    if (!proxyUrl) {
+      const request = (isHttps ? https : http).request({
+        ...requestOptions,
+        hostname: target.hostname,
+        port,
+        agent: false,
+        servername: target.hostname
+      }, onResponse);
+      request.on('socket', (socket) => {
+        track(socket);
+        if (!isHttps) socket.on('connect', () => { hop = 'http'; });
+      });
+      request.on('error', fail);
+      request.end();
+      return;
+    }
+
+    const proxyPort = Number(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80);
+    const proxyModule = proxyUrl.protocol === 'https:' ? https : http;
+
+    if (!isHttps) {
+      // Plain HTTP goes through the proxy with an absolute URL
+      const request = proxyModule.request({
+        ...requestOptions,
+        hostname: proxyUrl.hostname,
+        port: proxyPort,
+        path: target.toString(),
+        headers: { ...requestOptions.headers, ...proxyHeaders, Host: target.host },
+        agent: false
+      }, onResponse);
+      request.on('socket', (socket) => {
+        track(socket);
+        socket.on('connect', () => { hop = 'connect'; });
+      });
+      request.on('error', fail);
+      request.end();
+      return;
+    }
+
+    // HTTPS is tunnelled with CONNECT, then the TLS handshake runs end to end
+    const connectRequest = proxyModule.request({
+      method: 'CONNECT',
+      hostname: proxyUrl.hostname,
+      port: proxyPort,
+      path: `${target.hostname}:${port}`,
+      headers: { ...proxyHeaders, Host: `${target.hostname}:${port}` },
+      agent: false,
+      lookup
     });
+    connectRequest.on('socket', (socket) => {
+      track(socket);
+      socket.on('connect', () => { hop = 'connect'; });
+    });
+    connectRequest.on('connect', (response, socket) => {
+      track(socket);
+      if (response.statusCode === 407) {
+        finish({ hop: 'proxy', status: 407 });
+        return;
+      }
+      if (response.statusCode !== 200) {
+        finish({ hop: 'connect', status: response.statusCode, error: `proxy answered HTTP ${response.statusCode} to CONNECT` });
+        return;
+      }
 
-    child.on('error', () => {
-      resolve(false);
+      hop = 'tls';
+      const request = https.request({
+        ...requestOptions,
+        hostname: target.hostname,
+        port,
+        // Without an agent, Node uses createConnection instead of opening its own socket
+        createConnection: () => track(tls.connect({ socket, servername: target.hostname }))
+      }, onResponse);
+      request.on('error', fail);
+      request.end();
     });
+    connectRequest.on('error', fail);
+    connectRequest.end();
   });
 }
 
 /**
  * Comprehensive network check for package installation
- * @param {Object} options - Options for network checks
- * @returns {Promise<Object>}
+ * @param {Object} options - { verbose, packageManager, cwd, timeout }
+ * @returns {Promise<Object>} - { internet, npmRegistry, canInstallPackages, registry, probe }
  */
 async function performNetworkChecks(options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, packageManager = 'npm', cwd = process.cwd(), timeout } = options;
   
   if (verbose) {
     console.log('🔍 Checking network connectivity...');
   }
 
+  const registry = getRegistryUrl({ cwd, packageManager });
+  const probe = await probeRegistry({ registry: registry.url, timeout });
+
+  // A TLS or HTTP failure still means the network reached the registry host
   const results = {
-    internet: false,
-    npmRegistry: false,
-    canInstallPackages: false
+    internet: probe.ok || ['tls', 'http'].includes(probe.hop),
+    npmRegistry: probe.ok,
+    canInstallPackages: probe.ok,
+    registry,
+    probe
   };
 
-  try {
-    // Check basic internet connectivity
-    results.internet = await checkNetworkConnectivity();
-    
-    if (results.internet) {
-      // Check npm registry specifically
-      results.npmRegistry = await checkNpmRegistry();
-    }
-
-    results.canInstallPackages = results.internet && results.npmRegistry;
-
-    if (verbose) {
-      console.log(`  • Internet connectivity: ${results.internet ? '✓' : '✗'}`);
-      console.log(`  • NPM registry access: ${results.npmRegistry ? '✓' : '✗'}`);
-    }
-
-    return results;
-  } catch (error) {
-    if (verbose) {
-      console.log('  • Network check failed:', error.message);
+  if (verbose) {
+    console.log(`  • Registry: ${redactUrl(registry.url)} (${registry.source})`);
+    if (probe.proxy) {
+      console.log(`  • Proxy: ${probe.proxy}`);
     }
-    return results;
+    console.log(`  • Registry access: ${probe.ok ? '✓' : '✗'} ${probe.message}`);
   }
+
+  return results;
 }
 
 /**
@@ -108,7 +392,7 @@ async function performNetworkChecks(options = {}) {
  * @throws {BoilerplateError} If network is not available
  */
 async function ensureNetworkConnectivity(options = {}) {
-  const { skipCheck = false, verbose = false } = options;
+  const { skipCheck = false, verbose = false, packageManager, cwd } = options;
   
   if (skipCheck) {
     if (verbose) {
@@ -117,17 +401,21 @@ async function ensureNetworkConnectivity(options = {}) {
     return;
   }
 
-  const networkStatus = await performNetworkChecks({ verbose });
+  const networkStatus = await performNetworkChecks({ verbose, packageManager, cwd });
+  writeDebugLog(`Registry ${redactUrl(networkStatus.probe.registry)}: ${networkStatus.canInstallPackages ? 'reachable' : networkStatus.probe.message}`);
 
   if (!networkStatus.canInstallPackages) {
-    const errorMessage = !networkStatus.internet 
-      ? 'No internet connection detected'
-      : 'Cannot access npm registry';
-      
+    const { probe } = networkStatus;
     throw new BoilerplateError(
-      `${errorMessage}. Package installation will fail.`,
+      `${probe.message}. Package installation will fail.`,
       ERROR_TYPES.NETWORK,
-      { networkStatus }
+      {
+        registry: redactUrl(probe.registry),
+        proxy: probe.proxy,
+        hop: probe.hop,
+        networkStatus
+      },
+      'RVB_E_REGISTRY_UNREACHABLE'
     );
   }
 
@@ -153,8 +441,8 @@ function isOfflineMode() {
 function getNetworkEnvironment() {
   return {
     offline: isOfflineMode(),
-    proxy: process.env.HTTP_PROXY || process.env.http_proxy,
-    httpsProxy: process.env.HTTPS_PROXY || process.env.https_proxy,
+    proxy: process.env.HTTP_PROXY || process.env.http_proxy || process.env.npm_config_proxy,
+    httpsProxy: process.env.HTTPS_PROXY || process.env.https_proxy || process.env.npm_config_https_proxy,
     noProxy: process.env.NO_PROXY || process.env.no_proxy,
     npmRegistry: process.env.npm_config_registry,
     userAgent: process.env.npm_config_user_agent
@@ -162,8 +450,11 @@ function getNetworkEnvironment() {
 }
 
 module.exports = {
-  checkNetworkConnectivity,
-  checkNpmRegistry,
+  DEFAULT_REGISTRY,
+  getRegistryUrl,
+  getProxyForUrl,
+  redactUrl,
+  probeRegistry,
   performNetworkChecks,
   ensureNetworkConnectivity,
   isOfflineMode,
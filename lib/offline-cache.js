@@ -0,0 +1,229 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { runCommand, isYarnBerry, getPackageManagerVersion } = require('./package-managers');
+
+// Key prefix of HTTP responses in npm's cacache index
+const NPM_CACHE_KEY_PREFIX = 'make-fetch-happen:request-cache:';
+
+/**
+ * Recursively lists the files below a directory
+ * @param {string} dir - Directory
+ * @returns {string[]} - Absolute paths
+ */
+function walkFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(fullPath) : [fullPath];
+  });
+}
+
+/**
+ * Gets the package name from a registry metadata URL
+ * ("https://registry.npmjs.org/@types%2freact" → "@types/react").
+ * Tarball URLs return null.
+ * @param {string} url - Registry URL
+ * @returns {string|null}
+ */
+function getPackageNameFromUrl(url) {
+  let segments;
+  try {
+    segments = decodeURIComponent(new URL(url).pathname).split('/').filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+  if (segments.length === 0 || segments.includes('-')) return null;
+
+  const last = segments[segments.length - 1];
+  const scope = segments[segments.length - 2];
+  return scope && scope.startsWith('@') ? `${scope}/${last}` : last;
+}
+
+/**
+ * Reads the names of packages whose metadata is in npm's cache. Offline
+ * installs without a lockfile need the metadata to resolve version ranges.
+ * @param {string} cacheDir - npm's _cacache directory
+ * @returns {Set<string>}
+ */
+function listNpmCachedPackages(cacheDir) {
+  const names = new Set();
+  for (const file of walkFiles(path.join(cacheDir, 'index-v5'))) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      const json = line.slice(line.indexOf('\t') + 1);
+      if (!json) continue;
+      try {
+        const { key } = JSON.parse(json);
+        if (key && key.startsWith(NPM_CACHE_KEY_PREFIX)) {
+          const name = getPackageNameFromUrl(key.slice(NPM_CACHE_KEY_PREFIX.length));
+          if (name) names.add(name);
+        }
+      } catch (error) {
+        // Truncated entries are ignored by npm as well
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Checks whether a cache entry is `<prefix><version>...`
+ * @param {string} entry - File or directory name
+ * @param {string} prefix - Package-specific prefix
+ * @returns {boolean}
+ */
+function isVersionEntry(entry, prefix) {
+  return entry.startsWith(prefix) && /^\d/.test(entry.slice(prefix.length));
+}
+
+/**
+ * How each package manager lays out its cache. `list` returns the cache
+ * entries, `has` tells whether an entry belongs to a package.
+ */
+const CACHE_LAYOUTS = {
+  npm: {
+    list: cacheDir => [...listNpmCachedPackages(cacheDir)],
+    has: (entry, name) => entry === name
+  },
+  // <cache>/npm-@scope-name-1.2.3-<hash>-integrity
+  yarn: {
+    list: cacheDir => (fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []),
+    has: (entry, name) => isVersionEntry(entry, `npm-${name.replace('/', '-')}-`)
+  },
+  // <cacheFolder>/@scope-name-npm-1.2.3-<hash>.zip
+  'yarn-berry': {
+    list: cacheDir => (fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []),
+    has: (entry, name) => isVersionEntry(entry, `${name.replace('/', '-')}-npm-`)
+  },
+  // <cache-dir>/metadata*/<registry host>/@scope/name.json
+  pnpm: {
+    list: cacheDir => (fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : [])
+      .filter(entry => entry.startsWith('metadata'))
+      .flatMap(entry => walkFiles(path.join(cacheDir, entry)))
+      .map(file => path.relative(cacheDir, file).split(path.sep).slice(2).join('/').replace(/\.json$/, '')),
+    has: (entry, name) => entry === name
+  },
+  // <cache>/@scope/name@1.2.3@@@1
+  bun: {
+    list: cacheDir => (fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []).flatMap(entry => (
+      entry.startsWith('@') && fs.statSync(path.join(cacheDir, entry)).isDirectory()
+        ? fs.readdirSync(path.join(cacheDir, entry)).map(child => `${entry}/${child}`)
+        : [entry]
+    )),
+    has: (entry, name) => isVersionEntry(entry, `${name}@`)
+  }
+};
+
+/**
+ * Gets pnpm's default cache directory, used when `cache-dir` is not configured
+ * @param {Object} env - Environment variables
+ * @returns {string}
+ */
+function getDefaultPnpmCacheDir(env = process.env) {
+  if (process.platform === 'win32' && env.LOCALAPPDATA) {
+    return path.join(env.LOCALAPPDATA, 'pnpm-cache');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'pnpm');
+  }
+  return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'pnpm');
+}
+
+/**
+ * Asks a package manager where its package cache is
+ * @param {string} manager - Package manager name
+ * @param {Object} options - { cwd, version, run }
+ * @returns {Promise<Object>} - { layout, cacheDir }; cacheDir is null when it cannot be determined
+ */
+async function getPackageCacheDir(manager, options = {}) {
+  const { cwd = process.cwd(), version = null, run = runCommand } = options;
+  const query = async (command, args) => {
+    const { code, stdout } = await run(command, args, { cwd });
+    const value = stdout.trim().split('\n').pop();
+    return code === 0 && value && value !== 'undefined' ? value : null;
+  };
+
+  switch (manager) {
+    case 'npm': {
+      const cache = await query('npm', ['config', 'get', 'cache']);
+      return { layout: 'npm', cacheDir: cache ? path.join(cache, '_cacache') : null };
+    }
+    case 'yarn':
+      return isYarnBerry(version)
+        ? { layout: 'yarn-berry', cacheDir: await query('yarn', ['config', 'get', 'cacheFolder']) }
+        : { layout: 'yarn', cacheDir: await query('yarn', ['cache', 'dir']) };
+    case 'pnpm':
+      return { layout: 'pnpm', cacheDir: (await query('pnpm', ['config', 'get', 'cache-dir'])) || getDefaultPnpmCacheDir() };
+    case 'bun':
+      return { layout: 'bun', cacheDir: await query('bun', ['pm', 'cache']) };
+    default:
+      throw new Error(`Unknown package manager: ${manager}`);
+  }
+}
+
+/**
+ * Lists the packages that are not in a package manager's local cache.
+ * Only package names are checked, not versions or transitive dependencies,
+ * so a clean result means the install is likely, not certain, to succeed.
+ * @param {string[]} packages - Package names
+ * @param {Object} options - { layout, cacheDir }
+ * @returns {string[]}
+ */
+function findUncachedPackages(packages, options) {
+  const { layout, cacheDir } = options;
+  if (!cacheDir) return [...packages];
+
+  const { list, has } = CACHE_LAYOUTS[layout];
+  const entries = list(cacheDir);
+  return packages.filter(name => !entries.some(entry => has(entry, name)));
+}
+
+/**
+ * Fails before an offline install when the project's dependencies are not
+ * all in the local cache, listing the ones that are missing
+ * @param {string} projectDir - Project directory with package.json
+ * @param {string} manager - Package manager name
+ * @param {Object} options - { cacheDir, layout, run, getVersion }
+ * @returns {Promise<Object>} - { layout, cacheDir, packages } when everything is cached
+ * @throws {BoilerplateError}
+ */
+async function ensurePackagesCached(projectDir, manager, options = {}) {
+  const { run = runCommand, getVersion = getPackageManagerVersion } = options;
+  const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+  const packages = [...new Set([
+    ...Object.keys(packageJson.dependencies || {}),
+    ...Object.keys(packageJson.devDependencies || {})
+  ])].sort();
+
+  const cache = options.cacheDir
+    ? { layout: options.layout || manager, cacheDir: options.cacheDir }
+    : await getPackageCacheDir(manager, {
+      cwd: projectDir,
+      version: manager === 'yarn' ? await getVersion(manager) : null,
+      run
+    });
+
+  const missing = findUncachedPackages(packages, cache);
+  if (missing.length > 0) {
+    throw new BoilerplateError(
+      `Offline mode: ${missing.length} of ${packages.length} packages are not in the ${manager} cache` +
+        `${cache.cacheDir ? ` (${cache.cacheDir})` : ''}: ${missing.join(', ')}. ` +
+        `Install them once while online, or drop --offline.`,
+      ERROR_TYPES.NETWORK,
+      { manager, cacheDir: cache.cacheDir, missing },
+      'RVB_E_OFFLINE_CACHE_MISS'
+    );
+  }
+
+  return { ...cache, packages };
+}
+
+module.exports = {
+  CACHE_LAYOUTS,
+  getPackageNameFromUrl,
+  listNpmCachedPackages,
+  getPackageCacheDir,
+  findUncachedPackages,
+  ensurePackagesCached
+};
@@ -0,0 +1,59 @@
+/**
+ * Helpers for --json mode: stdout carries a single JSON document,
+ * human readable progress goes to stderr.
+ */
+
+/**
+ * Routes console.log output to stderr
+ * @returns {Function} - Restores the original console.log
+ */
+function redirectConsoleToStderr() {
+  const originalLog = console.log;
+  console.log = (...args) => console.error(...args);
+  return () => {
+    console.log = originalLog;
+  };
+}
+
+/**
+ * stdio for a child process: captured, or streamed in verbose mode. With
+ * --json the child's output is streamed to stderr so stdout stays parseable.
+ * @param {Object} options - { verbose, json }
+ * @returns {string|Array}
+ */
+function getChildStdio(options = {}) {
+  const { verbose = false, json = false } = options;
+  if (!verbose) {
+    return 'pipe';
+  }
+  return json ? ['ignore', process.stderr, process.stderr] : 'inherit';
+}
+
+/**
+ * Writes a JSON document to stdout
+ * @param {Object} data - Data to print
+ */
+function printJson(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Serializes an error for JSON output
+ * @param {Error} error - Error to serialize
+ * @returns {Object}
+ */
+function serializeError(error) {
+  return {
+    type: error.type || 'UNKNOWN',
+    code: error.type ? error.code : 'RVB_E_UNKNOWN',
+    message: error.message,
+    context: error.context || {}
+  };
+}
+
+module.exports = {
+  redirectConsoleToStderr,
+  getChildStdio,
+  printJson,
+  serializeError
+};
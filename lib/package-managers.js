@@ -1,56 +1,150 @@
 const spawn = require('cross-spawn');
 const chalk = require('chalk');
+const { classifyInstallFailure } = require('./install-failures');
+const { logCommand } = require('./debug-log');
+const { getChildStdio } = require('./output');
 
 /**
  * Package manager configurations
+ *
+ * Commands are argument lists passed to the manager itself, except execCommand
+ * and dlxCommand which start with the executable (npx, bunx). `berry` holds the
+ * Yarn 2+ values that differ from Yarn Classic; `offline` holds the flags or
+ * environment that make an install use the local cache only.
  */
 const PACKAGE_MANAGERS = {
   npm: {
     name: 'npm',
     installCommand: ['install'],
+    frozenInstallCommand: ['ci'],
+    addCommand: ['install'],
+    devFlag: '--save-dev',
+    exactFlag: '--save-exact',
+    removeCommand: ['uninstall'],
+    runScriptCommand: ['run'],
+    // npm passes arguments after "--" to the script instead of reading them itself
+    scriptArgsSeparator: '--',
+    execCommand: ['npm', 'exec', '--'],
+    dlxCommand: ['npx'],
+    offline: { args: ['--offline'] },
     lockFile: 'package-lock.json',
+    cacheCleanCommand: ['cache', 'clean', '--force'],
     checkCommand: ['--version']
   },
   yarn: {
     name: 'yarn',
     installCommand: ['install'],
+    frozenInstallCommand: ['install', '--frozen-lockfile'],
+    addCommand: ['add'],
+    devFlag: '--dev',
+    exactFlag: '--exact',
+    removeCommand: ['remove'],
+    runScriptCommand: ['run'],
+    // Yarn Classic runs binaries from node_modules/.bin when no script has that name
+    execCommand: ['yarn', 'run'],
+    // Yarn Classic has no dlx
+    dlxCommand: ['npx'],
+    offline: { args: ['--offline'] },
+    berry: {
+      frozenInstallCommand: ['install', '--immutable'],
+      execCommand: ['yarn', 'exec'],
+      dlxCommand: ['yarn', 'dlx'],
+      offline: { args: [], env: { YARN_ENABLE_OFFLINE_MODE: '1' } }
+    },
     lockFile: 'yarn.lock',
+    cacheCleanCommand: ['cache', 'clean'],
     checkCommand: ['--version']
   },
   pnpm: {
     name: 'pnpm',
     installCommand: ['install'],
+    frozenInstallCommand: ['install', '--frozen-lockfile'],
+    addCommand: ['add'],
+    devFlag: '--save-dev',
+    exactFlag: '--save-exact',
+    removeCommand: ['remove'],
+    runScriptCommand: ['run'],
+    execCommand: ['pnpm', 'exec'],
+    dlxCommand: ['pnpm', 'dlx'],
+    offline: { args: ['--offline'] },
     lockFile: 'pnpm-lock.yaml',
+    cacheCleanCommand: ['store', 'prune'],
     checkCommand: ['--version']
   },
   bun: {
     name: 'bun',
     installCommand: ['install'],
+    frozenInstallCommand: ['install', '--frozen-lockfile'],
+    addCommand: ['add'],
+    devFlag: '--dev',
+    exactFlag: '--exact',
+    removeCommand: ['remove'],
+    runScriptCommand: ['run'],
+    // `bun run` falls back to binaries from node_modules/.bin like Yarn Classic
+    execCommand: ['bun', 'run'],
+    dlxCommand: ['bunx'],
+    // bun has no strict offline mode; this skips registry lookups for cached packages
+    offline: { args: ['--prefer-offline'] },
     lockFile: 'bun.lockb',
+    cacheCleanCommand: ['pm', 'cache', 'rm'],
     checkCommand: ['--version']
   }
 };
 
+/**
+ * Runs a command and collects its output
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { cwd, env, spawn }; spawn replaces cross-spawn in tests
+ * @returns {Promise<Object>} - { code, stdout, stderr }; code is -1 when the command cannot start
+ */
+function runCommand(command, args, options = {}) {
+  const { spawn: spawnProcess = spawn } = options;
+  const startedAt = Date.now();
+  return new Promise((resolve) => {
+    const child = spawnProcess(command, args, {
+      cwd: options.cwd,
+      stdio: 'pipe',
+      env: options.env ? { ...process.env, ...options.env } : process.env
+    });
+    let stdout = '';
+    let stderr = '';
+    // A missing binary emits 'error' and then 'close': only the first counts
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      logCommand({ command, args, cwd: options.cwd, duration: Date.now() - startedAt, ...result });
+      resolve(result);
+    };
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('close', (code) => finish({ code, stdout, stderr }));
+    child.on('error', (error) => finish({ code: -1, stdout, stderr: error.message }));
+  });
+}
+
+/**
+ * Gets the version of an installed package manager
+ * @param {string} manager - Package manager name
+ * @param {Object} options - { spawn }
+ * @returns {Promise<string|null>} - Version, or null when it is not installed
+ */
+async function getPackageManagerVersion(manager, options = {}) {
+  const config = PACKAGE_MANAGERS[manager];
+  if (!config) return null;
+
+  const { code, stdout } = await runCommand(manager, config.checkCommand, options);
+  return code === 0 ? stdout.trim() : null;
+}
+
 /**
  * Checks if a package manager is available
  * @param {string} manager - Package manager name
  * @returns {Promise<boolean>}
  */
 async function isPackageManagerAvailable(manager) {
-  const config = PACKAGE_MANAGERS[manager];
-  if (!config) return false;
-
-  return new Promise((resolve) => {
-    const child = spawn(manager, config.checkCommand, { stdio: 'pipe' });
-    
-    child.on('close', (code) => {
-      resolve(code === 0);
-    });
-    
-    child.on('error', () => {
-      resolve(false);
-    });
-  });
+  return (await getPackageManagerVersion(manager)) !== null;
 }
 
 /**
@@ -109,35 +203,182 @@ function getPreferredPackageManager(projectDir, available) {
 }
 
 /**
- * Installs dependencies using the specified package manager
- * @param {string} manager - Package manager to use
- * @param {string} targetDir - Target directory
- * @param {Object} options - Installation options
- * @returns {Promise<void>}
+ * Picks another available package manager to retry a failed install with
+ * @param {string} manager - Package manager that is used first
+ * @param {string[]} available - Available package managers
+ * @returns {string|null} - null when no other manager is available
  */
-async function installDependencies(manager, targetDir, options = {}) {
+function getFallbackPackageManager(manager, available) {
+  const priority = ['pnpm', 'npm', 'yarn', 'bun'];
+  return priority.find(candidate => candidate !== manager && available.includes(candidate)) || null;
+}
+
+/**
+ * Checks whether a yarn version is Yarn Berry (2+), which is configured
+ * through .yarnrc.yml and environment variables instead of CLI flags
+ * @param {string|null} version - Output of `yarn --version`
+ * @returns {boolean}
+ */
+function isYarnBerry(version) {
+  return Boolean(version) && parseInt(version, 10) >= 2;
+}
+
+/**
+ * Gets the configuration of a package manager, with the Yarn Berry values
+ * applied when the version says so
+ * @param {string} manager - Package manager name
+ * @param {string|null} version - Installed version; Yarn Classic is assumed when unknown
+ * @returns {Object}
+ */
+function getPackageManagerConfig(manager, version = null) {
   const config = PACKAGE_MANAGERS[manager];
   if (!config) {
     throw new Error(`Unknown package manager: ${manager}`);
   }
+  return config.berry && isYarnBerry(version) ? { ...config, ...config.berry } : config;
+}
 
-  return new Promise((resolve, reject) => {
-    console.log(chalk.gray(`Using ${manager} for package installation...`));
-    
-    const args = [...config.installCommand];
-    if (options.silent) {
-      args.push('--silent');
-    }
+/**
+ * Adds the offline flags (or environment) of a package manager to a command
+ * @param {Object} config - Result of getPackageManagerConfig
+ * @param {Object} command - { command, args }
+ * @param {boolean} offline - Resolve everything from the local cache instead of the registry
+ * @returns {Object} - { command, args, env? }
+ */
+function withOfflineMode(config, command, offline) {
+  if (!offline) return command;
+  const { args = [], env } = config.offline;
+  return { ...command, args: [...command.args, ...args], ...(env ? { env } : {}) };
+}
+
+/**
+ * Splits a command list that starts with its executable
+ * @param {string[]} commandLine - e.g. ['pnpm', 'dlx']
+ * @param {string[]} args - Arguments to append
+ * @returns {Object} - { command, args }
+ */
+function toCommand([command, ...prefix], args) {
+  return { command, args: [...prefix, ...args] };
+}
+
+/**
+ * Gets the command used to install dependencies
+ * @param {string} manager - Package manager to use
+ * @param {Object} options - { offline, frozen, version }; frozen fails instead of
+ *   updating the lockfile (CI installs), version tells Yarn Classic and Berry apart
+ * @returns {Object} - { command, args, env? }
+ */
+function getInstallCommand(manager, options = {}) {
+  const { offline = false, frozen = false, version = null } = options;
+  const config = getPackageManagerConfig(manager, version);
+  const args = [...(frozen ? config.frozenInstallCommand : config.installCommand)];
+  return withOfflineMode(config, { command: manager, args }, offline);
+}
+
+/**
+ * Gets the command that adds packages to package.json and installs them
+ * @param {string} manager - Package manager to use
+ * @param {string[]} packages - Package names, optionally with a version (react@18)
+ * @param {Object} options - { dev, exact, offline, version }
+ * @returns {Object} - { command, args, env? }
+ */
+function getAddCommand(manager, packages, options = {}) {
+  const { dev = false, exact = false, offline = false, version = null } = options;
+  const config = getPackageManagerConfig(manager, version);
+  const args = [...config.addCommand];
+  if (dev) args.push(config.devFlag);
+  if (exact) args.push(config.exactFlag);
+  args.push(...packages);
+  return withOfflineMode(config, { command: manager, args }, offline);
+}
+
+/**
+ * Gets the command that removes packages from package.json and node_modules
+ * @param {string} manager - Package manager to use
+ * @param {string[]} packages - Package names
+ * @returns {Object} - { command, args }
+ */
+function getRemoveCommand(manager, packages) {
+  const config = getPackageManagerConfig(manager);
+  return { command: manager, args: [...config.removeCommand, ...packages] };
+}
 
-    const child = spawn(manager, args, {
-      cwd: targetDir,
-      stdio: options.verbose ? 'inherit' : 'pipe'
+/**
+ * Gets the command that runs a package.json script. `run` is spelled out
+ * because some managers have built-ins with the same name (e.g. `bun build`).
+ * @param {string} manager - Package manager to use
+ * @param {string} script - Script name
+ * @param {string[]} scriptArgs - Arguments passed on to the script
+ * @returns {Object} - { command, args }
+ */
+function getRunCommand(manager, script, scriptArgs = []) {
+  const config = getPackageManagerConfig(manager);
+  const args = [...config.runScriptCommand, script];
+  if (scriptArgs.length > 0) {
+    if (config.scriptArgsSeparator) args.push(config.scriptArgsSeparator);
+    args.push(...scriptArgs);
+  }
+  return { command: manager, args };
+}
+
+/**
+ * Gets the command that runs a binary installed in the project (npm exec, pnpm exec, yarn exec)
+ * @param {string} manager - Package manager to use
+ * @param {string[]} args - Binary and its arguments
+ * @param {Object} options - { version }
+ * @returns {Object} - { command, args }
+ */
+function getExecCommand(manager, args, options = {}) {
+  return toCommand(getPackageManagerConfig(manager, options.version).execCommand, args);
+}
+
+/**
+ * Gets the command that downloads and runs a package binary (npx, yarn dlx, pnpm dlx, bunx)
+ * @param {string} manager - Package manager to use
+ * @param {string[]} args - Package and its arguments
+ * @param {Object} options - { version }; Yarn Classic has no dlx and uses npx
+ * @returns {Object} - { command, args }
+ */
+function getDlxCommand(manager, args, options = {}) {
+  return toCommand(getPackageManagerConfig(manager, options.version).dlxCommand, args);
+}
+
+/**
+ * Gets the version needed to build a command: only Yarn commands differ by version
+ * @param {string} manager - Package manager
+ * @param {Object} options - { version, spawn }
+ * @returns {Promise<string|null>}
+ */
+async function resolveVersion(manager, options) {
+  if (options.version || manager !== 'yarn') return options.version || null;
+  return getPackageManagerVersion(manager, options);
+}
+
+/**
+ * Spawns a package manager command, streaming its output in verbose mode.
+ * The command and its output are written to the debug log.
+ * @param {Object} command - { command, args, env? }
+ * @param {string} cwd - Working directory
+ * @param {Object} options - { verbose, json, spawn }; json streams to stderr instead of stdout
+ * @param {string} description - What runs, for the error message (e.g. "npm install")
+ * @param {Object} details - Fields set on the rejected error (manager, script)
+ * @returns {Promise<Object>} - { stdout, stderr } (empty in verbose mode, where output is inherited)
+ */
+function spawnPackageManager({ command, args, env }, cwd, options, description, details) {
+  const { verbose = false, json = false, spawn: spawnProcess = spawn } = options;
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const child = spawnProcess(command, args, {
+      cwd,
+      stdio: getChildStdio({ verbose, json }),
+      env: env ? { ...process.env, ...env } : process.env
     });
 
     let stdout = '';
     let stderr = '';
 
-    if (!options.verbose) {
+    if (!verbose) {
       child.stdout?.on('data', (data) => {
         stdout += data.toString();
       });
@@ -147,61 +388,149 @@ async function installDependencies(manager, targetDir, options = {}) {
       });
     }
 
+    // A missing binary emits 'error' and then 'close': only the first counts
+    let settled = false;
+
     child.on('close', (code) => {
+      if (settled) return;
+      settled = true;
+      logCommand({ command, args, cwd, code, duration: Date.now() - startedAt, stdout, stderr, streamed: verbose });
       if (code !== 0) {
-        const error = new Error(`${manager} install failed with code ${code}`);
-        error.stdout = stdout;
-        error.stderr = stderr;
-        error.manager = manager;
+        const error = new Error(`${description} failed with code ${code}`);
+        Object.assign(error, details, { stdout, stderr, exitCode: code });
         reject(error);
       } else {
-        resolve();
+        resolve({ stdout, stderr });
       }
     });
 
     child.on('error', (error) => {
-      error.manager = manager;
+      if (settled) return;
+      settled = true;
+      logCommand({ command, args, cwd, code: -1, duration: Date.now() - startedAt, stderr: error.message });
+      Object.assign(error, details);
       reject(error);
     });
   });
 }
 
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Installs dependencies using the specified package manager. Failures are
+ * classified from the captured output (not available in verbose mode) and
+ * transient ones, like network timeouts, are retried with exponential backoff.
+ * @param {string} manager - Package manager to use
+ * @param {string} targetDir - Target directory
+ * @param {Object} options - { verbose, json, silent, offline, frozen, version, spawn,
+ *   retries (default 2), retryDelay (ms before the first retry, default 1000), sleep }
+ * @returns {Promise<Object>} - { stdout, stderr }
+ * @throws {Error} With `failure` (see classifyInstallFailure) and `attempts`
+ */
+async function installDependencies(manager, targetDir, options = {}) {
+  getPackageManagerConfig(manager);
+  const { retries = 2, retryDelay = 1000, sleep = delay } = options;
+  const version = await resolveVersion(manager, options);
+
+  console.log(chalk.gray(`Using ${manager} for package installation${options.offline ? ' (offline)' : ''}...`));
+
+  const command = getInstallCommand(manager, { offline: options.offline, frozen: options.frozen, version });
+  if (options.silent) {
+    command.args.push('--silent');
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await spawnPackageManager(command, targetDir, options, `${manager} install`, { manager });
+    } catch (error) {
+      error.failure = classifyInstallFailure([error.stdout, error.stderr, error.code].filter(Boolean).join('\n'));
+      error.attempts = attempt;
+      if (!error.failure.transient || attempt > retries) {
+        throw error;
+      }
+
+      const wait = retryDelay * 2 ** (attempt - 1);
+      console.log(chalk.yellow(`⚠️  ${manager} install failed (${error.failure.title}), retrying in ${wait / 1000}s (attempt ${attempt + 1} of ${retries + 1})...`));
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Adds packages to a project with the specified package manager
+ * @param {string} manager - Package manager to use
+ * @param {string} targetDir - Project directory
+ * @param {string[]} packages - Package names, optionally with a version
+ * @param {Object} options - { dev, exact, offline, verbose, version, spawn }
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+async function addDependencies(manager, targetDir, packages, options = {}) {
+  getPackageManagerConfig(manager);
+  const version = await resolveVersion(manager, options);
+  const command = getAddCommand(manager, packages, { ...options, version });
+  return spawnPackageManager(command, targetDir, options, `${manager} add`, { manager });
+}
+
+/**
+ * Removes packages from a project with the specified package manager
+ * @param {string} manager - Package manager to use
+ * @param {string} targetDir - Project directory
+ * @param {string[]} packages - Package names
+ * @param {Object} options - { verbose, spawn }
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+async function removeDependencies(manager, targetDir, packages, options = {}) {
+  const command = getRemoveCommand(manager, packages);
+  return spawnPackageManager(command, targetDir, options, `${manager} remove`, { manager });
+}
+
 /**
  * Runs a script using the specified package manager
  * @param {string} manager - Package manager to use
  * @param {string} script - Script name to run
  * @param {string} targetDir - Target directory
- * @param {Object} options - Run options
- * @returns {Promise<void>}
+ * @param {Object} options - { verbose, json, args, spawn }; args are passed on to the script
+ * @returns {Promise<Object>} - { stdout, stderr } (empty in verbose mode, where output is inherited)
  */
 async function runScript(manager, script, targetDir, options = {}) {
-  return new Promise((resolve, reject) => {
-    const runCommand = manager === 'npm' ? ['run', script] : [script];
-    
-    const child = spawn(manager, runCommand, {
-      cwd: targetDir,
-      stdio: options.verbose ? 'inherit' : 'pipe'
-    });
-
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`${manager} run ${script} failed with code ${code}`));
-      } else {
-        resolve();
-      }
-    });
+  const command = getRunCommand(manager, script, options.args);
+  return spawnPackageManager(command, targetDir, options, `${manager} run ${script}`, { manager, script });
+}
 
-    child.on('error', (error) => {
-      reject(error);
-    });
-  });
+/**
+ * Runs a binary installed in the project with the specified package manager
+ * @param {string} manager - Package manager to use
+ * @param {string[]} args - Binary and its arguments
+ * @param {string} targetDir - Project directory
+ * @param {Object} options - { verbose, version, spawn }
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+async function execBinary(manager, args, targetDir, options = {}) {
+  getPackageManagerConfig(manager);
+  const version = await resolveVersion(manager, options);
+  const command = getExecCommand(manager, args, { version });
+  return spawnPackageManager(command, targetDir, options, `${manager} exec ${args[0]}`, { manager });
 }
 
 module.exports = {
   PACKAGE_MANAGERS,
+  runCommand,
+  getPackageManagerVersion,
   isPackageManagerAvailable,
   detectAvailablePackageManagers,
   getPreferredPackageManager,
+  getFallbackPackageManager,
+  isYarnBerry,
+  getPackageManagerConfig,
+  getInstallCommand,
+  getAddCommand,
+  getRemoveCommand,
+  getRunCommand,
+  getExecCommand,
+  getDlxCommand,
   installDependencies,
-  runScript
-};
\ No newline at end of file
+  addDependencies,
+  removeDependencies,
+  runScript,
+  execBinary
+};
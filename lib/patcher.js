@@ -0,0 +1,172 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+
+/**
+ * Supported code insertion types
+ *  - import: adds a line after the last import statement
+ *  - before/after: adds lines before/after the line containing `anchor`
+ *  - wrap: wraps the line containing `target` with `open` and `close`
+ *  - append: adds lines at the end of the file
+ */
+const PATCH_TYPES = ['import', 'before', 'after', 'wrap', 'append'];
+
+/**
+ * Returns the leading whitespace of a line
+ * @param {string} line - Source line
+ * @returns {string}
+ */
+function getIndent(line) {
+  return line.match(/^\s*/)[0];
+}
+
+/**
+ * Indents every non-empty line of a snippet
+ * @param {string} content - Snippet to indent
+ * @param {string} indent - Indentation to prepend
+ * @returns {string[]}
+ */
+function indentLines(content, indent) {
+  return content.split('\n').map(line => (line.trim() ? indent + line : line));
+}
+
+/**
+ * Finds the index of the line containing a marker
+ * @param {string[]} lines - Source lines
+ * @param {string} marker - Text to look for
+ * @param {string} occurrence - "first" or "last"
+ * @returns {number} - Line index or -1
+ */
+function findLine(lines, marker, occurrence = 'first') {
+  if (occurrence === 'last') {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].includes(marker)) return i;
+    }
+    return -1;
+  }
+  return lines.findIndex(line => line.includes(marker));
+}
+
+/**
+ * Finds the line index right after the last (possibly multi-line) import
+ * @param {string[]} lines - Source lines
+ * @returns {number} - Insertion index (0 when there are no imports)
+ */
+function findImportsEnd(lines) {
+  let last = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (/^import\b/.test(lines[i])) last = i;
+  }
+  if (last === -1) return 0;
+
+  // Skip to the line holding the module specifier of a multi-line import
+  let end = last;
+  while (end < lines.length - 1 && !/['"][^'"]+['"];?\s*$/.test(lines[end])) {
+    end++;
+  }
+  return end + 1;
+}
+
+/**
+ * Applies a single patch to source text
+ * @param {string} source - Original file contents
+ * @param {Object} patch - Patch description
+ * @returns {string} - Patched contents (unchanged if already applied)
+ * @throws {BoilerplateError} If the patch anchor cannot be found
+ */
+function applyPatch(source, patch) {
+  const { type, file = 'file' } = patch;
+
+  if (!PATCH_TYPES.includes(type)) {
+    throw new BoilerplateError(
+      `Unknown patch type "${type}" for ${file}`,
+      ERROR_TYPES.TEMPLATE,
+      { patch }
+    );
+  }
+
+  // Patches are idempotent so re-running an add-on never duplicates code.
+  // Whitespace is collapsed because inserted lines get re-indented.
+  const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+  const marker = type === 'wrap' ? patch.open : patch.content;
+  if (collapse(source).includes(collapse(marker))) {
+    return source;
+  }
+
+  const lines = source.split('\n');
+
+  if (type === 'append') {
+    const trailingNewline = source.endsWith('\n');
+    const body = trailingNewline ? source : source + '\n';
+    return body + patch.content + (trailingNewline ? '\n' : '');
+  }
+
+  if (type === 'import') {
+    lines.splice(findImportsEnd(lines), 0, patch.content);
+    return lines.join('\n');
+  }
+
+  const anchor = type === 'wrap' ? patch.target : patch.anchor;
+  const index = findLine(lines, anchor, patch.occurrence);
+  if (index === -1) {
+    throw new BoilerplateError(
+      `Cannot patch ${file}: "${anchor}" not found`,
+      ERROR_TYPES.TEMPLATE,
+      { patch },
+      'RVB_E_PATCH_FAILED'
+    );
+  }
+
+  const indent = getIndent(lines[index]);
+
+  if (type === 'wrap') {
+    const wrapped = [
+      indent + patch.open,
+      '  ' + lines[index],
+      indent + patch.close
+    ];
+    lines.splice(index, 1, ...wrapped);
+  } else {
+    const insertAt = type === 'before' ? index : index + 1;
+    lines.splice(insertAt, 0, ...indentLines(patch.content, indent));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Applies a list of patches to files in a project directory
+ * @param {string} projectDir - Project directory
+ * @param {Object[]} patches - Patches with a `file` property relative to projectDir
+ * @returns {Promise<string[]>} - Files that were changed
+ */
+async function applyPatches(projectDir, patches) {
+  const changed = new Set();
+
+  for (const patch of patches) {
+    const filePath = path.join(projectDir, patch.file);
+    if (!fs.existsSync(filePath)) {
+      throw new BoilerplateError(
+        `Cannot patch ${patch.file}: file does not exist`,
+        ERROR_TYPES.TEMPLATE,
+        { patch },
+        'RVB_E_PATCH_FAILED'
+      );
+    }
+
+    const source = await fs.readFile(filePath, 'utf8');
+    const patched = applyPatch(source, patch);
+    if (patched !== source) {
+      await fs.writeFile(filePath, patched);
+      changed.add(patch.file);
+    }
+  }
+
+  return [...changed];
+}
+
+module.exports = {
+  PATCH_TYPES,
+  applyPatch,
+  applyPatches
+};
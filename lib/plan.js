@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getInstallCommand, getRunCommand } = require('./package-managers');
+const { listProjectFiles } = require('./project-state');
+const { renderProject } = require('./scaffold');
+const { ENV_LOCAL_FILE } = require('./env');
+const { getTemplateVariables, renderPath } = require('./template-vars');
+const { getVerifySteps } = require('./verify');
+const { getWorkspacePath, isWorkspaceMember, findSharedConfigs } = require('./workspace');
+
+const DEFAULT_COMMIT_MESSAGE = 'Initial commit';
+
+/**
+ * Gets the commands that create the repository and its initial commit
+ * @param {Object} options - { commitMessage, defaultBranch }
+ * @returns {Object[]} - init, add and commit commands: { command, args }
+ */
+function getGitCommands(options = {}) {
+  const { commitMessage = DEFAULT_COMMIT_MESSAGE, defaultBranch = null } = options;
+  return [
+    { command: 'git', args: defaultBranch ? ['init', '--initial-branch', defaultBranch] : ['init'] },
+    { command: 'git', args: ['add', '.'] },
+    { command: 'git', args: ['commit', '-m', commitMessage] }
+  ];
+}
+
+/**
+ * Lists the commands project creation runs, in order
+ * @param {Object} options - { packageManager, skipInstall, skipGit, offline, git, verifyScripts, workspace }
+ *   projects inside a workspace use its git repository
+ * @returns {Object[]} - { step, command, args }
+ */
+function getProjectCommands(options = {}) {
+  const {
+    packageManager,
+    skipInstall = false,
+    skipGit = false,
+    offline = false,
+    git = {},
+    verifyScripts = [],
+    workspace = null
+  } = options;
+  const commands = [];
+
+  if (!skipInstall) {
+    commands.push({ step: 'install', ...getInstallCommand(packageManager, { offline }) });
+  }
+
+  if (!skipGit && !workspace) {
+    commands.push(...getGitCommands(git).map(command => ({ step: 'git', ...command })));
+  }
+
+  if (!skipInstall) {
+    commands.push(...verifyScripts.map(script => ({ step: 'verify', ...getRunCommand(packageManager, script) })));
+  }
+
+  return commands;
+}
+
+/**
+ * Lists the package.json fields set on top of the template's own package.json
+ * @param {string} projectName - Package name
+ * @param {Object} template - Resolved template
+ * @param {Object[]} addons - Resolved add-ons
+ * @returns {Object[]} - { field, value, source }
+ */
+function getPackageJsonChanges(projectName, template, addons) {
+  const changes = [
+    { field: 'name', value: projectName, source: 'cli' },
+    { field: 'version', value: '0.1.0', source: 'cli' },
+    { field: 'private', value: true, source: 'cli' }
+  ];
+  const collect = (source, sections) => {
+    for (const [section, entries] of Object.entries(sections)) {
+      for (const [key, value] of Object.entries(entries || {})) {
+        changes.push({ field: `${section}.${key}`, value, source });
+      }
+    }
+  };
+
+  for (const layer of template.chain) {
+    collect(`template:${layer.name}`, { dependencies: layer.dependencies, devDependencies: layer.devDependencies });
+  }
+  for (const addon of addons) {
+    collect(`add-on:${addon.name}`, {
+      dependencies: addon.dependencies,
+      devDependencies: addon.devDependencies,
+      scripts: addon.scripts
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Computes everything project creation would do, without touching the target directory.
+ * Files are rendered into a temporary directory so the list matches a real run.
+ * @param {Object} options - { projectName, targetDir, template, addons, description, packageManager, components, env, git, skipInstall, skipGit, verify, offline, workspace, sharedConfig, merge }
+ * @returns {Promise<Object>} - Plan with files, packageJson changes and commands
+ */
+async function buildCreatePlan(options) {
+  const {
+    projectName,
+    targetDir,
+    template,
+    addons = [],
+    description,
+    packageManager = null,
+    components = [],
+    env = null,
+    git = {},
+    skipInstall = false,
+    skipGit = false,
+    verify = false,
+    offline = false,
+    workspace = null,
+    sharedConfig = false,
+    merge = false
+  } = options;
+  const shadcnComponents = template.features.includes('shadcn') ? components : [];
+
+  const renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rvb-plan-'));
+  let renderedFiles;
+  let shadcn;
+  let verifyScripts = [];
+  try {
+    ({ shadcn } = await renderProject(renderedDir, { template, addons, components: shadcnComponents, projectName, description }));
+    renderedFiles = listProjectFiles(renderedDir);
+    if (verify) {
+      verifyScripts = getVerifySteps(renderedDir).filter(step => step.available).map(step => step.script);
+    }
+  } finally {
+    await fs.remove(renderedDir);
+  }
+
+  // Source files may carry __name__ placeholders, so compare rendered paths
+  const variables = getTemplateVariables({ projectName, description, template, addons });
+  const renderAll = files => files.map(file => renderPath(file, variables));
+  const layerFiles = new Map(template.chain.map(layer => [layer, renderAll(listProjectFiles(layer.dir))]));
+
+  const files = renderedFiles.map(file => {
+    const addon = addons.find(candidate => renderAll(candidate.files).includes(file));
+    const layer = [...template.chain].reverse().find(candidate => layerFiles.get(candidate).includes(file));
+    const patchedBy = addons
+      .filter(candidate => candidate.patches.some(patch => patch.file === file))
+      .map(candidate => candidate.name);
+
+    // Files outside every layer and add-on are generated by the CLI (e.g. src/lib/env.ts)
+    const source = addon ? `add-on:${addon.name}`
+      : layer ? `template:${layer.name}`
+        : shadcn.files.includes(file) ? 'shadcn' : 'cli';
+    const entry = { path: file, source };
+    if (patchedBy.length > 0) entry.patchedBy = patchedBy;
+    // Merging never overwrites, the existing file wins
+    if (merge && fs.existsSync(path.join(targetDir, file))) entry.kept = true;
+    return entry;
+  });
+  if (env) {
+    files.push({ path: ENV_LOCAL_FILE, source: 'preset' });
+  }
+
+  const packageJson = getPackageJsonChanges(projectName, template, addons);
+  for (const [name, range] of Object.entries(shadcn.dependencies)) {
+    packageJson.push({ field: `dependencies.${name}`, value: range, source: 'shadcn' });
+  }
+
+  const plan = {
+    projectName,
+    directory: targetDir,
+    template: { name: template.name, version: template.version, description: template.description },
+    addons: addons.map(addon => addon.name),
+    packageManager: skipInstall ? null : packageManager,
+    components: shadcnComponents,
+    files,
+    packageJson,
+    commands: getProjectCommands({
+      packageManager,
+      skipInstall,
+      skipGit,
+      offline,
+      git,
+      verifyScripts,
+      workspace
+    }).map(command => ({ ...command, cwd: command.step === 'install' && workspace ? workspace.root : targetDir }))
+  };
+
+  if (workspace) {
+    const shared = sharedConfig ? findSharedConfigs(workspace) : {};
+    plan.workspace = {
+      root: workspace.root,
+      manager: workspace.manager,
+      register: isWorkspaceMember(workspace, targetDir) ? null : getWorkspacePath(workspace, targetDir),
+      sharedConfigs: Object.values(shared).filter(Boolean).map(file => path.basename(file))
+    };
+  }
+
+  return plan;
+}
+
+module.exports = {
+  DEFAULT_COMMIT_MESSAGE,
+  getGitCommands,
+  getProjectCommands,
+  getPackageJsonChanges,
+  buildCreatePlan
+};
@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { PACKAGE_MANAGERS } = require('./package-managers');
+const { parseAddonList } = require('./addons');
+const { SHADCN_COMPONENTS } = require('./prompts');
+const { ENV_KEY_PATTERN } = require('./env');
+const { validateDescription } = require('./validators');
+
+const CONFIG_FILE = 'rvb.config.json';
+const USER_CONFIG_FILE = '.rvbrc';
+
+const PRESET_KEYS = ['template', 'description', 'packageManager', 'addons', 'components', 'install', 'verify', 'git', 'env'];
+const GIT_KEYS = ['init', 'commitMessage', 'defaultBranch'];
+
+/**
+ * Creates a validation error for a preset
+ * @param {string} source - Where the preset came from
+ * @param {string} message - What is wrong
+ * @returns {BoilerplateError}
+ */
+function presetError(source, message) {
+  return new BoilerplateError(`Invalid preset in ${source}: ${message}`, ERROR_TYPES.VALIDATION, { source }, 'RVB_E_PRESET_INVALID');
+}
+
+/**
+ * Validates preset values
+ * @param {Object} preset - Preset values
+ * @param {string} source - Where the preset came from, for error messages
+ * @returns {Object} - The preset
+ * @throws {BoilerplateError} If a value is missing, unknown or has the wrong type
+ */
+function validatePreset(preset, source) {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw presetError(source, 'expected an object');
+  }
+
+  for (const key of Object.keys(preset)) {
+    if (!PRESET_KEYS.includes(key)) {
+      throw presetError(source, `unknown option "${key}". Allowed options: ${PRESET_KEYS.join(', ')}`);
+    }
+  }
+
+  const { template, description, packageManager, addons, components, install, verify, git, env } = preset;
+
+  if (template !== undefined && (typeof template !== 'string' || !template.trim())) {
+    throw presetError(source, '"template" must be a template name');
+  }
+
+  if (description !== undefined) {
+    const validation = validateDescription(description);
+    if (!validation.valid) {
+      throw presetError(source, `"description": ${validation.error}`);
+    }
+  }
+
+  if (packageManager !== undefined && !Object.keys(PACKAGE_MANAGERS).includes(packageManager)) {
+    throw presetError(source, `"packageManager" must be one of ${Object.keys(PACKAGE_MANAGERS).join(', ')}`);
+  }
+
+  if (addons !== undefined && typeof addons !== 'string' &&
+      !(Array.isArray(addons) && addons.every(name => typeof name === 'string'))) {
+    throw presetError(source, '"addons" must be a list of add-on names');
+  }
+
+  if (components !== undefined) {
+    if (!Array.isArray(components) || !components.every(name => typeof name === 'string')) {
+      throw presetError(source, '"components" must be a list of Shadcn/UI component names');
+    }
+    const unknown = components.filter(name => !SHADCN_COMPONENTS.includes(name));
+    if (unknown.length > 0) {
+      throw presetError(source, `unknown Shadcn/UI components: ${unknown.join(', ')}. Available: ${SHADCN_COMPONENTS.join(', ')}`);
+    }
+  }
+
+  if (install !== undefined && typeof install !== 'boolean') {
+    throw presetError(source, '"install" must be true or false');
+  }
+
+  if (verify !== undefined && typeof verify !== 'boolean') {
+    throw presetError(source, '"verify" must be true or false');
+  }
+
+  if (git !== undefined && typeof git !== 'boolean') {
+    if (!git || typeof git !== 'object' || Array.isArray(git)) {
+      throw presetError(source, '"git" must be true, false or an object');
+    }
+    for (const key of Object.keys(git)) {
+      if (!GIT_KEYS.includes(key)) {
+        throw presetError(source, `unknown git option "${key}". Allowed options: ${GIT_KEYS.join(', ')}`);
+      }
+    }
+    if (git.init !== undefined && typeof git.init !== 'boolean') {
+      throw presetError(source, '"git.init" must be true or false');
+    }
+    for (const key of ['commitMessage', 'defaultBranch']) {
+      if (git[key] !== undefined && (typeof git[key] !== 'string' || !git[key].trim())) {
+        throw presetError(source, `"git.${key}" must be a non-empty string`);
+      }
+    }
+  }
+
+  if (env !== undefined) {
+    if (!env || typeof env !== 'object' || Array.isArray(env)) {
+      throw presetError(source, '"env" must map variable names to values');
+    }
+    for (const [key, value] of Object.entries(env)) {
+      if (!ENV_KEY_PATTERN.test(key)) {
+        throw presetError(source, `invalid environment variable name "${key}"`);
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw presetError(source, `"env.${key}" must be a string, number or boolean`);
+      }
+    }
+  }
+
+  return preset;
+}
+
+/**
+ * Reads a JSON config file
+ * @param {string} filePath - File path
+ * @returns {Object}
+ * @throws {BoilerplateError} If the file is not valid JSON
+ */
+function readConfigFile(filePath) {
+  try {
+    return fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new BoilerplateError(
+      `Cannot read preset file ${filePath}: ${error.message}`,
+      ERROR_TYPES.VALIDATION,
+      { source: filePath },
+      'RVB_E_PRESET_INVALID'
+    );
+  }
+}
+
+/**
+ * Finds the config files that may hold presets, most specific first
+ * @param {Object} options - { cwd, homeDir }
+ * @returns {string[]}
+ */
+function findConfigFiles(options = {}) {
+  const { cwd = process.cwd(), homeDir = os.homedir() } = options;
+  return [path.join(cwd, CONFIG_FILE), path.join(homeDir, USER_CONFIG_FILE)]
+    .filter(filePath => fs.existsSync(filePath));
+}
+
+/**
+ * Loads the preset to apply. Config files hold default values at the top
+ * level and named presets under "presets":
+ *
+ *   { "packageManager": "pnpm", "presets": { "dashboard": { "template": "dashboard" } } }
+ *
+ * Without --preset, the top level of the first config file found is used.
+ * --preset accepts a JSON file path or the name of a preset in a config file.
+ * @param {string} [presetArg] - Value of --preset
+ * @param {Object} options - { cwd, homeDir }
+ * @returns {Object|null} - { values, source }, or null when there is nothing to apply
+ * @throws {BoilerplateError} If the preset cannot be found or is invalid
+ */
+function loadPreset(presetArg, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const configFiles = findConfigFiles(options);
+
+  const split = (config, source) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw presetError(source, 'expected an object');
+    }
+    const { presets = {}, ...values } = config;
+    return { presets, values };
+  };
+
+  if (!presetArg) {
+    if (configFiles.length === 0) return null;
+    const source = configFiles[0];
+    const { values } = split(readConfigFile(source), source);
+    return { values: validatePreset(values, source), source };
+  }
+
+  const presetPath = path.resolve(cwd, presetArg);
+  if (fs.existsSync(presetPath) && fs.statSync(presetPath).isFile()) {
+    const { values } = split(readConfigFile(presetPath), presetPath);
+    return { values: validatePreset(values, presetPath), source: presetPath };
+  }
+
+  for (const configFile of configFiles) {
+    const { presets, values } = split(readConfigFile(configFile), configFile);
+    if (Object.prototype.hasOwnProperty.call(presets, presetArg)) {
+      const source = `${configFile} (preset "${presetArg}")`;
+      validatePreset(values, configFile);
+      return { values: { ...values, ...validatePreset(presets[presetArg], source) }, source };
+    }
+  }
+
+  const searched = [CONFIG_FILE, `~/${USER_CONFIG_FILE}`].join(' and ');
+  throw new BoilerplateError(
+    `Preset "${presetArg}" not found: it is not a file and no preset with that name exists in ${searched}`,
+    ERROR_TYPES.VALIDATION,
+    { preset: presetArg, searched: configFiles },
+    'RVB_E_PRESET_NOT_FOUND'
+  );
+}
+
+/**
+ * Converts preset values to CLI option names
+ * @param {Object} values - Validated preset values
+ * @returns {Object} - Options in the shape produced by commander
+ */
+function presetToOptions(values) {
+  const options = {};
+
+  if (values.template !== undefined) options.template = values.template;
+  if (values.description !== undefined) options.description = values.description;
+  if (values.packageManager !== undefined) options.pm = values.packageManager;
+  if (values.addons !== undefined) options.with = parseAddonList(values.addons);
+  if (values.components !== undefined) options.components = values.components;
+  if (values.install === false) options.skipInstall = true;
+  if (values.verify === true) options.verify = true;
+
+  if (values.git === false || (values.git && values.git.init === false)) {
+    options.skipGit = true;
+  }
+  if (values.git && typeof values.git === 'object') {
+    if (values.git.commitMessage) options.gitCommitMessage = values.git.commitMessage;
+    if (values.git.defaultBranch) options.gitBranch = values.git.defaultBranch;
+  }
+
+  if (values.env !== undefined) options.env = values.env;
+
+  return options;
+}
+
+/**
+ * Merges CLI options with the preset: flags > preset > defaults
+ * @param {Object} cliOptions - Options parsed by commander (only flags that were passed)
+ * @param {Object} options - { cwd, homeDir }
+ * @returns {Object} - { options, source } where source is null when no preset applied
+ */
+function applyPreset(cliOptions, options = {}) {
+  const { preset: presetArg, ...flags } = cliOptions;
+  const preset = loadPreset(presetArg, options);
+  if (!preset) {
+    return { options: flags, source: null };
+  }
+
+  const definedFlags = Object.fromEntries(
+    Object.entries(flags).filter(([, value]) => value !== undefined)
+  );
+
+  return {
+    options: { ...presetToOptions(preset.values), ...definedFlags },
+    source: preset.source
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  USER_CONFIG_FILE,
+  PRESET_KEYS,
+  validatePreset,
+  findConfigFiles,
+  loadPreset,
+  presetToOptions,
+  applyPreset
+};
@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+
+const STATE_DIR = '.rvb';
+const PROJECT_FILE = 'project.json';
+const BASE_DIR = 'base';
+
+// Never snapshotted: installed packages, lockfiles, VCS data and our own state
+const IGNORED_ENTRIES = [
+  'node_modules', '.git', STATE_DIR, 'dist',
+  'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'
+];
+
+const CLI_VERSION = require('../package.json').version;
+
+/**
+ * Lists project files that the CLI manages, relative to the project
+ * @param {string} projectDir - Project directory
+ * @returns {string[]} - POSIX style relative paths
+ */
+function listProjectFiles(projectDir) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (IGNORED_ENTRIES.includes(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(path.relative(projectDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(projectDir);
+
+  return files.sort();
+}
+
+/**
+ * Reads the metadata recorded when the project was scaffolded
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} - Metadata, or null if the project was not created by this CLI
+ */
+function readProjectState(projectDir) {
+  const statePath = path.join(projectDir, STATE_DIR, PROJECT_FILE);
+  if (!fs.existsSync(statePath)) return null;
+
+  try {
+    return fs.readJsonSync(statePath);
+  } catch (error) {
+    throw new BoilerplateError(
+      `Corrupted project metadata in ${statePath}: ${error.message}`,
+      ERROR_TYPES.FILESYSTEM,
+      { statePath },
+      'RVB_E_STATE_CORRUPTED'
+    );
+  }
+}
+
+/**
+ * Reads project metadata, failing if the project was not scaffolded by this CLI
+ * @param {string} projectDir - Project directory
+ * @returns {Object}
+ * @throws {BoilerplateError} If no metadata is present
+ */
+function requireProjectState(projectDir) {
+  const state = readProjectState(projectDir);
+  if (!state) {
+    throw new BoilerplateError(
+      `${projectDir} was not created by react-vite-boilerplate (missing ${STATE_DIR}/${PROJECT_FILE})`,
+      ERROR_TYPES.VALIDATION,
+      { projectDir },
+      'RVB_E_NOT_A_PROJECT'
+    );
+  }
+  return state;
+}
+
+/**
+ * Writes project metadata
+ * @param {string} projectDir - Project directory
+ * @param {Object} state - Metadata (template, add-ons, ...)
+ * @returns {Promise<Object>} - The metadata that was written
+ */
+async function writeProjectState(projectDir, state) {
+  const now = new Date().toISOString();
+  const data = {
+    cliVersion: CLI_VERSION,
+    createdAt: now,
+    ...state,
+    updatedAt: now
+  };
+
+  await fs.outputJson(path.join(projectDir, STATE_DIR, PROJECT_FILE), data, { spaces: 2 });
+  return data;
+}
+
+/**
+ * Stores pristine copies of generated files, used to detect user changes
+ * @param {string} projectDir - Project directory
+ * @param {string[]} files - Files to snapshot (defaults to every project file)
+ * @param {string} sourceDir - Where the generated files are (defaults to the project)
+ * @returns {Promise<void>}
+ */
+async function snapshotFiles(projectDir, files = listProjectFiles(projectDir), sourceDir = projectDir) {
+  const baseDir = path.join(projectDir, STATE_DIR, BASE_DIR);
+
+  for (const file of files) {
+    const source = path.join(sourceDir, file);
+    if (fs.existsSync(source)) {
+      await fs.copy(source, path.join(baseDir, file));
+    }
+  }
+}
+
+/**
+ * Reads the pristine copy of a generated file
+ * @param {string} projectDir - Project directory
+ * @param {string} file - Relative file path
+ * @returns {string|null} - Contents, or null if the file was not generated
+ */
+function readBaseFile(projectDir, file) {
+  const basePath = path.join(projectDir, STATE_DIR, BASE_DIR, file);
+  return fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+}
+
+/**
+ * Compares files with their pristine copies
+ * @param {string} projectDir - Project directory
+ * @param {string[]} files - Relative file paths to check
+ * @returns {Object[]} - { file, status: 'modified' | 'deleted', base, current }
+ */
+function getModifiedFiles(projectDir, files) {
+  const modified = [];
+
+  for (const file of files) {
+    const base = readBaseFile(projectDir, file);
+    if (base === null) continue;
+
+    const filePath = path.join(projectDir, file);
+    if (!fs.existsSync(filePath)) {
+      modified.push({ file, status: 'deleted', base, current: '' });
+      continue;
+    }
+
+    const current = fs.readFileSync(filePath, 'utf8');
+    if (current !== base) {
+      modified.push({ file, status: 'modified', base, current });
+    }
+  }
+
+  return modified;
+}
+
+module.exports = {
+  STATE_DIR,
+  PROJECT_FILE,
+  BASE_DIR,
+  CLI_VERSION,
+  listProjectFiles,
+  readProjectState,
+  requireProjectState,
+  writeProjectState,
+  snapshotFiles,
+  readBaseFile,
+  getModifiedFiles
+};
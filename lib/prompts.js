@@ -0,0 +1,183 @@
+const inquirer = require('inquirer');
+const path = require('path');
+const { validateProjectName } = require('./validators');
+const { listTemplates, resolveTemplate, DEFAULT_TEMPLATE } = require('./templates');
+const { detectAvailablePackageManagers, getPreferredPackageManager } = require('./package-managers');
+const { listAddons } = require('./addons');
+const { isExternalTemplate } = require('./template-sources');
+const { listShadcnComponents } = require('./shadcn');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+
+/**
+ * Shadcn/UI components offered by the setup wizard (the bundled catalog)
+ */
+const SHADCN_COMPONENTS = listShadcnComponents();
+const DEFAULT_SHADCN_COMPONENTS = ['button', 'card'];
+
+/**
+ * Directory created when none is given, offered by the wizard and used by --yes
+ */
+const DEFAULT_PROJECT_NAME = 'my-react-app';
+
+/**
+ * Checks if the CLI can ask questions on the current terminal
+ * @returns {boolean}
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Builds the wizard questions for everything not already set by flags
+ * @param {string} projectName - Project name from the command line, if any
+ * @param {Object} options - Options parsed by commander
+ * @param {Object} context - Templates and package managers to choose from
+ * @returns {Object[]} - Inquirer questions
+ */
+function buildQuestions(projectName, options, context) {
+  const { templates, availableManagers, addons = [] } = context;
+  const questions = [];
+
+  if (!projectName) {
+    questions.push({
+      type: 'input',
+      name: 'projectName',
+      message: 'Project name or directory:',
+      default: DEFAULT_PROJECT_NAME,
+      // The answer is a path like the command line argument ("apps/web", ".");
+      // its last segment is the package name unless --name was given
+      validate: (input) => {
+        const result = validateProjectName(options.name || (input && path.basename(path.resolve(input))));
+        return result.valid || result.error;
+      }
+    });
+  }
+
+  if (!options.template) {
+    questions.push({
+      type: 'list',
+      name: 'template',
+      message: 'Which template would you like to use?',
+      default: DEFAULT_TEMPLATE,
+      choices: templates.map(template => ({
+        name: `${template.name} - ${template.description}`,
+        value: template.name
+      }))
+    });
+  }
+
+  if (!options.pm && !options.skipInstall && availableManagers.length > 0) {
+    questions.push({
+      type: 'list',
+      name: 'pm',
+      message: 'Which package manager would you like to use?',
+      default: getPreferredPackageManager(process.cwd(), availableManagers),
+      choices: availableManagers
+    });
+  }
+
+  if (!options.components) {
+    questions.push({
+      type: 'checkbox',
+      name: 'components',
+      message: 'Which Shadcn/UI components would you like to add?',
+      choices: SHADCN_COMPONENTS.map(name => ({
+        name,
+        checked: DEFAULT_SHADCN_COMPONENTS.includes(name)
+      })),
+      when: (answers) => {
+        const name = answers.template || options.template || DEFAULT_TEMPLATE;
+        // External templates are only fetched later, so let the user decide
+        if (isExternalTemplate(name)) return true;
+        return resolveTemplate(name).features.includes('shadcn');
+      }
+    });
+  }
+
+  if (!options.with && addons.length > 0) {
+    questions.push({
+      type: 'checkbox',
+      name: 'with',
+      message: 'Which optional add-ons would you like to include?',
+      choices: addons.map(addon => ({
+        name: `${addon.name} - ${addon.description}`,
+        value: addon.name
+      }))
+    });
+  }
+
+  if (!options.skipGit) {
+    questions.push({
+      type: 'confirm',
+      name: 'git',
+      message: 'Initialize a git repository?',
+      default: true
+    });
+  }
+
+  return questions;
+}
+
+/**
+ * Runs the interactive setup wizard and merges the answers into the options
+ * @param {string} projectName - Project name from the command line, if any
+ * @param {Object} options - Options parsed by commander
+ * @param {Object} wizardOptions - Wizard overrides (prompt function, package managers)
+ * @returns {Promise<Object>} - { projectName, options }
+ * @throws {BoilerplateError} If no directory is given and none can be asked for
+ */
+async function runSetupWizard(projectName, options = {}, wizardOptions = {}) {
+  const {
+    prompt = inquirer.prompt,
+    interactive = isInteractive()
+  } = wizardOptions;
+
+  // With --yes every default is taken silently, the directory included
+  if (options.yes) {
+    return { projectName: projectName || DEFAULT_PROJECT_NAME, options };
+  }
+
+  // Without a terminal only the directory has no default to fall back on
+  if (!interactive) {
+    if (!projectName) {
+      throw new BoilerplateError(
+        'A directory argument is required in non-interactive mode (or pass --yes to create my-react-app)',
+        ERROR_TYPES.VALIDATION,
+        {},
+        'RVB_E_DIRECTORY_REQUIRED'
+      );
+    }
+    return { projectName, options };
+  }
+
+  const needsManager = !options.pm && !options.skipInstall;
+  const availableManagers = wizardOptions.availableManagers ||
+    (needsManager ? await detectAvailablePackageManagers() : []);
+
+  const questions = buildQuestions(projectName, options, {
+    templates: listTemplates(),
+    availableManagers,
+    addons: listAddons()
+  });
+
+  const { projectName: answeredName, git, ...answers } = await prompt(questions);
+
+  const merged = { ...options, ...answers };
+  if (git === false) {
+    merged.skipGit = true;
+  }
+
+  return {
+    projectName: answeredName || projectName,
+    options: merged
+  };
+}
+
+module.exports = {
+  SHADCN_COMPONENTS,
+  DEFAULT_SHADCN_COMPONENTS,
+  DEFAULT_PROJECT_NAME,
+  isInteractive,
+  buildQuestions,
+  runSetupWizard
+};
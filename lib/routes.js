@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { applyPatch } = require('./patcher');
+
+const ROUTES_DIR = path.join('src', 'routes');
+const ROOT_ROUTE_FILE = '__root.tsx';
+
+// Plain segments, $param / $ (splat) segments and _pathless segments
+const STATIC_SEGMENT = /^[a-z0-9][a-z0-9-.]*$/i;
+const PARAM_SEGMENT = /^\$([a-z_][a-z0-9_]*)?$/i;
+const PATHLESS_SEGMENT = /^_[a-z0-9][a-z0-9-]*$/i;
+
+/**
+ * Converts route segments to a PascalCase component name
+ * @param {string[]} parts - Name parts
+ * @returns {string}
+ */
+function toPascalCase(parts) {
+  return parts
+    .flatMap(part => part.split(/[^a-z0-9]+/i))
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Converts a route segment to a human readable label (e.g. "blog-posts" -> "Blog Posts")
+ * @param {string} segment - Route segment
+ * @returns {string}
+ */
+function toTitle(segment) {
+  return segment
+    .split(/[^a-z0-9]+/i)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Parses a route path such as "users/$userId" into file route details
+ * @param {string} input - Route path
+ * @param {Object} options - { layout, index }
+ * @returns {Object} - { segments, routeId, urlPath, file, componentName, params, isLayout, isIndex }
+ * @throws {BoilerplateError} If the path contains invalid segments
+ */
+function parseRoutePath(input, options = {}) {
+  const raw = String(input || '').trim();
+  const segments = raw.split('/').filter(Boolean);
+  const isIndex = Boolean(options.index) || raw === '/' || (raw.endsWith('/') && segments.length > 0);
+
+  for (const segment of segments) {
+    if (!STATIC_SEGMENT.test(segment) && !PARAM_SEGMENT.test(segment) && !PATHLESS_SEGMENT.test(segment)) {
+      throw new BoilerplateError(
+        `Invalid route segment "${segment}". Use letters, numbers and hyphens, "$param" for dynamic segments, "$" for splats or "_name" for pathless layouts.`,
+        ERROR_TYPES.VALIDATION,
+        { path: input, segment },
+        'RVB_E_ROUTE_INVALID'
+      );
+    }
+  }
+
+  if (segments.length === 0 && !isIndex) {
+    throw new BoilerplateError('Route path is required', ERROR_TYPES.VALIDATION, { path: input }, 'RVB_E_ROUTE_INVALID');
+  }
+
+  const last = segments[segments.length - 1] || '';
+  const isPathless = PATHLESS_SEGMENT.test(last) && !isIndex;
+  // Pathless routes only make sense as layouts
+  const isLayout = (Boolean(options.layout) || isPathless) && !isIndex;
+
+  if (isLayout && segments.length === 0) {
+    throw new BoilerplateError('The root layout already exists in __root.tsx', ERROR_TYPES.VALIDATION, { path: input }, 'RVB_E_ROUTE_INVALID');
+  }
+
+  const params = segments
+    .filter(segment => PARAM_SEGMENT.test(segment))
+    .map(segment => segment.slice(1) || '_splat');
+
+  const routeId = '/' + segments.join('/') + (isIndex && segments.length > 0 ? '/' : '');
+  const urlPath = '/' + segments.filter(segment => !PATHLESS_SEGMENT.test(segment)).join('/');
+
+  // Layouts live next to their children folder (users.tsx + users/...)
+  const file = isIndex
+    ? path.join(ROUTES_DIR, ...segments, 'index.tsx')
+    : path.join(ROUTES_DIR, ...segments.slice(0, -1), `${last}.tsx`);
+
+  const nameParts = segments.map(segment => segment.replace(/^[$_]/, '') || 'splat');
+  const suffix = isLayout ? 'Layout' : isIndex && segments.length > 0 ? 'Index' : '';
+  const componentName = toPascalCase(nameParts) + suffix || 'Index';
+
+  return {
+    segments,
+    routeId,
+    urlPath,
+    file: file.split(path.sep).join('/'),
+    componentName: /^[0-9]/.test(componentName) ? `Route${componentName}` : componentName,
+    params,
+    isLayout,
+    isIndex
+  };
+}
+
+/**
+ * Renders the source of a file route
+ * @param {Object} route - Route returned by parseRoutePath
+ * @param {Object} options - { loader, search, seo }
+ * @returns {string}
+ */
+function renderRouteFile(route, options = {}) {
+  const { loader = false, search = false, seo = false } = options;
+  const { componentName, routeId, params, isLayout } = route;
+
+  const routerImports = ['createFileRoute'];
+  if (isLayout) routerImports.push('Outlet');
+
+  const lines = [`import { ${routerImports.join(', ')} } from '@tanstack/react-router'`];
+  if (seo) lines.push("import { Helmet } from 'react-helmet-async'");
+  lines.push('');
+
+  if (search) {
+    lines.push(
+      'type SearchParams = {',
+      '  page: number',
+      '}',
+      ''
+    );
+  }
+
+  lines.push(`export const Route = createFileRoute('${routeId}')({`);
+  if (search) {
+    lines.push(
+      '  validateSearch: (search: Record<string, unknown>): SearchParams => ({',
+      '    page: Number(search.page ?? 1),',
+      '  }),'
+    );
+  }
+  if (loader) {
+    lines.push(params.length > 0 ? '  loader: async ({ params }) => {' : '  loader: async () => {');
+    lines.push(params.length > 0 ? '    return { params }' : '    return {}');
+    lines.push('  },');
+  }
+  lines.push(`  component: ${componentName},`, '})', '');
+
+  const title = componentName.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+
+  lines.push(`function ${componentName}() {`);
+  if (params.length > 0) lines.push(`  const { ${params.join(', ')} } = Route.useParams()`);
+  if (search) lines.push('  const { page } = Route.useSearch()');
+  if (loader) lines.push('  const data = Route.useLoaderData()');
+  if (params.length > 0 || search || loader) lines.push('');
+
+  lines.push('  return (');
+  lines.push('    <div className="container mx-auto px-4 py-8">');
+  if (seo) {
+    lines.push(
+      '      <Helmet>',
+      `        <title>${title}</title>`,
+      `        <meta name="description" content="${title} page" />`,
+      '      </Helmet>'
+    );
+  }
+  lines.push(`      <h1 className="text-4xl font-bold tracking-tight mb-4">${title}</h1>`);
+  for (const param of params) {
+    lines.push(`      <p className="text-gray-600">${param}: {${param}}</p>`);
+  }
+  if (search) lines.push('      <p className="text-gray-600">Page: {page}</p>');
+  if (loader) lines.push('      <pre className="text-sm">{JSON.stringify(data, null, 2)}</pre>');
+  if (isLayout) lines.push('      <Outlet />');
+  lines.push('    </div>', '  )', '}', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text placed between JSX tags, where braces and angle brackets would
+ * otherwise be read as code
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeJsxText(text) {
+  const entities = { '&': '&amp;', '{': '&#123;', '}': '&#125;', '<': '&lt;', '>': '&gt;' };
+  return text.replace(/[&{}<>]/g, char => entities[char]);
+}
+
+/**
+ * Builds a nav link patch for __root.tsx, reusing the classes of the last link
+ * @param {string} rootSource - Current __root.tsx contents
+ * @param {string} to - Link target
+ * @param {string} label - Link text, escaped for JSX
+ * @returns {Object} - Patch for applyPatch
+ */
+function buildNavLinkPatch(rootSource, to, label) {
+  const lastLink = rootSource.slice(rootSource.lastIndexOf('<Link'));
+  const className = (lastLink.match(/className="([^"]*)"/) || [])[1];
+  const activeProps = (lastLink.match(/activeProps=\{\{[^}]*\}\}/) || [])[0];
+
+  const attributes = [`  to="${to}" `];
+  if (className) attributes.push(`  className="${className}"`);
+  if (activeProps) attributes.push(`  ${activeProps}`);
+
+  return {
+    file: path.join(ROUTES_DIR, ROOT_ROUTE_FILE).split(path.sep).join('/'),
+    type: 'after',
+    anchor: '</Link>',
+    occurrence: 'last',
+    content: ['<Link ', ...attributes, '>', `  ${escapeJsxText(label)}`, '</Link>'].join('\n')
+  };
+}
+
+/**
+ * Generates a file route in a project
+ * @param {string} projectDir - Project directory
+ * @param {string} input - Route path
+ * @param {Object} options - { layout, index, loader, search, seo, nav, force }
+ * @returns {Promise<Object>} - { route, file, navLinkAdded }
+ */
+async function generateRoute(projectDir, input, options = {}) {
+  const { force = false, nav = false } = options;
+  const routesDir = path.join(projectDir, ROUTES_DIR);
+
+  if (!fs.existsSync(routesDir)) {
+    throw new BoilerplateError(
+      `No ${ROUTES_DIR.split(path.sep).join('/')} directory found in ${projectDir}`,
+      ERROR_TYPES.VALIDATION,
+      { projectDir },
+      'RVB_E_PROJECT_FILE_MISSING'
+    );
+  }
+
+  const route = parseRoutePath(input, options);
+  const filePath = path.join(projectDir, route.file);
+
+  if (fs.existsSync(filePath) && !force) {
+    throw new BoilerplateError(
+      `Route file ${route.file} already exists. Use --force to overwrite it.`,
+      ERROR_TYPES.FILESYSTEM,
+      { file: route.file },
+      'RVB_E_ROUTE_EXISTS'
+    );
+  }
+
+  let rootPatch = null;
+  if (nav) {
+    if (route.params.length > 0) {
+      throw new BoilerplateError(
+        `Cannot add a nav link for dynamic route ${route.routeId}`,
+        ERROR_TYPES.VALIDATION,
+        { route: route.routeId },
+        'RVB_E_ROUTE_INVALID'
+      );
+    }
+    // Pathless layouts share the URL of their parent, which has its own link
+    const lastVisible = route.segments.filter(segment => !PATHLESS_SEGMENT.test(segment)).pop();
+    const last = route.segments[route.segments.length - 1];
+    if (!lastVisible || (!route.isIndex && PATHLESS_SEGMENT.test(last))) {
+      throw new BoilerplateError(
+        `Cannot add a nav link for ${route.routeId}: it has no URL of its own`,
+        ERROR_TYPES.VALIDATION,
+        { route: route.routeId },
+        'RVB_E_ROUTE_INVALID'
+      );
+    }
+    const rootPath = path.join(routesDir, ROOT_ROUTE_FILE);
+    const rootSource = await fs.readFile(rootPath, 'utf8');
+    const label = typeof nav === 'string' ? nav : toTitle(lastVisible);
+    const patched = applyPatch(rootSource, buildNavLinkPatch(rootSource, route.urlPath, label));
+    // An identical link already there leaves the file unchanged
+    rootPatch = patched === rootSource ? null : { rootPath, patched };
+  }
+
+  await fs.outputFile(filePath, renderRouteFile(route, options));
+  if (rootPatch) {
+    await fs.writeFile(rootPatch.rootPath, rootPatch.patched);
+  }
+
+  return { route, file: route.file, navLinkAdded: Boolean(rootPatch) };
+}
+
+module.exports = {
+  ROUTES_DIR,
+  ROOT_ROUTE_FILE,
+  parseRoutePath,
+  renderRouteFile,
+  buildNavLinkPatch,
+  generateRoute
+};
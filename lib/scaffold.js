@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { copyTemplate } = require('./templates');
+const { applyAddons } = require('./addons');
+const { getTemplateVariables, renderTemplateFiles } = require('./template-vars');
+const { writeEnvModules } = require('./env-module');
+const { writeShadcnComponents } = require('./shadcn');
+const { listProjectFiles } = require('./project-state');
+
+/**
+ * Writes the generated files of a project: template layers, then add-ons,
+ * with template variables filled in, then Shadcn/UI components and the
+ * typed env module.
+ * Used both to create projects and to render a fresh copy when upgrading,
+ * so the two must stay identical for the same options.
+ * @param {string} targetDir - Directory to render into
+ * @param {Object} options - { template, addons, components, projectName, description, verbose }
+ * @returns {Promise<Object>} - { shadcn: { files, dependencies } } for the components written
+ */
+async function renderProject(targetDir, options = {}) {
+  const { template, addons = [], components = [], projectName, description, verbose = false } = options;
+  const variables = getTemplateVariables({ projectName, description, template, addons });
+
+  // Copy all template files, base templates first, and fill in variables
+  await copyTemplate(template, targetDir, { verbose });
+  await renderTemplateFiles(targetDir, variables);
+
+  // Update package.json with project name
+  const packageJsonPath = path.join(targetDir, 'package.json');
+  const packageJson = await fs.readJson(packageJsonPath);
+  packageJson.name = projectName;
+  packageJson.version = '0.1.0';
+  packageJson.private = true;
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+
+  if (verbose) {
+    console.log(`✅ Updated package.json with project name: ${projectName}`);
+  }
+
+  if (addons.length > 0) {
+    await applyAddons(addons, targetDir, { verbose, variables });
+  }
+
+  // Shadcn/UI components from the bundled catalog (templates with components.json only)
+  let shadcn = { files: [], dependencies: {} };
+  if (template.features.includes('shadcn') && components.length > 0) {
+    shadcn = await writeShadcnComponents(targetDir, components);
+    if (verbose) {
+      console.log(`✅ Added Shadcn/UI components: ${shadcn.files.join(', ')}`);
+    }
+  }
+
+  // Typed src/lib/env.ts and src/vite-env.d.ts from the final .env.example
+  const { written } = await writeEnvModules(targetDir);
+  if (verbose && written.length > 0) {
+    console.log(`✅ Generated ${written.join(' and ')} from .env.example`);
+  }
+
+  return { shadcn };
+}
+
+/**
+ * Copies a rendered project into its destination without replacing anything:
+ * files that already exist there are kept and reported
+ * @param {string} renderedDir - Output of renderProject
+ * @param {string} targetDir - Destination, which may already hold files
+ * @returns {Promise<Object>} - { written, kept }: POSIX paths relative to the project
+ */
+async function copyRenderedProject(renderedDir, targetDir) {
+  const written = [];
+  const kept = [];
+
+  for (const file of listProjectFiles(renderedDir)) {
+    const destination = path.join(targetDir, file);
+    if (fs.existsSync(destination)) {
+      kept.push(file);
+    } else {
+      await fs.copy(path.join(renderedDir, file), destination);
+      written.push(file);
+    }
+  }
+
+  return { written, kept };
+}
+
+/**
+ * Lists what copyRenderedProject will create in the destination: for each new
+ * file, its top-most missing directory (or the file itself), so removing these
+ * paths undoes the copy without touching existing files
+ * @param {string} renderedDir - Rendered project
+ * @param {string} targetDir - Destination
+ * @returns {string[]} - Absolute paths
+ */
+function listNewPaths(renderedDir, targetDir) {
+  const paths = new Set();
+
+  for (const file of listProjectFiles(renderedDir)) {
+    const segments = file.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      const candidate = path.join(targetDir, ...segments.slice(0, i));
+      if (!fs.existsSync(candidate)) {
+        paths.add(candidate);
+        break;
+      }
+    }
+  }
+
+  return [...paths];
+}
+
+module.exports = {
+  renderProject,
+  copyRenderedProject,
+  listNewPaths
+};
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { stripJsonComments } = require('./dependency-check');
+
+const SHADCN_DIR = path.join(__dirname, '..', 'shadcn');
+const SHADCN_REGISTRY_FILE = 'registry.json';
+const COMPONENTS_CONFIG_FILE = 'components.json';
+
+// Import path the bundled sources use for the cn() helper
+const SOURCE_UTILS_ALIAS = '@/lib/utils';
+const USE_CLIENT_DIRECTIVE = /^"use client"\n\n/;
+
+/**
+ * Reads the manifest of the bundled Shadcn/UI component catalog
+ * @param {string} shadcnDir - Directory with registry.json and one folder of sources per style
+ * @returns {Object} - { version, styles, components: { [name]: { files, dependencies, registryDependencies } } }
+ */
+function loadShadcnRegistry(shadcnDir = SHADCN_DIR) {
+  return fs.readJsonSync(path.join(shadcnDir, SHADCN_REGISTRY_FILE));
+}
+
+/**
+ * Lists the Shadcn/UI components in the catalog
+ * @param {string} shadcnDir - Catalog directory
+ * @returns {string[]}
+ */
+function listShadcnComponents(shadcnDir = SHADCN_DIR) {
+  return Object.keys(loadShadcnRegistry(shadcnDir).components);
+}
+
+/**
+ * Parses a comma separated component list (e.g. "button,card")
+ * @param {string|string[]} value - Raw flag value
+ * @returns {string[]}
+ */
+function parseComponentList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Validates component names and adds the components they build on
+ * @param {string[]} names - Requested component names
+ * @param {string} shadcnDir - Catalog directory
+ * @returns {string[]} - Components to write, dependencies first
+ * @throws {BoilerplateError} If a component is not in the catalog
+ */
+function resolveShadcnComponents(names, shadcnDir = SHADCN_DIR) {
+  const { components } = loadShadcnRegistry(shadcnDir);
+  const unknown = names.filter(name => !components[name]);
+  if (unknown.length > 0) {
+    throw new BoilerplateError(
+      `Unknown Shadcn/UI components: ${unknown.join(', ')}. Available: ${Object.keys(components).join(', ')}`,
+      ERROR_TYPES.VALIDATION,
+      { components: unknown, available: Object.keys(components) },
+      'RVB_E_COMPONENT_UNKNOWN'
+    );
+  }
+
+  const resolved = [];
+  const visit = (name) => {
+    if (resolved.includes(name)) return;
+    for (const dependency of components[name].registryDependencies || []) {
+      visit(dependency);
+    }
+    resolved.push(name);
+  };
+  names.forEach(visit);
+  return resolved;
+}
+
+/**
+ * Collects the npm dependencies of catalog components
+ * @param {string[]} components - Component names
+ * @param {string} shadcnDir - Catalog directory
+ * @returns {Object} - { [package]: range }
+ */
+function getShadcnDependencies(components, shadcnDir = SHADCN_DIR) {
+  const registry = loadShadcnRegistry(shadcnDir);
+  return Object.assign({}, ...components.map(name => (registry.components[name] || {}).dependencies || {}));
+}
+
+/**
+ * Reads components.json and checks the catalog can serve it
+ * @param {string} projectDir - Project directory
+ * @param {string} shadcnDir - Catalog directory
+ * @returns {Object} - Parsed components.json
+ * @throws {BoilerplateError} If it is missing or asks for an unsupported style
+ */
+function readComponentsConfig(projectDir, shadcnDir = SHADCN_DIR) {
+  const configPath = path.join(projectDir, COMPONENTS_CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    throw new BoilerplateError(
+      `No ${COMPONENTS_CONFIG_FILE} found in ${projectDir}`,
+      ERROR_TYPES.TEMPLATE,
+      { projectDir },
+      'RVB_E_SHADCN_CONFIG'
+    );
+  }
+
+  let config;
+  try {
+    config = fs.readJsonSync(configPath);
+  } catch (error) {
+    throw new BoilerplateError(`Invalid ${configPath}: ${error.message}`, ERROR_TYPES.TEMPLATE, { projectDir }, 'RVB_E_SHADCN_CONFIG');
+  }
+
+  const { styles } = loadShadcnRegistry(shadcnDir);
+  const style = config.style || styles[0];
+  if (!styles.includes(style)) {
+    throw new BoilerplateError(
+      `${COMPONENTS_CONFIG_FILE} uses the "${style}" style; bundled components are available in: ${styles.join(', ')}`,
+      ERROR_TYPES.TEMPLATE,
+      { style, styles },
+      'RVB_E_SHADCN_CONFIG'
+    );
+  }
+  if (config.tsx === false) {
+    throw new BoilerplateError(
+      `${COMPONENTS_CONFIG_FILE} sets "tsx": false; bundled components are only available as TypeScript`,
+      ERROR_TYPES.TEMPLATE,
+      { projectDir },
+      'RVB_E_SHADCN_CONFIG'
+    );
+  }
+
+  return { ...config, style, aliases: config.aliases || {} };
+}
+
+/**
+ * Resolves an import alias such as "@/components/ui" to a directory,
+ * using the paths in the project's tsconfig.json
+ * @param {string} projectDir - Project directory
+ * @param {string} alias - Import alias from components.json
+ * @returns {string} - Path relative to the project directory
+ */
+function resolveAliasPath(projectDir, alias) {
+  let paths = {};
+  try {
+    const tsconfig = JSON.parse(stripJsonComments(fs.readFileSync(path.join(projectDir, 'tsconfig.json'), 'utf8')));
+    paths = (tsconfig.compilerOptions && tsconfig.compilerOptions.paths) || {};
+  } catch (error) {
+    // Without a tsconfig.json the alias is taken as a plain path
+  }
+
+  for (const [pattern, targets] of Object.entries(paths)) {
+    const prefix = pattern.replace(/\*$/, '');
+    if (pattern.endsWith('*') && alias.startsWith(prefix) && Array.isArray(targets) && targets[0]) {
+      return path.normalize(targets[0].replace(/\*$/, '') + alias.slice(prefix.length));
+    }
+  }
+  return path.normalize(alias);
+}
+
+/**
+ * Writes catalog components into a project, the way `shadcn add` would:
+ * sources in the style from components.json go to its ui alias, imports
+ * follow its utils alias, and missing dependencies are added to package.json
+ * (ranges already there are kept).
+ * @param {string} projectDir - Project directory containing components.json
+ * @param {string[]} components - Component names
+ * @param {Object} options - { shadcnDir }
+ * @returns {Promise<Object>} - { files, dependencies }: files relative to the project and the dependencies added
+ */
+async function writeShadcnComponents(projectDir, components, options = {}) {
+  const { shadcnDir = SHADCN_DIR } = options;
+  const names = resolveShadcnComponents(components, shadcnDir);
+  const config = readComponentsConfig(projectDir, shadcnDir);
+
+  const uiAlias = config.aliases.ui || `${config.aliases.components || '@/components'}/ui`;
+  const utilsAlias = config.aliases.utils || SOURCE_UTILS_ALIAS;
+  const uiDir = resolveAliasPath(projectDir, uiAlias);
+
+  const registry = loadShadcnRegistry(shadcnDir);
+  const files = [];
+  for (const name of names) {
+    for (const file of registry.components[name].files) {
+      let source = await fs.readFile(path.join(shadcnDir, config.style, file), 'utf8');
+      source = source.split(`"${SOURCE_UTILS_ALIAS}"`).join(`"${utilsAlias}"`);
+      // Like the shadcn CLI, only React Server Components projects keep the directive
+      if (!config.rsc) {
+        source = source.replace(USE_CLIENT_DIRECTIVE, '');
+      }
+
+      const relativePath = path.join(uiDir, path.basename(file));
+      await fs.outputFile(path.join(projectDir, relativePath), source);
+      files.push(relativePath.split(path.sep).join('/'));
+    }
+  }
+
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  const packageJson = await fs.readJson(packageJsonPath);
+  packageJson.dependencies = packageJson.dependencies || {};
+  const added = {};
+  for (const [name, range] of Object.entries(getShadcnDependencies(names, shadcnDir))) {
+    if (!packageJson.dependencies[name] && !(packageJson.devDependencies || {})[name]) {
+      packageJson.dependencies[name] = range;
+      added[name] = range;
+    }
+  }
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+
+  return { files, dependencies: added };
+}
+
+module.exports = {
+  SHADCN_DIR,
+  COMPONENTS_CONFIG_FILE,
+  loadShadcnRegistry,
+  listShadcnComponents,
+  parseComponentList,
+  resolveShadcnComponents,
+  getShadcnDependencies,
+  readComponentsConfig,
+  resolveAliasPath,
+  writeShadcnComponents
+};
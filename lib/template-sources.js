@@ -0,0 +1,332 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const spawn = require('cross-spawn');
+const chalk = require('chalk');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { getCacheDir } = require('./cache');
+const { logCommand } = require('./debug-log');
+const {
+  MANIFEST_FILE,
+  DEFAULT_TEMPLATE,
+  loadTemplateManifest,
+  resolveTemplate,
+  resolveTemplateChain
+} = require('./templates');
+
+const GITHUB_SHORTHAND = /^github:([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:#(.+))?$/;
+const GIT_URL = /^(git\+)?(https?|ssh|git|file):\/\/|^[\w.-]+@[\w.-]+:/;
+const TARBALL = /\.(tgz|tar\.gz|tar)$/;
+
+// Longest a git command may take before the fetch is given up
+const GIT_TIMEOUT = 120000;
+
+/**
+ * Works out where a --template value points to
+ *  - a name from the built-in registry ("dashboard")
+ *  - a local template directory ("./my-template")
+ *  - a tarball ("./my-template.tgz")
+ *  - a git repository ("github:org/repo#ref", "https://host/repo.git", "file:///repo.git", a bare repo path)
+ * @param {string} input - Value of --template
+ * @param {Object} options - { cwd }
+ * @returns {Object} - { type: 'registry' | 'local' | 'tarball' | 'git', input, name?, path?, url?, ref? }
+ * @throws {BoilerplateError} If a path does not exist
+ */
+function parseTemplateSource(input = DEFAULT_TEMPLATE, options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const github = input.match(GITHUB_SHORTHAND);
+  if (github) {
+    const [, org, repo, ref = null] = github;
+    return { type: 'git', input, url: `https://github.com/${org}/${repo}.git`, ref };
+  }
+
+  if (GIT_URL.test(input)) {
+    const [url, ref = null] = input.replace(/^git\+/, '').split('#');
+    return { type: 'git', input, url, ref };
+  }
+
+  const looksLikePath = /^(\.{1,2}[\\/]|[\\/]|~[\\/])/.test(input) || path.isAbsolute(input) ||
+    input.includes('/') || input.includes(path.sep);
+  if (!looksLikePath) {
+    return { type: 'registry', input, name: input };
+  }
+
+  const [rawPath, ref = null] = input.split('#');
+  const resolved = path.resolve(cwd, rawPath.replace(/^~(?=[\\/])/, os.homedir()));
+  if (!fs.existsSync(resolved)) {
+    throw new BoilerplateError(
+      `Template path not found: ${resolved}`,
+      ERROR_TYPES.VALIDATION,
+      { template: input },
+      'RVB_E_TEMPLATE_NOT_FOUND'
+    );
+  }
+
+  if (fs.statSync(resolved).isFile()) {
+    if (!TARBALL.test(resolved)) {
+      throw new BoilerplateError(
+        `Unsupported template file ${resolved}. Use a directory, a .tgz/.tar.gz/.tar tarball or a git URL.`,
+        ERROR_TYPES.VALIDATION,
+        { template: input },
+        'RVB_E_TEMPLATE_NOT_FOUND'
+      );
+    }
+    return { type: 'tarball', input, path: resolved };
+  }
+
+  // A bare repository is cloned like any other git remote
+  const isBareRepo = fs.existsSync(path.join(resolved, 'HEAD')) && fs.existsSync(path.join(resolved, 'objects'));
+  if (isBareRepo) {
+    return { type: 'git', input, url: resolved, ref };
+  }
+
+  return { type: 'local', input, path: resolved };
+}
+
+/**
+ * Returns the string to record in project metadata to fetch the template again
+ * @param {Object} source - Result of parseTemplateSource
+ * @returns {string|null} - null for registry templates
+ */
+function describeTemplateSource(source) {
+  switch (source.type) {
+    case 'registry':
+      return null;
+    case 'git':
+      // Bare repositories given as relative paths are recorded as absolute paths
+      return path.isAbsolute(source.url)
+        ? source.url + (source.ref ? `#${source.ref}` : '')
+        : source.input;
+    default:
+      return source.path;
+  }
+}
+
+/**
+ * Runs a git command and collects its output. git never prompts for
+ * credentials: a repository that needs them fails instead of waiting for input.
+ * @param {string[]} args - git arguments
+ * @param {Object} options - { cwd, timeout (ms) }
+ * @returns {Promise<Object>} - { code, stdout, stderr }
+ */
+function runGit(args, options = {}) {
+  const { cwd, timeout = GIT_TIMEOUT } = options;
+  const startedAt = Date.now();
+  return new Promise((resolve) => {
+    const child = spawn('git', args, {
+      cwd,
+      stdio: 'pipe',
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    let stdout = '';
+    let stderr = '';
+    // A missing binary emits 'error' and then 'close': only the first counts
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      logCommand({ command: 'git', args, cwd, duration: Date.now() - startedAt, ...result });
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      finish({ code: -1, stdout, stderr: `timed out after ${timeout / 1000}s` });
+      child.kill();
+    }, timeout);
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('close', (code) => finish({ code, stdout, stderr }));
+    child.on('error', (error) => finish({ code: -1, stdout, stderr: error.message }));
+  });
+}
+
+/**
+ * Brings a cached checkout up to date with a git remote
+ * @param {string} dir - Checkout directory
+ * @param {string} url - Remote URL
+ * @param {string|null} ref - Branch, tag or commit (default branch when null)
+ * @param {Object} options - { timeout } of each git command, in ms
+ * @returns {Promise<void>}
+ * @throws {BoilerplateError} If the repository cannot be fetched
+ */
+async function syncGitCheckout(dir, url, ref, options = {}) {
+  const git = async (...args) => {
+    const result = await runGit(args, { cwd: dir, timeout: options.timeout });
+    if (result.code !== 0) {
+      throw new BoilerplateError(
+        `git ${args.join(' ')} failed for ${url}: ${result.stderr.trim() || `exit code ${result.code}`}`,
+        ERROR_TYPES.TEMPLATE,
+        { url, ref, stderr: result.stderr },
+        'RVB_E_TEMPLATE_FETCH'
+      );
+    }
+    return result;
+  };
+
+  if (!fs.existsSync(path.join(dir, '.git'))) {
+    await fs.ensureDir(dir);
+    await git('init', '--quiet');
+    await git('remote', 'add', 'origin', url);
+  }
+
+  try {
+    await git('fetch', '--quiet', '--depth', '1', 'origin', ref || 'HEAD');
+    await git('checkout', '--quiet', '--force', 'FETCH_HEAD');
+  } catch (error) {
+    // Servers may refuse shallow fetches of a bare commit hash
+    if (!ref) throw error;
+    await git('fetch', '--quiet', '--tags', 'origin');
+    await git('checkout', '--quiet', '--force', ref);
+  }
+  await git('clean', '--quiet', '-fdx');
+}
+
+/**
+ * Fetches a template into the cache (git, tarball) or returns its directory (local)
+ * @param {Object} source - Result of parseTemplateSource
+ * @param {Object} options - { offline, verbose, timeout }; timeout limits each git command (ms)
+ * @returns {Promise<string>} - Directory containing the template
+ */
+async function fetchTemplateSource(source, options = {}) {
+  const { offline = false, verbose = false, timeout } = options;
+
+  if (source.type === 'local') {
+    return source.path;
+  }
+
+  if (source.type === 'tarball') {
+    const hash = crypto.createHash('sha1').update(await fs.readFile(source.path)).digest('hex');
+    const dir = getCacheDir('templates', `tarball-${hash.slice(0, 16)}`);
+
+    if (!fs.existsSync(dir)) {
+      const extractDir = `${dir}.tmp-${process.pid}`;
+      await fs.ensureDir(extractDir);
+      const args = ['-xf', source.path, '-C', extractDir];
+      const startedAt = Date.now();
+      const result = await new Promise((resolve) => {
+        const child = spawn('tar', args, { stdio: 'pipe' });
+        let stderr = '';
+        child.stderr.on('data', (data) => { stderr += data.toString(); });
+        child.on('close', (code) => resolve({ code, stderr }));
+        child.on('error', (error) => resolve({ code: -1, stderr: error.message }));
+      });
+      logCommand({ command: 'tar', args, duration: Date.now() - startedAt, ...result });
+      if (result.code !== 0) {
+        await fs.remove(extractDir);
+        throw new BoilerplateError(
+          `Cannot extract template tarball ${source.path}: ${result.stderr.trim()}`,
+          ERROR_TYPES.TEMPLATE,
+          { template: source.input },
+          'RVB_E_TEMPLATE_FETCH'
+        );
+      }
+      await fs.move(extractDir, dir, { overwrite: true });
+    }
+
+    // npm pack style tarballs wrap everything in a single folder
+    const entries = fs.readdirSync(dir);
+    if (!entries.includes(MANIFEST_FILE) && entries.length === 1 &&
+        fs.statSync(path.join(dir, entries[0])).isDirectory()) {
+      return path.join(dir, entries[0]);
+    }
+    return dir;
+  }
+
+  const key = crypto.createHash('sha1').update(`${source.url}#${source.ref || ''}`).digest('hex');
+  const dir = getCacheDir('templates', `git-${key.slice(0, 16)}`);
+  const cached = fs.existsSync(path.join(dir, '.git'));
+
+  if (cached && offline) {
+    return dir;
+  }
+
+  try {
+    if (verbose) {
+      console.log(`📥 Fetching template ${source.input} into ${dir}`);
+    }
+    await syncGitCheckout(dir, source.url, source.ref, { timeout });
+  } catch (error) {
+    if (!cached) {
+      await fs.remove(dir);
+      throw error;
+    }
+    console.log(chalk.yellow(`⚠️  Could not update template ${source.input}, using cached copy: ${error.message}`));
+  }
+
+  return dir;
+}
+
+/**
+ * Checks that a fetched template can be copied
+ * @param {string} dir - Template directory
+ * @param {string} input - Original --template value, for error messages
+ * @throws {BoilerplateError} If template.json or package.json is missing
+ */
+function validateTemplateDir(dir, input) {
+  const missing = [MANIFEST_FILE, 'package.json'].filter(file => !fs.existsSync(path.join(dir, file)));
+  if (missing.length > 0) {
+    throw new BoilerplateError(
+      `Template ${input} is missing ${missing.join(' and ')}`,
+      ERROR_TYPES.TEMPLATE,
+      { template: input, dir, missing },
+      'RVB_E_TEMPLATE_INVALID'
+    );
+  }
+}
+
+/**
+ * Resolves a --template value (registry name, path, tarball or git URL) to a template
+ * @param {string} input - Value of --template, or a recorded template source
+ * @param {Object} options - { cwd, offline, verbose, timeout }
+ * @returns {Promise<Object>} - Manifest with `chain`, plus `source` (null for registry templates)
+ */
+async function resolveTemplateSource(input = DEFAULT_TEMPLATE, options = {}) {
+  const source = parseTemplateSource(input, options);
+
+  if (source.type === 'registry') {
+    return { ...resolveTemplate(source.name), source: null };
+  }
+
+  const dir = await fetchTemplateSource(source, options);
+  validateTemplateDir(dir, input);
+
+  return {
+    ...resolveTemplateChain(loadTemplateManifest(dir)),
+    source: describeTemplateSource(source)
+  };
+}
+
+/**
+ * Resolves the template recorded in a project's metadata
+ * @param {Object} state - Project metadata from .rvb/project.json
+ * @param {Object} options - { offline, verbose }
+ * @returns {Promise<Object>}
+ */
+function resolveProjectTemplate(state, options = {}) {
+  return resolveTemplateSource(state.templateSource || state.template, options);
+}
+
+/**
+ * Checks if a --template value refers to something other than the built-in registry
+ * @param {string} input - Value of --template
+ * @returns {boolean}
+ */
+function isExternalTemplate(input) {
+  try {
+    return parseTemplateSource(input).type !== 'registry';
+  } catch (error) {
+    return true;
+  }
+}
+
+module.exports = {
+  parseTemplateSource,
+  describeTemplateSource,
+  fetchTemplateSource,
+  validateTemplateDir,
+  resolveTemplateSource,
+  resolveProjectTemplate,
+  isExternalTemplate
+};
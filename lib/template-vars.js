@@ -0,0 +1,232 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+
+const DEFAULT_DESCRIPTION = 'A modern React application built with Vite, TanStack Router, and Tailwind CSS';
+
+// Copied as is: rendering would corrupt them
+const BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.ico', '.bmp',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.mp3', '.mp4', '.webm', '.wav', '.ogg',
+  '.pdf', '.zip', '.gz', '.tgz', '.tar', '.wasm', '.lockb'
+];
+
+const VARIABLE_PATTERN = /{{\s*([A-Za-z_][\w.]*)\s*}}/g;
+const BLOCK_TAG_PATTERN = /{{\s*(#if\s+[^}]*?|else|\/if)\s*}}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*({{\s*(?:#if\s+[^}]*?|else|\/if)\s*}})[ \t]*\r?\n/gm;
+const PATH_PLACEHOLDER_PATTERN = /__([A-Za-z][A-Za-z0-9]*)__/g;
+
+/**
+ * Turns a package name into a human readable title ("@acme/my-app" → "My App")
+ * @param {string} projectName - Package name
+ * @returns {string}
+ */
+function toTitle(projectName) {
+  return projectName
+    .replace(/^@[^/]+\//, '')
+    .split(/[-_.\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Builds the values available to template files
+ *  - projectName, title, description, template: strings for {{name}} and __name__
+ *  - addon.<name>, feature.<name>: flags for {{#if ...}} blocks
+ * @param {Object} options - { projectName, description, template, addons }
+ * @returns {Object}
+ */
+function getTemplateVariables(options = {}) {
+  const { projectName, description, template = null, addons = [] } = options;
+  const flags = names => Object.fromEntries(names.map(name => [name, true]));
+
+  return {
+    projectName,
+    title: toTitle(projectName),
+    description: description || DEFAULT_DESCRIPTION,
+    template: template ? template.name : '',
+    addon: flags(addons.map(addon => (typeof addon === 'string' ? addon : addon.name))),
+    feature: flags(template ? template.features : [])
+  };
+}
+
+/**
+ * Looks up a dotted name ("addon.vitest") in the variables
+ * @param {Object} variables - Template variables
+ * @param {string} name - Variable name
+ * @returns {*}
+ */
+function lookup(variables, name) {
+  return name.split('.').reduce(
+    (value, key) => (value && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined),
+    variables
+  );
+}
+
+/**
+ * Evaluates an {{#if}} condition: a variable name, optionally negated with "!"
+ * @param {string} condition - Condition text
+ * @param {Object} variables - Template variables
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, variables) {
+  const negated = condition.startsWith('!');
+  const value = Boolean(lookup(variables, negated ? condition.slice(1).trim() : condition));
+  return negated ? !value : value;
+}
+
+/**
+ * Resolves {{#if cond}}...{{else}}...{{/if}} blocks. Tags alone on a line
+ * are removed with their line so blocks leave no blank lines behind.
+ * @param {string} text - File contents
+ * @param {Object} variables - Template variables
+ * @param {string} file - File name, for error messages
+ * @returns {string}
+ */
+function renderBlocks(text, variables, file) {
+  const source = text.replace(STANDALONE_TAG_PATTERN, '$1');
+  const fail = (message) => new BoilerplateError(
+    `Invalid template block in ${file}: ${message}`,
+    ERROR_TYPES.TEMPLATE,
+    { file },
+    'RVB_E_TEMPLATE_INVALID'
+  );
+
+  // Each frame collects output for the block currently open
+  const stack = [{ output: '', active: true }];
+  let last = 0;
+  let match;
+
+  BLOCK_TAG_PATTERN.lastIndex = 0;
+  while ((match = BLOCK_TAG_PATTERN.exec(source)) !== null) {
+    const frame = stack[stack.length - 1];
+    if (frame.active) frame.output += source.slice(last, match.index);
+    last = BLOCK_TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    if (tag.startsWith('#if')) {
+      const condition = tag.slice(3).trim();
+      if (!condition) throw fail('{{#if}} needs a condition');
+      const result = evaluateCondition(condition, variables);
+      stack.push({ output: '', active: frame.active && result, parentActive: frame.active, result, condition });
+    } else if (stack.length === 1) {
+      throw fail(`{{${tag}}} without a matching {{#if}}`);
+    } else if (tag === 'else') {
+      if (frame.sawElse) throw fail(`more than one {{else}} in {{#if ${frame.condition}}}`);
+      frame.sawElse = true;
+      frame.active = frame.parentActive && !frame.result;
+    } else {
+      stack.pop();
+      stack[stack.length - 1].output += frame.output;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw fail(`{{#if ${stack[stack.length - 1].condition}}} is never closed`);
+  }
+  return stack[0].output + source.slice(last);
+}
+
+/**
+ * Renders the contents of a template file. Unknown {{names}} are left alone,
+ * so JSX such as `style={{ color }}` survives.
+ * @param {string} text - File contents
+ * @param {Object} variables - Template variables
+ * @param {string} [file] - File name, for error messages
+ * @returns {string}
+ * @throws {BoilerplateError} If {{#if}} blocks are unbalanced
+ */
+function renderTemplateString(text, variables, file = 'template') {
+  return renderBlocks(text, variables, file).replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = lookup(variables, name);
+    return typeof value === 'string' ? value : placeholder;
+  });
+}
+
+/**
+ * Replaces __name__ placeholders in a relative file path
+ * @param {string} file - Relative path
+ * @param {Object} variables - Template variables
+ * @returns {string}
+ */
+function renderPath(file, variables) {
+  return file.replace(PATH_PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    return typeof value === 'string' ? value : placeholder;
+  });
+}
+
+/**
+ * Checks whether a file should be copied without rendering
+ * @param {string} file - File path
+ * @param {Buffer} contents - File contents
+ * @returns {boolean}
+ */
+function isBinaryFile(file, contents) {
+  if (BINARY_EXTENSIONS.includes(path.extname(file).toLowerCase())) return true;
+  return contents.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Renders a single file: contents (unless binary) and __name__ placeholders in its path
+ * @param {string} src - Source file
+ * @param {string} dest - Destination file, before placeholder replacement
+ * @param {Object} variables - Template variables
+ * @param {string} [file] - Relative path, for error messages
+ * @returns {Promise<string>} - Destination file after placeholder replacement
+ */
+async function renderFile(src, dest, variables, file = src) {
+  const target = path.join(path.dirname(dest), renderPath(path.basename(dest), variables));
+  const contents = await fs.readFile(src);
+
+  if (isBinaryFile(src, contents)) {
+    if (src !== target) await fs.copy(src, target);
+  } else {
+    await fs.outputFile(target, renderTemplateString(contents.toString('utf8'), variables, file));
+  }
+
+  if (src === dest && target !== dest) {
+    await fs.remove(src);
+  }
+  return target;
+}
+
+/**
+ * Renders every file below a directory in place, renaming placeholder paths
+ * @param {string} dir - Directory to render
+ * @param {Object} variables - Template variables
+ * @returns {Promise<void>}
+ */
+async function renderTemplateFiles(dir, variables) {
+  const walk = async (current) => {
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      if (entry.name === '.git' || entry.name === 'node_modules') continue;
+      const fullPath = path.join(current, entry.name);
+      const renamed = path.join(current, renderPath(entry.name, variables));
+
+      if (entry.isDirectory()) {
+        if (renamed !== fullPath) {
+          await fs.move(fullPath, renamed);
+        }
+        await walk(renamed);
+      } else if (entry.isFile()) {
+        await renderFile(fullPath, fullPath, variables, path.relative(dir, fullPath));
+      }
+    }
+  };
+  await walk(dir);
+}
+
+module.exports = {
+  DEFAULT_DESCRIPTION,
+  BINARY_EXTENSIONS,
+  toTitle,
+  getTemplateVariables,
+  renderTemplateString,
+  renderPath,
+  isBinaryFile,
+  renderFile,
+  renderTemplateFiles
+};
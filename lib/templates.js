@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const MANIFEST_FILE = 'template.json';
+const DEFAULT_TEMPLATE = 'default';
+
+/**
+ * Human readable labels for template features
+ */
+const FEATURE_LABELS = {
+  router: 'TanStack Router for routing',
+  tailwind: 'Tailwind CSS for styling',
+  shadcn: 'Shadcn/UI components',
+  seo: 'React Helmet Async for SEO',
+  eslint: 'ESLint configuration',
+  charts: 'Recharts dashboard widgets'
+};
+
+/**
+ * Reads and validates a template manifest
+ * @param {string} templateDir - Directory containing the template
+ * @returns {Object} - Normalized manifest
+ */
+function loadTemplateManifest(templateDir) {
+  const manifestPath = path.join(templateDir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new BoilerplateError(
+      `Template manifest not found: ${manifestPath}`,
+      ERROR_TYPES.TEMPLATE,
+      { templateDir },
+      'RVB_E_TEMPLATE_INVALID'
+    );
+  }
+
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestPath);
+  } catch (error) {
+    throw new BoilerplateError(
+      `Invalid template manifest ${manifestPath}: ${error.message}`,
+      ERROR_TYPES.TEMPLATE,
+      { templateDir },
+      'RVB_E_TEMPLATE_INVALID'
+    );
+  }
+
+  return {
+    name: manifest.name || path.basename(templateDir),
+    description: manifest.description || '',
+    version: manifest.version || '0.0.0',
+    extends: manifest.extends || null,
+    features: Array.isArray(manifest.features) ? manifest.features : [],
+    dependencies: manifest.dependencies || {},
+    devDependencies: manifest.devDependencies || {},
+    dir: templateDir
+  };
+}
+
+/**
+ * Lists all templates available in the registry
+ * @param {string} templatesDir - Registry directory
+ * @returns {Object[]} - Template manifests sorted by name
+ */
+function listTemplates(templatesDir = TEMPLATES_DIR) {
+  if (!fs.existsSync(templatesDir)) return [];
+
+  return fs.readdirSync(templatesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .filter(entry => fs.existsSync(path.join(templatesDir, entry.name, MANIFEST_FILE)))
+    .map(entry => loadTemplateManifest(path.join(templatesDir, entry.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolves a template by name, including the templates it extends
+ * @param {string} name - Template name
+ * @param {string} templatesDir - Registry directory
+ * @returns {Object} - Manifest with a `chain` of manifests, base first
+ * @throws {BoilerplateError} If the template is unknown
+ */
+function resolveTemplate(name = DEFAULT_TEMPLATE, templatesDir = TEMPLATES_DIR) {
+  const available = listTemplates(templatesDir);
+  const template = available.find(candidate => candidate.name === name);
+  if (!template) {
+    const names = available.map(t => t.name);
+    throw new BoilerplateError(
+      `Unknown template "${name}". Available templates: ${names.join(', ')}`,
+      ERROR_TYPES.VALIDATION,
+      { template: name, available: names },
+      'RVB_E_TEMPLATE_NOT_FOUND'
+    );
+  }
+
+  return resolveTemplateChain(template, templatesDir);
+}
+
+/**
+ * Resolves the templates a manifest extends from the registry
+ * @param {Object} manifest - Manifest returned by loadTemplateManifest (possibly outside the registry)
+ * @param {string} templatesDir - Registry directory
+ * @returns {Object} - Manifest with a `chain` of manifests, base first
+ * @throws {BoilerplateError} If a base template is unknown or the chain is circular
+ */
+function resolveTemplateChain(manifest, templatesDir = TEMPLATES_DIR) {
+  const available = listTemplates(templatesDir);
+  const byName = new Map(available.map(template => [template.name, template]));
+  const { name } = manifest;
+
+  const chain = [manifest];
+  let current = manifest.extends;
+  while (current) {
+    const template = byName.get(current);
+    if (!template) {
+      throw new BoilerplateError(
+        `Template "${name}" extends unknown template "${current}"`,
+        ERROR_TYPES.VALIDATION,
+        { template: name, available: available.map(t => t.name) }
+      );
+    }
+    if (chain.some(entry => entry.name === template.name)) {
+      throw new BoilerplateError(
+        `Template "${name}" has a circular "extends" chain`,
+        ERROR_TYPES.TEMPLATE,
+        { template: name },
+        'RVB_E_TEMPLATE_INVALID'
+      );
+    }
+    chain.unshift(template);
+    current = template.extends;
+  }
+
+  return { ...manifest, chain };
+}
+
+/**
+ * Copies a resolved template into the target directory
+ * @param {Object} template - Template returned by resolveTemplate
+ * @param {string} targetDir - Target directory
+ * @param {Object} options - Copy options
+ * @returns {Promise<void>}
+ */
+async function copyTemplate(template, targetDir, options = {}) {
+  const { verbose = false } = options;
+
+  for (const layer of template.chain) {
+    if (verbose) {
+      console.log(`📋 Copying template files from: ${layer.dir}`);
+    }
+
+    await fs.copy(layer.dir, targetDir, {
+      filter: (src) => {
+        const relativePath = path.relative(layer.dir, src);
+        if (relativePath === MANIFEST_FILE) return false;
+        // Skip .git and installed packages but allow .gitignore and other dotfiles
+        const segments = relativePath.split(path.sep);
+        if (segments.includes('.git') || segments.includes('node_modules')) return false;
+        if (verbose && relativePath) {
+          console.log(`  📄 ${relativePath}`);
+        }
+        return true;
+      }
+    });
+  }
+
+  // Merge the extra dependencies declared by every layer
+  const packageJsonPath = path.join(targetDir, 'package.json');
+  const packageJson = await fs.readJson(packageJsonPath);
+  for (const layer of template.chain) {
+    packageJson.dependencies = { ...packageJson.dependencies, ...layer.dependencies };
+    packageJson.devDependencies = { ...packageJson.devDependencies, ...layer.devDependencies };
+  }
+  await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  MANIFEST_FILE,
+  DEFAULT_TEMPLATE,
+  FEATURE_LABELS,
+  loadTemplateManifest,
+  listTemplates,
+  resolveTemplate,
+  resolveTemplateChain,
+  copyTemplate
+};
@@ -0,0 +1,179 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { mergeThreeWay } = require('./diff');
+const { STATE_DIR, BASE_DIR, listProjectFiles, readBaseFile } = require('./project-state');
+
+/**
+ * Upgrade actions for a single file
+ *  - add: new template file
+ *  - update: file untouched by the user, replaced with the new version
+ *  - merge: user and template changes merged cleanly
+ *  - conflict: overlapping changes, written with conflict markers (or kept as is)
+ *  - delete: file removed from the template and untouched by the user
+ *  - skip: cannot be applied automatically, reported to the user
+ */
+const UPGRADE_ACTIONS = ['add', 'update', 'merge', 'conflict', 'delete', 'skip'];
+
+const PACKAGE_JSON = 'package.json';
+
+/**
+ * Reads a file if it exists
+ * @param {string} filePath - File path
+ * @returns {string|null}
+ */
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Three-way merges a single package.json value
+ * @returns {Object} - { value, conflict }
+ */
+function mergeValue(base, ours, theirs) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (same(ours, base) || same(ours, theirs)) return { value: theirs, conflict: false };
+  if (same(theirs, base)) return { value: ours, conflict: false };
+  return { value: ours, conflict: true };
+}
+
+/**
+ * Three-way merges package.json key by key. Dependency and script maps are
+ * merged per entry; on conflict the user's value is kept.
+ * @param {Object} base - package.json generated by the old template
+ * @param {Object} ours - Current package.json
+ * @param {Object} theirs - package.json generated by the new template
+ * @returns {Object} - { json, conflicts } where conflicts lists keys such as "dependencies.react"
+ */
+function mergePackageJson(base, ours, theirs) {
+  const json = {};
+  const conflicts = [];
+  const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])];
+
+  for (const key of keys) {
+    if (isMap(ours[key]) && isMap(theirs[key])) {
+      const baseMap = isMap(base[key]) ? base[key] : {};
+      const merged = {};
+      const entries = [...new Set([...Object.keys(ours[key]), ...Object.keys(theirs[key])])];
+      for (const entry of entries) {
+        const { value, conflict } = mergeValue(baseMap[entry], ours[key][entry], theirs[key][entry]);
+        if (conflict) conflicts.push(`${key}.${entry}`);
+        if (value !== undefined) merged[entry] = value;
+      }
+      json[key] = merged;
+      continue;
+    }
+
+    const { value, conflict } = mergeValue(base[key], ours[key], theirs[key]);
+    if (conflict) conflicts.push(key);
+    if (value !== undefined) json[key] = value;
+  }
+
+  return { json, conflicts };
+}
+
+/**
+ * Decides what to do with one file given its three versions
+ * @param {string} file - Relative file path
+ * @param {string|null} base - Version generated by the old template (null if it did not exist)
+ * @param {string|null} ours - Current version (null if deleted)
+ * @param {string|null} theirs - Version generated by the new template (null if removed)
+ * @param {Object} labels - { oursLabel, theirsLabel } for conflict markers
+ * @returns {Object|null} - { file, action, content, reason }, or null when nothing changes
+ */
+function planFile(file, base, ours, theirs, labels) {
+  // Template did not change this file, or the user already has the new version
+  if (base === theirs || ours === theirs) return null;
+
+  if (ours === null) {
+    if (base === null) return { file, action: 'add', content: theirs };
+    return { file, action: 'skip', reason: 'deleted locally but changed in the template' };
+  }
+
+  if (ours === base) {
+    return theirs === null
+      ? { file, action: 'delete', content: null }
+      : { file, action: 'update', content: theirs };
+  }
+
+  if (theirs === null) {
+    return { file, action: 'skip', reason: 'removed from the template but modified locally' };
+  }
+
+  if (file === PACKAGE_JSON) {
+    try {
+      const { json, conflicts } = mergePackageJson(JSON.parse(base || '{}'), JSON.parse(ours), JSON.parse(theirs));
+      const content = JSON.stringify(json, null, 2) + '\n';
+      if (conflicts.length > 0) {
+        return { file, action: 'conflict', content, reason: `kept your values for ${conflicts.join(', ')}` };
+      }
+      return content === ours ? null : { file, action: 'merge', content };
+    } catch (error) {
+      return { file, action: 'skip', reason: `could not parse package.json: ${error.message}` };
+    }
+  }
+
+  if (base === null) {
+    return { file, action: 'skip', reason: 'added by both you and the template' };
+  }
+
+  const { text, conflicts } = mergeThreeWay(base, ours, theirs, labels);
+  if (conflicts > 0) {
+    return { file, action: 'conflict', content: text, reason: `${conflicts} conflicting hunk(s) marked in the file` };
+  }
+  return { file, action: 'merge', content: text };
+}
+
+/**
+ * Compares a project with a freshly rendered copy of its template
+ * @param {string} projectDir - Project directory (with .rvb/base snapshots of the old template)
+ * @param {string} renderedDir - Directory holding the output of the new template
+ * @param {Object} labels - { oursLabel, theirsLabel } for conflict markers
+ * @returns {Object[]} - Planned changes: { file, action, content, reason }
+ */
+function planUpgrade(projectDir, renderedDir, labels = {}) {
+  const baseDir = path.join(projectDir, STATE_DIR, BASE_DIR);
+  const baseFiles = fs.existsSync(baseDir) ? listProjectFiles(baseDir) : [];
+  const files = [...new Set([...baseFiles, ...listProjectFiles(renderedDir)])].sort();
+
+  return files
+    .map(file => planFile(
+      file,
+      readBaseFile(projectDir, file),
+      readIfExists(path.join(projectDir, file)),
+      readIfExists(path.join(renderedDir, file)),
+      { oursLabel: 'yours', theirsLabel: 'template', ...labels }
+    ))
+    .filter(Boolean);
+}
+
+/**
+ * Writes planned changes and makes the new template output the base for
+ * future upgrades and modification checks
+ * @param {string} projectDir - Project directory
+ * @param {string} renderedDir - Directory holding the output of the new template
+ * @param {Object[]} plan - Changes returned by planUpgrade
+ * @returns {Promise<void>}
+ */
+async function applyUpgrade(projectDir, renderedDir, plan) {
+  for (const { file, action, content } of plan) {
+    const filePath = path.join(projectDir, file);
+    if (action === 'delete') {
+      await fs.remove(filePath);
+    } else if (content !== undefined && content !== null) {
+      await fs.outputFile(filePath, content);
+    }
+  }
+
+  const baseDir = path.join(projectDir, STATE_DIR, BASE_DIR);
+  await fs.remove(baseDir);
+  await fs.copy(renderedDir, baseDir);
+}
+
+module.exports = {
+  UPGRADE_ACTIONS,
+  mergePackageJson,
+  planFile,
+  planUpgrade,
+  applyUpgrade
+};
@@ -1,4 +1,5 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 
 // Reserved words that cannot be used as project names
@@ -12,40 +13,41 @@ const RESERVED_NAMES = [
 /**
  * Validates a project name
  * @param {string} name - The project name to validate
- * @returns {Object} - { valid: boolean, error?: string }
+ * @returns {Object} - { valid: boolean, error?: string, code?: string }: the code is
+ *   RVB_E_NAME_RESERVED for reserved names, RVB_E_NAME_INVALID otherwise
  */
 function validateProjectName(name) {
   // Check if name is provided
   if (!name || typeof name !== 'string') {
-    return { valid: false, error: 'Project name is required' };
+    return { valid: false, error: 'Project name is required', code: 'RVB_E_NAME_INVALID' };
   }
 
   // Check for empty or whitespace-only names
   if (name.trim().length === 0) {
-    return { valid: false, error: 'Project name cannot be empty' };
+    return { valid: false, error: 'Project name cannot be empty', code: 'RVB_E_NAME_INVALID' };
   }
 
   // Check length constraints
   if (name.length > 214) {
-    return { valid: false, error: 'Project name must be less than 214 characters' };
+    return { valid: false, error: 'Project name must be less than 214 characters', code: 'RVB_E_NAME_INVALID' };
   }
 
   // Check if name starts with . or _
   if (name.startsWith('.') || name.startsWith('_')) {
-    return { valid: false, error: 'Project name cannot start with . or _' };
+    return { valid: false, error: 'Project name cannot start with . or _', code: 'RVB_E_NAME_INVALID' };
   }
 
   // Check for invalid characters
   const invalidChars = /[~)('!*]/;
   if (invalidChars.test(name)) {
-    return { valid: false, error: 'Project name contains invalid characters: ~)(\'!*' };
+    return { valid: false, error: 'Project name contains invalid characters: ~)(\'!*', code: 'RVB_E_NAME_INVALID' };
   }
 
   // Check for npm scope format (starts with @)
   if (name.startsWith('@')) {
     const scopePattern = /^@[a-z0-9-~][a-z0-9-._~]*\/[a-z0-9-~][a-z0-9-._~]*$/;
     if (!scopePattern.test(name)) {
-      return { valid: false, error: 'Invalid scoped package name format' };
+      return { valid: false, error: 'Invalid scoped package name format', code: 'RVB_E_NAME_INVALID' };
     }
   } else {
     // Check for spaces and special characters
@@ -53,31 +55,105 @@ function validateProjectName(name) {
     if (!validPattern.test(name)) {
       return { 
         valid: false, 
-        error: 'Project name can only contain letters, numbers, hyphens, underscores, and dots. Must start with a letter or number.' 
+        error: 'Project name can only contain letters, numbers, hyphens, underscores, and dots. Must start with a letter or number.',
+        code: 'RVB_E_NAME_INVALID'
       };
     }
   }
 
   // Check for reserved names (but not for scoped packages)
   if (!name.startsWith('@') && RESERVED_NAMES.includes(name.toLowerCase())) {
-    return { valid: false, error: `"${name}" is a reserved name and cannot be used` };
+    return { valid: false, error: `"${name}" is a reserved name and cannot be used`, code: 'RVB_E_NAME_RESERVED' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates a project description. It is written into HTML, TSX and .env
+ * files, so characters with a meaning in those formats are not allowed.
+ * @param {string} description - The description to validate
+ * @returns {Object} - { valid: boolean, error?: string }
+ */
+function validateDescription(description) {
+  if (typeof description !== 'string' || description.trim().length === 0) {
+    return { valid: false, error: 'Description cannot be empty' };
+  }
+
+  if (description.length > 200) {
+    return { valid: false, error: 'Description must be less than 200 characters' };
+  }
+
+  if (/[\r\n]/.test(description)) {
+    return { valid: false, error: 'Description must be a single line' };
+  }
+
+  const invalidChars = /[<>{}"`\\]/;
+  if (invalidChars.test(description)) {
+    return { valid: false, error: 'Description contains invalid characters: <>{}"`\\' };
   }
 
   return { valid: true };
 }
 
+// Entries that do not stop a directory from counting as empty: a freshly
+// created repository usually has only these
+const IGNORABLE_ENTRIES = [/^\.git$/, /^\.gitattributes$/, /^\.DS_Store$/, /^Thumbs\.db$/, /^\.idea$/, /^\.vscode$/, /^README(\.\w+)?$/i, /^LICEN[CS]E(\.\w+)?$/i];
+
+/**
+ * Lists the entries of a directory that make it non-empty for scaffolding
+ * @param {string} dirPath - Directory path
+ * @returns {string[]} - Entry names, empty when the directory is missing or only has ignorable entries
+ */
+function listSignificantEntries(dirPath) {
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath).filter(entry => !IGNORABLE_ENTRIES.some(pattern => pattern.test(entry))).sort();
+}
+
+/**
+ * Checks if a directory is a system directory (or the home directory) that
+ * must not hold a project
+ * @param {string} dirPath - The directory path to check
+ * @returns {boolean}
+ */
+function isSystemDirectory(dirPath) {
+  const resolvedPath = path.resolve(dirPath);
+  const systemPaths = [
+    '/', process.env.HOME || process.env.USERPROFILE || '/',
+    '/usr', '/etc', '/var', '/System', '/Windows', '/Program Files', '/Program Files (x86)'
+  ].map(systemPath => path.resolve(systemPath));
+
+  return systemPaths.includes(resolvedPath);
+}
+
+/**
+ * Checks if a path is a directory or one of its parents
+ * @param {string} dirPath - Possible parent
+ * @param {string} otherPath - Path to look for
+ * @returns {boolean}
+ */
+function containsPath(dirPath, otherPath) {
+  const relative = path.relative(path.resolve(dirPath), path.resolve(otherPath));
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
 /**
  * Checks if a directory is safe to remove
  * @param {string} dirPath - The directory path to check
  * @returns {boolean} - True if safe to remove
  */
 function isSafeToRemove(dirPath) {
-  // Don't allow removing system directories or parent directories
   const resolvedPath = path.resolve(dirPath);
+
+  // Removing the current or home directory, or a parent of them, would take
+  // the user's other files with it
+  if (containsPath(resolvedPath, process.cwd()) || containsPath(resolvedPath, os.homedir())) {
+    return false;
+  }
+
   const systemPaths = [
     path.resolve('/'),
     path.resolve(process.env.HOME || process.env.USERPROFILE || '/'),
-    path.resolve(process.cwd()),
     path.resolve('/usr'),
     path.resolve('/etc'),
     path.resolve('/var'),
@@ -102,38 +178,54 @@ function isSafeToRemove(dirPath) {
   return true;
 }
 
+/**
+ * Checks if the current user can create files in a directory
+ * @param {string} dir - Directory path
+ * @returns {boolean}
+ */
+function hasWritePermission(dir) {
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Validates a target directory path
  * @param {string} targetPath - The target directory path
- * @returns {Object} - { valid: boolean, error?: string, warnings?: string[] }
+ * @returns {Object} - { valid: boolean, error?: string, code?: string, warnings?: string[] }
  */
 function validateTargetDirectory(targetPath) {
   const result = { valid: true, warnings: [] };
 
-  // Check if path is absolute and safe
+  // Check if path is absolute and safe. The current directory and its parents
+  // are allowed: projects can be merged into them without removing anything.
   const resolvedPath = path.resolve(targetPath);
   
-  if (!isSafeToRemove(resolvedPath)) {
-    return { valid: false, error: 'Cannot create project in system directory or unsafe location' };
+  if (isSystemDirectory(resolvedPath) || (!containsPath(resolvedPath, process.cwd()) && !isSafeToRemove(resolvedPath))) {
+    return { valid: false, error: 'Cannot create project in system directory or unsafe location', code: 'RVB_E_DIR_UNSAFE' };
   }
 
-  // Check if we have write permissions to parent directory
-  const parentDir = path.dirname(resolvedPath);
-  try {
-    fs.accessSync(parentDir, fs.constants.W_OK);
-  } catch (error) {
-    return { valid: false, error: `No write permission to directory: ${parentDir}` };
+  // Check write permission where files will be created: the directory itself,
+  // or its closest existing parent for nested paths like apps/web
+  let writableDir = resolvedPath;
+  while (!fs.existsSync(writableDir) && path.dirname(writableDir) !== writableDir) {
+    writableDir = path.dirname(writableDir);
+  }
+  if (!hasWritePermission(writableDir)) {
+    return { valid: false, error: `No write permission to directory: ${writableDir}`, code: 'RVB_E_DIR_NO_PERMISSION' };
   }
 
   // Check if directory exists and has contents
   if (fs.existsSync(resolvedPath)) {
     try {
-      const files = fs.readdirSync(resolvedPath);
-      if (files.length > 0) {
+      if (listSignificantEntries(resolvedPath).length > 0) {
         result.warnings.push(`Directory ${path.basename(resolvedPath)} is not empty`);
       }
     } catch (error) {
-      return { valid: false, error: `Cannot read directory: ${resolvedPath}` };
+      return { valid: false, error: `Cannot read directory: ${resolvedPath}`, code: 'RVB_E_DIR_NO_PERMISSION' };
     }
   }
 
@@ -142,7 +234,11 @@ function validateTargetDirectory(targetPath) {
 
 module.exports = {
   validateProjectName,
+  validateDescription,
   validateTargetDirectory,
+  hasWritePermission,
   isSafeToRemove,
+  isSystemDirectory,
+  listSignificantEntries,
   RESERVED_NAMES
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BoilerplateError, ERROR_TYPES } = require('./error-handler');
+const { runScript, getRunCommand } = require('./package-managers');
+
+/**
+ * Checks run by --verify, in order. Each one is a package.json script;
+ * templates without the script skip the check. The build runs first because
+ * the router plugin writes src/routeTree.gen.ts, which tsc needs.
+ */
+const VERIFY_STEPS = [
+  { name: 'build', script: 'build', label: 'Building' },
+  { name: 'typecheck', script: 'typecheck', label: 'Type-checking' },
+  { name: 'lint', script: 'lint', label: 'Linting' }
+];
+
+// Lines of output kept per failed step in error messages and JSON results
+const OUTPUT_TAIL_LINES = 20;
+
+/**
+ * Keeps the last lines of a command's output
+ * @param {string} output - Command output
+ * @param {number} lines - Number of lines to keep
+ * @returns {string}
+ */
+function tailOutput(output, lines = OUTPUT_TAIL_LINES) {
+  const all = output.trimEnd().split('\n');
+  return all.slice(-lines).join('\n');
+}
+
+/**
+ * Lists the verification steps a project supports
+ * @param {string} projectDir - Project directory
+ * @returns {Object[]} - Steps with `available` set when package.json defines the script
+ */
+function getVerifySteps(projectDir) {
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  const scripts = fs.existsSync(packageJsonPath) ? fs.readJsonSync(packageJsonPath).scripts || {} : {};
+  return VERIFY_STEPS.map(step => ({ ...step, available: Boolean(scripts[step.script]) }));
+}
+
+/**
+ * Formats the command that runs a script, for messages
+ * @param {string} manager - Package manager
+ * @param {string} script - Script name
+ * @returns {string}
+ */
+function formatRunCommand(manager, script) {
+  const { command, args } = getRunCommand(manager, script);
+  return [command, ...args].join(' ');
+}
+
+/**
+ * Type-checks, lints and builds a project with its package manager.
+ * Every step runs even after a failure, so one run reports every problem.
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - { packageManager, verbose, json, onStepStart, onStepEnd, run }
+ *   onStepStart(step) and onStepEnd(step, result) report progress; run defaults to runScript
+ * @returns {Promise<Object[]>} - { name, script, status: 'passed' | 'failed' | 'skipped', duration, output? }
+ * @throws {BoilerplateError} VERIFICATION error listing the failed steps
+ */
+async function verifyProject(projectDir, options = {}) {
+  const {
+    packageManager = 'npm',
+    verbose = false,
+    json = false,
+    onStepStart = () => {},
+    onStepEnd = () => {},
+    run = runScript
+  } = options;
+  const results = [];
+
+  for (const step of getVerifySteps(projectDir)) {
+    if (!step.available) {
+      const result = { name: step.name, script: step.script, status: 'skipped', duration: 0 };
+      results.push(result);
+      onStepEnd(step, result);
+      continue;
+    }
+
+    onStepStart(step);
+    const startedAt = Date.now();
+    let result;
+    try {
+      await run(packageManager, step.script, projectDir, { verbose, json });
+      result = { name: step.name, script: step.script, status: 'passed', duration: Date.now() - startedAt };
+    } catch (error) {
+      result = {
+        name: step.name,
+        script: step.script,
+        status: 'failed',
+        duration: Date.now() - startedAt,
+        output: tailOutput([error.stdout, error.stderr].filter(Boolean).join('\n') || error.message)
+      };
+    }
+    results.push(result);
+    onStepEnd(step, result);
+  }
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    const details = failed
+      .map(result => `\n\n[${result.name}] ${formatRunCommand(packageManager, result.script)}\n${result.output}`)
+      .join('');
+    throw new BoilerplateError(
+      `Verification failed: ${failed.map(result => result.name).join(', ')}${details}`,
+      ERROR_TYPES.VERIFICATION,
+      {
+        directory: projectDir,
+        manager: packageManager,
+        failed: failed.map(result => ({
+          step: result.name,
+          command: formatRunCommand(packageManager, result.script)
+        }))
+      },
+      'RVB_E_VERIFY_FAILED'
+    );
+  }
+
+  return results;
+}
+
+module.exports = {
+  VERIFY_STEPS,
+  getVerifySteps,
+  verifyProject,
+  formatRunCommand
+};
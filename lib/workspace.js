@@ -0,0 +1,278 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { stripJsonComments } = require('./dependency-check');
+
+const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+const SHARED_TSCONFIG_FILE = 'tsconfig.base.json';
+const SHARED_ESLINT_FILES = ['.eslintrc.cjs', '.eslintrc.js', '.eslintrc.json', '.eslintrc'];
+
+// Lockfiles that tell which package manager runs a package.json workspace
+const WORKSPACE_LOCK_FILES = [
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml (block or flow style)
+ * @param {string} text - File contents
+ * @returns {string[]} - Workspace patterns
+ */
+function parsePnpmWorkspacePatterns(text) {
+  const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(line => /^packages\s*:/.test(line));
+  if (start === -1) return [];
+
+  const inline = lines[start].replace(/^packages\s*:/, '').replace(/\s+#.*$/, '').trim();
+  if (inline.startsWith('[')) {
+    return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*(#.*)?$/.test(line)) continue;
+    const item = line.match(/^\s+-\s*(.+?)\s*(#.*)?$/);
+    if (!item) break;
+    patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/**
+ * Reads the workspace declared in a directory, if any
+ * @param {string} dir - Candidate workspace root
+ * @returns {Object|null} - { root, type: 'pnpm' | 'package.json', file, manager, patterns }
+ */
+function readWorkspace(dir) {
+  const pnpmFile = path.join(dir, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmFile)) {
+    return {
+      root: dir,
+      type: 'pnpm',
+      file: pnpmFile,
+      manager: 'pnpm',
+      patterns: parsePnpmWorkspacePatterns(fs.readFileSync(pnpmFile, 'utf8'))
+    };
+  }
+
+  const packageJsonFile = path.join(dir, 'package.json');
+  if (!fs.existsSync(packageJsonFile)) return null;
+
+  let packageJson;
+  try {
+    packageJson = fs.readJsonSync(packageJsonFile);
+  } catch (error) {
+    return null;
+  }
+
+  // npm, yarn and bun accept a list, yarn also { packages: [...] }
+  const { workspaces } = packageJson;
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+  if (!Array.isArray(patterns)) return null;
+
+  const lockFile = WORKSPACE_LOCK_FILES.find(([file]) => fs.existsSync(path.join(dir, file)));
+  const declared = typeof packageJson.packageManager === 'string' && packageJson.packageManager.split('@')[0];
+  return {
+    root: dir,
+    type: 'package.json',
+    file: packageJsonFile,
+    manager: lockFile ? lockFile[1] : ['npm', 'yarn', 'bun'].includes(declared) ? declared : 'npm',
+    patterns
+  };
+}
+
+/**
+ * Finds the workspace a directory belongs to by walking up the tree
+ * @param {string} startDir - Directory to start from (the new project's parent)
+ * @returns {Object|null} - See readWorkspace
+ */
+function findWorkspace(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const workspace = readWorkspace(dir);
+    if (workspace) return workspace;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Checks a path against a workspace glob ("apps/*", "packages/**", "tools/cli")
+ * @param {string} relativePath - POSIX path relative to the workspace root
+ * @param {string} pattern - Workspace pattern
+ * @returns {boolean}
+ */
+function matchesWorkspacePattern(relativePath, pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const source = normalized
+    .split(/(\*\*|\*)/)
+    .map(part => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`).test(relativePath);
+}
+
+/**
+ * Gets the path of a package relative to the workspace root, as used in workspace patterns
+ * @param {Object} workspace - Result of findWorkspace
+ * @param {string} packageDir - Package directory
+ * @returns {string}
+ */
+function getWorkspacePath(workspace, packageDir) {
+  return path.relative(workspace.root, packageDir).split(path.sep).join('/');
+}
+
+/**
+ * Checks whether the workspace patterns already include a package directory
+ * @param {Object} workspace - Result of findWorkspace
+ * @param {string} packageDir - Package directory
+ * @returns {boolean}
+ */
+function isWorkspaceMember(workspace, packageDir) {
+  const relativePath = getWorkspacePath(workspace, packageDir);
+  const included = workspace.patterns.filter(pattern => !pattern.startsWith('!'));
+  const excluded = workspace.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+  return included.some(pattern => matchesWorkspacePattern(relativePath, pattern)) &&
+    !excluded.some(pattern => matchesWorkspacePattern(relativePath, pattern));
+}
+
+/**
+ * Adds a package to the workspace patterns unless a pattern already covers it.
+ * pnpm-workspace.yaml is edited as text so comments and quoting are kept.
+ * @param {Object} workspace - Result of findWorkspace
+ * @param {string} packageDir - Package directory
+ * @returns {Promise<string|null>} - The pattern added, or null when the package was already included
+ */
+async function registerWorkspacePackage(workspace, packageDir) {
+  if (isWorkspaceMember(workspace, packageDir)) return null;
+  const pattern = getWorkspacePath(workspace, packageDir);
+
+  if (workspace.type === 'pnpm') {
+    const text = await fs.readFile(workspace.file, 'utf8');
+    const lines = text.split('\n');
+    const start = lines.findIndex(line => /^packages\s*:/.test(line));
+
+    if (start === -1) {
+      await fs.writeFile(workspace.file, `${text.replace(/\n*$/, '\n')}packages:\n  - '${pattern}'\n`);
+    } else if (/^packages\s*:\s*\[/.test(lines[start])) {
+      lines[start] = lines[start].replace(/\s*\]/, workspace.patterns.length > 0 ? `, '${pattern}']` : `'${pattern}']`);
+      await fs.writeFile(workspace.file, lines.join('\n'));
+    } else {
+      // Insert after the last item, with its indentation and quotes
+      let last = start;
+      for (let i = start + 1; i < lines.length; i++) {
+        if (/^\s+-/.test(lines[i])) last = i;
+        else if (!/^\s*(#.*)?$/.test(lines[i])) break;
+      }
+      const [, indent = '  ', quote = "'"] = last > start ? lines[last].match(/^(\s+)-\s*(['"]?)/) : [];
+      lines.splice(last + 1, 0, `${indent}- ${quote}${pattern}${quote}`);
+      await fs.writeFile(workspace.file, lines.join('\n'));
+    }
+  } else {
+    const text = await fs.readFile(workspace.file, 'utf8');
+    const packageJson = JSON.parse(text);
+    const indent = (text.match(/^[ \t]+(?=")/m) || ['  '])[0];
+    const patterns = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages;
+    patterns.push(pattern);
+    await fs.writeFile(workspace.file, `${JSON.stringify(packageJson, null, indent)}\n`);
+  }
+
+  workspace.patterns.push(pattern);
+  return pattern;
+}
+
+/**
+ * Lists the shared configs at the workspace root that a new package can extend
+ * @param {Object} workspace - Result of findWorkspace
+ * @returns {Object} - { tsconfig, eslint }: absolute paths or null
+ */
+function findSharedConfigs(workspace) {
+  const existing = file => (fs.existsSync(path.join(workspace.root, file)) ? path.join(workspace.root, file) : null);
+  return {
+    tsconfig: existing(SHARED_TSCONFIG_FILE),
+    eslint: SHARED_ESLINT_FILES.map(existing).find(Boolean) || null
+  };
+}
+
+/**
+ * Reads the `extends` entries of an ESLint config
+ * @param {string} configFile - .eslintrc.* file
+ * @returns {string[]}
+ */
+function readEslintExtends(configFile) {
+  try {
+    const config = /\.c?js$/.test(configFile)
+      ? require(configFile)
+      : JSON.parse(stripJsonComments(fs.readFileSync(configFile, 'utf8')));
+    return [].concat(config.extends || []);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Points the generated tsconfig.json and ESLint config at the workspace's shared
+ * ones: tsconfig.json extends tsconfig.base.json and keeps only the compiler options
+ * that differ from it, and the ESLint config stops being a root config and drops
+ * the presets the workspace config already extends.
+ * @param {Object} workspace - Result of findWorkspace
+ * @param {string} projectDir - Generated project
+ * @returns {Promise<string[]>} - Files changed, relative to the project
+ */
+async function useSharedConfigs(workspace, projectDir) {
+  const shared = findSharedConfigs(workspace);
+  const changed = [];
+  const relativeTo = file => path.relative(projectDir, file).split(path.sep).join('/');
+
+  const tsconfigFile = path.join(projectDir, 'tsconfig.json');
+  if (shared.tsconfig && fs.existsSync(tsconfigFile)) {
+    const tsconfig = JSON.parse(stripJsonComments(await fs.readFile(tsconfigFile, 'utf8')));
+    const base = JSON.parse(stripJsonComments(await fs.readFile(shared.tsconfig, 'utf8')));
+    const baseOptions = base.compilerOptions || {};
+    const compilerOptions = Object.fromEntries(
+      Object.entries(tsconfig.compilerOptions || {})
+        .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(baseOptions[key]))
+    );
+
+    await fs.writeJson(tsconfigFile, { extends: relativeTo(shared.tsconfig), ...tsconfig, compilerOptions }, { spaces: 2 });
+    changed.push('tsconfig.json');
+  }
+
+  const eslintFile = SHARED_ESLINT_FILES.map(file => path.join(projectDir, file)).find(file => fs.existsSync(file));
+  if (shared.eslint && eslintFile) {
+    const inherited = readEslintExtends(shared.eslint);
+    const source = await fs.readFile(eslintFile, 'utf8');
+    const updated = source
+      .split('\n')
+      .filter(line => !/^\s*"?root"?\s*:\s*true,?\s*$/.test(line))
+      .filter(line => {
+        const entry = line.match(/^\s*['"]([^'"]+)['"],?\s*$/);
+        return !(entry && inherited.includes(entry[1]));
+      })
+      .join('\n');
+
+    if (updated !== source) {
+      await fs.writeFile(eslintFile, updated);
+      changed.push(path.basename(eslintFile));
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  PNPM_WORKSPACE_FILE,
+  SHARED_TSCONFIG_FILE,
+  parsePnpmWorkspacePatterns,
+  readWorkspace,
+  findWorkspace,
+  matchesWorkspacePattern,
+  getWorkspacePath,
+  isWorkspaceMember,
+  registerWorkspacePackage,
+  findSharedConfigs,
+  useSharedConfigs
+};
@@ -0,0 +1,37 @@
+import { createFileRoute, Link, Outlet } from '@tanstack/react-router'
+import { LayoutDashboard, Settings } from 'lucide-react'
+
+export const Route = createFileRoute('/dashboard')({
+  component: DashboardLayout,
+})
+
+const navItems = [
+  { to: '/dashboard', label: 'Overview', icon: LayoutDashboard },
+  { to: '/dashboard/settings', label: 'Settings', icon: Settings },
+] as const
+
+function DashboardLayout() {
+  return (
+    <div className="flex min-h-[calc(100vh-4rem)]">
+      <aside className="w-60 border-r bg-muted/40 p-4">
+        <nav className="flex flex-col space-y-1">
+          {navItems.map(({ to, label, icon: Icon }) => (
+            <Link
+              key={to}
+              to={to}
+              activeOptions={{ exact: true }}
+              className="flex items-center gap-2 rounded-md px-3 py-2 text-sm text-foreground/60 hover:bg-accent hover:text-foreground transition-colors"
+              activeProps={{ className: "bg-accent text-foreground font-medium" }}
+            >
+              <Icon className="h-4 w-4" />
+              {label}
+            </Link>
+          ))}
+        </nav>
+      </aside>
+      <section className="flex-1 p-8">
+        <Outlet />
+      </section>
+    </div>
+  )
+}
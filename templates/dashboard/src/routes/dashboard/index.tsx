@@ -0,0 +1,55 @@
+import { createFileRoute } from '@tanstack/react-router'
+import { Area, AreaChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+
+export const Route = createFileRoute('/dashboard/')({
+  component: DashboardOverview,
+})
+
+const stats = [
+  { label: 'Total Revenue', value: '$45,231.89', change: '+20.1% from last month' },
+  { label: 'Subscriptions', value: '+2,350', change: '+180.1% from last month' },
+  { label: 'Sales', value: '+12,234', change: '+19% from last month' },
+  { label: 'Active Now', value: '+573', change: '+201 since last hour' },
+]
+
+const revenue = [
+  { month: 'Jan', total: 1200 },
+  { month: 'Feb', total: 2100 },
+  { month: 'Mar', total: 1800 },
+  { month: 'Apr', total: 2600 },
+  { month: 'May', total: 3200 },
+  { month: 'Jun', total: 2900 },
+]
+
+function DashboardOverview() {
+  return (
+    <div className="space-y-8">
+      <h1 className="text-3xl font-bold tracking-tight">Overview</h1>
+
+      <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+        {stats.map((stat) => (
+          <div key={stat.label} className="rounded-lg border bg-card p-6 shadow-sm">
+            <p className="text-sm font-medium text-muted-foreground">{stat.label}</p>
+            <p className="mt-2 text-2xl font-bold">{stat.value}</p>
+            <p className="text-xs text-muted-foreground">{stat.change}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="rounded-lg border bg-card p-6 shadow-sm">
+        <h2 className="mb-4 text-lg font-semibold">Revenue</h2>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={revenue}>
+              <CartesianGrid strokeDasharray="3 3" className="stroke-muted" />
+              <XAxis dataKey="month" stroke="#888888" fontSize={12} />
+              <YAxis stroke="#888888" fontSize={12} tickFormatter={(value) => `$${value}`} />
+              <Tooltip />
+              <Area type="monotone" dataKey="total" stroke="#2563eb" fill="#2563eb" fillOpacity={0.2} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  )
+}
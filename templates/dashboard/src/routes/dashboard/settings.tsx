@@ -0,0 +1,42 @@
+import { createFileRoute } from '@tanstack/react-router'
+
+export const Route = createFileRoute('/dashboard/settings')({
+  component: DashboardSettings,
+})
+
+function DashboardSettings() {
+  return (
+    <div className="max-w-2xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Settings</h1>
+        <p className="text-muted-foreground">Manage your account settings and preferences.</p>
+      </div>
+
+      <form className="space-y-4 rounded-lg border bg-card p-6 shadow-sm">
+        <div className="space-y-2">
+          <label htmlFor="name" className="text-sm font-medium">Name</label>
+          <input
+            id="name"
+            className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+            placeholder="Your name"
+          />
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="email" className="text-sm font-medium">Email</label>
+          <input
+            id="email"
+            type="email"
+            className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+            placeholder="you@example.com"
+          />
+        </div>
+        <button
+          type="submit"
+          className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-primary-foreground hover:bg-primary/90"
+        >
+          Save changes
+        </button>
+      </form>
+    </div>
+  )
+}
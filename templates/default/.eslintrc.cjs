@@ -0,0 +1,25 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2020: true },
+  extends: [
+    'eslint:recommended',
+    'plugin:@typescript-eslint/recommended',
+    'plugin:react-hooks/recommended',
+  ],
+  ignorePatterns: ['dist', '.eslintrc.cjs', '.rvb/base'],
+  parser: '@typescript-eslint/parser',
+  plugins: ['react-refresh'],
+  rules: {
+    'react-refresh/only-export-components': [
+      'warn',
+      { allowConstantExport: true },
+    ],
+  },
+  overrides: [
+    {
+      // Shadcn/UI components export their variants (e.g. buttonVariants) next to the component
+      files: ['src/components/ui/**'],
+      rules: { 'react-refresh/only-export-components': 'off' },
+    },
+  ],
+}
\ No newline at end of file
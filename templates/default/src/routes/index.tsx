@@ -9,10 +9,10 @@ function Home() {
     <div className="container mx-auto px-4 py-8">
       <div className="text-center mb-12">
         <h1 className="text-4xl font-bold tracking-tight mb-4">
-          Welcome to React Vite Boilerplate
+          Welcome to {{title}}
         </h1>
         <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-          A modern React application with Vite, TanStack Router, and Tailwind CSS
+          {{description}}
         </p>
       </div>
 
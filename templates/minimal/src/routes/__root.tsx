@@ -0,0 +1,26 @@
+import { createRootRoute, Link, Outlet } from '@tanstack/react-router'
+import { TanStackRouterDevtools } from '@tanstack/router-devtools'
+
+export const Route = createRootRoute({
+  component: () => (
+    <>
+      <div className="min-h-screen">
+        <nav className="border-b">
+          <div className="container mx-auto flex h-16 items-center space-x-4 px-4">
+            <Link 
+              to="/" 
+              className="text-gray-600 hover:text-gray-900"
+              activeProps={{ className: "text-gray-900 font-medium" }}
+            >
+              Home
+            </Link>
+          </div>
+        </nav>
+        <main>
+          <Outlet />
+        </main>
+      </div>
+      {import.meta.env.DEV && <TanStackRouterDevtools />}
+    </>
+  ),
+})
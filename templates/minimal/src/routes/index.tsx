@@ -0,0 +1,18 @@
+import { createFileRoute } from '@tanstack/react-router'
+
+export const Route = createFileRoute('/')({
+  component: Home,
+})
+
+function Home() {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-4xl font-bold tracking-tight mb-4">
+        Welcome to {{title}}
+      </h1>
+      <p className="text-gray-600">
+        Edit <code className="px-1 bg-gray-100 rounded">src/routes/index.tsx</code> to get started.
+      </p>
+    </div>
+  )
+}
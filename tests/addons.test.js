@@ -0,0 +1,139 @@
+const {
+  listAddons,
+  parseAddonList,
+  resolveAddons,
+  applyAddons
+} = require('../lib/addons');
+const { resolveTemplate, copyTemplate } = require('../lib/templates');
+const { ERROR_TYPES } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Add-on registry', () => {
+  test('should list the built-in add-ons', () => {
+    const names = listAddons().map(addon => addon.name);
+    expect(names).toEqual(expect.arrayContaining(['vitest', 'playwright', 'tanstack-query', 'zustand', 'i18n']));
+  });
+
+  test('should parse comma separated add-on lists', () => {
+    expect(parseAddonList('vitest, zustand,,vitest')).toEqual(['vitest', 'zustand']);
+    expect(parseAddonList(['i18n'])).toEqual(['i18n']);
+    expect(parseAddonList(undefined)).toEqual([]);
+  });
+
+  test('should resolve all built-in add-ons together for every template', () => {
+    const names = listAddons().map(addon => addon.name);
+    for (const template of ['minimal', 'default', 'dashboard']) {
+      expect(resolveAddons(names, resolveTemplate(template))).toHaveLength(names.length);
+    }
+  });
+
+  test('should reject unknown add-ons', () => {
+    try {
+      resolveAddons(['vitest', 'redux']);
+      throw new Error('should have thrown');
+    } catch (error) {
+      expect(error.type).toBe(ERROR_TYPES.VALIDATION);
+      expect(error.message).toContain('Unknown add-on: redux');
+      expect(error.message).toContain('Available add-ons:');
+    }
+  });
+});
+
+describe('Add-on conflicts', () => {
+  let addonsDir;
+
+  const writeAddon = (name, manifest, files = {}) => {
+    fs.outputJsonSync(path.join(addonsDir, name, 'addon.json'), { name, ...manifest });
+    for (const [file, content] of Object.entries(files)) {
+      fs.outputFileSync(path.join(addonsDir, name, 'files', file), content);
+    }
+  };
+
+  beforeEach(async () => {
+    addonsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'addons-test-'));
+  });
+
+  afterEach(async () => {
+    if (addonsDir && await fs.pathExists(addonsDir)) {
+      await fs.remove(addonsDir);
+    }
+  });
+
+  test('should report declared conflicts once per pair', () => {
+    writeAddon('jest', { conflicts: ['vitest'] });
+    writeAddon('vitest', { conflicts: ['jest'] });
+
+    expect(() => resolveAddons(['jest', 'vitest'], null, addonsDir))
+      .toThrow('Incompatible add-ons: "jest" conflicts with "vitest"');
+  });
+
+  test('should detect add-ons writing the same file or script', () => {
+    writeAddon('a', { scripts: { test: 'a' } }, { 'src/setup.ts': '' });
+    writeAddon('b', { scripts: { test: 'b' } }, { 'src/setup.ts': '' });
+
+    try {
+      resolveAddons(['a', 'b'], null, addonsDir);
+      throw new Error('should have thrown');
+    } catch (error) {
+      expect(error.context.problems).toEqual([
+        '"a" and "b" both create src/setup.ts',
+        '"a" and "b" both define the "test" script'
+      ]);
+    }
+  });
+
+  test('should check features required from the template', () => {
+    writeAddon('seo-extras', { requires: ['seo'] });
+
+    expect(() => resolveAddons(['seo-extras'], resolveTemplate('minimal'), addonsDir))
+      .toThrow('requires template feature(s) seo');
+  });
+});
+
+describe('applyAddons', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apply-addons-test-'));
+  });
+
+  afterEach(async () => {
+    if (tempDir && await fs.pathExists(tempDir)) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('should add files, merge package.json and patch sources', async () => {
+    const template = resolveTemplate('default');
+    await copyTemplate(template, tempDir);
+
+    await applyAddons(resolveAddons(['vitest', 'tanstack-query', 'zustand'], template), tempDir);
+
+    expect(fs.existsSync(path.join(tempDir, 'vitest.config.ts'))).toBe(true);
+    expect(fs.existsSync(path.join(tempDir, 'src', 'stores', 'counter-store.ts'))).toBe(true);
+
+    const packageJson = await fs.readJson(path.join(tempDir, 'package.json'));
+    expect(packageJson.scripts.test).toBe('vitest');
+    expect(packageJson.devDependencies).toHaveProperty('vitest');
+    expect(packageJson.dependencies).toHaveProperty('zustand');
+    expect(packageJson.dependencies).toHaveProperty('react');
+
+    const main = await fs.readFile(path.join(tempDir, 'src', 'main.tsx'), 'utf8');
+    expect(main).toContain("import { queryClient } from './lib/query-client'");
+    expect(main).toMatch(/<QueryClientProvider client=\{queryClient\}>\s+<RouterProvider router=\{router\} \/>/);
+
+    const root = await fs.readFile(path.join(tempDir, 'src', 'routes', '__root.tsx'), 'utf8');
+    expect(root).toContain('to="/counter"');
+  });
+
+  test('should refuse to overwrite existing files', async () => {
+    const template = resolveTemplate('minimal');
+    await copyTemplate(template, tempDir);
+    await fs.outputFile(path.join(tempDir, 'vitest.config.ts'), '// mine');
+
+    await expect(applyAddons(resolveAddons(['vitest'], template), tempDir))
+      .rejects.toThrow('would overwrite existing file vitest.config.ts');
+  });
+});
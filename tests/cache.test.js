@@ -0,0 +1,31 @@
+const { getCacheDir } = require('../lib/cache');
+const os = require('os');
+const path = require('path');
+
+describe('getCacheDir', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should honour RVB_CACHE_DIR', () => {
+    process.env.RVB_CACHE_DIR = path.join(os.tmpdir(), 'rvb-cache');
+    expect(getCacheDir('templates')).toBe(path.join(os.tmpdir(), 'rvb-cache', 'templates'));
+  });
+
+  test('should follow XDG_CACHE_HOME on Linux', () => {
+    const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+    Object.defineProperty(process, 'platform', { value: 'linux' });
+    try {
+      delete process.env.RVB_CACHE_DIR;
+      process.env.XDG_CACHE_HOME = path.join(os.tmpdir(), 'xdg');
+      expect(getCacheDir()).toBe(path.join(os.tmpdir(), 'xdg', 'rvb'));
+
+      delete process.env.XDG_CACHE_HOME;
+      expect(getCacheDir()).toBe(path.join(os.homedir(), '.cache', 'rvb'));
+    } finally {
+      Object.defineProperty(process, 'platform', platform);
+    }
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const {
+  MAX_DEBUG_LOGS,
+  getDefaultLogFile,
+  startDebugLog,
+  stopDebugLog,
+  getDebugLogFile,
+  writeDebugLog,
+  logCommand,
+  logError
+} = require('../lib/debug-log');
+const { BoilerplateError, ERROR_TYPES } = require('../lib/error-handler');
+
+describe('Debug log', () => {
+  const originalEnv = { ...process.env };
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rvb-debug-log-'));
+    process.env.RVB_CACHE_DIR = cacheDir;
+  });
+
+  afterEach(async () => {
+    stopDebugLog();
+    process.env = { ...originalEnv };
+    await fs.remove(cacheDir);
+  });
+
+  test('should start a timestamped log in the cache directory', () => {
+    const file = startDebugLog({ argv: ['my-app', '--pm', 'pnpm'], environment: { offline: false, proxy: 'http://***@proxy:8080/' } });
+
+    expect(file).toBe(getDebugLogFile());
+    expect(path.dirname(file)).toBe(path.join(cacheDir, 'logs'));
+    expect(path.basename(getDefaultLogFile(new Date('2024-05-01T10:20:30.456Z')))).toBe(`rvb-2024-05-01T10-20-30-456Z-${process.pid}.log`);
+
+    const log = fs.readFileSync(file, 'utf8');
+    expect(log).toContain('Command: react-vite-boilerplate my-app --pm pnpm');
+    expect(log).toContain(`Node.js: ${process.version}`);
+    expect(log).toContain('Network environment: {"offline":false,"proxy":"http://***@proxy:8080/"}');
+  });
+
+  test('should write to the file given with --log-file', () => {
+    const logFile = path.join(cacheDir, 'custom', 'run.log');
+    expect(startDebugLog({ logFile, argv: [] })).toBe(logFile);
+
+    writeDebugLog('Step install: done');
+    expect(fs.readFileSync(logFile, 'utf8')).toMatch(/\[\+\d+\.\d{3}s\] Step install: done\n$/);
+  });
+
+  test('should log commands with their full output', () => {
+    const file = startDebugLog({ argv: [] });
+    logCommand({
+      command: 'npm',
+      args: ['install'],
+      cwd: '/tmp/my-app',
+      code: 1,
+      duration: 2500,
+      stdout: 'added 1 package\n',
+      stderr: 'npm ERR! code ETIMEDOUT\nnpm ERR! network request failed\n'
+    });
+    logCommand({ command: 'git', args: ['init'], cwd: '/tmp/my-app', code: 0, streamed: true });
+
+    const log = fs.readFileSync(file, 'utf8');
+    expect(log).toContain('$ npm install (in /tmp/my-app): exit code 1 after 2.5s\n');
+    expect(log).toContain('  stdout:\n  | added 1 package\n');
+    expect(log).toContain('  stderr:\n  | npm ERR! code ETIMEDOUT\n  | npm ERR! network request failed\n');
+    expect(log).toContain('$ git init (in /tmp/my-app): exit code 0 after 0.0s\n  (output shown in the terminal)\n');
+  });
+
+  test('should log errors with their context and stack', () => {
+    const file = startDebugLog({ argv: [] });
+    logError(new BoilerplateError('Failed to install dependencies', ERROR_TYPES.PACKAGE_MANAGER, { manager: 'npm' }, 'RVB_E_INSTALL_FAILED'));
+
+    const log = fs.readFileSync(file, 'utf8');
+    expect(log).toContain('Error RVB_E_INSTALL_FAILED: Failed to install dependencies');
+    expect(log).toContain('  context:\n  | {\n  |   "manager": "npm"\n  | }\n');
+    expect(log).toContain('  stack:\n  | BoilerplateError: Failed to install dependencies');
+  });
+
+  test('should keep only the most recent logs', async () => {
+    const logsDir = path.join(cacheDir, 'logs');
+    for (let i = 0; i < MAX_DEBUG_LOGS + 5; i++) {
+      await fs.outputFile(path.join(logsDir, `rvb-2020-01-01T00-00-${String(i).padStart(2, '0')}-000Z-1.log`), '');
+    }
+    await fs.outputFile(path.join(logsDir, 'notes.txt'), '');
+
+    const file = startDebugLog({ argv: [] });
+    const remaining = await fs.readdir(logsDir);
+
+    expect(remaining.filter(name => name.endsWith('.log'))).toHaveLength(MAX_DEBUG_LOGS);
+    expect(remaining).toContain(path.basename(file));
+    expect(remaining).toContain('notes.txt');
+    expect(remaining).not.toContain('rvb-2020-01-01T00-00-00-000Z-1.log');
+  });
+
+  test('should do nothing when no log is started or it cannot be written', async () => {
+    expect(getDebugLogFile()).toBeNull();
+    expect(() => writeDebugLog('ignored')).not.toThrow();
+
+    const blocker = path.join(cacheDir, 'file');
+    await fs.outputFile(blocker, '');
+    expect(startDebugLog({ logFile: path.join(blocker, 'run.log'), argv: [] })).toBeNull();
+    expect(getDebugLogFile()).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+const {
+  extractImports,
+  stripJsonComments,
+  loadPathAliases,
+  getPackageName,
+  checkProjectDependencies,
+  checkTemplateDependencies
+} = require('../lib/dependency-check');
+const { listTemplates, resolveTemplate } = require('../lib/templates');
+const { listAddons, resolveAddons } = require('../lib/addons');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('extractImports', () => {
+  test('should find static, dynamic, require and type reference imports', () => {
+    const source = [
+      '/// <reference types="vite/client" />',
+      "import React from 'react'",
+      "import type { Meta } from '@storybook/react'",
+      "import './styles.css'",
+      "import {\n  a,\n  b\n} from 'lib-a'",
+      "export { c } from 'lib-b'",
+      "export * from 'lib-c'",
+      "const lazy = () => import('lib-d')",
+      "const legacy = require('lib-e')",
+      "import React2 from 'react'"
+    ].join('\n');
+
+    expect(extractImports(source)).toEqual([
+      'vite/client', 'react', '@storybook/react', './styles.css', 'lib-a', 'lib-b', 'lib-c', 'lib-d', 'lib-e'
+    ]);
+  });
+});
+
+describe('getPackageName', () => {
+  test('should map specifiers to package names', () => {
+    expect(getPackageName('react-dom/client')).toBe('react-dom');
+    expect(getPackageName('@tanstack/router-plugin/vite')).toBe('@tanstack/router-plugin');
+    expect(getPackageName('path')).toBe('node:builtin');
+    expect(getPackageName('node:fs/promises')).toBe('node:builtin');
+  });
+
+  test('should skip local files, virtual modules and path aliases', () => {
+    expect(getPackageName('./routeTree.gen')).toBeNull();
+    expect(getPackageName('virtual:pwa-register')).toBeNull();
+    expect(getPackageName('@/lib/utils', ['@/'])).toBeNull();
+    expect(getPackageName('~icons', ['~icons'])).toBeNull();
+    expect(getPackageName('@/lib/utils')).toBe('@/lib');
+  });
+});
+
+describe('tsconfig path aliases', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dependency-check-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should strip comments without touching strings that look like comments', () => {
+    const text = '{\n  // paths\n  "paths": { "@/*": ["./src/*"], /* trailing */ },\n}';
+    expect(JSON.parse(stripJsonComments(text))).toEqual({ paths: { '@/*': ['./src/*'] } });
+  });
+
+  test('should read alias prefixes from tsconfig.json', async () => {
+    await fs.writeFile(
+      path.join(testDir, 'tsconfig.json'),
+      '{\n  "compilerOptions": {\n    /* Path aliases */\n    "paths": { "@/*": ["./src/*"], "config": ["./config.ts"] },\n  }\n}'
+    );
+    expect(loadPathAliases(testDir)).toEqual(['@/', 'config']);
+  });
+
+  test('should return no aliases without a tsconfig.json', () => {
+    expect(loadPathAliases(testDir)).toEqual([]);
+  });
+});
+
+describe('checkProjectDependencies', () => {
+  let testDir;
+
+  const writeProject = async (packageJson, files) => {
+    await fs.writeJson(path.join(testDir, 'package.json'), packageJson);
+    await fs.writeJson(path.join(testDir, 'tsconfig.json'), { compilerOptions: { paths: { '@/*': ['./src/*'] } } });
+    for (const [file, contents] of Object.entries(files)) {
+      await fs.outputFile(path.join(testDir, file), contents);
+    }
+  };
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dependency-check-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should report missing, unused and mis-categorised packages', async () => {
+    await writeProject({
+      scripts: { build: 'vite build && tsc' },
+      dependencies: { react: '^18.2.0', 'left-pad': '^1.3.0', '@types/react': '^18.2.0', 'vite-plugin-x': '^1.0.0' },
+      devDependencies: { clsx: '^2.1.1', typescript: '^5.2.2', vite: '^5.2.0' }
+    }, {
+      'src/main.tsx': "import React from 'react'\nimport clsx from 'clsx'\nimport { Helmet } from 'react-helmet-async'\nimport { cn } from '@/lib/utils'",
+      'src/lib/utils.ts': "import { join } from 'node:path'",
+      'vite.config.ts': "import x from 'vite-plugin-x'"
+    });
+
+    const report = checkProjectDependencies(testDir);
+
+    expect(report.missing).toEqual([
+      { name: 'react-helmet-async', expected: 'dependencies', files: ['src/main.tsx'] }
+    ]);
+    expect(report.unused).toEqual([{ name: 'left-pad', section: 'dependencies' }]);
+    expect(report.miscategorised).toEqual([
+      { name: '@types/react', section: 'dependencies', expected: 'devDependencies', files: [] },
+      { name: 'clsx', section: 'devDependencies', expected: 'dependencies', files: ['src/main.tsx'] },
+      { name: 'vite-plugin-x', section: 'dependencies', expected: 'devDependencies', files: ['vite.config.ts'] }
+    ]);
+    expect(report.aliases).toEqual(['@/']);
+    expect(report.ok).toBe(false);
+  });
+
+  test('should count scripts, config files, ESLint plugins and type packages as usage', async () => {
+    await writeProject({
+      scripts: { test: 'vitest', e2e: 'playwright test', typecheck: 'tsc' },
+      dependencies: { react: '^18.2.0' },
+      devDependencies: {
+        '@playwright/test': '^1.45.0',
+        '@testing-library/dom': '^10.0.0',
+        '@testing-library/react': '^16.0.0',
+        '@types/node': '^20.0.0',
+        '@types/react': '^18.2.0',
+        '@typescript-eslint/eslint-plugin': '^7.2.0',
+        '@typescript-eslint/parser': '^7.2.0',
+        autoprefixer: '^10.4.19',
+        eslint: '^8.57.0',
+        'eslint-plugin-react-hooks': '^4.6.0',
+        postcss: '^8.4.38',
+        tailwindcss: '^3.4.4',
+        typescript: '^5.2.2',
+        vitest: '^1.6.0'
+      }
+    }, {
+      'src/app.tsx': "import { useState } from 'react'",
+      'src/app.test.tsx': "import { render } from '@testing-library/react'",
+      '.eslintrc.cjs': "module.exports = { extends: ['plugin:@typescript-eslint/recommended', 'plugin:react-hooks/recommended'], parser: '@typescript-eslint/parser' }",
+      'postcss.config.js': 'export default { plugins: { tailwindcss: {}, autoprefixer: {} } }',
+      'tailwind.config.js': "import { join } from 'path'\nexport default {}"
+    });
+
+    const report = checkProjectDependencies(testDir);
+
+    expect(report.missing).toEqual([]);
+    expect(report.unused).toEqual([]);
+    expect(report.miscategorised).toEqual([]);
+    expect(report.ok).toBe(true);
+  });
+
+  test('should treat Shadcn/UI packages as used in projects with components.json', async () => {
+    await writeProject({
+      dependencies: { 'class-variance-authority': '^0.7.0', 'lucide-react': '^0.417.0' }
+    }, {
+      'components.json': '{}'
+    });
+
+    expect(checkProjectDependencies(testDir).unused).toEqual([]);
+  });
+});
+
+describe('built-in templates', () => {
+  test.each(listTemplates().map(({ name }) => name))('%s should declare exactly the packages it uses', async (name) => {
+    const report = await checkTemplateDependencies(resolveTemplate(name));
+    expect(report).toMatchObject({ template: name, missing: [], unused: [], miscategorised: [] });
+  });
+
+  test.each(listAddons().map(({ name }) => name))('default + %s should declare exactly the packages it uses', async (name) => {
+    const template = resolveTemplate('default');
+    const report = await checkTemplateDependencies(template, { addons: resolveAddons([name], template) });
+    expect(report).toMatchObject({ addons: [name], missing: [], unused: [], miscategorised: [] });
+  });
+});
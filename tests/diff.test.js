@@ -0,0 +1,69 @@
+const { diffLines, createUnifiedDiff, mergeThreeWay } = require('../lib/diff');
+
+describe('diffLines', () => {
+  test('should mark unchanged, removed and added lines', () => {
+    const ops = diffLines('a\nb\nc\n', 'a\nB\nc\n');
+    expect(ops).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'B' },
+      { type: ' ', line: 'c' }
+    ]);
+  });
+
+  test('should handle empty inputs', () => {
+    expect(diffLines('', 'a\n')).toEqual([{ type: '+', line: 'a' }]);
+    expect(diffLines('a\n', '')).toEqual([{ type: '-', line: 'a' }]);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  test('should return an empty string for equal texts', () => {
+    expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  test('should produce hunks with headers and context', () => {
+    const oldText = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+    const newText = oldText.replace('line 2\n', 'line two\n').replace('line 18\n', 'line 18\nextra\n');
+
+    const diff = createUnifiedDiff(oldText, newText, { fromFile: 'a/file', toFile: 'b/file' });
+    const lines = diff.trim().split('\n');
+
+    expect(lines[0]).toBe('--- a/file');
+    expect(lines[1]).toBe('+++ b/file');
+    expect(lines).toContain('@@ -1,5 +1,5 @@');
+    expect(lines).toContain('-line 2');
+    expect(lines).toContain('+line two');
+    expect(lines).toContain('@@ -16,5 +16,6 @@');
+    expect(lines).toContain('+extra');
+  });
+});
+
+describe('mergeThreeWay', () => {
+  const base = 'a\nb\nc\nd\ne\n';
+
+  test('should combine non-overlapping changes', () => {
+    const result = mergeThreeWay(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+    expect(result).toEqual({ text: 'a\nB\nc\nd\nE\n', conflicts: 0 });
+  });
+
+  test('should keep additions made on either side', () => {
+    const result = mergeThreeWay(base, base + 'mine\n', 'top\n' + base);
+    expect(result).toEqual({ text: 'top\n' + base + 'mine\n', conflicts: 0 });
+  });
+
+  test('should accept identical changes on both sides', () => {
+    const result = mergeThreeWay(base, 'a\nX\nc\nd\ne\n', 'a\nX\nc\nd\ne\n');
+    expect(result).toEqual({ text: 'a\nX\nc\nd\ne\n', conflicts: 0 });
+  });
+
+  test('should mark overlapping changes as conflicts', () => {
+    const result = mergeThreeWay(base, 'a\nmine\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne\n', {
+      oursLabel: 'yours',
+      theirsLabel: 'template'
+    });
+
+    expect(result.conflicts).toBe(1);
+    expect(result.text).toBe('a\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> template\nc\nd\ne\n');
+  });
+});
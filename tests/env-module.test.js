@@ -0,0 +1,101 @@
+const {
+  GENERATED_MARKER,
+  inferEnvType,
+  getEnvSchema,
+  renderEnvModule,
+  renderEnvTypes,
+  writeEnvModules
+} = require('../lib/env-module');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const example = [
+  '# App',
+  'VITE_APP_TITLE="Acme Shop"',
+  'VITE_API_TOKEN=',
+  'VITE_DEV_PORT=5173',
+  '# VITE_API_BASE_URL=http://localhost:3001/api',
+  '# VITE_ENABLE_PWA=false',
+  'NODE_ENV=development',
+  ''
+].join('\n');
+
+describe('getEnvSchema', () => {
+  test('should infer types from names and example values', () => {
+    expect(inferEnvType('VITE_ENABLE_PWA', 'false')).toBe('boolean');
+    expect(inferEnvType('VITE_API_TIMEOUT', '10000')).toBe('number');
+    expect(inferEnvType('VITE_API_BASE_URL', '')).toBe('url');
+    expect(inferEnvType('VITE_APP_TITLE', 'Acme')).toBe('string');
+  });
+
+  test('should list client variables with defaults and optional commented-out keys', () => {
+    expect(getEnvSchema(example)).toEqual([
+      { key: 'VITE_APP_TITLE', name: 'APP_TITLE', type: 'string', required: true, default: 'Acme Shop' },
+      { key: 'VITE_API_TOKEN', name: 'API_TOKEN', type: 'string', required: true, default: null },
+      { key: 'VITE_DEV_PORT', name: 'DEV_PORT', type: 'number', required: true, default: '5173' },
+      { key: 'VITE_API_BASE_URL', name: 'API_BASE_URL', type: 'url', required: false, default: null },
+      { key: 'VITE_ENABLE_PWA', name: 'ENABLE_PWA', type: 'boolean', required: false, default: null }
+    ]);
+  });
+});
+
+describe('renderEnvModule', () => {
+  test('should type and validate every variable', () => {
+    const source = renderEnvModule(getEnvSchema(example));
+    expect(source.startsWith(GENERATED_MARKER)).toBe(true);
+    expect(source).toContain('  APP_TITLE: string\n  API_TOKEN: string\n  DEV_PORT: number\n  API_BASE_URL?: string\n  ENABLE_PWA?: boolean\n');
+    expect(source).toContain("  APP_TITLE: { type: 'string', required: true, default: 'Acme Shop' },");
+    expect(source).toContain("  ENABLE_PWA: { type: 'boolean', required: false },");
+    expect(source).toContain('export const env = loadEnv()');
+    expect(source).toContain('export function isDevelopment(): boolean');
+    expect(source).toContain("customElements.get('vite-error-overlay')");
+  });
+
+  test('should type import.meta.env for variables without defaults as required', () => {
+    const types = renderEnvTypes(getEnvSchema(example));
+    expect(types).toContain('/// <reference types="vite/client" />');
+    expect(types).toContain('  readonly VITE_API_TOKEN: string\n');
+    expect(types).toContain('  readonly VITE_APP_TITLE?: string\n');
+  });
+});
+
+describe('writeEnvModules', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'env-module-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  test('should write both files and keep them in sync with .env.example', async () => {
+    await fs.writeFile(path.join(projectDir, '.env.example'), example);
+    expect(await writeEnvModules(projectDir)).toEqual({
+      written: ['src/lib/env.ts', 'src/vite-env.d.ts'],
+      skipped: []
+    });
+
+    await fs.appendFile(path.join(projectDir, '.env.example'), 'VITE_SENTRY_DSN=\n');
+    await writeEnvModules(projectDir);
+    expect(await fs.readFile(path.join(projectDir, 'src', 'vite-env.d.ts'), 'utf8')).toContain('VITE_SENTRY_DSN');
+  });
+
+  test('should only write typings without .env.example', async () => {
+    expect(await writeEnvModules(projectDir)).toEqual({ written: ['src/vite-env.d.ts'], skipped: [] });
+    await expect(writeEnvModules(projectDir, { requireExample: true })).rejects.toThrow(BoilerplateError);
+  });
+
+  test('should leave hand-written files alone unless forced', async () => {
+    await fs.writeFile(path.join(projectDir, '.env.example'), example);
+    await fs.outputFile(path.join(projectDir, 'src', 'lib', 'env.ts'), 'export const env = {}\n');
+
+    expect((await writeEnvModules(projectDir)).skipped).toEqual(['src/lib/env.ts']);
+    expect(await fs.readFile(path.join(projectDir, 'src', 'lib', 'env.ts'), 'utf8')).toBe('export const env = {}\n');
+
+    expect((await writeEnvModules(projectDir, { force: true })).written).toContain('src/lib/env.ts');
+  });
+});
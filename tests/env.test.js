@@ -0,0 +1,49 @@
+const { formatEnvValue, parseEnvExample, applyEnvValues, writeEnvFile } = require('../lib/env');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('formatEnvValue', () => {
+  test('should quote values with spaces or special characters', () => {
+    expect(formatEnvValue('http://localhost:3000')).toBe('http://localhost:3000');
+    expect(formatEnvValue(42)).toBe('42');
+    expect(formatEnvValue('My App')).toBe('"My App"');
+  });
+});
+
+describe('parseEnvExample', () => {
+  test('should read active and commented-out variables', () => {
+    const text = '# Section\nTITLE="My \\"App\\""\nPORT=5173 # dev server\n# API_URL=http://localhost\n';
+    expect(parseEnvExample(text)).toEqual([
+      { key: 'TITLE', value: 'My "App"', commented: false },
+      { key: 'PORT', value: '5173', commented: false },
+      { key: 'API_URL', value: 'http://localhost', commented: true }
+    ]);
+  });
+});
+
+describe('applyEnvValues', () => {
+  const example = '# App\nVITE_APP_TITLE="Example"\n# VITE_API_URL=\nNODE_ENV=development\n';
+
+  test('should replace existing and commented-out keys in place', () => {
+    expect(applyEnvValues(example, { VITE_APP_TITLE: 'Acme App', VITE_API_URL: 'https://api.acme.dev' }))
+      .toBe('# App\nVITE_APP_TITLE="Acme App"\nVITE_API_URL=https://api.acme.dev\nNODE_ENV=development\n');
+  });
+
+  test('should append unknown keys', () => {
+    expect(applyEnvValues(example, { EXTRA: true })).toBe(example + '\nEXTRA=true\n');
+  });
+});
+
+describe('writeEnvFile', () => {
+  test('should write .env.local next to .env.example', async () => {
+    const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'env-test-'));
+    try {
+      await fs.writeFile(path.join(projectDir, '.env.example'), 'VITE_APP_TITLE=Example\n');
+      await writeEnvFile(projectDir, { VITE_APP_TITLE: 'Acme' });
+      expect(await fs.readFile(path.join(projectDir, '.env.local'), 'utf8')).toBe('VITE_APP_TITLE=Acme\n');
+    } finally {
+      await fs.remove(projectDir);
+    }
+  });
+});
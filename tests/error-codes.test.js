@@ -0,0 +1,69 @@
+const {
+  ERROR_CODES,
+  EXIT_CODES,
+  normalizeErrorCode,
+  getErrorCode,
+  getDefaultErrorCode,
+  getExitCode,
+  getDocsUrl
+} = require('../lib/error-codes');
+const { ERROR_TYPES } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Error codes', () => {
+  test('should describe every code completely', () => {
+    for (const [code, entry] of Object.entries(ERROR_CODES)) {
+      expect(code).toMatch(/^RVB_E_[A-Z_]+$/);
+      expect(Object.values(ERROR_TYPES)).toContain(entry.type);
+      expect(entry.title).toBeTruthy();
+      expect(entry.cause).toBeTruthy();
+      expect(entry.fix.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('should have a generic code and an exit code for every error type', () => {
+    for (const type of Object.values(ERROR_TYPES)) {
+      expect(ERROR_CODES[getDefaultErrorCode(type)].type).toBe(type);
+      expect(EXIT_CODES[type]).toEqual(expect.any(Number));
+    }
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+    expect(getExitCode('SOMETHING_ELSE')).toBe(1);
+  });
+
+  test('should document every code in docs/docs.html', async () => {
+    const docs = await fs.readFile(path.join(__dirname, '..', 'docs', 'docs.html'), 'utf8');
+    for (const code of Object.keys(ERROR_CODES)) {
+      const anchor = getDocsUrl(code).split('#')[1];
+      expect(docs).toContain(`id="${anchor}"`);
+    }
+  });
+
+  test('should only use codes from the catalog', async () => {
+    const sources = [path.join(__dirname, '..', 'bin', 'cli.js')];
+    const libDir = path.join(__dirname, '..', 'lib');
+    for (const file of await fs.readdir(libDir)) {
+      if (file.endsWith('.js') && file !== 'error-codes.js') sources.push(path.join(libDir, file));
+    }
+
+    for (const source of sources) {
+      const used = (await fs.readFile(source, 'utf8')).match(/'RVB_E_[A-Z_]+'/g) || [];
+      for (const code of used) {
+        expect(ERROR_CODES).toHaveProperty(code.slice(1, -1));
+      }
+    }
+  });
+
+  test('should look up codes typed by users', () => {
+    expect(normalizeErrorCode('name_reserved')).toBe('RVB_E_NAME_RESERVED');
+    expect(normalizeErrorCode(' rvb-e-pm-unavailable ')).toBe('RVB_E_PM_UNAVAILABLE');
+
+    expect(getErrorCode('rvb_e_name_reserved')).toMatchObject({
+      code: 'RVB_E_NAME_RESERVED',
+      type: 'VALIDATION',
+      exitCode: 2,
+      docsUrl: 'https://sibilsoren.github.io/react-vite-boilerplate/docs/docs.html#rvb-e-name-reserved'
+    });
+    expect(getErrorCode('NOPE')).toBeNull();
+  });
+});
@@ -4,6 +4,9 @@ const {
   RollbackManager, 
   formatErrorMessage 
 } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
 
 describe('BoilerplateError', () => {
   test('should create error with type and context', () => {
@@ -23,6 +26,12 @@ describe('BoilerplateError', () => {
   test('should default to UNKNOWN type', () => {
     const error = new BoilerplateError('Test error');
     expect(error.type).toBe(ERROR_TYPES.UNKNOWN);
+    expect(error.code).toBe('RVB_E_UNKNOWN');
+  });
+
+  test('should default to the generic code of its type', () => {
+    expect(new BoilerplateError('Test error', ERROR_TYPES.NETWORK).code).toBe('RVB_E_NETWORK');
+    expect(new BoilerplateError('Test error', ERROR_TYPES.VALIDATION, {}, 'RVB_E_NAME_RESERVED').code).toBe('RVB_E_NAME_RESERVED');
   });
 });
 
@@ -96,6 +105,132 @@ describe('RollbackManager', () => {
 
     expect(executions).toBe(1);
   });
+
+  test('should stay quiet without actions', async () => {
+    await new RollbackManager().execute();
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('should let concurrent callers wait for the same rollback', async () => {
+    const rollback = new RollbackManager();
+    let finished = false;
+    rollback.addAction(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      finished = true;
+    }, 'Slow action');
+
+    const first = rollback.execute();
+    await rollback.execute();
+    expect(finished).toBe(true);
+    await first;
+  });
+
+  test('should stop steps that register actions while rolling back', async () => {
+    const rollback = new RollbackManager();
+    rollback.addAction(async () => {}, 'Action');
+    const running = rollback.execute();
+
+    expect(() => rollback.addAction(async () => {}, 'Late action')).toThrow(BoilerplateError);
+    await running;
+  });
+
+  describe('side effects', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rollback-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    test('should remove only paths that did not exist', async () => {
+      const existing = path.join(tempDir, 'existing.txt');
+      const created = path.join(tempDir, 'created');
+      await fs.writeFile(existing, 'mine');
+
+      const rollback = new RollbackManager();
+      rollback.removeOnRollback([existing, created], 'Remove created paths');
+      await fs.outputFile(path.join(created, 'file.txt'), 'generated');
+      await rollback.execute();
+
+      expect(fs.existsSync(existing)).toBe(true);
+      expect(fs.existsSync(created)).toBe(false);
+    });
+
+    test('should restore edited files and remove new ones', async () => {
+      const edited = path.join(tempDir, 'package.json');
+      const added = path.join(tempDir, 'new.txt');
+      await fs.writeFile(edited, '{ "name": "app" }');
+
+      const rollback = new RollbackManager();
+      await rollback.backupFiles([edited, added], 'Restore files');
+      await fs.writeFile(edited, '{}');
+      await fs.writeFile(added, 'new');
+      await rollback.execute();
+
+      expect(await fs.readFile(edited, 'utf8')).toBe('{ "name": "app" }');
+      expect(fs.existsSync(added)).toBe(false);
+    });
+
+    test('should move a directory back on rollback', async () => {
+      const dir = path.join(tempDir, 'app');
+      await fs.outputFile(path.join(dir, 'index.html'), 'original');
+
+      const rollback = new RollbackManager();
+      const backupDir = await rollback.backupDirectory(dir);
+      expect(fs.existsSync(dir)).toBe(false);
+      await fs.outputFile(path.join(dir, 'package.json'), '{}');
+      await rollback.execute();
+
+      expect(await fs.readdir(dir)).toEqual(['index.html']);
+      expect(fs.existsSync(backupDir)).toBe(false);
+    });
+
+    test('should delete directory backups on commit', async () => {
+      const dir = path.join(tempDir, 'app');
+      await fs.outputFile(path.join(dir, 'index.html'), 'original');
+
+      const rollback = new RollbackManager();
+      const backupDir = await rollback.backupDirectory(dir);
+      await rollback.commit();
+      await rollback.execute();
+
+      expect(fs.existsSync(backupDir)).toBe(false);
+      expect(fs.existsSync(dir)).toBe(false);
+    });
+  });
+
+  test('should roll back and exit when interrupted', async () => {
+    const rollback = new RollbackManager();
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    let executed = false;
+    rollback.addAction(async () => { executed = true; }, 'Test action');
+
+    try {
+      rollback.handleSignals();
+      expect(process.listeners('SIGTERM')).toContain(rollback.signalHandler);
+      await rollback.signalHandler('SIGTERM');
+
+      expect(executed).toBe(true);
+      expect(exit).toHaveBeenCalledWith(143);
+      expect(process.listeners('SIGTERM')).not.toContain(rollback.signalHandler);
+    } finally {
+      rollback.removeSignalHandlers();
+      exit.mockRestore();
+    }
+  });
+
+  test('should remove signal handlers once completed', () => {
+    const rollback = new RollbackManager();
+    const before = process.listenerCount('SIGINT');
+
+    rollback.handleSignals();
+    expect(process.listenerCount('SIGINT')).toBe(before + 1);
+    rollback.markCompleted();
+    expect(process.listenerCount('SIGINT')).toBe(before);
+  });
 });
 
 describe('formatErrorMessage', () => {
@@ -130,10 +265,24 @@ describe('formatErrorMessage', () => {
     expect(formatted).toContain('npm cache clean --force');
   });
 
+  test('should tailor suggestions to the cause of a failed install', () => {
+    const error = new BoilerplateError(
+      'Package installation failed: conflicting peer dependencies',
+      ERROR_TYPES.PACKAGE_MANAGER,
+      { manager: 'npm', failure: 'peer', cacheCleanCommand: 'npm cache clean --force' }
+    );
+    const formatted = formatErrorMessage(error);
+
+    expect(formatted).toContain('npm install --legacy-peer-deps');
+    expect(formatted).not.toContain('Check if package manager is properly installed');
+  });
+
   test('should include suggestions for validation errors', () => {
     const error = new BoilerplateError(
       'Invalid project name',
-      ERROR_TYPES.VALIDATION
+      ERROR_TYPES.VALIDATION,
+      {},
+      'RVB_E_NAME_INVALID'
     );
     const formatted = formatErrorMessage(error);
     
@@ -141,6 +290,23 @@ describe('formatErrorMessage', () => {
     expect(formatted).toContain('Start with a letter or number');
   });
 
+  test('should only give project name tips for project name errors', () => {
+    const error = new BoilerplateError('Unknown add-on: nope', ERROR_TYPES.VALIDATION, {}, 'RVB_E_ADDON_UNKNOWN');
+    const formatted = formatErrorMessage(error);
+
+    expect(formatted).toContain('addons list');
+    expect(formatted).not.toContain('Start with a letter or number');
+  });
+
+  test('should point at the explanation of the error code', () => {
+    const formatted = formatErrorMessage(new BoilerplateError('Reserved', ERROR_TYPES.VALIDATION, {}, 'RVB_E_NAME_RESERVED'));
+
+    expect(formatted).toContain('react-vite-boilerplate explain RVB_E_NAME_RESERVED');
+    expect(formatted).toContain('docs.html#rvb-e-name-reserved');
+    expect(formatted).not.toContain('yourusername');
+    expect(formatted).not.toContain('\\n');
+  });
+
   test('should include suggestions for filesystem errors', () => {
     const error = new BoilerplateError(
       'Permission denied',
@@ -0,0 +1,41 @@
+const { classifyInstallFailure, getInstallFailureSuggestions } = require('../lib/install-failures');
+
+describe('Install failures', () => {
+  test('should recognise the output of each package manager', () => {
+    expect(classifyInstallFailure('npm ERR! code ETIMEDOUT\nnpm ERR! network request failed').type).toBe('network');
+    expect(classifyInstallFailure('npm ERR! code ERESOLVE\nnpm ERR! ERESOLVE unable to resolve dependency tree').type).toBe('peer');
+    expect(classifyInstallFailure('npm ERR! code EACCES\nnpm ERR! syscall mkdir').type).toBe('permission');
+    expect(classifyInstallFailure('npm ERR! code EINTEGRITY\nsha512 integrity checksum failed').type).toBe('integrity');
+    expect(classifyInstallFailure('ERR_PNPM_FETCH_401 GET https://npm.pkg.github.com/@acme%2Fui: Unauthorized - 401').type).toBe('auth');
+    expect(classifyInstallFailure('npm ERR! code E403\nnpm ERR! 403 Forbidden').type).toBe('auth');
+    expect(classifyInstallFailure('➤ YN0018: typescript@npm:5.4.5: The remote archive doesn\'t match the expected checksum').type).toBe('integrity');
+    expect(classifyInstallFailure('npm ERR! code ENOTCACHED').type).toBe('offline');
+  });
+
+  test('should prefer specific causes over the network errors reported with them', () => {
+    // A registry refusing credentials often also logs the request that failed
+    expect(classifyInstallFailure('npm ERR! code E401\nnpm ERR! network request to https://registry.npmjs.org failed').type).toBe('auth');
+  });
+
+  test('should say which failures are worth a retry or another package manager', () => {
+    expect(classifyInstallFailure('ECONNRESET')).toEqual({
+      type: 'network',
+      code: 'RVB_E_INSTALL_NETWORK',
+      title: 'the registry could not be reached',
+      transient: true,
+      fallback: true
+    });
+    expect(classifyInstallFailure('EACCES')).toMatchObject({ transient: false, fallback: false });
+    expect(classifyInstallFailure('something unexpected')).toMatchObject({ type: 'unknown', transient: false, fallback: true });
+    expect(classifyInstallFailure()).toMatchObject({ type: 'unknown' });
+  });
+
+  test('should suggest fixes for the cause', () => {
+    expect(getInstallFailureSuggestions('peer', { manager: 'npm' })).toContain('Or accept the conflict: npm install --legacy-peer-deps');
+    expect(getInstallFailureSuggestions('peer', { manager: 'pnpm' }).join('\n')).not.toContain('--legacy-peer-deps');
+    expect(getInstallFailureSuggestions('auth', { manager: 'yarn' })).toContain('Log in to the registry: yarn npm login');
+    expect(getInstallFailureSuggestions('integrity', { manager: 'pnpm', cacheCleanCommand: 'pnpm store prune' }))
+      .toContain('Clear the package cache: pnpm store prune');
+    expect(getInstallFailureSuggestions(undefined, { manager: 'npm' })).toContain('Try using a different package manager with --pm flag');
+  });
+});
@@ -2,14 +2,41 @@ const { spawn } = require('cross-spawn');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const http = require('http');
 
 describe('CLI Integration Tests', () => {
   let testDir;
   let cliPath;
+  let cacheDir;
 
-  beforeAll(() => {
+  // Every run writes its debug log to a throwaway cache directory
+  const cliEnv = () => ({ ...process.env, RVB_CACHE_DIR: cacheDir });
+
+  // Runs the CLI to completion and resolves with its exit code and output
+  const runCli = (args, cwd = testDir, env = {}) => new Promise((resolve, reject) => {
+    const child = spawn('node', [cliPath, ...args], { stdio: 'pipe', cwd, env: { ...cliEnv(), ...env } });
+    let output = '';
+    child.stdout.on('data', (data) => { output += data.toString(); });
+    child.stderr.on('data', (data) => { output += data.toString(); });
+    child.on('close', (code) => resolve({ code, output }));
+    child.on('error', reject);
+  });
+
+  // Files under a directory, relative to it
+  const listFiles = (dir) => fs.readdirSync(dir, { recursive: true })
+    .filter(file => fs.statSync(path.join(dir, file)).isFile())
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+
+  beforeAll(async () => {
     cliPath = path.join(__dirname, '..', 'bin', 'cli.js');
     expect(fs.existsSync(cliPath)).toBe(true);
+
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-integration-cache-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(cacheDir);
   });
 
   beforeEach(async () => {
@@ -25,7 +52,8 @@ describe('CLI Integration Tests', () => {
   test('should show help when --help flag is used', (done) => {
     const child = spawn('node', [cliPath, '--help'], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -60,7 +88,8 @@ describe('CLI Integration Tests', () => {
   test('should show version when --version flag is used', (done) => {
     const child = spawn('node', [cliPath, '--version'], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -79,7 +108,8 @@ describe('CLI Integration Tests', () => {
     const projectName = 'test-project';
     const child = spawn('node', [cliPath, projectName, '--dry-run'], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -99,11 +129,372 @@ describe('CLI Integration Tests', () => {
     });
   }, 10000);
 
+  test('should list available templates', (done) => {
+    const child = spawn('node', [cliPath, 'templates', 'list'], { 
+      stdio: 'pipe',
+      cwd: testDir,
+      env: cliEnv()
+    });
+
+    let stdout = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.on('close', (code) => {
+      expect(code).toBe(0);
+      expect(stdout).toContain('minimal');
+      expect(stdout).toContain('default');
+      expect(stdout).toContain('dashboard');
+      done();
+    });
+  }, 10000);
+
+  test('should reject unknown templates', (done) => {
+    const projectName = 'unknown-template-project';
+    const child = spawn('node', [cliPath, projectName, '--template', 'nope', '--dry-run'], { 
+      stdio: 'pipe',
+      cwd: testDir,
+      env: cliEnv()
+    });
+
+    let stdout = '';
+    let stderr = '';
+    
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      expect(code).toBe(2);
+      const output = stdout + stderr;
+      expect(output).toContain('Unknown template "nope"');
+      expect(output).toContain('minimal');
+      expect(fs.existsSync(path.join(testDir, projectName))).toBe(false);
+      done();
+    });
+  }, 10000);
+
+  test('should show add-ons in dry run output', (done) => {
+    const projectName = 'addon-project';
+    const child = spawn('node', [cliPath, projectName, '--dry-run', '--with', 'vitest,zustand'], { 
+      stdio: 'pipe',
+      cwd: testDir,
+      env: cliEnv()
+    });
+
+    let stdout = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.on('close', (code) => {
+      expect(code).toBe(0);
+      expect(stdout).toContain('Add-ons: vitest, zustand');
+      expect(stdout).toContain('vitest.config.ts');
+      expect(fs.existsSync(path.join(testDir, projectName))).toBe(false);
+      done();
+    });
+  }, 10000);
+
+  test('should print the dry-run plan as JSON', (done) => {
+    const child = spawn('node', [cliPath, 'json-project', '--dry-run', '--json', '--skip-install', '--with', 'vitest'], {
+      stdio: 'pipe',
+      cwd: testDir,
+      env: cliEnv()
+    });
+
+    // Progress output goes to stderr so stdout holds a single JSON document
+    let stdout = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.on('close', (code) => {
+      expect(code).toBe(0);
+      const result = JSON.parse(stdout);
+      expect(result.success).toBe(true);
+      expect(result.plan.files.map(file => file.path)).toContain('vitest.config.ts');
+      expect(result.plan.commands.map(command => command.step)).toEqual(['git', 'git', 'git']);
+      expect(fs.existsSync(path.join(testDir, 'json-project'))).toBe(false);
+      done();
+    });
+  }, 10000);
+
+  test('should plan offline installs with bundled Shadcn/UI components', async () => {
+    await fs.writeJson(path.join(testDir, 'rvb.config.json'), { components: ['button', 'card'] });
+
+    const { code, output } = await runCli(['offline-project', '--dry-run', '--offline', '--pm', 'npm', '--skip-git']);
+    expect(code).toBe(0);
+    expect(output).toContain('src/components/ui/button.tsx (shadcn)');
+    expect(output).toContain('$ npm install --offline');
+    expect(output).not.toContain('shadcn@latest');
+
+    const flagged = await runCli(['offline-project', '--dry-run', '--offline', '--skip-git', '--components', 'dialog,label']);
+    expect(flagged.code).toBe(0);
+    expect(flagged.output).toContain('src/components/ui/dialog.tsx (shadcn)');
+    expect(flagged.output).toContain('@radix-ui/react-dialog');
+
+    const unknown = await runCli(['offline-project', '--dry-run', '--skip-git', '--components', 'carousel']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.output).toContain('Unknown Shadcn/UI components: carousel');
+    expect(unknown.output).toContain('react-vite-boilerplate explain RVB_E_COMPONENT_UNKNOWN');
+  }, 20000);
+
+  test('should join a pnpm workspace instead of creating a repository', async () => {
+    await fs.outputFile(path.join(testDir, 'pnpm-workspace.yaml'), "packages:\n  - 'packages/*'\n");
+    await fs.ensureDir(path.join(testDir, 'apps'));
+    const appsDir = path.join(testDir, 'apps');
+
+    const planned = await runCli(['web', '--dry-run', '--pm', 'npm'], appsDir);
+    expect(planned.code).toBe(0);
+    expect(planned.output).toContain('adds "apps/web"');
+    expect(planned.output).toContain(`$ npm install (in ${testDir})`);
+    expect(planned.output).not.toContain('$ git init');
+
+    const { code, output } = await runCli(['web', '--yes', '--skip-install'], appsDir);
+    expect(code).toBe(0);
+    expect(output).toContain('Skipped git init');
+    expect(await fs.readFile(path.join(testDir, 'pnpm-workspace.yaml'), 'utf8')).toContain("  - 'apps/web'");
+    expect(fs.existsSync(path.join(appsDir, 'web', 'package.json'))).toBe(true);
+    expect(fs.existsSync(path.join(appsDir, 'web', '.git'))).toBe(false);
+  }, 20000);
+
+  test('should create a project in the current directory, keeping its README', async () => {
+    const projectDir = path.join(testDir, 'my-app');
+    await fs.ensureDir(path.join(projectDir, '.git'));
+    await fs.writeFile(path.join(projectDir, 'README.md'), '# My app');
+
+    const { code, output } = await runCli(['.', '--skip-install', '--skip-git'], projectDir);
+    expect(code).toBe(0);
+    expect(output).toContain('Kept 1 existing file instead of the generated version: README.md');
+    expect(output).not.toContain('cd .');
+    expect((await fs.readJson(path.join(projectDir, 'package.json'))).name).toBe('my-app');
+    expect(await fs.readFile(path.join(projectDir, 'README.md'), 'utf8')).toBe('# My app');
+    // The snapshot holds the generated README, so upgrades see the user's one as modified
+    expect(await fs.readFile(path.join(projectDir, '.rvb', 'base', 'README.md'), 'utf8')).not.toBe('# My app');
+  }, 30000);
+
+  test('should take the package name separately from the destination', async () => {
+    const { code } = await runCli(['apps/web', '--name', '@acme/web', '--skip-install', '--skip-git']);
+    expect(code).toBe(0);
+    expect((await fs.readJson(path.join(testDir, 'apps', 'web', 'package.json'))).name).toBe('@acme/web');
+
+    const invalid = await runCli(['apps/Not Valid', '--dry-run']);
+    expect(invalid.code).toBe(2);
+    expect(invalid.output).toContain('pass --name to choose another');
+    expect(invalid.output).toContain('Error code RVB_E_NAME_INVALID');
+  }, 30000);
+
+  test('should only merge into non-empty directories when asked', async () => {
+    const projectDir = path.join(testDir, 'merged');
+    await fs.outputFile(path.join(projectDir, 'index.html'), '<p>mine</p>');
+
+    const refused = await runCli(['merged', '--json', '--skip-install', '--skip-git']);
+    expect(refused.code).toBe(3);
+    expect(refused.output).toContain('Pass --merge');
+    expect(refused.output).toContain('"code": "RVB_E_DIR_NOT_EMPTY"');
+    expect(fs.existsSync(path.join(projectDir, 'package.json'))).toBe(false);
+
+    const planned = await runCli(['merged', '--merge', '--dry-run', '--skip-git']);
+    expect(planned.output).toContain('= index.html (template:');
+    expect(planned.output).toContain('exists: kept');
+
+    const { code, output } = await runCli(['merged', '--merge', '--json', '--skip-install', '--skip-git']);
+    expect(code).toBe(0);
+    const result = JSON.parse(output.slice(output.indexOf('{\n')));
+    expect(result.kept).toEqual(['index.html']);
+    expect(result.files).not.toContain('index.html');
+    expect(await fs.readFile(path.join(projectDir, 'index.html'), 'utf8')).toBe('<p>mine</p>');
+    expect(fs.existsSync(path.join(projectDir, 'src', 'main.tsx'))).toBe(true);
+  }, 30000);
+
+  test('should restore the original directory when creation fails', async () => {
+    const templateDir = path.join(testDir, 'bad-template');
+    await fs.copy(path.join(__dirname, '..', 'templates', 'minimal'), templateDir);
+    await fs.writeJson(path.join(templateDir, 'template.json'), { name: 'bad', version: '1.0.0', features: [] });
+    await fs.writeFile(path.join(templateDir, 'package.json'), '{ broken');
+    const projectDir = path.join(testDir, 'app');
+    await fs.outputFile(path.join(projectDir, 'src', 'notes.txt'), 'mine');
+
+    const overwrite = await runCli(['app', '--template', './bad-template', '--yes', '--skip-install', '--skip-git']);
+    expect(overwrite.code).toBe(6);
+    expect(overwrite.output).toContain('Restore the original app directory');
+    expect(await fs.readdir(testDir)).toEqual(['app', 'bad-template']);
+    expect(await fs.readFile(path.join(projectDir, 'src', 'notes.txt'), 'utf8')).toBe('mine');
+
+    const merge = await runCli(['app', '--template', './bad-template', '--merge', '--skip-install', '--skip-git']);
+    expect(merge.code).toBe(6);
+    expect(listFiles(projectDir)).toEqual(['src/notes.txt']);
+  }, 30000);
+
+  test('should print next steps for the chosen package manager', async () => {
+    const { code, output } = await runCli(['pnpm-app', '--yes', '--pm', 'pnpm', '--skip-install', '--skip-git']);
+    expect(code).toBe(0);
+    expect(output).toContain('  pnpm install\n');
+    expect(output).toContain('  pnpm run dev\n');
+    expect(output).not.toMatch(/^\s+npm (install|run dev)$/m);
+  }, 30000);
+
+  test('should resume the steps left in the journal', async () => {
+    const projectDir = path.join(testDir, 'resumed');
+    const create = await runCli(['resumed', '--skip-install', '--skip-git']);
+    expect(create.code).toBe(0);
+    expect(fs.existsSync(path.join(projectDir, '.rvb', 'journal.json'))).toBe(false);
+
+    const nothing = await runCli(['resume', 'resumed']);
+    expect(nothing.code).toBe(2);
+    expect(nothing.output).toContain('Nothing to resume in resumed');
+
+    // As left by a run that stopped before git init
+    await fs.writeJson(path.join(projectDir, '.rvb', 'journal.json'), {
+      projectName: 'resumed',
+      packageManager: null,
+      git: { defaultBranch: 'trunk' },
+      steps: { install: 'skipped', git: 'pending', verify: 'skipped' }
+    });
+
+    const { code, output } = await runCli(['resumed', '--resume', '--json']);
+    expect(code).toBe(0);
+    expect(output).toContain('Resuming resumed: git');
+    expect(JSON.parse(output.slice(output.indexOf('{\n'))).steps.git).toMatch(/completed|failed/);
+    expect(fs.existsSync(path.join(projectDir, '.git'))).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, '.rvb', 'journal.json'))).toBe(false);
+  }, 30000);
+
+  test('should verify with the package manager that installed after a fallback', async () => {
+    const projectDir = path.join(testDir, 'fallback');
+    expect((await runCli(['fallback', '--skip-install', '--skip-git'])).code).toBe(0);
+    await fs.writeJson(path.join(projectDir, '.rvb', 'journal.json'), {
+      projectName: 'fallback',
+      packageManager: 'npm',
+      fallbackPackageManager: 'pnpm',
+      git: {},
+      steps: { install: 'pending', git: 'skipped', verify: 'pending' }
+    });
+
+    // npm fails with a peer conflict, pnpm succeeds; both record their calls
+    const binDir = path.join(testDir, 'bin');
+    const callsFile = path.join(testDir, 'calls.log');
+    await fs.outputFile(path.join(binDir, 'npm'), `#!/bin/sh\necho "npm $*" >> "${callsFile}"\n[ "$1" = install ] && echo "npm ERR! code ERESOLVE" >&2 && exit 1\nexit 0\n`, { mode: 0o755 });
+    await fs.outputFile(path.join(binDir, 'pnpm'), `#!/bin/sh\necho "pnpm $*" >> "${callsFile}"\nexit 0\n`, { mode: 0o755 });
+
+    // Stands in for the registry, for the connectivity check before installing
+    const registry = http.createServer((req, res) => res.end('{}'));
+    await new Promise(resolve => registry.listen(0, '127.0.0.1', resolve));
+    try {
+      const { code, output } = await runCli(['resume', 'fallback'], testDir, {
+        PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+        npm_config_registry: `http://127.0.0.1:${registry.address().port}/`
+      });
+      expect(code).toBe(0);
+      expect(output).toContain('falling back to pnpm');
+    } finally {
+      registry.close();
+    }
+
+    const calls = (await fs.readFile(callsFile, 'utf8')).trim().split('\n');
+    expect(calls).toContain('pnpm run build');
+    expect(calls.filter(call => call.startsWith('npm run'))).toEqual([]);
+  }, 30000);
+
+  test('should keep child output off stdout with --json --verbose', async () => {
+    const binDir = path.join(testDir, 'bin');
+    await fs.outputFile(path.join(binDir, 'npm'), '#!/bin/sh\n[ "$1" = --version ] && echo 10.0.0 && exit 0\necho "npm $* done"\nexit 0\n', { mode: 0o755 });
+
+    const registry = http.createServer((req, res) => res.end('{}'));
+    await new Promise(resolve => registry.listen(0, '127.0.0.1', resolve));
+    let result;
+    try {
+      result = await new Promise((resolve, reject) => {
+        const child = spawn('node', [cliPath, 'streamed', '--json', '--verbose', '--pm', 'npm', '--verify'], {
+          stdio: 'pipe',
+          cwd: testDir,
+          env: {
+            ...cliEnv(),
+            PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+            npm_config_registry: `http://127.0.0.1:${registry.address().port}/`,
+            GIT_AUTHOR_NAME: 'Test',
+            GIT_AUTHOR_EMAIL: 'test@example.com',
+            GIT_COMMITTER_NAME: 'Test',
+            GIT_COMMITTER_EMAIL: 'test@example.com'
+          }
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => { stdout += data.toString(); });
+        child.stderr.on('data', (data) => { stderr += data.toString(); });
+        child.on('close', (code) => resolve({ code, stdout, stderr }));
+        child.on('error', reject);
+      });
+    } finally {
+      registry.close();
+    }
+
+    expect(result.code).toBe(0);
+    expect(JSON.parse(result.stdout).steps).toMatchObject({ install: 'completed', git: 'completed', verify: 'completed' });
+    expect(result.stderr).toContain('npm install done');
+    expect(result.stderr).toContain('npm run build done');
+  }, 30000);
+
+  test('should leave a clean working tree after the initial commit', async () => {
+    const projectDir = path.join(testDir, 'committed');
+    const identity = { GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+    const { code } = await runCli(['committed', '--yes', '--skip-install'], testDir, identity);
+    expect(code).toBe(0);
+
+    const git = (args) => new Promise((resolve, reject) => {
+      const child = spawn('git', args, { cwd: projectDir, stdio: 'pipe' });
+      let output = '';
+      child.stdout.on('data', (data) => { output += data.toString(); });
+      child.on('close', () => resolve(output));
+      child.on('error', reject);
+    });
+    expect(await git(['log', '--oneline'])).toContain('Initial commit');
+    expect(await git(['ls-files', '.rvb'])).not.toContain('journal.json');
+    expect(await git(['status', '--porcelain'])).toBe('');
+  }, 30000);
+
+  test('should leave an existing git repository alone', async () => {
+    const projectDir = path.join(testDir, 'repo');
+    await fs.ensureDir(path.join(projectDir, '.git'));
+
+    const { code, output } = await runCli(['repo', '--skip-install']);
+    expect(code).toBe(0);
+    expect(output).toContain('Skipped git init: repo is already a git repository');
+    expect(await fs.readdir(path.join(projectDir, '.git'))).toEqual([]);
+  }, 30000);
+
+  test('should apply presets with flags taking precedence', async () => {
+    await fs.writeJson(path.join(testDir, 'rvb.config.json'), {
+      template: 'minimal',
+      presets: { team: { template: 'dashboard', addons: ['vitest'], git: false } }
+    });
+
+    const fromConfig = await runCli(['preset-project', '--dry-run', '--skip-install']);
+    expect(fromConfig.output).toContain('Template: minimal@');
+
+    const named = await runCli(['preset-project', '--dry-run', '--skip-install', '--preset', 'team', '--with', 'zustand']);
+    expect(named.output).toContain('Template: dashboard@');
+    expect(named.output).toContain('Add-ons: zustand');
+    expect(named.output).toContain('Skip git init: true');
+
+    await fs.writeJson(path.join(testDir, 'bad.json'), { packageManager: 'pip' });
+    const invalid = await runCli(['preset-project', '--dry-run', '--preset', 'bad.json']);
+    expect(invalid.code).toBe(2);
+    expect(invalid.output).toContain('"packageManager" must be one of');
+  }, 20000);
+
   test('should reject invalid project names', (done) => {
     const invalidName = 'invalid!name';
     const child = spawn('node', [cliPath, invalidName], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -118,7 +509,7 @@ describe('CLI Integration Tests', () => {
     });
 
     child.on('close', (code) => {
-      expect(code).toBe(1);
+      expect(code).toBe(2);
       // Error could be in either stdout or stderr
       const output = stdout + stderr;
       expect(output).toContain('invalid characters');
@@ -134,7 +525,8 @@ describe('CLI Integration Tests', () => {
     const projectName = 'test-project-skip-install';
     const child = spawn('node', [cliPath, projectName, '--skip-install', '--skip-git'], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -208,7 +600,8 @@ describe('CLI Integration Tests', () => {
     
     const child = spawn('node', [cliPath, projectName, '--yes', '--skip-install', '--skip-git'], { 
       stdio: 'pipe',
-      cwd: testDir 
+      cwd: testDir,
+      env: cliEnv()
     });
 
     let stdout = '';
@@ -241,4 +634,250 @@ describe('CLI Integration Tests', () => {
       done(error);
     });
   }, 30000);
-});
\ No newline at end of file
+
+  test('should brand generated files with the project name and description', async () => {
+    const result = await runCli([
+      'acme-shop', '--description', 'Online store for Acme', '--with', 'vitest', '--skip-install', '--skip-git'
+    ]);
+    expect(result.code).toBe(0);
+
+    const projectPath = path.join(testDir, 'acme-shop');
+    expect(await fs.readFile(path.join(projectPath, 'index.html'), 'utf8')).toContain('<title>Acme Shop</title>');
+    expect(await fs.readFile(path.join(projectPath, '.env.example'), 'utf8'))
+      .toContain('VITE_APP_TITLE="Acme Shop"\nVITE_APP_DESCRIPTION="Online store for Acme"');
+
+    const readme = await fs.readFile(path.join(projectPath, 'README.md'), 'utf8');
+    expect(readme).toMatch(/^# Acme Shop\n\nOnline store for Acme\n/);
+    expect(readme).toContain('`npm run test:run`');
+    expect(readme).not.toContain('test:e2e');
+    expect(readme).not.toContain('{{');
+
+    const state = await fs.readJson(path.join(projectPath, '.rvb', 'project.json'));
+    expect(state.description).toBe('Online store for Acme');
+  }, 30000);
+
+  test('should generate the typed env module and regenerate it on demand', async () => {
+    const create = await runCli(['env-project', '--skip-install', '--skip-git']);
+    expect(create.code).toBe(0);
+
+    const projectPath = path.join(testDir, 'env-project');
+    const envModule = await fs.readFile(path.join(projectPath, 'src', 'lib', 'env.ts'), 'utf8');
+    expect(envModule).toContain("APP_TITLE: { type: 'string', required: true, default: 'Env Project' },");
+    expect(fs.existsSync(path.join(projectPath, 'src', 'vite-env.d.ts'))).toBe(true);
+
+    await fs.appendFile(path.join(projectPath, '.env.example'), '\nVITE_SUPPORT_EMAIL=help@example.com\n');
+    const generate = await runCli(['generate', 'env'], projectPath);
+    expect(generate.code).toBe(0);
+    expect(generate.output).toContain('Generated src/lib/env.ts');
+    expect(await fs.readFile(path.join(projectPath, 'src', 'vite-env.d.ts'), 'utf8'))
+      .toContain('readonly VITE_SUPPORT_EMAIL?: string');
+  }, 30000);
+
+  test('should refuse --verify without installing dependencies', async () => {
+    const result = await runCli(['verify-project', '--verify', '--skip-install', '--skip-git']);
+    expect(result.code).toBe(2);
+    expect(result.output).toContain('--verify needs installed dependencies');
+    expect(fs.existsSync(path.join(testDir, 'verify-project'))).toBe(false);
+  }, 30000);
+
+  test('should report template dependency problems with doctor --template', async () => {
+    const clean = await runCli(['doctor', '--template', 'default', '--with', 'vitest']);
+    expect(clean.code).toBe(0);
+    expect(clean.output).toContain('Dependencies of default + vitest');
+
+    const templatePath = path.join(testDir, 'broken-template');
+    await fs.copy(path.join(__dirname, '..', 'templates', 'minimal'), templatePath);
+    await fs.writeJson(path.join(templatePath, 'template.json'), {
+      name: 'broken', description: 'Broken template', version: '1.0.0', features: []
+    });
+    await fs.appendFile(path.join(templatePath, 'src', 'main.tsx'), "\nimport 'left-pad'\n");
+
+    const broken = await runCli(['doctor', '--template', './broken-template', '--json']);
+    expect(broken.code).toBe(1);
+    const report = JSON.parse(broken.output);
+    expect(report.ok).toBe(false);
+    expect(report.reports[0].missing).toEqual([
+      { name: 'left-pad', expected: 'dependencies', files: ['src/main.tsx'] }
+    ]);
+  }, 30000);
+
+  test('should create a project from a local template directory', async () => {
+    const templateDir = path.join(testDir, 'company-template');
+    await fs.copy(path.join(__dirname, '..', 'templates', 'minimal'), templateDir);
+    await fs.writeJson(path.join(templateDir, 'template.json'), {
+      name: 'company',
+      version: '2.1.0',
+      features: ['router', 'tailwind']
+    });
+
+    const result = await runCli(['company-app', '--template', './company-template', '--skip-install', '--skip-git']);
+    expect(result.code).toBe(0);
+
+    const state = await fs.readJson(path.join(testDir, 'company-app', '.rvb', 'project.json'));
+    expect(state).toMatchObject({ template: 'company', templateSource: templateDir, templateVersion: '2.1.0' });
+    expect(fs.existsSync(path.join(testDir, 'company-app', 'template.json'))).toBe(false);
+  }, 30000);
+
+  test('should add add-ons to an existing project', async () => {
+    const projectName = 'add-project';
+    const projectPath = path.join(testDir, projectName);
+
+    const create = await runCli([projectName, '--skip-install', '--skip-git']);
+    expect(create.code).toBe(0);
+    expect(fs.existsSync(path.join(projectPath, '.rvb', 'project.json'))).toBe(true);
+
+    // The install hint names the project's package manager, from its lockfile
+    const binDir = path.join(testDir, 'bin');
+    await fs.outputFile(path.join(binDir, 'pnpm'), '#!/bin/sh\necho 9.0.0\n', { mode: 0o755 });
+    await fs.outputFile(path.join(projectPath, 'pnpm-lock.yaml'), '');
+
+    const add = await runCli(['add', 'zustand', '--skip-install'], projectPath, {
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`
+    });
+    expect(add.code).toBe(0);
+    expect(add.output).toContain('  pnpm install');
+    expect(add.output).not.toContain('  npm install');
+    expect(fs.existsSync(path.join(projectPath, 'src', 'stores', 'counter-store.ts'))).toBe(true);
+
+    const state = await fs.readJson(path.join(projectPath, '.rvb', 'project.json'));
+    expect(state.addons).toEqual(['zustand']);
+  }, 30000);
+
+  test('should refuse to patch files modified by the user', async () => {
+    const projectName = 'modified-project';
+    const projectPath = path.join(testDir, projectName);
+    const mainPath = path.join(projectPath, 'src', 'main.tsx');
+
+    await runCli([projectName, '--skip-install', '--skip-git']);
+    await fs.appendFile(mainPath, '\n// my change\n');
+
+    const refused = await runCli(['add', 'tanstack-query', '--skip-install', '--dir', projectName]);
+    expect(refused.code).toBe(2);
+    expect(refused.output).toContain('src/main.tsx (modified)');
+    expect(await fs.readFile(mainPath, 'utf8')).not.toContain('QueryClientProvider');
+
+    const diff = await runCli(['add', 'tanstack-query', '--diff', '--dir', projectName]);
+    expect(diff.code).toBe(0);
+    expect(diff.output).toContain('+// my change');
+
+    const forced = await runCli(['add', 'tanstack-query', '--skip-install', '--force', '--dir', projectName]);
+    expect(forced.code).toBe(0);
+    expect(await fs.readFile(mainPath, 'utf8')).toContain('QueryClientProvider');
+  }, 30000);
+
+  test('should merge template changes into a modified project', async () => {
+    const projectName = 'upgrade-project';
+    const projectPath = path.join(testDir, projectName);
+    const indexPath = path.join(projectPath, 'src', 'routes', 'index.tsx');
+    const basePath = path.join(projectPath, '.rvb', 'base', 'src', 'routes', 'index.tsx');
+
+    await runCli([projectName, '--skip-install', '--skip-git']);
+    const upToDate = await runCli(['upgrade', '--dir', projectName]);
+    expect(upToDate.code).toBe(0);
+    expect(upToDate.output).toContain('already up to date');
+
+    // Pretend the project was generated by an older template without the last line
+    const current = await fs.readFile(indexPath, 'utf8');
+    const older = current.slice(0, current.trimEnd().lastIndexOf('\n') + 1);
+    await fs.writeFile(basePath, older);
+    await fs.writeFile(indexPath, '// my change\n' + older);
+
+    const dryRun = await runCli(['upgrade', '--dry-run', '--dir', projectName]);
+    expect(dryRun.output).toContain('src/routes/index.tsx (merge)');
+    expect(await fs.readFile(indexPath, 'utf8')).toBe('// my change\n' + older);
+
+    const upgrade = await runCli(['upgrade', '--skip-install', '--dir', projectName]);
+    expect(upgrade.code).toBe(0);
+    expect(await fs.readFile(indexPath, 'utf8')).toBe('// my change\n' + current);
+    expect(await fs.readFile(basePath, 'utf8')).toBe(current);
+  }, 30000);
+
+  test('should name the project\'s package manager when an upgrade changes package.json', async () => {
+    const projectName = 'yarn-project';
+    const projectPath = path.join(testDir, projectName);
+    await runCli([projectName, '--skip-install', '--skip-git']);
+
+    // Pretend the project was generated by an older template without the preview script
+    for (const file of [path.join(projectPath, 'package.json'), path.join(projectPath, '.rvb', 'base', 'package.json')]) {
+      const pkg = await fs.readJson(file);
+      delete pkg.scripts.preview;
+      await fs.writeJson(file, pkg, { spaces: 2 });
+    }
+    const binDir = path.join(testDir, 'bin');
+    await fs.outputFile(path.join(binDir, 'yarn'), '#!/bin/sh\necho 1.22.22\n', { mode: 0o755 });
+    await fs.outputFile(path.join(projectPath, 'yarn.lock'), '');
+
+    const upgrade = await runCli(['upgrade', '--skip-install', '--dir', projectName], testDir, {
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`
+    });
+    expect(upgrade.code).toBe(0);
+    expect(upgrade.output).toContain('  yarn install');
+    expect(upgrade.output).not.toContain('  npm install');
+  }, 30000);
+
+  test('should reject add in a directory not created by the CLI', async () => {
+    const result = await runCli(['add', 'vitest', '--skip-install']);
+    expect(result.code).toBe(2);
+    expect(result.output).toContain('was not created by react-vite-boilerplate');
+  }, 10000);
+
+  test('should ask for a directory argument only when it has no default', async () => {
+    const missing = await runCli(['--json', '--skip-install', '--skip-git']);
+    expect(missing.code).toBe(2);
+    expect(missing.output).toContain('A directory argument is required in non-interactive mode');
+    expect(missing.output).not.toContain('Project name is required');
+
+    const { code } = await runCli(['--yes', '--skip-install', '--skip-git']);
+    expect(code).toBe(0);
+    expect(await fs.readJson(path.join(testDir, 'my-react-app', 'package.json'))).toMatchObject({ name: 'my-react-app' });
+  }, 20000);
+
+  test('should explain error codes', async () => {
+    const explained = await runCli(['explain', 'name_reserved']);
+    expect(explained.code).toBe(0);
+    expect(explained.output).toContain('RVB_E_NAME_RESERVED: Reserved project name');
+    expect(explained.output).toContain('VALIDATION (exit code 2)');
+    expect(explained.output).toContain('docs.html#rvb-e-name-reserved');
+
+    const listed = await runCli(['explain', '--json']);
+    expect(JSON.parse(listed.output).codes.map(entry => entry.code)).toContain('RVB_E_PM_UNAVAILABLE');
+
+    const unknown = await runCli(['explain', 'RVB_E_NOPE']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.output).toContain('Unknown error code "RVB_E_NOPE"');
+  }, 10000);
+
+  test('should refuse to overwrite a parent of the working directory', async () => {
+    const innerDir = path.join(testDir, 'inner');
+    await fs.outputFile(path.join(testDir, 'keep.txt'), 'keep');
+    await fs.outputFile(path.join(innerDir, 'notes.txt'), 'notes');
+
+    const { code, output } = await runCli(['..', '--yes', '--skip-install', '--skip-git'], innerDir);
+    expect(code).toBe(3);
+    expect(output).toContain('Refusing to delete');
+    expect(await fs.readFile(path.join(testDir, 'keep.txt'), 'utf8')).toBe('keep');
+    expect(await fs.readFile(path.join(innerDir, 'notes.txt'), 'utf8')).toBe('notes');
+    expect(fs.existsSync(path.join(testDir, 'package.json'))).toBe(false);
+  }, 20000);
+
+  test('should write a debug log and print its path on failure', async () => {
+    await fs.outputFile(path.join(testDir, 'taken', 'index.html'), '<p>mine</p>');
+
+    const failed = await runCli(['taken', '--json', '--skip-install', '--skip-git']);
+    expect(failed.code).toBe(3);
+    const logFile = failed.output.match(/Debug log: (\S+\.log)/)[1];
+    expect(path.dirname(logFile)).toBe(path.join(cacheDir, 'logs'));
+    const log = await fs.readFile(logFile, 'utf8');
+    expect(log).toContain('Command: react-vite-boilerplate taken --json --skip-install --skip-git');
+    expect(log).toContain('Error RVB_E_DIR_NOT_EMPTY:');
+    expect(failed.output).toContain(`"logFile": "${logFile}"`);
+
+    const logPath = path.join(testDir, 'run.log');
+    const { code, output } = await runCli(['created', '--yes', '--skip-install', '--log-file', logPath]);
+    expect(code).toBe(0);
+    expect(output).not.toContain('Debug log:');
+    const created = await fs.readFile(logPath, 'utf8');
+    expect(created).toContain('Network environment: {');
+    expect(created).toMatch(/\$ git init \(in .*created\): exit code 0/);
+  }, 20000);
+});
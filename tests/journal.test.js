@@ -0,0 +1,79 @@
+const {
+  getJournalPath,
+  writeJournal,
+  readJournal,
+  updateJournalStep,
+  removeJournal,
+  getPendingSteps,
+  getRemainingCommands
+} = require('../lib/journal');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Journal', () => {
+  let projectDir;
+  const journal = {
+    projectName: 'app',
+    packageManager: 'pnpm',
+    offline: true,
+    git: { defaultBranch: 'main' },
+    workspaceRoot: null,
+    steps: { install: 'pending', git: 'pending', verify: 'pending' }
+  };
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  test('should write, update and remove the journal', async () => {
+    expect(readJournal(projectDir)).toBeNull();
+
+    const written = await writeJournal(projectDir, journal);
+    expect(getJournalPath(projectDir)).toBe(path.join(projectDir, '.rvb', 'journal.json'));
+    expect(readJournal(projectDir)).toEqual(written);
+    expect(await fs.readFile(path.join(projectDir, '.rvb', '.gitignore'), 'utf8')).toBe('journal.json\n');
+
+    const updated = await updateJournalStep(projectDir, written, 'install', 'completed');
+    expect(readJournal(projectDir).steps).toEqual({ install: 'completed', git: 'pending', verify: 'pending' });
+    expect(getPendingSteps(updated)).toEqual(['git', 'verify']);
+
+    await removeJournal(projectDir);
+    expect(readJournal(projectDir)).toBeNull();
+  });
+
+  test('should reject a corrupted journal', async () => {
+    await fs.outputFile(getJournalPath(projectDir), '{');
+    expect(() => readJournal(projectDir)).toThrow(BoilerplateError);
+  });
+
+  test('should list the commands of the pending steps', () => {
+    const commands = getRemainingCommands(projectDir, journal, ['build', 'lint']);
+
+    expect(commands.map(({ command, args }) => [command, ...args].join(' '))).toEqual([
+      'pnpm install --offline',
+      'git init --initial-branch main',
+      'git add .',
+      'git commit -m Initial commit',
+      'pnpm run build',
+      'pnpm run lint'
+    ]);
+    expect(commands.every(({ cwd }) => cwd === projectDir)).toBe(true);
+  });
+
+  test('should install from the workspace root', () => {
+    const commands = getRemainingCommands(projectDir, {
+      ...journal,
+      offline: false,
+      workspaceRoot: '/repo',
+      steps: { install: 'pending', git: 'skipped', verify: 'skipped' }
+    });
+
+    expect(commands).toEqual([{ step: 'install', command: 'pnpm', args: ['install'], cwd: '/repo' }]);
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  getPackageNameFromUrl,
+  listNpmCachedPackages,
+  getPackageCacheDir,
+  findUncachedPackages,
+  ensurePackagesCached
+} = require('../lib/offline-cache');
+const { BoilerplateError, ERROR_TYPES } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('offline cache', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'offline-cache-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  // Writes a cacache index bucket the way npm does: "<hash>\t<json>" per line
+  const writeNpmIndex = async (cacheDir, urls) => {
+    const lines = urls.map(url => `0123abcd\t${JSON.stringify({ key: `make-fetch-happen:request-cache:${url}` })}`);
+    await fs.outputFile(path.join(cacheDir, 'index-v5', 'ab', 'cd', 'bucket'), `\n${lines.join('\n')}\n`);
+  };
+
+  test('should read package names from registry URLs', () => {
+    expect(getPackageNameFromUrl('https://registry.npmjs.org/react')).toBe('react');
+    expect(getPackageNameFromUrl('https://registry.npmjs.org/@types%2freact')).toBe('@types/react');
+    expect(getPackageNameFromUrl('https://npm.example.com/api/npm/npm/@scope/pkg')).toBe('@scope/pkg');
+    expect(getPackageNameFromUrl('https://registry.npmjs.org/react/-/react-18.2.0.tgz')).toBeNull();
+    expect(getPackageNameFromUrl('not a url')).toBeNull();
+  });
+
+  test('should list packages whose metadata npm cached', async () => {
+    await writeNpmIndex(tempDir, [
+      'https://registry.npmjs.org/react',
+      'https://registry.npmjs.org/@types%2freact',
+      'https://registry.npmjs.org/vite/-/vite-5.2.0.tgz'
+    ]);
+
+    expect([...listNpmCachedPackages(tempDir)].sort()).toEqual(['@types/react', 'react']);
+    expect(findUncachedPackages(['react', 'vite', '@types/react'], { layout: 'npm', cacheDir: tempDir })).toEqual(['vite']);
+  });
+
+  test.each([
+    ['yarn', ['npm-react-18.2.0-555bd98592883255fa00de14f1151a917b5d77d5-integrity', 'npm-@types-react-18.2.66-abc-integrity', 'npm-react-dom-18.2.0-def-integrity']],
+    ['yarn-berry', ['react-npm-18.2.0-555bd98592-1fe2bcc6d3.zip', '@types-react-npm-18.2.66-76ed4dbcf6-ac41a8e8a4.zip', 'react-dom-npm-18.2.0-dd675bca1c-7d323310be.zip']],
+    ['bun', ['react@18.2.0@@@1', '@types/react@18.2.66@@@1', 'react-dom@18.2.0@@@1']]
+  ])('should read the %s cache layout', async (layout, entries) => {
+    for (const entry of entries) {
+      await fs.ensureDir(path.join(tempDir, entry));
+    }
+
+    expect(findUncachedPackages(['react', '@types/react', 'react-dom', 'vite', 'react-helmet-async'], { layout, cacheDir: tempDir }))
+      .toEqual(['vite', 'react-helmet-async']);
+  });
+
+  test('should read the pnpm metadata cache', async () => {
+    await fs.outputJson(path.join(tempDir, 'metadata-v1.3', 'registry.npmjs.org', 'react.json'), {});
+    await fs.outputJson(path.join(tempDir, 'metadata', 'registry.npmjs.org', '@types', 'react.json'), {});
+
+    expect(findUncachedPackages(['react', '@types/react', 'vite'], { layout: 'pnpm', cacheDir: tempDir })).toEqual(['vite']);
+  });
+
+  test('should treat every package as missing without a cache', () => {
+    expect(findUncachedPackages(['react'], { layout: 'npm', cacheDir: null })).toEqual(['react']);
+    expect(findUncachedPackages(['react'], { layout: 'yarn', cacheDir: path.join(tempDir, 'missing') })).toEqual(['react']);
+  });
+
+  test('should ask each package manager for its cache', async () => {
+    const calls = [];
+    const run = async (command, args) => {
+      calls.push([command, ...args].join(' '));
+      return { code: 0, stdout: `${tempDir}\n` };
+    };
+
+    expect(await getPackageCacheDir('npm', { run })).toEqual({ layout: 'npm', cacheDir: path.join(tempDir, '_cacache') });
+    expect(await getPackageCacheDir('yarn', { run, version: '1.22.22' })).toEqual({ layout: 'yarn', cacheDir: tempDir });
+    expect(await getPackageCacheDir('yarn', { run, version: '4.1.0' })).toEqual({ layout: 'yarn-berry', cacheDir: tempDir });
+    expect(calls).toEqual(['npm config get cache', 'yarn cache dir', 'yarn config get cacheFolder']);
+
+    const unset = async () => ({ code: 0, stdout: 'undefined\n' });
+    expect((await getPackageCacheDir('pnpm', { run: unset })).cacheDir).toMatch(/pnpm/);
+    expect(await getPackageCacheDir('bun', { run: async () => ({ code: -1, stdout: '' }) })).toEqual({ layout: 'bun', cacheDir: null });
+  });
+
+  test('should fail with the list of uncached dependencies', async () => {
+    const projectDir = path.join(tempDir, 'project');
+    const cacheDir = path.join(tempDir, 'cache');
+    await fs.outputJson(path.join(projectDir, 'package.json'), {
+      dependencies: { react: '^18.2.0', zustand: '^4.5.0' },
+      devDependencies: { vite: '^5.2.0' }
+    });
+    await writeNpmIndex(cacheDir, ['https://registry.npmjs.org/react']);
+
+    const error = await ensurePackagesCached(projectDir, 'npm', { cacheDir }).catch(caught => caught);
+    expect(error).toBeInstanceOf(BoilerplateError);
+    expect(error.type).toBe(ERROR_TYPES.NETWORK);
+    expect(error.message).toContain('2 of 3 packages are not in the npm cache');
+    expect(error.context.missing).toEqual(['vite', 'zustand']);
+
+    await writeNpmIndex(cacheDir, ['https://registry.npmjs.org/react', 'https://registry.npmjs.org/vite', 'https://registry.npmjs.org/zustand']);
+    await expect(ensurePackagesCached(projectDir, 'npm', { cacheDir })).resolves.toMatchObject({
+      layout: 'npm',
+      packages: ['react', 'vite', 'zustand']
+    });
+  });
+});
@@ -1,9 +1,27 @@
 const { 
+  runCommand,
+  getPackageManagerVersion,
   isPackageManagerAvailable, 
   detectAvailablePackageManagers, 
   getPreferredPackageManager,
+  getFallbackPackageManager,
+  isYarnBerry,
+  getPackageManagerConfig,
+  getInstallCommand,
+  getAddCommand,
+  getRemoveCommand,
+  getRunCommand,
+  getExecCommand,
+  getDlxCommand,
+  installDependencies,
+  addDependencies,
+  removeDependencies,
+  runScript,
+  execBinary,
   PACKAGE_MANAGERS
 } = require('../lib/package-managers');
+const { startDebugLog, stopDebugLog } = require('../lib/debug-log');
+const { EventEmitter } = require('events');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
@@ -14,11 +32,33 @@ describe('Package Manager Detection', () => {
     expect(typeof isAvailable).toBe('boolean');
   }, 10000);
 
+  test('should report the npm version', async () => {
+    expect(await getPackageManagerVersion('npm')).toMatch(/^\d+\.\d+\.\d+/);
+    expect(await getPackageManagerVersion('non-existent-pm')).toBeNull();
+  }, 10000);
+
   test('should return false for non-existent package manager', async () => {
     const isAvailable = await isPackageManagerAvailable('non-existent-pm');
     expect(isAvailable).toBe(false);
   });
 
+  test('should log a missing binary once', async () => {
+    const logFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'pm-log-')), 'run.log');
+    try {
+      startDebugLog({ logFile, argv: [] });
+      expect(await runCommand('rvb-missing-binary', ['--version'])).toMatchObject({ code: -1 });
+      // Give the 'close' that follows 'error' a chance to arrive
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const log = await fs.readFile(logFile, 'utf8');
+      expect(log.match(/\$ rvb-missing-binary/g)).toHaveLength(1);
+      expect(log).toContain('exit code -1');
+    } finally {
+      stopDebugLog();
+      await fs.remove(path.dirname(logFile));
+    }
+  });
+
   test('should detect available package managers', async () => {
     const available = await detectAvailablePackageManagers();
     expect(Array.isArray(available)).toBe(true);
@@ -86,4 +126,226 @@ describe('getPreferredPackageManager', () => {
     const preferred = getPreferredPackageManager(tempDir, available);
     expect(preferred).toBe('npm');
   });
-});
\ No newline at end of file
+});
+
+describe('getFallbackPackageManager', () => {
+  test('should pick another available package manager', () => {
+    expect(getFallbackPackageManager('pnpm', ['npm', 'pnpm', 'yarn'])).toBe('npm');
+    expect(getFallbackPackageManager('npm', ['bun', 'npm'])).toBe('bun');
+    expect(getFallbackPackageManager('npm', ['npm'])).toBeNull();
+  });
+});
+describe('Command builders', () => {
+  test('should build install commands', () => {
+    expect(getInstallCommand('pnpm')).toEqual({ command: 'pnpm', args: ['install'] });
+    expect(() => getInstallCommand('unknown')).toThrow('Unknown package manager');
+  });
+
+  test('should pass offline flags to each manager', () => {
+    expect(getInstallCommand('npm', { offline: true }).args).toEqual(['install', '--offline']);
+    expect(getInstallCommand('pnpm', { offline: true }).args).toEqual(['install', '--offline']);
+    expect(getInstallCommand('yarn', { offline: true, version: '1.22.22' }).args).toEqual(['install', '--offline']);
+    expect(getInstallCommand('yarn', { offline: true, version: '4.1.0' }))
+      .toEqual({ command: 'yarn', args: ['install'], env: { YARN_ENABLE_OFFLINE_MODE: '1' } });
+    expect(getInstallCommand('bun', { offline: true }).args).toEqual(['install', '--prefer-offline']);
+  });
+
+  test('should tell Yarn Berry from Yarn Classic', () => {
+    expect(isYarnBerry('1.22.22')).toBe(false);
+    expect(isYarnBerry('3.6.4')).toBe(true);
+    expect(isYarnBerry(null)).toBe(false);
+  });
+
+  test('should run scripts with an explicit run command', () => {
+    expect(getRunCommand('npm', 'lint')).toEqual({ command: 'npm', args: ['run', 'lint'] });
+    expect(getRunCommand('bun', 'build')).toEqual({ command: 'bun', args: ['run', 'build'] });
+    expect(() => getRunCommand('unknown', 'build')).toThrow('Unknown package manager');
+  });
+
+  test('should run package binaries with each manager', () => {
+    expect(getDlxCommand('npm', ['shadcn@latest'])).toEqual({ command: 'npx', args: ['shadcn@latest'] });
+    expect(getDlxCommand('yarn', ['shadcn@latest'], { version: '4.1.0' })).toEqual({ command: 'yarn', args: ['dlx', 'shadcn@latest'] });
+    // Yarn Classic has no dlx
+    expect(getDlxCommand('yarn', ['shadcn@latest'], { version: '1.22.22' })).toEqual({ command: 'npx', args: ['shadcn@latest'] });
+    expect(getDlxCommand('pnpm', ['shadcn@latest'])).toEqual({ command: 'pnpm', args: ['dlx', 'shadcn@latest'] });
+    expect(getDlxCommand('bun', ['shadcn@latest'])).toEqual({ command: 'bunx', args: ['shadcn@latest'] });
+  });
+
+  test('should run installed binaries with each manager', () => {
+    expect(getExecCommand('npm', ['tsc', '--noEmit'])).toEqual({ command: 'npm', args: ['exec', '--', 'tsc', '--noEmit'] });
+    expect(getExecCommand('pnpm', ['tsc'])).toEqual({ command: 'pnpm', args: ['exec', 'tsc'] });
+    expect(getExecCommand('yarn', ['tsc'])).toEqual({ command: 'yarn', args: ['run', 'tsc'] });
+    expect(getExecCommand('yarn', ['tsc'], { version: '4.1.0' })).toEqual({ command: 'yarn', args: ['exec', 'tsc'] });
+    expect(getExecCommand('bun', ['tsc'])).toEqual({ command: 'bun', args: ['run', 'tsc'] });
+  });
+
+  test('should install from a frozen lockfile for CI', () => {
+    expect(getInstallCommand('npm', { frozen: true }).args).toEqual(['ci']);
+    expect(getInstallCommand('pnpm', { frozen: true }).args).toEqual(['install', '--frozen-lockfile']);
+    expect(getInstallCommand('yarn', { frozen: true, version: '1.22.22' }).args).toEqual(['install', '--frozen-lockfile']);
+    expect(getInstallCommand('yarn', { frozen: true, version: '4.1.0' }).args).toEqual(['install', '--immutable']);
+    expect(getInstallCommand('bun', { frozen: true }).args).toEqual(['install', '--frozen-lockfile']);
+    expect(getInstallCommand('npm', { frozen: true, offline: true }).args).toEqual(['ci', '--offline']);
+  });
+
+  test('should add and remove packages', () => {
+    expect(getAddCommand('npm', ['zustand'])).toEqual({ command: 'npm', args: ['install', 'zustand'] });
+    expect(getAddCommand('npm', ['vitest', 'jsdom'], { dev: true }).args).toEqual(['install', '--save-dev', 'vitest', 'jsdom']);
+    expect(getAddCommand('yarn', ['vitest'], { dev: true, exact: true }).args).toEqual(['add', '--dev', '--exact', 'vitest']);
+    expect(getAddCommand('pnpm', ['vitest'], { dev: true }).args).toEqual(['add', '--save-dev', 'vitest']);
+    expect(getAddCommand('bun', ['vitest'], { dev: true, offline: true }).args).toEqual(['add', '--dev', 'vitest', '--prefer-offline']);
+    expect(getAddCommand('yarn', ['zustand'], { offline: true, version: '4.1.0' }))
+      .toEqual({ command: 'yarn', args: ['add', 'zustand'], env: { YARN_ENABLE_OFFLINE_MODE: '1' } });
+
+    expect(getRemoveCommand('npm', ['zustand'])).toEqual({ command: 'npm', args: ['uninstall', 'zustand'] });
+    expect(getRemoveCommand('yarn', ['zustand'])).toEqual({ command: 'yarn', args: ['remove', 'zustand'] });
+    expect(() => getRemoveCommand('unknown', ['zustand'])).toThrow('Unknown package manager');
+  });
+
+  test('should pass arguments on to scripts', () => {
+    expect(getRunCommand('npm', 'lint', ['--fix'])).toEqual({ command: 'npm', args: ['run', 'lint', '--', '--fix'] });
+    expect(getRunCommand('pnpm', 'lint', ['--fix'])).toEqual({ command: 'pnpm', args: ['run', 'lint', '--fix'] });
+  });
+
+  test('should apply Yarn Berry values only to Yarn 2+', () => {
+    expect(getPackageManagerConfig('yarn', '1.22.22').dlxCommand).toEqual(['npx']);
+    expect(getPackageManagerConfig('yarn', '3.6.4').dlxCommand).toEqual(['yarn', 'dlx']);
+    expect(getPackageManagerConfig('npm', '4.0.0')).toBe(PACKAGE_MANAGERS.npm);
+  });
+});
+
+describe('Running package manager commands', () => {
+  let calls;
+  let consoleSpy;
+
+  // Stands in for cross-spawn: records each call and answers with the scripted
+  // result, or the next one of a list for commands that run several times
+  const fakeSpawn = (results = {}) => (command, args, options) => {
+    const line = [command, ...args].join(' ');
+    calls.push({ line, cwd: options.cwd, stdio: options.stdio, env: options.env });
+
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    const result = Array.isArray(results[line]) ? results[line].shift() : results[line];
+    const { code = 0, stdout = '', stderr = '', error } = result || {};
+    process.nextTick(() => {
+      if (error) {
+        child.emit('error', error);
+        return;
+      }
+      if (stdout) child.stdout.emit('data', Buffer.from(stdout));
+      if (stderr) child.stderr.emit('data', Buffer.from(stderr));
+      child.emit('close', code);
+    });
+    return child;
+  };
+
+  beforeEach(() => {
+    calls = [];
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  test('should read versions through spawn', async () => {
+    const spawn = fakeSpawn({ 'pnpm --version': { stdout: '9.1.0\n' }, 'bun --version': { code: 1 } });
+
+    expect(await getPackageManagerVersion('pnpm', { spawn })).toBe('9.1.0');
+    expect(await getPackageManagerVersion('bun', { spawn })).toBeNull();
+  });
+
+  test('should install in the project directory', async () => {
+    const spawn = fakeSpawn({ 'npm ci --offline': { stdout: 'added 210 packages' } });
+
+    const result = await installDependencies('npm', '/work/app', { frozen: true, offline: true, spawn });
+
+    expect(result.stdout).toBe('added 210 packages');
+    expect(calls).toEqual([{ line: 'npm ci --offline', cwd: '/work/app', stdio: 'pipe', env: process.env }]);
+  });
+
+  test('should ask yarn for its version before building the command', async () => {
+    const spawn = fakeSpawn({ 'yarn --version': { stdout: '4.1.0\n' } });
+
+    await installDependencies('yarn', '/work/app', { offline: true, verbose: true, spawn });
+
+    expect(calls.map(call => call.line)).toEqual(['yarn --version', 'yarn install']);
+    expect(calls[1].stdio).toBe('inherit');
+    expect(calls[1].env.YARN_ENABLE_OFFLINE_MODE).toBe('1');
+  });
+
+  test('should stream to stderr in verbose JSON mode', async () => {
+    const spawn = fakeSpawn();
+
+    await runScript('npm', 'build', '/work/app', { verbose: true, json: true, spawn });
+
+    expect(calls[0].stdio).toEqual(['ignore', process.stderr, process.stderr]);
+  });
+
+  test('should add, remove, run and exec', async () => {
+    const spawn = fakeSpawn();
+
+    await addDependencies('pnpm', '/work/app', ['vitest'], { dev: true, spawn });
+    await removeDependencies('pnpm', '/work/app', ['vitest'], { spawn });
+    await runScript('pnpm', 'test', '/work/app', { args: ['--run'], spawn });
+    await execBinary('yarn', ['tsc', '--noEmit'], '/work/app', { version: '1.22.22', spawn });
+
+    expect(calls.map(call => call.line)).toEqual([
+      'pnpm add --save-dev vitest',
+      'pnpm remove vitest',
+      'pnpm run test --run',
+      'yarn run tsc --noEmit'
+    ]);
+  });
+
+  test('should reject with the output of failed commands', async () => {
+    const spawn = fakeSpawn({
+      'npm run lint': { code: 1, stdout: 'src/main.tsx', stderr: '1 problem' },
+      'bun add zustand': { error: Object.assign(new Error('spawn bun ENOENT'), { code: 'ENOENT' }) }
+    });
+
+    const failed = await runScript('npm', 'lint', '/work/app', { spawn }).catch(error => error);
+    expect(failed.message).toBe('npm run lint failed with code 1');
+    expect(failed).toMatchObject({ manager: 'npm', script: 'lint', exitCode: 1, stdout: 'src/main.tsx', stderr: '1 problem' });
+
+    const missing = await addDependencies('bun', '/work/app', ['zustand'], { spawn }).catch(error => error);
+    expect(missing).toMatchObject({ code: 'ENOENT', manager: 'bun' });
+  });
+
+  test('should retry installs that fail for transient reasons, with backoff', async () => {
+    const spawn = fakeSpawn({
+      'npm install': [
+        { code: 1, stderr: 'npm ERR! code ETIMEDOUT' },
+        { code: 1, stderr: 'npm ERR! network socket hang up' },
+        { stdout: 'added 210 packages' }
+      ]
+    });
+    const sleep = jest.fn();
+
+    const result = await installDependencies('npm', '/work/app', { spawn, sleep, retryDelay: 500 });
+
+    expect(result.stdout).toBe('added 210 packages');
+    expect(calls.map(call => call.line)).toEqual(['npm install', 'npm install', 'npm install']);
+    expect(sleep.mock.calls).toEqual([[500], [1000]]);
+  });
+
+  test('should classify failed installs and give up after the last retry', async () => {
+    const spawn = fakeSpawn({
+      'npm install': { code: 1, stderr: 'npm ERR! code ETIMEDOUT' },
+      'pnpm install': { code: 1, stderr: 'ERR_PNPM_PEER_DEP_ISSUES Unmet peer dependencies' }
+    });
+    const sleep = jest.fn();
+
+    const timedOut = await installDependencies('npm', '/work/app', { spawn, sleep, retries: 1 }).catch(error => error);
+    expect(timedOut.failure).toMatchObject({ type: 'network', transient: true });
+    expect(timedOut.attempts).toBe(2);
+
+    // Conflicting peers fail the same way every time
+    const conflict = await installDependencies('pnpm', '/work/app', { spawn, sleep }).catch(error => error);
+    expect(conflict.failure).toMatchObject({ type: 'peer', transient: false, fallback: true });
+    expect(conflict.attempts).toBe(1);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+});
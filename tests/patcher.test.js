@@ -0,0 +1,115 @@
+const { applyPatch, applyPatches } = require('../lib/patcher');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const MAIN_TSX = [
+  "import React from 'react'",
+  "import {",
+  "  RouterProvider,",
+  "} from '@tanstack/react-router'",
+  '',
+  'render(',
+  '  <React.StrictMode>',
+  '    <RouterProvider router={router} />',
+  '  </React.StrictMode>,',
+  ')'
+].join('\n');
+
+describe('applyPatch', () => {
+  test('should add imports after the last multi-line import', () => {
+    const result = applyPatch(MAIN_TSX, { type: 'import', content: "import './lib/i18n'" });
+    const lines = result.split('\n');
+    expect(lines[4]).toBe("import './lib/i18n'");
+  });
+
+  test('should wrap a line and keep its indentation', () => {
+    const result = applyPatch(MAIN_TSX, {
+      type: 'wrap',
+      target: '<RouterProvider router={router} />',
+      open: '<Provider>',
+      close: '</Provider>'
+    });
+
+    expect(result).toContain([
+      '    <Provider>',
+      '      <RouterProvider router={router} />',
+      '    </Provider>'
+    ].join('\n'));
+  });
+
+  test('should insert indented content after the last occurrence of an anchor', () => {
+    const source = ['<nav>', '  <Link>Home</Link>', '  <Link>About</Link>', '</nav>'].join('\n');
+    const result = applyPatch(source, {
+      type: 'after',
+      anchor: '</Link>',
+      occurrence: 'last',
+      content: '<Link>\n  Counter\n</Link>'
+    });
+
+    expect(result.split('\n')).toEqual([
+      '<nav>',
+      '  <Link>Home</Link>',
+      '  <Link>About</Link>',
+      '  <Link>',
+      '    Counter',
+      '  </Link>',
+      '</nav>'
+    ]);
+  });
+
+  test('should append content at the end of a file', () => {
+    const result = applyPatch('node_modules\n', { type: 'append', content: 'dist' });
+    expect(result).toBe('node_modules\ndist\n');
+  });
+
+  test('should be idempotent', () => {
+    const patch = { type: 'after', anchor: '<React.StrictMode>', content: '<Devtools />' };
+    const once = applyPatch(MAIN_TSX, patch);
+    expect(applyPatch(once, patch)).toBe(once);
+  });
+
+  test('should throw when the anchor is missing', () => {
+    expect(() => applyPatch(MAIN_TSX, {
+      type: 'before',
+      anchor: '<Missing />',
+      content: 'x'
+    })).toThrow(BoilerplateError);
+  });
+
+  test('should reject unknown patch types', () => {
+    expect(() => applyPatch(MAIN_TSX, { type: 'replace', content: 'x' })).toThrow('Unknown patch type');
+  });
+});
+
+describe('applyPatches', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'patcher-test-'));
+  });
+
+  afterEach(async () => {
+    if (tempDir && await fs.pathExists(tempDir)) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('should patch files and report the changed ones', async () => {
+    await fs.outputFile(path.join(tempDir, 'src', 'main.tsx'), MAIN_TSX);
+
+    const changed = await applyPatches(tempDir, [
+      { file: 'src/main.tsx', type: 'import', content: "import './lib/i18n'" }
+    ]);
+
+    expect(changed).toEqual(['src/main.tsx']);
+    expect(await fs.readFile(path.join(tempDir, 'src', 'main.tsx'), 'utf8')).toContain("import './lib/i18n'");
+  });
+
+  test('should fail for files that do not exist', async () => {
+    await expect(applyPatches(tempDir, [
+      { file: 'missing.tsx', type: 'append', content: 'x' }
+    ])).rejects.toThrow('file does not exist');
+  });
+});
@@ -0,0 +1,140 @@
+const { getGitCommands, getProjectCommands, getPackageJsonChanges, buildCreatePlan } = require('../lib/plan');
+const { resolveTemplate } = require('../lib/templates');
+const { resolveAddons } = require('../lib/addons');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('getGitCommands', () => {
+  test('should apply the commit message and default branch', () => {
+    expect(getGitCommands({ commitMessage: 'chore: scaffold', defaultBranch: 'main' })).toEqual([
+      { command: 'git', args: ['init', '--initial-branch', 'main'] },
+      { command: 'git', args: ['add', '.'] },
+      { command: 'git', args: ['commit', '-m', 'chore: scaffold'] }
+    ]);
+  });
+});
+
+describe('getProjectCommands', () => {
+  test('should list install and git commands in order', () => {
+    const commands = getProjectCommands({ packageManager: 'pnpm' });
+
+    expect(commands.map(({ step, command, args }) => [step, command, ...args].join(' '))).toEqual([
+      'install pnpm install',
+      'git git init',
+      'git git add .',
+      'git git commit -m Initial commit'
+    ]);
+  });
+
+  test('should honour skip flags', () => {
+    expect(getProjectCommands({ packageManager: 'npm', skipGit: true }))
+      .toEqual([{ step: 'install', command: 'npm', args: ['install'] }]);
+    expect(getProjectCommands({ skipInstall: true, skipGit: true })).toEqual([]);
+  });
+
+  test('should install offline', () => {
+    const commands = getProjectCommands({ packageManager: 'pnpm', skipGit: true, offline: true });
+    expect(commands).toEqual([{ step: 'install', command: 'pnpm', args: ['install', '--offline'] }]);
+  });
+
+  test('should leave git to the workspace repository', () => {
+    const commands = getProjectCommands({ packageManager: 'pnpm', workspace: { root: '/work' } });
+    expect(commands).toEqual([{ step: 'install', command: 'pnpm', args: ['install'] }]);
+  });
+
+  test('should run verification scripts last', () => {
+    const commands = getProjectCommands({ packageManager: 'npm', verifyScripts: ['build', 'typecheck'] });
+    expect(commands.slice(-2)).toEqual([
+      { step: 'verify', command: 'npm', args: ['run', 'build'] },
+      { step: 'verify', command: 'npm', args: ['run', 'typecheck'] }
+    ]);
+    expect(getProjectCommands({ skipInstall: true, verifyScripts: ['build'] })
+      .some(({ step }) => step === 'verify')).toBe(false);
+  });
+});
+
+describe('getPackageJsonChanges', () => {
+  test('should attribute every change to its source', () => {
+    const template = resolveTemplate('dashboard');
+    const changes = getPackageJsonChanges('my-app', template, resolveAddons(['zustand'], template));
+
+    expect(changes).toContainEqual({ field: 'name', value: 'my-app', source: 'cli' });
+    expect(changes).toContainEqual(expect.objectContaining({ field: 'dependencies.recharts', source: 'template:dashboard' }));
+    expect(changes).toContainEqual(expect.objectContaining({ field: 'dependencies.zustand', source: 'add-on:zustand' }));
+  });
+});
+
+describe('buildCreatePlan', () => {
+  test('should list every generated file without writing the project', async () => {
+    const targetDir = path.join(os.tmpdir(), 'plan-test-not-created');
+    const template = resolveTemplate('default');
+    const plan = await buildCreatePlan({
+      projectName: 'my-app',
+      targetDir,
+      template,
+      addons: resolveAddons(['tanstack-query'], template),
+      packageManager: 'npm',
+      components: ['button'],
+      skipGit: true,
+      verify: true
+    });
+
+    expect(fs.existsSync(targetDir)).toBe(false);
+    expect(plan.template).toMatchObject({ name: 'default', version: template.version });
+    expect(plan.files).toContainEqual({ path: 'package.json', source: 'template:default' });
+    expect(plan.files).toContainEqual({ path: 'src/lib/query-client.ts', source: 'add-on:tanstack-query' });
+    expect(plan.files).toContainEqual({ path: 'src/main.tsx', source: 'template:default', patchedBy: ['tanstack-query'] });
+    expect(plan.files).toContainEqual({ path: 'src/lib/env.ts', source: 'cli' });
+    expect(plan.files).toContainEqual({ path: 'src/components/ui/button.tsx', source: 'shadcn' });
+    expect(plan.commands.map(({ step }) => step)).toEqual(['install', 'verify', 'verify', 'verify']);
+    expect(plan.commands[0].cwd).toBe(targetDir);
+  });
+
+  test('should list Shadcn/UI files and the dependencies they add', async () => {
+    const plan = await buildCreatePlan({
+      projectName: 'my-app',
+      targetDir: path.join(os.tmpdir(), 'plan-test-not-created'),
+      template: resolveTemplate('default'),
+      components: ['card', 'dialog'],
+      skipInstall: true,
+      skipGit: true
+    });
+
+    expect(plan.components).toEqual(['card', 'dialog']);
+    expect(plan.files).toContainEqual({ path: 'src/components/ui/card.tsx', source: 'shadcn' });
+    expect(plan.files).toContainEqual({ path: 'src/components/ui/dialog.tsx', source: 'shadcn' });
+    expect(plan.packageJson).toContainEqual({ field: 'dependencies.@radix-ui/react-dialog', value: '^1.1.1', source: 'shadcn' });
+    // Already declared by the template
+    expect(plan.packageJson.some(({ field }) => field === 'dependencies.lucide-react')).toBe(false);
+    expect(plan.commands).toEqual([]);
+  });
+
+  test('should ignore components for templates without Shadcn/UI', async () => {
+    const plan = await buildCreatePlan({
+      projectName: 'my-app',
+      targetDir: path.join(os.tmpdir(), 'plan-test-not-created'),
+      template: resolveTemplate('minimal'),
+      components: ['button'],
+      skipInstall: true,
+      skipGit: true
+    });
+
+    expect(plan.components).toEqual([]);
+    expect(plan.files.some(({ source }) => source === 'shadcn')).toBe(false);
+  });
+
+  test('should install from the workspace root', async () => {
+    const root = path.join(os.tmpdir(), 'plan-test-workspace');
+    const plan = await buildCreatePlan({
+      projectName: 'web',
+      targetDir: path.join(root, 'apps', 'web'),
+      template: resolveTemplate('minimal'),
+      packageManager: 'pnpm',
+      workspace: { root, manager: 'pnpm', patterns: ['packages/*'] }
+    });
+
+    expect(plan.commands).toEqual([{ step: 'install', command: 'pnpm', args: ['install'], cwd: root }]);
+    expect(plan.workspace).toEqual({ root, manager: 'pnpm', register: 'apps/web', sharedConfigs: [] });
+  });
+});
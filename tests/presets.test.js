@@ -0,0 +1,129 @@
+const {
+  validatePreset,
+  loadPreset,
+  presetToOptions,
+  applyPreset
+} = require('../lib/presets');
+const { BoilerplateError, ERROR_TYPES } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('validatePreset', () => {
+  test('should accept every supported option', () => {
+    const preset = {
+      template: 'dashboard',
+      description: 'Internal admin for Acme',
+      packageManager: 'pnpm',
+      addons: ['vitest'],
+      components: ['button', 'dialog'],
+      install: false,
+      verify: true,
+      git: { init: true, commitMessage: 'chore: scaffold', defaultBranch: 'main' },
+      env: { VITE_APP_TITLE: 'Acme', VITE_DEV_PORT: 3000 }
+    };
+    expect(validatePreset(preset, 'test')).toBe(preset);
+  });
+
+  test.each([
+    [{ colour: 'blue' }, 'unknown option "colour"'],
+    [{ packageManager: 'pip' }, '"packageManager" must be one of'],
+    [{ description: '<h1>Acme</h1>' }, '"description": Description contains invalid characters'],
+    [{ addons: [1] }, '"addons" must be a list'],
+    [{ components: ['carousel'] }, 'unknown Shadcn/UI components: carousel'],
+    [{ install: 'no' }, '"install" must be true or false'],
+    [{ verify: 'yes' }, '"verify" must be true or false'],
+    [{ git: { sign: true } }, 'unknown git option "sign"'],
+    [{ env: { 'BAD-NAME': 'x' } }, 'invalid environment variable name']
+  ])('should reject %j', (preset, message) => {
+    try {
+      validatePreset(preset, 'rvb.config.json');
+      throw new Error('expected a validation error');
+    } catch (error) {
+      expect(error).toBeInstanceOf(BoilerplateError);
+      expect(error.type).toBe(ERROR_TYPES.VALIDATION);
+      expect(error.message).toContain('rvb.config.json');
+      expect(error.message).toContain(message);
+    }
+  });
+});
+
+describe('presetToOptions', () => {
+  test('should map preset values to CLI options', () => {
+    expect(presetToOptions({
+      template: 'minimal',
+      description: 'Acme site',
+      packageManager: 'yarn',
+      addons: 'vitest, zustand',
+      install: false,
+      git: { init: false, commitMessage: 'init' },
+      env: { VITE_APP_TITLE: 'Acme' }
+    })).toEqual({
+      template: 'minimal',
+      description: 'Acme site',
+      pm: 'yarn',
+      with: ['vitest', 'zustand'],
+      skipInstall: true,
+      skipGit: true,
+      gitCommitMessage: 'init',
+      env: { VITE_APP_TITLE: 'Acme' }
+    });
+  });
+});
+
+describe('loadPreset and applyPreset', () => {
+  let cwd;
+  let homeDir;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'presets-cwd-'));
+    homeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'presets-home-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(cwd);
+    await fs.remove(homeDir);
+  });
+
+  test('should return null without config files', () => {
+    expect(loadPreset(undefined, { cwd, homeDir })).toBeNull();
+  });
+
+  test('should prefer rvb.config.json over ~/.rvbrc', async () => {
+    await fs.writeJson(path.join(cwd, 'rvb.config.json'), { template: 'dashboard' });
+    await fs.writeJson(path.join(homeDir, '.rvbrc'), { template: 'minimal' });
+
+    expect(loadPreset(undefined, { cwd, homeDir }).values).toEqual({ template: 'dashboard' });
+  });
+
+  test('should merge named presets over top-level values', async () => {
+    await fs.writeJson(path.join(homeDir, '.rvbrc'), {
+      packageManager: 'pnpm',
+      presets: { team: { template: 'dashboard', addons: ['vitest'] } }
+    });
+
+    const preset = loadPreset('team', { cwd, homeDir });
+    expect(preset.values).toEqual({ packageManager: 'pnpm', template: 'dashboard', addons: ['vitest'] });
+    expect(preset.source).toContain('preset "team"');
+  });
+
+  test('should load a preset file by path', async () => {
+    await fs.writeJson(path.join(cwd, 'ci.json'), { install: false });
+    expect(loadPreset('ci.json', { cwd, homeDir }).values).toEqual({ install: false });
+  });
+
+  test('should fail for unknown presets and invalid JSON', async () => {
+    expect(() => loadPreset('missing', { cwd, homeDir })).toThrow('Preset "missing" not found');
+
+    await fs.writeFile(path.join(cwd, 'rvb.config.json'), '{ nope');
+    expect(() => loadPreset(undefined, { cwd, homeDir })).toThrow('Cannot read preset file');
+  });
+
+  test('should give flags precedence over the preset', async () => {
+    await fs.writeJson(path.join(cwd, 'rvb.config.json'), { template: 'dashboard', packageManager: 'pnpm' });
+
+    const { options, source } = applyPreset({ template: 'minimal', pm: undefined, verbose: true }, { cwd, homeDir });
+    expect(source).toBe(path.join(cwd, 'rvb.config.json'));
+    expect(options).toEqual({ template: 'minimal', pm: 'pnpm', verbose: true });
+  });
+});
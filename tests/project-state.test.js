@@ -0,0 +1,82 @@
+const {
+  STATE_DIR,
+  listProjectFiles,
+  readProjectState,
+  requireProjectState,
+  writeProjectState,
+  snapshotFiles,
+  getModifiedFiles
+} = require('../lib/project-state');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Project state', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-state-test-'));
+    await fs.outputFile(path.join(projectDir, 'package.json'), '{}');
+    await fs.outputFile(path.join(projectDir, 'src', 'main.tsx'), 'main');
+    await fs.outputFile(path.join(projectDir, 'node_modules', 'pkg', 'index.js'), '');
+    await fs.outputFile(path.join(projectDir, 'package-lock.json'), '{}');
+  });
+
+  afterEach(async () => {
+    if (projectDir && await fs.pathExists(projectDir)) {
+      await fs.remove(projectDir);
+    }
+  });
+
+  test('should list project files without dependencies or lockfiles', () => {
+    expect(listProjectFiles(projectDir)).toEqual(['package.json', 'src/main.tsx']);
+  });
+
+  test('should return null for projects without metadata', () => {
+    expect(readProjectState(projectDir)).toBeNull();
+    expect(() => requireProjectState(projectDir)).toThrow(BoilerplateError);
+  });
+
+  test('should write and read metadata, keeping the creation date', async () => {
+    const created = await writeProjectState(projectDir, { template: 'default', addons: [] });
+    expect(created.cliVersion).toBeDefined();
+
+    await writeProjectState(projectDir, { ...created, addons: ['vitest'] });
+    const state = requireProjectState(projectDir);
+
+    expect(state.template).toBe('default');
+    expect(state.addons).toEqual(['vitest']);
+    expect(state.createdAt).toBe(created.createdAt);
+  });
+
+  test('should detect files changed since the snapshot', async () => {
+    await snapshotFiles(projectDir);
+    expect(fs.existsSync(path.join(projectDir, STATE_DIR, 'base', 'src', 'main.tsx'))).toBe(true);
+    expect(getModifiedFiles(projectDir, ['src/main.tsx', 'package.json'])).toEqual([]);
+
+    await fs.writeFile(path.join(projectDir, 'src', 'main.tsx'), 'changed');
+    await fs.remove(path.join(projectDir, 'package.json'));
+
+    const modified = getModifiedFiles(projectDir, ['src/main.tsx', 'package.json', 'unknown.ts']);
+    expect(modified.map(({ file, status }) => ({ file, status }))).toEqual([
+      { file: 'src/main.tsx', status: 'modified' },
+      { file: 'package.json', status: 'deleted' }
+    ]);
+    expect(modified[0].base).toBe('main');
+    expect(modified[0].current).toBe('changed');
+  });
+
+  test('should snapshot generated files from another directory', async () => {
+    const renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-state-rendered-'));
+    try {
+      await fs.outputFile(path.join(renderedDir, 'src', 'main.tsx'), 'generated');
+      await snapshotFiles(projectDir, ['src/main.tsx'], renderedDir);
+
+      // The user's copy stays as it is and shows up as modified
+      expect(getModifiedFiles(projectDir, ['src/main.tsx', 'package.json']).map(({ file }) => file)).toEqual(['src/main.tsx']);
+    } finally {
+      await fs.remove(renderedDir);
+    }
+  });
+});
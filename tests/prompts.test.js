@@ -0,0 +1,117 @@
+const {
+  buildQuestions,
+  runSetupWizard,
+  DEFAULT_SHADCN_COMPONENTS,
+  DEFAULT_PROJECT_NAME
+} = require('../lib/prompts');
+const { listTemplates } = require('../lib/templates');
+
+const context = {
+  templates: listTemplates(),
+  availableManagers: ['npm', 'pnpm']
+};
+
+describe('buildQuestions', () => {
+  test('should ask everything when no flags are given', () => {
+    const names = buildQuestions(undefined, {}, context).map(q => q.name);
+    expect(names).toEqual(['projectName', 'template', 'pm', 'components', 'git']);
+  });
+
+  test('should skip questions already answered by flags', () => {
+    const names = buildQuestions('my-app', {
+      template: 'minimal',
+      pm: 'npm',
+      skipGit: true
+    }, context).map(q => q.name);
+
+    expect(names).toEqual(['components']);
+  });
+
+  test('should not ask for a package manager when skipping install', () => {
+    const names = buildQuestions('my-app', { skipInstall: true }, context).map(q => q.name);
+    expect(names).not.toContain('pm');
+  });
+
+  test('should offer only detected package managers', () => {
+    const pmQuestion = buildQuestions('my-app', {}, context).find(q => q.name === 'pm');
+    expect(pmQuestion.choices).toEqual(['npm', 'pnpm']);
+    expect(context.availableManagers).toContain(pmQuestion.default);
+  });
+
+  test('should only ask for components when the template uses Shadcn/UI', () => {
+    const componentsQuestion = buildQuestions('my-app', {}, context).find(q => q.name === 'components');
+    expect(componentsQuestion.when({ template: 'default' })).toBe(true);
+    expect(componentsQuestion.when({ template: 'minimal' })).toBe(false);
+  });
+
+  test('should offer add-ons when any are available', () => {
+    const addonsQuestion = buildQuestions('my-app', {}, {
+      ...context,
+      addons: [{ name: 'vitest', description: 'Unit tests' }]
+    }).find(q => q.name === 'with');
+
+    expect(addonsQuestion.type).toBe('checkbox');
+    expect(addonsQuestion.choices.map(choice => choice.value)).toEqual(['vitest']);
+  });
+
+  test('should validate the project name', () => {
+    const nameQuestion = buildQuestions(undefined, {}, context).find(q => q.name === 'projectName');
+    expect(nameQuestion.validate('my-app')).toBe(true);
+    expect(nameQuestion.validate('invalid!name')).toContain('invalid characters');
+    expect(nameQuestion.validate('apps/web')).toBe(true);
+    expect(nameQuestion.validate('')).not.toBe(true);
+  });
+});
+
+describe('runSetupWizard', () => {
+  test('should not prompt with --yes', async () => {
+    const prompt = jest.fn();
+    const result = await runSetupWizard('my-app', { yes: true }, { prompt, interactive: true });
+
+    expect(prompt).not.toHaveBeenCalled();
+    expect(result).toEqual({ projectName: 'my-app', options: { yes: true } });
+  });
+
+  test('should not prompt without a terminal', async () => {
+    const prompt = jest.fn();
+    await runSetupWizard('my-app', {}, { prompt, interactive: false });
+    expect(prompt).not.toHaveBeenCalled();
+  });
+
+  test('should only create the default directory without a directory argument when --yes is given', async () => {
+    const prompt = jest.fn();
+    const result = await runSetupWizard(undefined, { yes: true }, { prompt, interactive: false });
+    expect(result.projectName).toBe(DEFAULT_PROJECT_NAME);
+
+    await expect(runSetupWizard(undefined, {}, { prompt, interactive: false })).rejects.toMatchObject({
+      code: 'RVB_E_DIRECTORY_REQUIRED',
+      message: expect.stringContaining('A directory argument is required in non-interactive mode')
+    });
+    expect(prompt).not.toHaveBeenCalled();
+  });
+
+  test('should merge answers into the options object', async () => {
+    const prompt = jest.fn().mockResolvedValue({
+      projectName: 'wizard-app',
+      template: 'dashboard',
+      pm: 'pnpm',
+      components: DEFAULT_SHADCN_COMPONENTS,
+      git: false
+    });
+
+    const result = await runSetupWizard(undefined, { verbose: true }, {
+      prompt,
+      interactive: true,
+      availableManagers: ['npm', 'pnpm']
+    });
+
+    expect(result.projectName).toBe('wizard-app');
+    expect(result.options).toEqual({
+      verbose: true,
+      template: 'dashboard',
+      pm: 'pnpm',
+      components: DEFAULT_SHADCN_COMPONENTS,
+      skipGit: true
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const {
+  parseRoutePath,
+  renderRouteFile,
+  buildNavLinkPatch,
+  generateRoute
+} = require('../lib/routes');
+const { resolveTemplate, copyTemplate } = require('../lib/templates');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('parseRoutePath', () => {
+  test('should map static routes to nested files', () => {
+    const route = parseRoutePath('settings/profile');
+    expect(route.file).toBe('src/routes/settings/profile.tsx');
+    expect(route.routeId).toBe('/settings/profile');
+    expect(route.componentName).toBe('SettingsProfile');
+    expect(route.isLayout).toBe(false);
+  });
+
+  test('should handle dynamic and splat segments', () => {
+    const route = parseRoutePath('users/$userId');
+    expect(route.file).toBe('src/routes/users/$userId.tsx');
+    expect(route.routeId).toBe('/users/$userId');
+    expect(route.params).toEqual(['userId']);
+
+    expect(parseRoutePath('files/$').params).toEqual(['_splat']);
+  });
+
+  test('should generate layout routes next to their children', () => {
+    const route = parseRoutePath('users', { layout: true });
+    expect(route.file).toBe('src/routes/users.tsx');
+    expect(route.isLayout).toBe(true);
+    expect(route.componentName).toBe('UsersLayout');
+  });
+
+  test('should treat _pathless segments as layouts without a URL segment', () => {
+    const layout = parseRoutePath('_auth');
+    expect(layout.isLayout).toBe(true);
+    expect(layout.routeId).toBe('/_auth');
+
+    const child = parseRoutePath('_auth/login');
+    expect(child.file).toBe('src/routes/_auth/login.tsx');
+    expect(child.routeId).toBe('/_auth/login');
+    expect(child.urlPath).toBe('/login');
+  });
+
+  test('should create index routes for trailing slashes', () => {
+    const route = parseRoutePath('posts/');
+    expect(route.file).toBe('src/routes/posts/index.tsx');
+    expect(route.routeId).toBe('/posts/');
+    expect(route.isIndex).toBe(true);
+  });
+
+  test('should reject invalid segments', () => {
+    ['my route', '../escape', '$1param', 'a/b?c'].forEach(input => {
+      expect(() => parseRoutePath(input)).toThrow(BoilerplateError);
+    });
+    expect(() => parseRoutePath('')).toThrow('Route path is required');
+  });
+});
+
+describe('renderRouteFile', () => {
+  test('should render a basic route', () => {
+    const source = renderRouteFile(parseRoutePath('about-us'));
+    expect(source).toContain("export const Route = createFileRoute('/about-us')({");
+    expect(source).toContain('component: AboutUs,');
+    expect(source).not.toContain('Outlet');
+  });
+
+  test('should include loader, validateSearch and Helmet stubs', () => {
+    const source = renderRouteFile(parseRoutePath('users/$userId'), { loader: true, search: true, seo: true });
+    expect(source).toContain('loader: async ({ params }) => {');
+    expect(source).toContain('validateSearch: (search: Record<string, unknown>): SearchParams => ({');
+    expect(source).toContain("import { Helmet } from 'react-helmet-async'");
+    expect(source).toContain('const { userId } = Route.useParams()');
+    expect(source).toContain('const { page } = Route.useSearch()');
+    expect(source).not.toContain('TODO');
+    expect(renderRouteFile(parseRoutePath('about'), { loader: true })).toContain('  loader: async () => {\n    return {}\n  },');
+  });
+
+  test('should render an Outlet for layouts', () => {
+    const source = renderRouteFile(parseRoutePath('_auth'));
+    expect(source).toContain("import { createFileRoute, Outlet } from '@tanstack/react-router'");
+    expect(source).toContain('<Outlet />');
+  });
+});
+
+describe('buildNavLinkPatch', () => {
+  test('should reuse the classes of the last nav link', () => {
+    const rootSource = '<Link to="/" className="nav" activeProps={{ className: "active" }}>Home</Link>';
+    const patch = buildNavLinkPatch(rootSource, '/users', 'Users');
+    expect(patch.content).toContain('to="/users"');
+    expect(patch.content).toContain('className="nav"');
+    expect(patch.content).toContain('activeProps={{ className: "active" }}');
+  });
+
+  test('should escape the label for JSX', () => {
+    const patch = buildNavLinkPatch('<Link to="/">Home</Link>', '/docs', 'Docs {beta} <new> & more');
+    expect(patch.content).toContain('  Docs &#123;beta&#125; &lt;new&gt; &amp; more\n</Link>');
+  });
+});
+
+describe('generateRoute', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-test-'));
+    await copyTemplate(resolveTemplate('default'), projectDir);
+  });
+
+  afterEach(async () => {
+    if (projectDir && await fs.pathExists(projectDir)) {
+      await fs.remove(projectDir);
+    }
+  });
+
+  test('should write the route file and register a nav link', async () => {
+    const result = await generateRoute(projectDir, 'blog-posts', { nav: true });
+
+    expect(result.navLinkAdded).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, 'src', 'routes', 'blog-posts.tsx'))).toBe(true);
+
+    const root = await fs.readFile(path.join(projectDir, 'src', 'routes', '__root.tsx'), 'utf8');
+    expect(root).toContain('to="/blog-posts"');
+    expect(root).toContain('Blog Posts');
+  });
+
+  test('should refuse to overwrite routes without --force', async () => {
+    await expect(generateRoute(projectDir, 'about')).rejects.toThrow('already exists');
+    await expect(generateRoute(projectDir, 'about', { force: true })).resolves.toBeDefined();
+  });
+
+  test('should refuse nav links for dynamic routes', async () => {
+    await expect(generateRoute(projectDir, 'users/$userId', { nav: true })).rejects.toThrow('dynamic route');
+    expect(fs.existsSync(path.join(projectDir, 'src', 'routes', 'users', '$userId.tsx'))).toBe(false);
+  });
+
+  test('should refuse nav links for routes without a URL of their own', async () => {
+    const rootPath = path.join(projectDir, 'src', 'routes', '__root.tsx');
+    const root = await fs.readFile(rootPath, 'utf8');
+
+    await expect(generateRoute(projectDir, '_auth', { nav: true })).rejects.toThrow('has no URL of its own');
+    await expect(generateRoute(projectDir, 'users/_settings', { nav: true })).rejects.toThrow('has no URL of its own');
+    expect(fs.existsSync(path.join(projectDir, 'src', 'routes', '_auth.tsx'))).toBe(false);
+    expect(await fs.readFile(rootPath, 'utf8')).toBe(root);
+
+    // Layouts with a path and routes below a pathless layout get a link
+    await expect(generateRoute(projectDir, 'users', { layout: true, nav: true })).resolves.toMatchObject({ navLinkAdded: true });
+    await expect(generateRoute(projectDir, '_auth/login', { nav: true })).resolves.toMatchObject({ navLinkAdded: true });
+  });
+
+  test('should only report nav links that changed __root.tsx', async () => {
+    const rootPath = path.join(projectDir, 'src', 'routes', '__root.tsx');
+    expect((await generateRoute(projectDir, 'pricing', { nav: true })).navLinkAdded).toBe(true);
+    const root = await fs.readFile(rootPath, 'utf8');
+
+    const again = await generateRoute(projectDir, 'pricing', { nav: true, force: true });
+    expect(again.navLinkAdded).toBe(false);
+    expect(await fs.readFile(rootPath, 'utf8')).toBe(root);
+  });
+
+  test('should fail outside a project with file routes', async () => {
+    await fs.remove(path.join(projectDir, 'src'));
+    await expect(generateRoute(projectDir, 'about')).rejects.toThrow('No src/routes directory');
+  });
+});
@@ -0,0 +1,53 @@
+const { copyRenderedProject, listNewPaths } = require('../lib/scaffold');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('copyRenderedProject', () => {
+  let renderedDir;
+  let targetDir;
+
+  beforeEach(async () => {
+    renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scaffold-rendered-'));
+    targetDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scaffold-target-'));
+    await fs.outputFile(path.join(renderedDir, 'package.json'), '{}');
+    await fs.outputFile(path.join(renderedDir, 'README.md'), '# generated');
+    await fs.outputFile(path.join(renderedDir, 'src', 'main.tsx'), 'main');
+  });
+
+  afterEach(async () => {
+    await fs.remove(renderedDir);
+    await fs.remove(targetDir);
+  });
+
+  test('should copy every file into an empty directory', async () => {
+    expect(await copyRenderedProject(renderedDir, targetDir)).toEqual({
+      written: ['README.md', 'package.json', 'src/main.tsx'],
+      kept: []
+    });
+    expect(await fs.readFile(path.join(targetDir, 'src', 'main.tsx'), 'utf8')).toBe('main');
+  });
+
+  test('should keep files that already exist', async () => {
+    await fs.outputFile(path.join(targetDir, 'README.md'), '# mine');
+    await fs.ensureDir(path.join(targetDir, '.git'));
+
+    expect(await copyRenderedProject(renderedDir, targetDir)).toEqual({
+      written: ['package.json', 'src/main.tsx'],
+      kept: ['README.md']
+    });
+    expect(await fs.readFile(path.join(targetDir, 'README.md'), 'utf8')).toBe('# mine');
+  });
+
+  test('should list the top-most paths a copy creates', async () => {
+    await fs.outputFile(path.join(targetDir, 'README.md'), '# mine');
+    await fs.ensureDir(path.join(targetDir, 'src'));
+
+    expect(listNewPaths(renderedDir, targetDir).sort()).toEqual([
+      path.join(targetDir, 'package.json'),
+      path.join(targetDir, 'src', 'main.tsx')
+    ]);
+    await fs.remove(path.join(targetDir, 'src'));
+    expect(listNewPaths(renderedDir, targetDir)).toContain(path.join(targetDir, 'src'));
+  });
+});
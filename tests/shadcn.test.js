@@ -0,0 +1,141 @@
+const {
+  listShadcnComponents,
+  parseComponentList,
+  resolveShadcnComponents,
+  getShadcnDependencies,
+  readComponentsConfig,
+  resolveAliasPath,
+  writeShadcnComponents
+} = require('../lib/shadcn');
+const { BoilerplateError } = require('../lib/error-handler');
+const { checkTemplateDependencies } = require('../lib/dependency-check');
+const { resolveTemplate } = require('../lib/templates');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Shadcn/UI component catalog', () => {
+  let projectDir;
+  let shadcnDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shadcn-test-'));
+    await fs.outputJson(path.join(projectDir, 'package.json'), {
+      dependencies: { react: '^18.2.0', 'class-variance-authority': '^0.7.1' }
+    });
+    await fs.outputFile(path.join(projectDir, 'tsconfig.json'), `{
+  "compilerOptions": {
+    // Path mapping
+    "paths": { "@/*": ["./src/*"], "~/*": ["./app/*"] }
+  }
+}`);
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+    if (shadcnDir) {
+      await fs.remove(shadcnDir);
+      shadcnDir = null;
+    }
+  });
+
+  test('should list the bundled components', () => {
+    expect(listShadcnComponents()).toEqual(['button', 'card', 'input', 'label', 'badge', 'separator', 'dialog']);
+    expect(getShadcnDependencies(['button', 'dialog'])).toMatchObject({
+      '@radix-ui/react-slot': expect.any(String),
+      '@radix-ui/react-dialog': expect.any(String)
+    });
+  });
+
+  test('should parse and validate component lists', () => {
+    expect(parseComponentList('button, card,,button')).toEqual(['button', 'card']);
+    expect(parseComponentList(['dialog'])).toEqual(['dialog']);
+    expect(parseComponentList(undefined)).toEqual([]);
+
+    expect(resolveShadcnComponents(['card', 'button'])).toEqual(['card', 'button']);
+    expect(() => resolveShadcnComponents(['button', 'no-such-component'])).toThrow(BoilerplateError);
+    expect(() => resolveShadcnComponents(['no-such-component'])).toThrow('Unknown Shadcn/UI components: no-such-component');
+  });
+
+  test('should add the components a component builds on', async () => {
+    shadcnDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shadcn-catalog-'));
+    await fs.outputJson(path.join(shadcnDir, 'registry.json'), {
+      styles: ['new-york'],
+      components: {
+        button: { files: ['ui/button.tsx'] },
+        'alert-dialog': { files: ['ui/alert-dialog.tsx'], registryDependencies: ['button'] }
+      }
+    });
+
+    expect(resolveShadcnComponents(['alert-dialog'], shadcnDir)).toEqual(['button', 'alert-dialog']);
+  });
+
+  test('should resolve aliases with tsconfig paths', () => {
+    expect(resolveAliasPath(projectDir, '@/components/ui')).toBe(path.normalize('src/components/ui'));
+    expect(resolveAliasPath(projectDir, '~/ui')).toBe(path.normalize('app/ui'));
+    expect(resolveAliasPath(projectDir, 'components/ui')).toBe(path.normalize('components/ui'));
+  });
+
+  test('should write components where components.json points', async () => {
+    await fs.outputJson(path.join(projectDir, 'components.json'), {
+      style: 'new-york',
+      aliases: { components: '@/components', utils: '@/lib/utils' }
+    });
+
+    const { files, dependencies } = await writeShadcnComponents(projectDir, ['button', 'card']);
+
+    expect(files).toEqual(['src/components/ui/button.tsx', 'src/components/ui/card.tsx']);
+    expect(await fs.readFile(path.join(projectDir, files[0]), 'utf8')).toContain('import { cn } from "@/lib/utils"');
+    // Only what was added; ranges already in package.json are kept
+    expect(dependencies).toEqual({ '@radix-ui/react-slot': expect.any(String) });
+
+    const { dependencies: installed } = await fs.readJson(path.join(projectDir, 'package.json'));
+    expect(installed['@radix-ui/react-slot']).toBe(dependencies['@radix-ui/react-slot']);
+    expect(installed['class-variance-authority']).toBe('^0.7.1');
+  });
+
+  test('should follow custom ui and utils aliases', async () => {
+    await fs.outputJson(path.join(projectDir, 'components.json'), {
+      aliases: { components: '~/components', ui: '~/ui', utils: '~/utils/cn' }
+    });
+
+    const { files } = await writeShadcnComponents(projectDir, ['card']);
+
+    expect(files).toEqual(['app/ui/card.tsx']);
+    expect(await fs.readFile(path.join(projectDir, 'app/ui/card.tsx'), 'utf8')).toContain('from "~/utils/cn"');
+  });
+
+  test('should use the style from components.json', async () => {
+    const write = async (style) => {
+      await fs.outputJson(path.join(projectDir, 'components.json'), { style, aliases: { components: '@/components' } });
+      await writeShadcnComponents(projectDir, ['button']);
+      return fs.readFile(path.join(projectDir, 'src/components/ui/button.tsx'), 'utf8');
+    };
+
+    expect(await write('new-york')).toContain('default: "h-9 px-4 py-2"');
+    expect(await write('default')).toContain('default: "h-10 px-4 py-2"');
+    await expect(write('brutalist')).rejects.toThrow('uses the "brutalist" style');
+  });
+
+  test('should keep "use client" only for React Server Components', async () => {
+    await fs.outputJson(path.join(projectDir, 'components.json'), { style: 'new-york', rsc: false });
+    await writeShadcnComponents(projectDir, ['dialog']);
+    expect(await fs.readFile(path.join(projectDir, 'src/components/ui/dialog.tsx'), 'utf8')).toMatch(/^import \* as React/);
+
+    await fs.outputJson(path.join(projectDir, 'components.json'), { style: 'new-york', rsc: true });
+    await writeShadcnComponents(projectDir, ['dialog']);
+    expect(await fs.readFile(path.join(projectDir, 'src/components/ui/dialog.tsx'), 'utf8')).toMatch(/^"use client"/);
+  });
+
+  test('should require a TypeScript components.json', async () => {
+    expect(() => readComponentsConfig(projectDir)).toThrow('No components.json found');
+
+    await fs.outputJson(path.join(projectDir, 'components.json'), { tsx: false });
+    expect(() => readComponentsConfig(projectDir)).toThrow('"tsx": false');
+  });
+
+  test('should declare exactly the packages every component uses', async () => {
+    const report = await checkTemplateDependencies(resolveTemplate('default'), { components: listShadcnComponents() });
+    expect(report).toMatchObject({ missing: [], unused: [], miscategorised: [] });
+  });
+});
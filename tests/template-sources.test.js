@@ -0,0 +1,180 @@
+const {
+  parseTemplateSource,
+  resolveTemplateSource,
+  resolveProjectTemplate
+} = require('../lib/template-sources');
+const { BoilerplateError } = require('../lib/error-handler');
+const { copyTemplate } = require('../lib/templates');
+const spawn = require('cross-spawn');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+// Runs a command and rejects on a non-zero exit code
+const run = (command, args, cwd) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { cwd, stdio: 'pipe' });
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`${command} ${args.join(' ')}: ${stderr}`))));
+  child.on('error', reject);
+});
+
+const gitCommit = (cwd, message) => run('git', [
+  '-c', 'user.name=Test', '-c', 'user.email=test@example.com',
+  'commit', '--quiet', '-m', message
+], cwd);
+
+describe('parseTemplateSource', () => {
+  test('should recognise registry names, git URLs and GitHub shorthands', () => {
+    expect(parseTemplateSource('dashboard')).toEqual({ type: 'registry', input: 'dashboard', name: 'dashboard' });
+    expect(parseTemplateSource('github:acme/starter#v2')).toMatchObject({
+      type: 'git',
+      url: 'https://github.com/acme/starter.git',
+      ref: 'v2'
+    });
+    expect(parseTemplateSource('git+https://example.com/acme/starter.git#main')).toMatchObject({
+      type: 'git',
+      url: 'https://example.com/acme/starter.git',
+      ref: 'main'
+    });
+    expect(parseTemplateSource('git@example.com:acme/starter.git')).toMatchObject({ type: 'git', ref: null });
+  });
+
+  test('should reject missing paths and unsupported files', async () => {
+    expect(() => parseTemplateSource('./does-not-exist')).toThrow('Template path not found');
+
+    const file = path.join(os.tmpdir(), `template-source-${process.pid}.txt`);
+    await fs.writeFile(file, '');
+    try {
+      expect(() => parseTemplateSource(file)).toThrow('Unsupported template file');
+    } finally {
+      await fs.remove(file);
+    }
+  });
+});
+
+describe('resolveTemplateSource', () => {
+  const originalCacheDir = process.env.RVB_CACHE_DIR;
+  let workDir;
+  let templateDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-sources-test-'));
+    process.env.RVB_CACHE_DIR = path.join(workDir, 'cache');
+
+    templateDir = path.join(workDir, 'acme-template');
+    await fs.outputJson(path.join(templateDir, 'template.json'), {
+      name: 'acme',
+      version: '1.0.0',
+      extends: 'minimal',
+      features: ['router', 'tailwind']
+    });
+    await fs.outputJson(path.join(templateDir, 'package.json'), { name: 'acme-template' });
+    await fs.outputFile(path.join(templateDir, 'src', 'acme.ts'), 'export const acme = true\n');
+  });
+
+  afterEach(async () => {
+    if (originalCacheDir === undefined) {
+      delete process.env.RVB_CACHE_DIR;
+    } else {
+      process.env.RVB_CACHE_DIR = originalCacheDir;
+    }
+    await fs.remove(workDir);
+  });
+
+  test('should resolve built-in templates without a source', async () => {
+    const template = await resolveTemplateSource('minimal');
+    expect(template.name).toBe('minimal');
+    expect(template.source).toBeNull();
+  });
+
+  test('should use local directories and extend registry templates', async () => {
+    const template = await resolveTemplateSource(templateDir);
+
+    expect(template.name).toBe('acme');
+    expect(template.source).toBe(templateDir);
+    expect(template.chain.map(layer => layer.name)).toEqual(['minimal', 'acme']);
+  });
+
+  test('should not copy the installed packages of local templates', async () => {
+    await fs.outputFile(path.join(templateDir, 'node_modules', 'left-pad', 'index.js'), '');
+    await fs.outputFile(path.join(templateDir, '.git', 'HEAD'), '');
+    const projectDir = path.join(workDir, 'project');
+
+    await copyTemplate(await resolveTemplateSource(templateDir), projectDir);
+    expect(fs.existsSync(path.join(projectDir, 'src', 'acme.ts'))).toBe(true);
+    expect(fs.existsSync(path.join(projectDir, 'node_modules'))).toBe(false);
+    expect(fs.existsSync(path.join(projectDir, '.git'))).toBe(false);
+  });
+
+  test('should extract tarballs into the cache', async () => {
+    const tarball = path.join(workDir, 'acme.tgz');
+    await run('tar', ['-czf', tarball, '-C', workDir, 'acme-template']);
+
+    const template = await resolveTemplateSource(tarball);
+    expect(template.name).toBe('acme');
+    expect(template.dir.startsWith(process.env.RVB_CACHE_DIR)).toBe(true);
+    expect(fs.existsSync(path.join(template.dir, 'src', 'acme.ts'))).toBe(true);
+  });
+
+  test('should clone git repositories and follow refs', async () => {
+    await run('git', ['init', '--quiet'], templateDir);
+    await run('git', ['add', '.'], templateDir);
+    await gitCommit(templateDir, 'v1');
+    await run('git', ['tag', 'v1'], templateDir);
+
+    const manifest = await fs.readJson(path.join(templateDir, 'template.json'));
+    await fs.writeJson(path.join(templateDir, 'template.json'), { ...manifest, version: '2.0.0' });
+    await run('git', ['add', '.'], templateDir);
+    await gitCommit(templateDir, 'v2');
+
+    const bareRepo = path.join(workDir, 'acme.git');
+    await run('git', ['clone', '--quiet', '--bare', templateDir, bareRepo]);
+
+    const latest = await resolveTemplateSource(`file://${bareRepo}`);
+    expect(latest.version).toBe('2.0.0');
+    expect(latest.dir.startsWith(process.env.RVB_CACHE_DIR)).toBe(true);
+
+    const tagged = await resolveTemplateSource(`${bareRepo}#v1`);
+    expect(tagged.version).toBe('1.0.0');
+    expect(tagged.source).toBe(`${bareRepo}#v1`);
+
+    // Recorded sources resolve again, from the cache when offline
+    const again = await resolveProjectTemplate({ template: 'acme', templateSource: tagged.source }, { offline: true });
+    expect(again.version).toBe('1.0.0');
+  }, 30000);
+
+  test('should fail instead of prompting for credentials or hanging', async () => {
+    // One path asks for credentials, any other never answers
+    const server = http.createServer((req, res) => {
+      if (req.url.startsWith('/private.git/')) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="git"' });
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      await expect(resolveTemplateSource(`${base}/private.git`, { timeout: 10000 })).rejects.toMatchObject({
+        code: 'RVB_E_TEMPLATE_FETCH',
+        message: expect.stringMatching(/terminal prompts disabled/)
+      });
+      await expect(resolveTemplateSource(`${base}/hanging.git`, { timeout: 500 })).rejects.toMatchObject({
+        code: 'RVB_E_TEMPLATE_FETCH',
+        message: expect.stringContaining('timed out after 0.5s')
+      });
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  }, 30000);
+
+  test('should require a manifest and package.json', async () => {
+    await fs.remove(path.join(templateDir, 'package.json'));
+
+    await expect(resolveTemplateSource(templateDir)).rejects.toThrow(BoilerplateError);
+    await expect(resolveTemplateSource(templateDir)).rejects.toThrow('is missing package.json');
+  });
+});
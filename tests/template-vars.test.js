@@ -0,0 +1,112 @@
+const {
+  toTitle,
+  getTemplateVariables,
+  renderTemplateString,
+  renderPath,
+  isBinaryFile,
+  renderTemplateFiles,
+  DEFAULT_DESCRIPTION
+} = require('../lib/template-vars');
+const { BoilerplateError } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const variables = getTemplateVariables({
+  projectName: 'acme-shop',
+  description: 'Online store for Acme',
+  template: { name: 'default', features: ['router', 'shadcn'] },
+  addons: ['vitest']
+});
+
+describe('getTemplateVariables', () => {
+  test('should derive a title and default the description', () => {
+    expect(toTitle('@acme/my_app')).toBe('My App');
+    const defaults = getTemplateVariables({ projectName: 'my-app' });
+    expect(defaults).toMatchObject({ projectName: 'my-app', title: 'My App', description: DEFAULT_DESCRIPTION });
+  });
+
+  test('should expose add-ons and features as flags', () => {
+    expect(variables.addon).toEqual({ vitest: true });
+    expect(variables.feature).toEqual({ router: true, shadcn: true });
+    expect(variables.template).toBe('default');
+  });
+});
+
+describe('renderTemplateString', () => {
+  test('should replace known variables and leave other braces alone', () => {
+    const text = '<title>{{ title }}</title>\n<Link activeProps={{ className: "x" }} value={{unknown}} />';
+    expect(renderTemplateString(text, variables))
+      .toBe('<title>Acme Shop</title>\n<Link activeProps={{ className: "x" }} value={{unknown}} />');
+  });
+
+  test('should keep or drop conditional blocks without leaving blank lines', () => {
+    const text = [
+      'scripts:',
+      '{{#if addon.vitest}}',
+      '- test',
+      '{{/if}}',
+      '{{#if addon.playwright}}',
+      '- e2e',
+      '{{else}}',
+      '- no e2e',
+      '{{/if}}',
+      'end {{#if !feature.seo}}no seo{{/if}}',
+      ''
+    ].join('\n');
+    expect(renderTemplateString(text, variables)).toBe('scripts:\n- test\n- no e2e\nend no seo\n');
+  });
+
+  test('should support nested blocks', () => {
+    const text = '{{#if feature.router}}a{{#if addon.zustand}}b{{else}}c{{/if}}{{/if}}';
+    expect(renderTemplateString(text, variables)).toBe('ac');
+  });
+
+  test('should reject unbalanced blocks', () => {
+    expect(() => renderTemplateString('{{#if addon.vitest}}x', variables, 'README.md'))
+      .toThrow('Invalid template block in README.md: {{#if addon.vitest}} is never closed');
+    expect(() => renderTemplateString('x{{/if}}', variables)).toThrow(BoilerplateError);
+  });
+});
+
+describe('renderPath', () => {
+  test('should replace __name__ placeholders with string variables only', () => {
+    expect(renderPath('src/__projectName__/config.ts', variables)).toBe('src/acme-shop/config.ts');
+    expect(renderPath('src/routes/__root.tsx', variables)).toBe('src/routes/__root.tsx');
+    expect(renderPath('src/__tests__/__addon__.ts', variables)).toBe('src/__tests__/__addon__.ts');
+  });
+});
+
+describe('renderTemplateFiles', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-vars-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should render text files, rename placeholders and skip binary files', async () => {
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x7b, 0x7b]);
+    await fs.outputFile(path.join(dir, 'index.html'), '<title>{{title}}</title>\n');
+    await fs.outputFile(path.join(dir, 'docs', '__projectName__.md'), '# {{projectName}}\n');
+    await fs.outputFile(path.join(dir, 'public', 'logo.png'), '{{title}}');
+    await fs.outputFile(path.join(dir, 'public', 'data.bin'), binary);
+
+    await renderTemplateFiles(dir, variables);
+
+    expect(await fs.readFile(path.join(dir, 'index.html'), 'utf8')).toBe('<title>Acme Shop</title>\n');
+    expect(await fs.readFile(path.join(dir, 'docs', 'acme-shop.md'), 'utf8')).toBe('# acme-shop\n');
+    expect(fs.existsSync(path.join(dir, 'docs', '__projectName__.md'))).toBe(false);
+    expect(await fs.readFile(path.join(dir, 'public', 'logo.png'), 'utf8')).toBe('{{title}}');
+    expect(await fs.readFile(path.join(dir, 'public', 'data.bin'))).toEqual(binary);
+  });
+
+  test('should detect binary files by extension or contents', () => {
+    expect(isBinaryFile('logo.PNG', Buffer.from('text'))).toBe(true);
+    expect(isBinaryFile('data', Buffer.from([1, 0, 2]))).toBe(true);
+    expect(isBinaryFile('README.md', Buffer.from('# Title'))).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  loadTemplateManifest,
+  resolveTemplate,
+  copyTemplate
+} = require('../lib/templates');
+const { BoilerplateError, ERROR_TYPES } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Template registry', () => {
+  test('should list the built-in templates', () => {
+    const names = listTemplates().map(template => template.name);
+    expect(names).toEqual(expect.arrayContaining(['minimal', 'default', 'dashboard']));
+  });
+
+  test('should expose manifest metadata for every template', () => {
+    listTemplates().forEach(template => {
+      expect(typeof template.description).toBe('string');
+      expect(template.description.length).toBeGreaterThan(0);
+      expect(Array.isArray(template.features)).toBe(true);
+      expect(fs.existsSync(path.join(template.dir, 'template.json'))).toBe(true);
+    });
+  });
+
+  test('should keep the .rvb/base snapshots out of linting', () => {
+    listTemplates().forEach(template => {
+      const eslintConfig = resolveTemplate(template.name).chain
+        .map(layer => path.join(layer.dir, '.eslintrc.cjs'))
+        .filter(file => fs.existsSync(file))
+        .pop();
+      expect(require(eslintConfig).ignorePatterns).toContain('.rvb/base');
+    });
+  });
+
+  test('should resolve the default template', () => {
+    const template = resolveTemplate(DEFAULT_TEMPLATE);
+    expect(template.name).toBe('default');
+    expect(template.chain.map(t => t.name)).toEqual(['default']);
+  });
+
+  test('should resolve extended templates base first', () => {
+    const template = resolveTemplate('dashboard');
+    expect(template.chain.map(t => t.name)).toEqual(['default', 'dashboard']);
+  });
+
+  test('should reject unknown templates with the list of valid names', () => {
+    expect(() => resolveTemplate('does-not-exist')).toThrow(BoilerplateError);
+
+    try {
+      resolveTemplate('does-not-exist');
+    } catch (error) {
+      expect(error.type).toBe(ERROR_TYPES.VALIDATION);
+      expect(error.message).toContain('Available templates:');
+      expect(error.message).toContain('minimal');
+      expect(error.context.available).toEqual(expect.arrayContaining(['default', 'dashboard']));
+    }
+  });
+});
+
+describe('Template manifests', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-test-'));
+  });
+
+  afterEach(async () => {
+    if (tempDir && await fs.pathExists(tempDir)) {
+      await fs.remove(tempDir);
+    }
+  });
+
+  test('should fail when the manifest is missing', () => {
+    expect(() => loadTemplateManifest(tempDir)).toThrow('Template manifest not found');
+  });
+
+  test('should fail when the manifest is not valid JSON', async () => {
+    await fs.writeFile(path.join(tempDir, 'template.json'), '{ invalid');
+    expect(() => loadTemplateManifest(tempDir)).toThrow('Invalid template manifest');
+  });
+
+  test('should detect circular extends chains', async () => {
+    await fs.outputJson(path.join(tempDir, 'a', 'template.json'), { name: 'a', extends: 'b' });
+    await fs.outputJson(path.join(tempDir, 'b', 'template.json'), { name: 'b', extends: 'a' });
+    expect(() => resolveTemplate('a', tempDir)).toThrow('circular');
+  });
+
+  test('should copy layered templates and merge extra dependencies', async () => {
+    const targetDir = path.join(tempDir, 'project');
+    await copyTemplate(resolveTemplate('dashboard'), targetDir);
+
+    expect(fs.existsSync(path.join(targetDir, 'src', 'routes', 'about.tsx'))).toBe(true);
+    expect(fs.existsSync(path.join(targetDir, 'src', 'routes', 'dashboard.tsx'))).toBe(true);
+    expect(fs.existsSync(path.join(targetDir, 'template.json'))).toBe(false);
+
+    const packageJson = await fs.readJson(path.join(targetDir, 'package.json'));
+    expect(packageJson.dependencies).toHaveProperty('recharts');
+    expect(packageJson.dependencies).toHaveProperty('react');
+  });
+
+  test('should copy the minimal template without Shadcn/UI files', async () => {
+    const targetDir = path.join(tempDir, 'project');
+    await copyTemplate(resolveTemplate('minimal'), targetDir);
+
+    expect(fs.existsSync(path.join(targetDir, 'src', 'main.tsx'))).toBe(true);
+    expect(fs.existsSync(path.join(targetDir, 'components.json'))).toBe(false);
+  });
+});
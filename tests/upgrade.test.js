@@ -0,0 +1,114 @@
+const { mergePackageJson, planFile, planUpgrade, applyUpgrade } = require('../lib/upgrade');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('mergePackageJson', () => {
+  test('should take template updates and keep user additions', () => {
+    const base = { name: 'app', dependencies: { react: '^18.0.0' }, scripts: { dev: 'vite' } };
+    const ours = { name: 'app', dependencies: { react: '^18.0.0', lodash: '^4.0.0' }, scripts: { dev: 'vite' } };
+    const theirs = { name: 'app', dependencies: { react: '^18.3.0' }, scripts: { dev: 'vite', preview: 'vite preview' } };
+
+    expect(mergePackageJson(base, ours, theirs)).toEqual({
+      json: {
+        name: 'app',
+        dependencies: { react: '^18.3.0', lodash: '^4.0.0' },
+        scripts: { dev: 'vite', preview: 'vite preview' }
+      },
+      conflicts: []
+    });
+  });
+
+  test('should keep user values on conflict', () => {
+    const { json, conflicts } = mergePackageJson(
+      { dependencies: { react: '^18.0.0' } },
+      { dependencies: { react: '^17.0.0' } },
+      { dependencies: { react: '^18.3.0' } }
+    );
+
+    expect(json.dependencies.react).toBe('^17.0.0');
+    expect(conflicts).toEqual(['dependencies.react']);
+  });
+
+  test('should drop entries removed by the template unless changed locally', () => {
+    const { json } = mergePackageJson(
+      { dependencies: { old: '1.0.0', kept: '1.0.0' } },
+      { dependencies: { old: '1.0.0', kept: '2.0.0' } },
+      { dependencies: {} }
+    );
+
+    expect(json.dependencies).toEqual({ kept: '2.0.0' });
+  });
+});
+
+describe('planFile', () => {
+  test('should ignore files the template did not change', () => {
+    expect(planFile('a.ts', 'same', 'mine', 'same')).toBeNull();
+    expect(planFile('a.ts', 'old', 'new', 'new')).toBeNull();
+  });
+
+  test('should update, add and delete files the user did not touch', () => {
+    expect(planFile('a.ts', 'old', 'old', 'new')).toEqual({ file: 'a.ts', action: 'update', content: 'new' });
+    expect(planFile('a.ts', null, null, 'new')).toEqual({ file: 'a.ts', action: 'add', content: 'new' });
+    expect(planFile('a.ts', 'old', 'old', null)).toEqual({ file: 'a.ts', action: 'delete', content: null });
+  });
+
+  test('should report changes that cannot be applied', () => {
+    expect(planFile('a.ts', 'old', null, 'new').action).toBe('skip');
+    expect(planFile('a.ts', 'old', 'mine', null).action).toBe('skip');
+    expect(planFile('a.ts', null, 'mine', 'new').action).toBe('skip');
+  });
+});
+
+describe('planUpgrade', () => {
+  let projectDir;
+  let renderedDir;
+
+  const write = (dir, file, contents) => fs.outputFile(path.join(dir, file), contents);
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-project-'));
+    renderedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-rendered-'));
+
+    // Old template output
+    await write(projectDir, '.rvb/base/src/app.tsx', 'one\ntwo\nthree\nfour\nfive\n');
+    await write(projectDir, '.rvb/base/src/conflict.tsx', 'title\n');
+    // User files
+    await write(projectDir, 'src/app.tsx', 'one\ntwo\nthree\nfour\nfive\nmine\n');
+    await write(projectDir, 'src/conflict.tsx', 'my title\n');
+    await write(projectDir, 'src/user.tsx', 'user only\n');
+    // New template output
+    await write(renderedDir, 'src/app.tsx', 'ONE\ntwo\nthree\nfour\nfive\n');
+    await write(renderedDir, 'src/conflict.tsx', 'new title\n');
+    await write(renderedDir, 'src/new.tsx', 'new file\n');
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+    await fs.remove(renderedDir);
+  });
+
+  test('should plan merges, conflicts and new files', () => {
+    const plan = planUpgrade(projectDir, renderedDir);
+
+    expect(plan.map(({ file, action }) => ({ file, action }))).toEqual([
+      { file: 'src/app.tsx', action: 'merge' },
+      { file: 'src/conflict.tsx', action: 'conflict' },
+      { file: 'src/new.tsx', action: 'add' }
+    ]);
+    expect(plan[0].content).toBe('ONE\ntwo\nthree\nfour\nfive\nmine\n');
+    expect(plan[1].content).toContain('<<<<<<< yours');
+  });
+
+  test('should write changes and refresh the base snapshots', async () => {
+    await applyUpgrade(projectDir, renderedDir, planUpgrade(projectDir, renderedDir));
+
+    expect(await fs.readFile(path.join(projectDir, 'src', 'app.tsx'), 'utf8')).toBe('ONE\ntwo\nthree\nfour\nfive\nmine\n');
+    expect(await fs.readFile(path.join(projectDir, 'src', 'new.tsx'), 'utf8')).toBe('new file\n');
+    expect(await fs.readFile(path.join(projectDir, 'src', 'user.tsx'), 'utf8')).toBe('user only\n');
+    expect(await fs.readFile(path.join(projectDir, '.rvb', 'base', 'src', 'conflict.tsx'), 'utf8')).toBe('new title\n');
+
+    // The new output is now the base, so a second run has nothing to merge
+    expect(planUpgrade(projectDir, renderedDir)).toEqual([]);
+  });
+});
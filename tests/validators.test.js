@@ -1,4 +1,13 @@
-const { validateProjectName, validateTargetDirectory, RESERVED_NAMES } = require('../lib/validators');
+const {
+  validateProjectName,
+  validateDescription,
+  validateTargetDirectory,
+  hasWritePermission,
+  isSystemDirectory,
+  isSafeToRemove,
+  listSignificantEntries,
+  RESERVED_NAMES
+} = require('../lib/validators');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
@@ -70,6 +79,19 @@ describe('validateProjectName', () => {
   });
 });
 
+describe('validateDescription', () => {
+  test('should accept a single line of text', () => {
+    expect(validateDescription('Online store for Acme, built with React')).toEqual({ valid: true });
+  });
+
+  test('should reject empty, multi-line or markup descriptions', () => {
+    expect(validateDescription('  ').valid).toBe(false);
+    expect(validateDescription('first\nsecond').error).toBe('Description must be a single line');
+    expect(validateDescription('<b>bold</b>').valid).toBe(false);
+    expect(validateDescription('say "hi"').valid).toBe(false);
+  });
+});
+
 describe('validateTargetDirectory', () => {
   let tempDir;
 
@@ -99,6 +121,35 @@ describe('validateTargetDirectory', () => {
     expect(result.warnings).toEqual(expect.arrayContaining([expect.stringContaining('not empty')]));
   });
 
+  test('should treat repository boilerplate as empty', async () => {
+    await fs.ensureDir(path.join(tempDir, '.git'));
+    await fs.writeFile(path.join(tempDir, 'README.md'), '# app');
+    await fs.writeFile(path.join(tempDir, 'LICENSE'), 'MIT');
+    await fs.writeFile(path.join(tempDir, '.DS_Store'), '');
+
+    expect(listSignificantEntries(tempDir)).toEqual([]);
+    expect(validateTargetDirectory(tempDir).warnings).toEqual([]);
+
+    await fs.writeFile(path.join(tempDir, 'index.html'), '');
+    expect(listSignificantEntries(tempDir)).toEqual(['index.html']);
+    expect(listSignificantEntries(path.join(tempDir, 'missing'))).toEqual([]);
+  });
+
+  test('should accept the working directory', () => {
+    const cwd = process.cwd();
+    try {
+      process.chdir(tempDir);
+      expect(validateTargetDirectory(process.cwd()).valid).toBe(true);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  test('should check write permission', () => {
+    expect(hasWritePermission(tempDir)).toBe(true);
+    expect(hasWritePermission(path.join(tempDir, 'missing'))).toBe(false);
+  });
+
   test('should reject system directories', () => {
     const systemPaths = ['/', '/usr', '/etc', '/var'];
     
@@ -109,5 +160,26 @@ describe('validateTargetDirectory', () => {
         expect(result.error).toContain('system directory');
       }
     });
+    expect(isSystemDirectory(os.homedir())).toBe(true);
+    expect(isSystemDirectory(tempDir)).toBe(false);
+  });
+
+  test('should never remove the working or home directory or their parents', async () => {
+    const cwd = process.cwd();
+    const inner = path.join(tempDir, 'inner');
+    await fs.ensureDir(inner);
+    try {
+      process.chdir(inner);
+      expect(isSafeToRemove(inner)).toBe(false);
+      expect(isSafeToRemove('..')).toBe(false);
+      expect(isSafeToRemove(path.dirname(os.homedir()))).toBe(false);
+      expect(isSafeToRemove(path.join(tempDir, 'sibling'))).toBe(true);
+      expect(isSafeToRemove(path.join(inner, 'project'))).toBe(true);
+
+      // A parent can still be merged into
+      expect(validateTargetDirectory('..').valid).toBe(true);
+    } finally {
+      process.chdir(cwd);
+    }
   });
 });
\ No newline at end of file
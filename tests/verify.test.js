@@ -0,0 +1,70 @@
+const { VERIFY_STEPS, getVerifySteps, verifyProject } = require('../lib/verify');
+const { BoilerplateError, ERROR_TYPES, formatErrorMessage } = require('../lib/error-handler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('verifyProject', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-test-'));
+    await fs.writeJson(path.join(projectDir, 'package.json'), {
+      scripts: { typecheck: 'tsc', build: 'tsc && vite build' }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  test('should only run steps with a package.json script', () => {
+    expect(VERIFY_STEPS.map(step => step.name)).toEqual(['build', 'typecheck', 'lint']);
+    expect(getVerifySteps(projectDir).map(({ name, available }) => [name, available])).toEqual([
+      ['build', true],
+      ['typecheck', true],
+      ['lint', false]
+    ]);
+  });
+
+  test('should run every available script with the package manager', async () => {
+    const calls = [];
+    const run = async (manager, script, dir) => { calls.push([manager, script, dir]); };
+
+    const results = await verifyProject(projectDir, { packageManager: 'pnpm', run });
+
+    expect(calls).toEqual([['pnpm', 'build', projectDir], ['pnpm', 'typecheck', projectDir]]);
+    expect(results.map(({ name, status }) => [name, status])).toEqual([
+      ['build', 'passed'],
+      ['typecheck', 'passed'],
+      ['lint', 'skipped']
+    ]);
+  });
+
+  test('should keep going after a failure and report every failed step', async () => {
+    const run = async (manager, script) => {
+      const error = new Error(`${manager} run ${script} failed with code 2`);
+      error.stdout = "src/routes/__root.tsx(3,24): error TS2307: Cannot find module 'react-helmet-async'";
+      throw error;
+    };
+    const finished = [];
+
+    let thrown;
+    try {
+      await verifyProject(projectDir, { run, onStepEnd: (step, result) => finished.push(result.status) });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(finished).toEqual(['failed', 'failed', 'skipped']);
+    expect(thrown).toBeInstanceOf(BoilerplateError);
+    expect(thrown.type).toBe(ERROR_TYPES.VERIFICATION);
+    expect(thrown.message).toContain('Verification failed: build, typecheck');
+    expect(thrown.message).toContain("Cannot find module 'react-helmet-async'");
+    expect(thrown.context.failed).toEqual([
+      { step: 'build', command: 'npm run build' },
+      { step: 'typecheck', command: 'npm run typecheck' }
+    ]);
+    expect(formatErrorMessage(thrown)).toContain(`Re-run in ${projectDir}: npm run build`);
+  });
+});
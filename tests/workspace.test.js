@@ -0,0 +1,147 @@
+const {
+  parsePnpmWorkspacePatterns,
+  findWorkspace,
+  matchesWorkspacePattern,
+  isWorkspaceMember,
+  registerWorkspacePackage,
+  findSharedConfigs,
+  useSharedConfigs
+} = require('../lib/workspace');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('workspaces', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-test-')));
+  });
+
+  afterEach(async () => {
+    await fs.remove(rootDir);
+  });
+
+  test('should read pnpm workspace patterns', () => {
+    expect(parsePnpmWorkspacePatterns("packages:\n  # apps\n  - 'apps/*'\n  - \"packages/**\"\n  - tools/cli # CLI\n\ncatalog:\n  react: ^18.2.0\n"))
+      .toEqual(['apps/*', 'packages/**', 'tools/cli']);
+    expect(parsePnpmWorkspacePatterns("packages: ['apps/*', 'packages/*']\n")).toEqual(['apps/*', 'packages/*']);
+    expect(parsePnpmWorkspacePatterns('catalog: {}\n')).toEqual([]);
+  });
+
+  test('should match workspace globs', () => {
+    expect(matchesWorkspacePattern('apps/web', 'apps/*')).toBe(true);
+    expect(matchesWorkspacePattern('apps/web/nested', 'apps/*')).toBe(false);
+    expect(matchesWorkspacePattern('packages/ui/button', 'packages/**')).toBe(true);
+    expect(matchesWorkspacePattern('tools/cli', './tools/cli/')).toBe(true);
+    expect(matchesWorkspacePattern('apps.web', 'apps/*')).toBe(false);
+  });
+
+  test('should find a pnpm workspace up the tree', async () => {
+    await fs.outputFile(path.join(rootDir, 'pnpm-workspace.yaml'), "packages:\n  - 'apps/*'\n");
+    await fs.ensureDir(path.join(rootDir, 'apps'));
+
+    const workspace = findWorkspace(path.join(rootDir, 'apps'));
+    expect(workspace).toMatchObject({ root: rootDir, type: 'pnpm', manager: 'pnpm', patterns: ['apps/*'] });
+    expect(isWorkspaceMember(workspace, path.join(rootDir, 'apps', 'web'))).toBe(true);
+    expect(isWorkspaceMember(workspace, path.join(rootDir, 'sites', 'web'))).toBe(false);
+  });
+
+  test.each([
+    ['yarn.lock', {}, 'yarn'],
+    ['bun.lockb', {}, 'bun'],
+    ['package-lock.json', {}, 'npm'],
+    [null, { packageManager: 'yarn@4.1.0' }, 'yarn'],
+    [null, {}, 'npm']
+  ])('should pick the manager of a package.json workspace (%s)', async (lockFile, fields, manager) => {
+    await fs.outputJson(path.join(rootDir, 'package.json'), { private: true, workspaces: ['apps/*'], ...fields });
+    if (lockFile) await fs.outputFile(path.join(rootDir, lockFile), '');
+
+    expect(findWorkspace(rootDir)).toMatchObject({ type: 'package.json', manager, patterns: ['apps/*'] });
+  });
+
+  test('should ignore packages without workspaces', async () => {
+    await fs.outputJson(path.join(rootDir, 'package.json'), { name: 'app' });
+    await fs.outputJson(path.join(rootDir, 'nested', 'package.json'), { workspaces: { packages: ['libs/*'] } });
+
+    expect(findWorkspace(path.join(rootDir, 'nested', 'libs')).patterns).toEqual(['libs/*']);
+    expect(findWorkspace(rootDir)).toBeNull();
+  });
+
+  test('should respect negated patterns', async () => {
+    await fs.outputJson(path.join(rootDir, 'package.json'), { workspaces: ['apps/*', '!apps/legacy'] });
+    const workspace = findWorkspace(rootDir);
+
+    expect(isWorkspaceMember(workspace, path.join(rootDir, 'apps', 'web'))).toBe(true);
+    expect(isWorkspaceMember(workspace, path.join(rootDir, 'apps', 'legacy'))).toBe(false);
+  });
+
+  test('should register packages in pnpm-workspace.yaml', async () => {
+    const file = path.join(rootDir, 'pnpm-workspace.yaml');
+    await fs.outputFile(file, "packages:\n  # libraries\n  - \"packages/*\"\n\ncatalog:\n  react: ^18.2.0\n");
+    const workspace = findWorkspace(rootDir);
+
+    expect(await registerWorkspacePackage(workspace, path.join(rootDir, 'packages', 'ui'))).toBeNull();
+    expect(await registerWorkspacePackage(workspace, path.join(rootDir, 'apps', 'web'))).toBe('apps/web');
+    expect(await fs.readFile(file, 'utf8'))
+      .toBe("packages:\n  # libraries\n  - \"packages/*\"\n  - \"apps/web\"\n\ncatalog:\n  react: ^18.2.0\n");
+    expect(findWorkspace(rootDir).patterns).toEqual(['packages/*', 'apps/web']);
+
+    await fs.outputFile(file, "packages: ['packages/*']\n");
+    await registerWorkspacePackage(findWorkspace(rootDir), path.join(rootDir, 'apps', 'web'));
+    expect(await fs.readFile(file, 'utf8')).toBe("packages: ['packages/*', 'apps/web']\n");
+  });
+
+  test('should register packages in package.json workspaces', async () => {
+    const file = path.join(rootDir, 'package.json');
+    await fs.writeFile(file, '{\n    "private": true,\n    "workspaces": { "packages": ["packages/*"] }\n}\n');
+
+    await registerWorkspacePackage(findWorkspace(rootDir), path.join(rootDir, 'apps', 'web'));
+
+    expect(await fs.readFile(file, 'utf8')).toContain('\n    "private": true');
+    expect((await fs.readJson(file)).workspaces.packages).toEqual(['packages/*', 'apps/web']);
+  });
+
+  test('should extend the shared tsconfig and ESLint config', async () => {
+    const projectDir = path.join(rootDir, 'apps', 'web');
+    await fs.outputFile(path.join(rootDir, 'pnpm-workspace.yaml'), "packages:\n  - 'apps/*'\n");
+    await fs.outputFile(path.join(rootDir, 'tsconfig.base.json'), '{\n  // Shared\n  "compilerOptions": { "strict": true, "target": "ES2022" }\n}\n');
+    await fs.outputFile(path.join(rootDir, '.eslintrc.json'), JSON.stringify({ root: true, extends: ['eslint:recommended'] }));
+    await fs.outputJson(path.join(projectDir, 'tsconfig.json'), {
+      compilerOptions: { target: 'ES2020', strict: true, jsx: 'react-jsx' },
+      include: ['src']
+    });
+    await fs.outputFile(path.join(projectDir, '.eslintrc.cjs'), [
+      'module.exports = {',
+      '  root: true,',
+      '  extends: [',
+      "    'eslint:recommended',",
+      "    'plugin:react-hooks/recommended',",
+      '  ],',
+      '}'
+    ].join('\n'));
+    const workspace = findWorkspace(path.dirname(projectDir));
+
+    expect(findSharedConfigs(workspace)).toEqual({
+      tsconfig: path.join(rootDir, 'tsconfig.base.json'),
+      eslint: path.join(rootDir, '.eslintrc.json')
+    });
+    expect(await useSharedConfigs(workspace, projectDir)).toEqual(['tsconfig.json', '.eslintrc.cjs']);
+
+    // Options equal to the base are dropped, overrides are kept
+    expect(await fs.readJson(path.join(projectDir, 'tsconfig.json'))).toEqual({
+      extends: '../../tsconfig.base.json',
+      compilerOptions: { target: 'ES2020', jsx: 'react-jsx' },
+      include: ['src']
+    });
+    expect(await fs.readFile(path.join(projectDir, '.eslintrc.cjs'), 'utf8'))
+      .toBe("module.exports = {\n  extends: [\n    'plugin:react-hooks/recommended',\n  ],\n}");
+  });
+
+  test('should leave configs alone without shared ones', async () => {
+    await fs.outputJson(path.join(rootDir, 'package.json'), { workspaces: ['apps/*'] });
+    await fs.outputJson(path.join(rootDir, 'apps', 'web', 'tsconfig.json'), { compilerOptions: {} });
+
+    expect(await useSharedConfigs(findWorkspace(rootDir), path.join(rootDir, 'apps', 'web'))).toEqual([]);
+  });
+});